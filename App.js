@@ -1,9 +1,10 @@
 // App.js
 
-import React from "react";
+import React, { useEffect } from "react";
 import { NavigationContainer } from "@react-navigation/native";
 import AppNavigator from "./src/navigation/AppNavigator";
 import { AuthProvider, navigationRef } from "./src/context/AuthContext";
+import { startRoundSync } from "./src/services/roundservice";
 
 /**
  * Root application component
@@ -15,8 +16,15 @@ import { AuthProvider, navigationRef } from "./src/context/AuthContext";
  * 
  * The navigationRef binding creates a bridge between the authentication
  * domain and navigation capabilities without introducing tight coupling.
+ * 
+ * On launch it also resumes uploading any round data that was queued
+ * while the device was offline or the app was closed.
  */
 export default function App() {
+  useEffect(() => {
+    startRoundSync();
+  }, []);
+
   return (
     <AuthProvider>
       <NavigationContainer ref={navigationRef}>
@@ -24,4 +32,4 @@ export default function App() {
       </NavigationContainer>
     </AuthProvider>
   );
-}
\ No newline at end of file
+}
\ No newline at end of file
@@ -0,0 +1,399 @@
+// src/components/AddPlayerSheet.js
+//
+// Bottom sheet for adding a player to a group round on the course
+// selector. Players are either guests (a name and optional handicap)
+// or linked to an existing account by email. An account can only be
+// linked once its player has accepted an invite.
+
+import React, { useState, useEffect } from "react";
+import {
+  View,
+  Modal,
+  ScrollView,
+  TouchableOpacity,
+  TouchableWithoutFeedback,
+  TextInput,
+  StyleSheet,
+  ActivityIndicator
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import Typography from "../ui/components/Typography";
+import Button from "../ui/components/Button";
+import theme from "../ui/theme";
+import { findPlayerByEmail, invitePlayerByEmail } from "../services/groupRoundService";
+
+const MODES = {
+  GUEST: "guest",
+  LINKED: "linked"
+};
+
+/**
+ * Parse a handicap typed by the player, allowing "+2.1" for plus handicaps
+ */
+const parseHandicap = (text) => {
+  const trimmed = text.trim();
+  if (!trimmed) return null;
+
+  const value = parseFloat(trimmed.replace("+", ""));
+  if (isNaN(value)) return null;
+
+  return trimmed.startsWith("+") ? -value : value;
+};
+
+/**
+ * AddPlayerSheet Component
+ *
+ * @param {Object} props
+ * @param {boolean} props.visible - Whether the sheet is shown
+ * @param {Array} props.recentPlayers - Linked players from recent group rounds
+ * @param {Array} props.excludeProfileIds - Profiles already in the group
+ * @param {Function} props.onAddPlayer - Called with { displayName, profileId, handicapIndex }
+ * @param {Function} props.onClose - Called when the sheet is dismissed
+ */
+export default function AddPlayerSheet({
+  visible,
+  recentPlayers = [],
+  excludeProfileIds = [],
+  onAddPlayer,
+  onClose
+}) {
+  const [mode, setMode] = useState(MODES.GUEST);
+  const [name, setName] = useState("");
+  const [handicapText, setHandicapText] = useState("");
+  const [email, setEmail] = useState("");
+  const [linkedPlayer, setLinkedPlayer] = useState(null);
+  const [searching, setSearching] = useState(false);
+  const [lookupMessage, setLookupMessage] = useState(null);
+  const [canInvite, setCanInvite] = useState(false);    // Whether the last lookup found no linked account
+  const [inviting, setInviting] = useState(false);
+
+  // Start with a clean form each time the sheet opens
+  useEffect(() => {
+    if (visible) {
+      setMode(MODES.GUEST);
+      setName("");
+      setHandicapText("");
+      setEmail("");
+      setLinkedPlayer(null);
+      setLookupMessage(null);
+      setCanInvite(false);
+    }
+  }, [visible]);
+
+  /**
+   * Look up the account for the entered email
+   */
+  const handleFindPlayer = async () => {
+    if (!email.trim()) return;
+
+    try {
+      setSearching(true);
+      setLookupMessage(null);
+      setCanInvite(false);
+
+      const player = await findPlayerByEmail(email);
+
+      if (!player) {
+        setLinkedPlayer(null);
+        setCanInvite(true);
+        setLookupMessage("You're not linked with that player yet. Send them an invite, and add them as a guest for now.");
+      } else if (excludeProfileIds.includes(player.profileId)) {
+        setLinkedPlayer(null);
+        setLookupMessage("That player is already in the group.");
+      } else {
+        setLinkedPlayer(player);
+        setName(player.email.split("@")[0]);
+        setHandicapText(player.handicapIndex !== null && player.handicapIndex !== undefined
+          ? String(player.handicapIndex)
+          : "");
+      }
+    } catch (error) {
+      setLookupMessage("Couldn't look up that player. Check your connection and try again.");
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  /**
+   * Invite the entered email to link with the user
+   */
+  const handleInvite = async () => {
+    try {
+      setInviting(true);
+      await invitePlayerByEmail(email);
+      setCanInvite(false);
+      setLookupMessage("Invite sent. If they have an account they'll see it on their home screen, and once they accept you can add them here.");
+    } catch (error) {
+      setLookupMessage("Couldn't send the invite. Check your connection and try again.");
+    } finally {
+      setInviting(false);
+    }
+  };
+
+  /**
+   * Pick a player from a recent group round
+   */
+  const handleSelectRecent = (player) => {
+    setMode(MODES.LINKED);
+    setLinkedPlayer(player);
+    setEmail("");
+    setLookupMessage(null);
+    setName(player.displayName);
+    setHandicapText(player.handicapIndex !== null && player.handicapIndex !== undefined
+      ? String(player.handicapIndex)
+      : "");
+  };
+
+  const canAdd = name.trim().length > 0 && (mode === MODES.GUEST || linkedPlayer);
+
+  const handleAdd = () => {
+    if (!canAdd) return;
+
+    onAddPlayer({
+      displayName: name.trim(),
+      profileId: mode === MODES.LINKED ? linkedPlayer.profileId : null,
+      handicapIndex: parseHandicap(handicapText)
+    });
+    onClose();
+  };
+
+  const availableRecent = recentPlayers.filter(player => !excludeProfileIds.includes(player.profileId));
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <TouchableWithoutFeedback onPress={onClose}>
+        <View style={styles.backdrop} />
+      </TouchableWithoutFeedback>
+
+      <View style={styles.sheet}>
+        {/* Header */}
+        <View style={styles.header}>
+          <Typography variant="subtitle">Add Player</Typography>
+          <TouchableOpacity onPress={onClose} hitSlop={{ top: 8, right: 8, bottom: 8, left: 8 }}>
+            <Ionicons name="close" size={24} color={theme.colors.text} />
+          </TouchableOpacity>
+        </View>
+
+        <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+          {/* Recently linked players */}
+          {availableRecent.length > 0 && (
+            <>
+              <Typography variant="body" weight="semibold" style={styles.label}>Recent Players</Typography>
+              <View style={styles.wrapRow}>
+                {availableRecent.map(player => (
+                  <TouchableOpacity
+                    key={player.profileId}
+                    style={[
+                      styles.chip,
+                      linkedPlayer?.profileId === player.profileId && styles.selectedChip
+                    ]}
+                    onPress={() => handleSelectRecent(player)}
+                  >
+                    <Typography
+                      variant="caption"
+                      color={linkedPlayer?.profileId === player.profileId ? "white" : theme.colors.text}
+                    >
+                      {player.displayName}
+                    </Typography>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            </>
+          )}
+
+          {/* Guest or linked account */}
+          <View style={styles.modeToggle}>
+            {[MODES.GUEST, MODES.LINKED].map(option => (
+              <TouchableOpacity
+                key={option}
+                style={[styles.modeOption, mode === option && styles.selectedChip]}
+                onPress={() => {
+                  setMode(option);
+                  setLinkedPlayer(null);
+                  setLookupMessage(null);
+                  setCanInvite(false);
+                }}
+              >
+                <Typography
+                  variant="caption"
+                  weight={mode === option ? "semibold" : "normal"}
+                  color={mode === option ? "white" : theme.colors.text}
+                >
+                  {option === MODES.GUEST ? "Guest" : "Linked Account"}
+                </Typography>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          {mode === MODES.LINKED && (
+            <>
+              <Typography variant="body" weight="semibold" style={styles.label}>Email</Typography>
+              <View style={styles.inputRow}>
+                <TextInput
+                  style={[styles.input, styles.flexInput]}
+                  value={email}
+                  onChangeText={setEmail}
+                  placeholder="friend@example.com"
+                  keyboardType="email-address"
+                  autoCapitalize="none"
+                  autoCorrect={false}
+                  returnKeyType="search"
+                  onSubmitEditing={handleFindPlayer}
+                />
+                {searching ? (
+                  <ActivityIndicator size="small" color={theme.colors.primary} style={styles.findButton} />
+                ) : (
+                  <Button variant="outline" size="small" onPress={handleFindPlayer} style={styles.findButton}>
+                    Find
+                  </Button>
+                )}
+              </View>
+              {lookupMessage && (
+                <Typography variant="caption" italic style={styles.message}>
+                  {lookupMessage}
+                </Typography>
+              )}
+              {canInvite && (
+                <Button
+                  variant="outline"
+                  size="small"
+                  onPress={handleInvite}
+                  loading={inviting}
+                  disabled={inviting}
+                  iconLeft="mail-outline"
+                  style={styles.inviteButton}
+                >
+                  Send Invite
+                </Button>
+              )}
+            </>
+          )}
+
+          {(mode === MODES.GUEST || linkedPlayer) && (
+            <>
+              <Typography variant="body" weight="semibold" style={styles.label}>Name</Typography>
+              <TextInput
+                style={styles.input}
+                value={name}
+                onChangeText={setName}
+                placeholder="Player name"
+                autoCapitalize="words"
+              />
+
+              <Typography variant="body" weight="semibold" style={styles.label}>Handicap Index</Typography>
+              <TextInput
+                style={[styles.input, styles.handicapInput]}
+                value={handicapText}
+                onChangeText={setHandicapText}
+                placeholder="Optional"
+                keyboardType="numbers-and-punctuation"
+              />
+            </>
+          )}
+
+          <Button
+            variant="primary"
+            fullWidth
+            onPress={handleAdd}
+            disabled={!canAdd}
+            style={styles.addButton}
+          >
+            Add to Group
+          </Button>
+        </ScrollView>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: "rgba(0, 0, 0, 0.3)",
+  },
+  sheet: {
+    backgroundColor: "#fff",
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    paddingHorizontal: theme.spacing.medium,
+    paddingTop: theme.spacing.medium,
+    paddingBottom: theme.spacing.large,
+    maxHeight: "80%",
+  },
+  header: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    marginBottom: theme.spacing.small,
+  },
+  content: {
+    paddingBottom: theme.spacing.medium,
+  },
+  label: {
+    marginTop: theme.spacing.medium,
+    marginBottom: theme.spacing.small,
+  },
+  wrapRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: "#f0f0f0",
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  selectedChip: {
+    backgroundColor: theme.colors.primary,
+  },
+  modeToggle: {
+    flexDirection: "row",
+    marginTop: theme.spacing.medium,
+    borderRadius: 16,
+    overflow: "hidden",
+    backgroundColor: "#f0f0f0",
+    alignSelf: "flex-start",
+  },
+  modeOption: {
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+  },
+  inputRow: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: "#ddd",
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    fontSize: 16,
+  },
+  flexInput: {
+    flex: 1,
+  },
+  handicapInput: {
+    width: 100,
+  },
+  findButton: {
+    marginLeft: 8,
+  },
+  message: {
+    marginTop: theme.spacing.small,
+  },
+  inviteButton: {
+    marginTop: theme.spacing.small,
+    alignSelf: "flex-start",
+  },
+  addButton: {
+    marginTop: theme.spacing.large,
+  },
+});
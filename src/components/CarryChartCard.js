@@ -0,0 +1,141 @@
+// src/components/CarryChartCard.js
+//
+// The player's carry-distance chart on the profile. Clubs with enough
+// measured shots use the player's own distances; the rest come from the
+// default chart picked here, which is what new players start with.
+
+import React, { useState, useEffect } from "react";
+import { View, TouchableOpacity, StyleSheet, ActivityIndicator } from "react-native";
+import Typography from "../ui/components/Typography";
+import theme from "../ui/theme";
+import { getCarryChart, getDefaultCarryChart, setDefaultCarryChart } from "../services/clubService";
+import { DEFAULT_CARRY_CHARTS } from "../../supabase/functions/_shared/clubRecommendation";
+
+/**
+ * CarryChartCard Component
+ *
+ * @param {Object} props
+ * @param {string} props.userId - The user's profile ID
+ * @param {number} props.refreshKey - Changes when the bag is edited so the chart reloads
+ */
+export default function CarryChartCard({ userId, refreshKey = 0 }) {
+  const [chart, setChart] = useState([]);
+  const [chartId, setChartId] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const loadChart = async (selectedChartId = null) => {
+    if (!userId) return;
+
+    setLoading(true);
+    const defaultChart = selectedChartId || await getDefaultCarryChart();
+    setChartId(defaultChart);
+    setChart(await getCarryChart(userId, defaultChart));
+    setLoading(false);
+  };
+
+  useEffect(() => {
+    loadChart(chartId);
+  }, [userId, refreshKey]);
+
+  const handleSelectChart = async (id) => {
+    await setDefaultCarryChart(id);
+    loadChart(id);
+  };
+
+  return (
+    <View>
+      {/* Default chart for clubs without measured shots */}
+      <Typography variant="caption" style={styles.helpText}>
+        Clubs without enough measured shots use a default chart:
+      </Typography>
+      <View style={styles.chips}>
+        {Object.values(DEFAULT_CARRY_CHARTS).map(option => (
+          <TouchableOpacity
+            key={option.id}
+            style={[styles.chip, chartId === option.id && styles.selectedChip]}
+            onPress={() => handleSelectChart(option.id)}
+          >
+            <Typography
+              variant="caption"
+              weight={chartId === option.id ? "semibold" : "normal"}
+              color={chartId === option.id ? "white" : theme.colors.text}
+            >
+              {option.label}
+            </Typography>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {loading ? (
+        <ActivityIndicator size="small" color={theme.colors.primary} />
+      ) : (
+        chart.map(entry => (
+          <View key={entry.club} style={styles.row}>
+            <Typography variant="body" style={styles.clubName} numberOfLines={1}>
+              {entry.nickname || entry.club}
+            </Typography>
+            <Typography variant="caption" style={styles.band}>
+              {entry.low}-{entry.high}
+            </Typography>
+            <Typography variant="body" weight="semibold" style={styles.carry}>
+              {entry.carry} yd
+            </Typography>
+            <Typography
+              variant="caption"
+              color={entry.source === "measured" ? theme.colors.primary : theme.colors.secondary}
+              style={styles.source}
+            >
+              {entry.source === "measured" ? "Measured" : "Default"}
+            </Typography>
+          </View>
+        ))
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  helpText: {
+    color: theme.colors.secondary,
+    fontStyle: "italic",
+  },
+  chips: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    marginVertical: theme.spacing.small,
+  },
+  chip: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 14,
+    backgroundColor: "#f0f0f0",
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  selectedChip: {
+    backgroundColor: theme.colors.primary,
+  },
+  row: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: "#f5f5f5",
+  },
+  clubName: {
+    flex: 1,
+  },
+  band: {
+    width: 70,
+    textAlign: "right",
+    color: theme.colors.secondary,
+  },
+  carry: {
+    width: 64,
+    textAlign: "right",
+  },
+  source: {
+    width: 70,
+    textAlign: "right",
+  },
+});
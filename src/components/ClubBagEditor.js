@@ -0,0 +1,373 @@
+// src/components/ClubBagEditor.js
+//
+// Bag editor shown on the profile. Lists the player's clubs with their
+// loft and nickname and lets them add clubs, edit them, retire them
+// (kept for statistics but not offered when tagging shots) or remove them.
+
+import React, { useState, useEffect } from "react";
+import {
+  View,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Switch,
+  Alert,
+  ActivityIndicator
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import Typography from "../ui/components/Typography";
+import Button from "../ui/components/Button";
+import theme from "../ui/theme";
+import { getBag, addClub, updateClub, deleteClub } from "../services/clubService";
+import { DEFAULT_CLUBS } from "../../supabase/functions/_shared/shotModel";
+
+/**
+ * Parse a loft typed by the player
+ */
+const parseLoft = (text) => {
+  const value = parseFloat(text);
+  return Number.isNaN(value) ? null : value;
+};
+
+/**
+ * ClubBagEditor Component
+ *
+ * @param {Object} props
+ * @param {string} props.userId - The user's profile ID
+ * @param {Function} props.onChange - Called after the bag has been changed
+ */
+export default function ClubBagEditor({ userId, onChange }) {
+  const [clubs, setClubs] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editingId, setEditingId] = useState(null);   // Club with its fields open
+  const [adding, setAdding] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  // Draft for the club being added or edited
+  const [name, setName] = useState("");
+  const [nickname, setNickname] = useState("");
+  const [loftText, setLoftText] = useState("");
+
+  useEffect(() => {
+    if (!userId) return;
+
+    const loadBag = async () => {
+      setLoading(true);
+      setClubs(await getBag(userId));
+      setLoading(false);
+    };
+
+    loadBag();
+  }, [userId]);
+
+  const resetDraft = () => {
+    setName("");
+    setNickname("");
+    setLoftText("");
+  };
+
+  const startEditing = (club) => {
+    setAdding(false);
+    setEditingId(club.id);
+    setName(club.name);
+    setNickname(club.nickname || "");
+    setLoftText(club.loft !== null ? String(club.loft) : "");
+  };
+
+  const startAdding = () => {
+    setEditingId(null);
+    resetDraft();
+    setAdding(true);
+  };
+
+  const cancelEditing = () => {
+    setEditingId(null);
+    setAdding(false);
+    resetDraft();
+  };
+
+  const handleAdd = async () => {
+    const clubName = name.trim();
+    if (!clubName) return;
+
+    if (clubs.some(club => club.name.toLowerCase() === clubName.toLowerCase())) {
+      Alert.alert("Already in your bag", `${clubName} is already in your bag.`);
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const club = await addClub(userId, {
+        name: clubName,
+        nickname,
+        loft: parseLoft(loftText)
+      }, clubs.length);
+      setClubs(prev => [...prev, club]);
+      cancelEditing();
+      onChange?.();
+    } catch (error) {
+      Alert.alert("Error", "Couldn't add the club. Please try again.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      const updated = await updateClub(editingId, {
+        nickname: nickname.trim() || null,
+        loft: parseLoft(loftText)
+      });
+      setClubs(prev => prev.map(club => (club.id === updated.id ? updated : club)));
+      cancelEditing();
+      onChange?.();
+    } catch (error) {
+      Alert.alert("Error", "Couldn't save the club. Please try again.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (club, isActive) => {
+    // Update straight away and roll back if the save fails
+    setClubs(prev => prev.map(item => (item.id === club.id ? { ...item, is_active: isActive } : item)));
+
+    try {
+      await updateClub(club.id, { is_active: isActive });
+      onChange?.();
+    } catch (error) {
+      setClubs(prev => prev.map(item => (item.id === club.id ? { ...item, is_active: !isActive } : item)));
+    }
+  };
+
+  const handleDelete = (club) => {
+    Alert.alert(
+      "Remove Club",
+      `Remove ${club.name} from your bag? Shots already tagged with it are kept. Retire the club instead to keep it in your statistics list.`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Remove",
+          style: "destructive",
+          onPress: async () => {
+            try {
+              await deleteClub(club.id);
+              setClubs(prev => prev.filter(item => item.id !== club.id));
+              cancelEditing();
+              onChange?.();
+            } catch (error) {
+              Alert.alert("Error", "Couldn't remove the club. Please try again.");
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  // Standard clubs not yet in the bag, offered as shortcuts when adding
+  const suggestions = DEFAULT_CLUBS.filter(
+    clubName => !clubs.some(club => club.name.toLowerCase() === clubName.toLowerCase())
+  );
+
+  const renderDraftFields = () => (
+    <View style={styles.draft}>
+      {adding && (
+        <>
+          <TextInput
+            style={styles.input}
+            value={name}
+            onChangeText={setName}
+            placeholder="Club (e.g. 7 Iron)"
+            autoCapitalize="words"
+          />
+          {suggestions.length > 0 && (
+            <View style={styles.suggestions}>
+              {suggestions.map(clubName => (
+                <TouchableOpacity
+                  key={clubName}
+                  style={[styles.chip, name === clubName && styles.selectedChip]}
+                  onPress={() => setName(clubName)}
+                >
+                  <Typography
+                    variant="caption"
+                    color={name === clubName ? "white" : theme.colors.text}
+                  >
+                    {clubName}
+                  </Typography>
+                </TouchableOpacity>
+              ))}
+            </View>
+          )}
+        </>
+      )}
+
+      <View style={styles.draftRow}>
+        <TextInput
+          style={[styles.input, styles.nicknameInput]}
+          value={nickname}
+          onChangeText={setNickname}
+          placeholder="Nickname"
+          maxLength={24}
+        />
+        <TextInput
+          style={[styles.input, styles.loftInput]}
+          value={loftText}
+          onChangeText={text => /^\d*\.?\d*$/.test(text) && setLoftText(text)}
+          placeholder="Loft°"
+          keyboardType="decimal-pad"
+          maxLength={4}
+        />
+      </View>
+
+      <View style={styles.draftRow}>
+        <Button variant="outline" size="small" onPress={cancelEditing} style={styles.draftButton}>
+          Cancel
+        </Button>
+        <Button
+          variant="primary"
+          size="small"
+          onPress={adding ? handleAdd : handleSave}
+          disabled={saving || (adding && !name.trim())}
+          loading={saving}
+          style={styles.draftButton}
+        >
+          {adding ? "Add Club" : "Save"}
+        </Button>
+      </View>
+    </View>
+  );
+
+  if (loading) {
+    return <ActivityIndicator size="small" color={theme.colors.primary} />;
+  }
+
+  return (
+    <View>
+      {clubs.length === 0 && !adding && (
+        <Typography variant="caption" style={styles.emptyText}>
+          Add the clubs you carry to tag them on your shots.
+        </Typography>
+      )}
+
+      {clubs.map(club => (
+        <View key={club.id}>
+          <View style={styles.clubRow}>
+            <TouchableOpacity style={styles.clubInfo} onPress={() => startEditing(club)}>
+              <Typography
+                variant="body"
+                weight="semibold"
+                color={club.is_active ? theme.colors.text : theme.colors.secondary}
+              >
+                {club.name}
+                {club.loft !== null && (
+                  <Typography variant="caption"> {club.loft}°</Typography>
+                )}
+              </Typography>
+              {club.nickname ? (
+                <Typography variant="caption" italic>{club.nickname}</Typography>
+              ) : null}
+            </TouchableOpacity>
+            <Switch
+              value={club.is_active}
+              onValueChange={value => handleToggleActive(club, value)}
+              trackColor={{ true: theme.colors.primary }}
+            />
+            <TouchableOpacity onPress={() => handleDelete(club)} style={styles.deleteButton}>
+              <Ionicons name="trash-outline" size={18} color={theme.colors.secondary} />
+            </TouchableOpacity>
+          </View>
+          {editingId === club.id && renderDraftFields()}
+        </View>
+      ))}
+
+      {adding ? renderDraftFields() : (
+        <TouchableOpacity onPress={startAdding} style={styles.addButton}>
+          <Ionicons name="add-circle-outline" size={18} color={theme.colors.primary} />
+          <Typography variant="caption" color={theme.colors.primary} weight="semibold" style={styles.addText}>
+            Add club
+          </Typography>
+        </TouchableOpacity>
+      )}
+
+      {clubs.length > 0 && (
+        <Typography variant="caption" style={styles.emptyText}>
+          Switch a club off to retire it. Retired clubs aren't offered when tagging shots.
+        </Typography>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  clubRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: theme.spacing.small,
+    borderBottomWidth: 1,
+    borderBottomColor: "#f0f0f0",
+  },
+  clubInfo: {
+    flex: 1,
+  },
+  deleteButton: {
+    padding: 6,
+    marginLeft: 4,
+  },
+  draft: {
+    paddingVertical: theme.spacing.small,
+  },
+  draftRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginTop: theme.spacing.small,
+  },
+  draftButton: {
+    flex: 1,
+    marginHorizontal: 4,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: "#ddd",
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    fontSize: 16,
+  },
+  nicknameInput: {
+    flex: 1,
+    marginRight: theme.spacing.small,
+  },
+  loftInput: {
+    width: 80,
+  },
+  suggestions: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    marginTop: theme.spacing.small,
+  },
+  chip: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 14,
+    backgroundColor: "#f0f0f0",
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  selectedChip: {
+    backgroundColor: theme.colors.primary,
+  },
+  addButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: theme.spacing.small,
+  },
+  addText: {
+    marginLeft: 4,
+  },
+  emptyText: {
+    marginTop: theme.spacing.small,
+    color: theme.colors.secondary,
+    fontStyle: "italic",
+  },
+});
@@ -0,0 +1,90 @@
+// src/components/DispersionPlot.js
+//
+// Where one shot type finishes relative to the target, from the miss
+// directions recorded with the ShotTable picker. The target line runs up
+// the middle: long is at the top, short at the bottom, and left and right
+// misses sit either side. Each shot is one dot, clustered around its
+// compass point.
+
+import React from "react";
+import { View, StyleSheet } from "react-native";
+import Svg, { Circle, Line, G, Text as SvgText } from "react-native-svg";
+import theme from "../ui/theme";
+import { COMPASS_DIRECTIONS } from "../../supabase/functions/_shared/dispersion";
+
+const ON_TARGET_COLOR = "#4CAF50";
+const MISS_COLOR = "#007AFF";
+const GUIDE_COLOR = "#e0e0e0";
+
+// Angle between successive dots in a cluster, so they spiral without overlapping
+const GOLDEN_ANGLE = Math.PI * (3 - Math.sqrt(5));
+
+/**
+ * Positions for a cluster of dots around a point
+ */
+const clusterPoints = (count, centerX, centerY, spacing) => (
+  Array.from({ length: count }, (_, index) => {
+    const radius = index === 0 ? 0 : spacing * Math.sqrt(index);
+    const angle = index * GOLDEN_ANGLE;
+    return { x: centerX + radius * Math.cos(angle), y: centerY + radius * Math.sin(angle) };
+  })
+);
+
+/**
+ * DispersionPlot Component
+ *
+ * @param {Object} props
+ * @param {Object} props.summary - Result of summarizeDispersion for one shot type
+ * @param {number} props.size - Width and height of the plot
+ */
+export default function DispersionPlot({ summary, size = 220 }) {
+  const center = size / 2;
+  const reach = size * 0.34;
+  const dotRadius = Math.max(3, size / 60);
+  const spacing = dotRadius * 1.6;
+
+  return (
+    <View style={styles.container}>
+      <Svg width={size} height={size}>
+        {/* Target line and rings */}
+        <Line x1={center} y1={8} x2={center} y2={size - 8} stroke={GUIDE_COLOR} strokeWidth={1} strokeDasharray="4,4" />
+        <Line x1={8} y1={center} x2={size - 8} y2={center} stroke={GUIDE_COLOR} strokeWidth={1} />
+        <Circle cx={center} cy={center} r={reach * 0.45} stroke={GUIDE_COLOR} strokeWidth={1} fill="none" />
+        <Circle cx={center} cy={center} r={reach * 1.15} stroke={GUIDE_COLOR} strokeWidth={1} fill="none" />
+
+        <SvgText x={center} y={14} fontSize={10} fill={theme.colors.secondary} textAnchor="middle">Long</SvgText>
+        <SvgText x={center} y={size - 4} fontSize={10} fill={theme.colors.secondary} textAnchor="middle">Short</SvgText>
+        <SvgText x={4} y={center - 4} fontSize={10} fill={theme.colors.secondary}>Left</SvgText>
+        <SvgText x={size - 4} y={center - 4} fontSize={10} fill={theme.colors.secondary} textAnchor="end">Right</SvgText>
+
+        {/* Shots at the target */}
+        <G>
+          {clusterPoints(summary.onTarget, center, center, spacing).map((point, index) => (
+            <Circle key={`target-${index}`} cx={point.x} cy={point.y} r={dotRadius} fill={ON_TARGET_COLOR} opacity={0.8} />
+          ))}
+        </G>
+
+        {/* Misses, clustered at their compass point (diagonals pulled in to the same distance) */}
+        {COMPASS_DIRECTIONS.map(direction => {
+          const scale = direction.x !== 0 && direction.y !== 0 ? Math.SQRT1_2 : 1;
+          const x = center + direction.x * reach * scale;
+          const y = center - direction.y * reach * scale;
+
+          return (
+            <G key={direction.id}>
+              {clusterPoints(summary.counts[direction.id], x, y, spacing).map((point, index) => (
+                <Circle key={index} cx={point.x} cy={point.y} r={dotRadius} fill={MISS_COLOR} opacity={0.7} />
+              ))}
+            </G>
+          );
+        })}
+      </Svg>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    alignItems: "center",
+  },
+});
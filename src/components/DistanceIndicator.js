@@ -10,11 +10,34 @@ import { Ionicons } from '@expo/vector-icons';
 import * as Location from 'expo-location';
 import Typography from '../ui/components/Typography';
 import theme from '../ui/theme';
+import {
+  getHazardDistances,
+  findTeePosition,
+  findGreenElevation,
+  findTeeElevation
+} from '../../supabase/functions/_shared/geo';
+import { getPlaysLikeDistance, recommendClub } from '../../supabase/functions/_shared/clubRecommendation';
+
+// Most hazards listed under the green distances
+const MAX_HAZARDS_SHOWN = 4;
+
+// GPS altitude is only trusted for elevation changes when it is this accurate (metres)
+const MAX_ALTITUDE_ERROR = 10;
+
+const CONFIDENCE_LABELS = {
+  high: "Good fit",
+  medium: "In range",
+  low: "Between clubs"
+};
 
 /**
  * Distance Indicator Component
  * 
  * Shows distances to the green based on GPS or falls back to static hole data.
+ * Hazards still ahead (bunkers, water, doglegs) are listed with the distance
+ * to reach and carry them, measured from the tee when GPS isn't available.
+ * A club is suggested for the distance to the center from the player's
+ * carry chart, adjusted for elevation when the POI data has altitudes.
  * This is a premium feature with high visibility in the user experience, making
  * consistent visual presentation critical for perceived value.
  * 
@@ -22,16 +45,19 @@ import theme from '../ui/theme';
  * @param {Object} props.holeData - Current hole data with distance and poi info
  * @param {boolean} props.active - Whether component should actively update location
  * @param {function} props.onPermissionChange - Callback when GPS permission changes
+ * @param {Array} props.carryChart - The player's carry chart (buildCarryChart entries)
  */
 const DistanceIndicator = ({ 
   holeData, 
   active = true,
-  onPermissionChange = null
+  onPermissionChange = null,
+  carryChart = []
 }) => {
   // State for distance calculations
   const [centerDistance, setCenterDistance] = useState(null);
   const [frontDistance, setFrontDistance] = useState(null);
   const [backDistance, setBackDistance] = useState(null);
+  const [playerPosition, setPlayerPosition] = useState(null);
   
   // State for GPS status
   const [hasPermission, setHasPermission] = useState(null);
@@ -189,7 +215,14 @@ const DistanceIndicator = ({
       return;
     }
     
-    const { latitude, longitude } = location.coords;
+    const { latitude, longitude, altitude, altitudeAccuracy } = location.coords;
+    setPlayerPosition({
+      lat: latitude,
+      lng: longitude,
+      altitude: typeof altitude === 'number' && altitudeAccuracy !== null && altitudeAccuracy <= MAX_ALTITUDE_ERROR
+        ? altitude
+        : null
+    });
     
     // Get green coordinates
     const { center, front, back } = findGreenCoordinates();
@@ -288,6 +321,76 @@ const DistanceIndicator = ({
     checkPermission();
   }, []);
 
+  // Hazards ahead, from the player's position or the tee when GPS isn't working
+  const measureFrom = usingGPS && !locationError && playerPosition
+    ? playerPosition
+    : findTeePosition(holeData?.poi);
+  const hazardDistances = getHazardDistances(holeData?.poi, measureFrom).slice(0, MAX_HAZARDS_SHOWN);
+  
+  // Club suggestion for the distance to the center, allowing for the climb or drop to the green
+  const greenElevation = findGreenElevation(holeData?.poi);
+  const fromElevation = usingGPS && !locationError && playerPosition
+    ? playerPosition.altitude
+    : findTeeElevation(holeData?.poi);
+  const elevationChange = greenElevation !== null && typeof fromElevation === 'number'
+    ? greenElevation - fromElevation
+    : null;
+  const targetDistance = centerDistance || holeData?.distance || null;
+  const playsLikeDistance = targetDistance ? getPlaysLikeDistance(targetDistance, elevationChange) : null;
+  const recommendation = recommendClub(playsLikeDistance, carryChart);
+  
+  // Render the suggested club with its carry band
+  const renderRecommendation = () => {
+    if (!recommendation) return null;
+    
+    const adjustment = playsLikeDistance - targetDistance;
+    
+    return (
+      <View style={styles.recommendationContainer}>
+        <View style={styles.hazardRow}>
+          <Typography variant="caption" weight="semibold" style={styles.hazardLabel} numberOfLines={1}>
+            {recommendation.nickname || recommendation.club}
+            <Typography variant="caption"> {recommendation.low}-{recommendation.high} yd</Typography>
+          </Typography>
+          <Typography 
+            variant="caption" 
+            color={recommendation.confidence === 'low' ? '#999' : theme.colors.primary}
+          >
+            {CONFIDENCE_LABELS[recommendation.confidence]}
+          </Typography>
+        </View>
+        {adjustment !== 0 && (
+          <Typography variant="caption" style={styles.hazardNote}>
+            Plays {playsLikeDistance} yd ({adjustment > 0 ? `+${adjustment} uphill` : `${adjustment} downhill`})
+          </Typography>
+        )}
+      </View>
+    );
+  };
+  
+  // Render the list of hazards ahead (nothing when the hole has no POI data)
+  const renderHazards = () => {
+    if (hazardDistances.length === 0) return null;
+    
+    return (
+      <View style={styles.hazardsContainer}>
+        {hazardDistances.map(hazard => (
+          <View key={hazard.id} style={styles.hazardRow}>
+            <Typography variant="caption" style={styles.hazardLabel} numberOfLines={1}>
+              {hazard.label}
+            </Typography>
+            <Typography variant="caption" weight="semibold">
+              {hazard.carry ? `${hazard.reach} / ${hazard.carry} yd` : `${hazard.reach} yd`}
+            </Typography>
+          </View>
+        ))}
+        <Typography variant="caption" style={styles.hazardNote}>
+          Reach / carry{usingGPS && !locationError ? "" : " from the tee"}
+        </Typography>
+      </View>
+    );
+  };
+  
   // Determine what content to show based on our current state
   const renderContent = () => {
     // Loading state while checking permission or starting GPS
@@ -374,7 +477,11 @@ const DistanceIndicator = ({
           </TouchableOpacity>
         </View>
       ) : (
-        renderContent()
+        <>
+          {renderContent()}
+          {renderRecommendation()}
+          {renderHazards()}
+        </>
       )}
     </View>
   );
@@ -451,6 +558,32 @@ const styles = StyleSheet.create({
     color: '#666',
     textAlign: 'center',
   },
+  recommendationContainer: {
+    marginTop: 6,
+    paddingTop: 6,
+    borderTopWidth: 1,
+    borderTopColor: '#e8e8e8',
+  },
+  hazardsContainer: {
+    marginTop: 6,
+    paddingTop: 6,
+    borderTopWidth: 1,
+    borderTopColor: '#e8e8e8',
+  },
+  hazardRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 1,
+  },
+  hazardLabel: {
+    flex: 1,
+    color: '#444',
+    marginRight: 8,
+  },
+  hazardNote: {
+    color: '#999',
+    marginTop: 2,
+  },
 });
 
 export default DistanceIndicator;
\ No newline at end of file
@@ -0,0 +1,115 @@
+// src/components/GroupRequestsCard.js
+//
+// Home screen card for what other players are waiting on the user to
+// answer: invites to link accounts for group rounds, and group rounds
+// they scored for the user. Nothing is added to the user's account
+// until they accept it here.
+
+import React from "react";
+import { View, StyleSheet } from "react-native";
+import Typography from "../ui/components/Typography";
+import Button from "../ui/components/Button";
+import Card from "../ui/components/Card";
+import theme from "../ui/theme";
+
+/**
+ * Format a score relative to par, e.g. "+7" or "E"
+ */
+const formatScore = (score) => {
+  if (score === null || score === undefined) return "";
+  if (score === 0) return "E";
+  return score > 0 ? `+${score}` : String(score);
+};
+
+/**
+ * Accept and decline buttons for one request
+ */
+const RequestActions = ({ busy, onDecline, onAccept }) => (
+  <View style={styles.actions}>
+    <Button variant="outline" size="small" onPress={onDecline} disabled={busy} style={styles.actionButton}>
+      Decline
+    </Button>
+    <Button variant="primary" size="small" onPress={onAccept} disabled={busy} style={styles.actionButton}>
+      Accept
+    </Button>
+  </View>
+);
+
+/**
+ * GroupRequestsCard Component
+ *
+ * @param {Object} props
+ * @param {Array} props.linkRequests - Invites of { id, requesterEmail }
+ * @param {Array} props.pendingRounds - Rounds of { roundPlayerId, scorerEmail, courseName, playedAt, grossShots, score }
+ * @param {string|null} props.busyId - ID of the request being answered
+ * @param {Function} props.onRespondLink - Called with (linkId, accept)
+ * @param {Function} props.onRespondRound - Called with (roundPlayerId, accept)
+ */
+export default function GroupRequestsCard({
+  linkRequests = [],
+  pendingRounds = [],
+  busyId = null,
+  onRespondLink,
+  onRespondRound
+}) {
+  if (linkRequests.length === 0 && pendingRounds.length === 0) return null;
+
+  return (
+    <Card style={styles.card}>
+      <Typography variant="subtitle">Group Play</Typography>
+
+      {linkRequests.map(link => (
+        <View key={link.id} style={styles.request}>
+          <Typography variant="body">
+            {link.requesterEmail} wants to add you to their group rounds.
+          </Typography>
+          <Typography variant="secondary">
+            They'll see your handicap index and can send you rounds they score.
+          </Typography>
+          <RequestActions
+            busy={busyId === link.id}
+            onDecline={() => onRespondLink(link.id, false)}
+            onAccept={() => onRespondLink(link.id, true)}
+          />
+        </View>
+      ))}
+
+      {pendingRounds.map(round => (
+        <View key={round.roundPlayerId} style={styles.request}>
+          <Typography variant="body">
+            {round.scorerEmail} scored a round for you at {round.courseName || "Unknown Course"}
+          </Typography>
+          <Typography variant="secondary">
+            {new Date(round.playedAt).toLocaleDateString()} • {round.grossShots} ({formatScore(round.score)}) • Counts towards your handicap once accepted
+          </Typography>
+          <RequestActions
+            busy={busyId === round.roundPlayerId}
+            onDecline={() => onRespondRound(round.roundPlayerId, false)}
+            onAccept={() => onRespondRound(round.roundPlayerId, true)}
+          />
+        </View>
+      ))}
+    </Card>
+  );
+}
+
+const styles = StyleSheet.create({
+  card: {
+    width: "100%",
+    marginTop: theme.spacing.medium,
+  },
+  request: {
+    marginTop: theme.spacing.small,
+    paddingTop: theme.spacing.small,
+    borderTopWidth: 1,
+    borderTopColor: "#f0f0f0",
+  },
+  actions: {
+    flexDirection: "row",
+    justifyContent: "flex-end",
+    marginTop: theme.spacing.small,
+  },
+  actionButton: {
+    marginLeft: theme.spacing.small,
+  },
+});
@@ -0,0 +1,112 @@
+// src/components/GroupScoreCard.js
+//
+// Hole scores for everyone in a group round. The scorer's score comes
+// from the shots recorded in the ShotTable; the other players' scores
+// are entered here with a simple stepper.
+
+import React from "react";
+import { View, TouchableOpacity, StyleSheet } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import Typography from "../ui/components/Typography";
+import Card from "../ui/components/Card";
+import theme from "../ui/theme";
+import { SCORER_POSITION } from "../services/groupRoundService";
+
+/**
+ * GroupScoreCard Component
+ *
+ * @param {Object} props
+ * @param {Array} props.players - Entries of { position, name, holeScore, strokesReceived, total } in group order
+ * @param {number} props.par - Par of the current hole (starting point for a new score)
+ * @param {Function} props.onChangeScore - Called with (position, score) for players other than the scorer
+ */
+export default function GroupScoreCard({ players, par, onChangeScore }) {
+  /**
+   * Step a player's score, starting from par when nothing is entered yet
+   */
+  const stepScore = (player, step) => {
+    const current = player.holeScore;
+    const next = current ? current + step : Math.max(1, (par || 4) + (step > 0 ? 0 : -1));
+
+    // Stepping below one clears the score
+    onChangeScore(player.position, next >= 1 ? next : null);
+  };
+
+  return (
+    <Card style={styles.card}>
+      {players.map(player => (
+        <View key={player.position} style={styles.playerRow}>
+          <View style={styles.nameColumn}>
+            <Typography variant="body" weight="medium" numberOfLines={1}>
+              {player.name}
+            </Typography>
+            <Typography variant="caption">
+              {player.strokesReceived > 0 ? `${"•".repeat(player.strokesReceived)} ` : ""}
+              {player.total}
+            </Typography>
+          </View>
+
+          {player.position === SCORER_POSITION ? (
+            <Typography variant="subtitle" weight="bold" style={styles.score}>
+              {player.holeScore || "–"}
+            </Typography>
+          ) : (
+            <View style={styles.stepper}>
+              <TouchableOpacity
+                onPress={() => stepScore(player, -1)}
+                hitSlop={{ top: 8, right: 8, bottom: 8, left: 8 }}
+                style={styles.stepButton}
+              >
+                <Ionicons name="remove" size={20} color={theme.colors.primary} />
+              </TouchableOpacity>
+              <Typography variant="subtitle" weight="bold" style={styles.score}>
+                {player.holeScore || "–"}
+              </Typography>
+              <TouchableOpacity
+                onPress={() => stepScore(player, 1)}
+                hitSlop={{ top: 8, right: 8, bottom: 8, left: 8 }}
+                style={styles.stepButton}
+              >
+                <Ionicons name="add" size={20} color={theme.colors.primary} />
+              </TouchableOpacity>
+            </View>
+          )}
+        </View>
+      ))}
+    </Card>
+  );
+}
+
+const styles = StyleSheet.create({
+  card: {
+    marginBottom: 12,
+    paddingVertical: theme.spacing.small,
+  },
+  playerRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    paddingVertical: 6,
+  },
+  nameColumn: {
+    flex: 1,
+    marginRight: theme.spacing.small,
+  },
+  stepper: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  stepButton: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: theme.colors.primary,
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  score: {
+    minWidth: 36,
+    textAlign: "center",
+  },
+});
@@ -0,0 +1,195 @@
+// src/components/HoleEditSheet.js
+//
+// Bottom sheet for correcting a hole on a completed round. Uses the same
+// ShotTable as the tracker; changes stay local until they are saved.
+
+import React, { useState, useEffect } from "react";
+import { View, Modal, Switch, TouchableOpacity, TouchableWithoutFeedback, StyleSheet } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import Typography from "../ui/components/Typography";
+import Button from "../ui/components/Button";
+import ShotTable from "./ShotTable";
+import theme from "../ui/theme";
+import {
+  buildShotCounts,
+  createPenalty,
+  createShot,
+  diffShotCounts,
+  describeShotCountChanges,
+  getEditedHoleScore,
+  getHoleRecordScore,
+  measureShotDistances,
+  normalizeShot
+} from "../../supabase/functions/_shared/shotModel";
+import {
+  DEFAULT_TRACKING_SCHEMA,
+  getShotFields,
+  isCellShot
+} from "../../supabase/functions/_shared/trackingProfile";
+
+/**
+ * HoleEditSheet Component
+ *
+ * @param {Object} props
+ * @param {boolean} props.visible - Whether the sheet is shown
+ * @param {number} props.holeNumber - The hole being corrected
+ * @param {number|null} props.par - The hole's par, for display
+ * @param {Array} props.shots - The hole's recorded shots
+ * @param {Object} props.holeRecord - Optional - the hole's stored record, so imported holes show their recorded score
+ * @param {Object} props.schema - The round's tracking schema (rows and outcomes it was tracked with)
+ * @param {boolean} props.saving - Whether a save is in progress
+ * @param {Function} props.onSave - Called with (shots, { reanalyze }) when the correction is saved
+ * @param {Function} props.onClose - Called when the sheet is dismissed
+ */
+export default function HoleEditSheet({
+  visible,
+  holeNumber,
+  par = null,
+  shots = [],
+  holeRecord = null,
+  schema = DEFAULT_TRACKING_SCHEMA,
+  saving = false,
+  onSave,
+  onClose
+}) {
+  const [draftShots, setDraftShots] = useState([]);
+  const [activeColumn, setActiveColumn] = useState(schema.outcomes[0].id);
+  const [reanalyze, setReanalyze] = useState(true);
+
+  // Start from the recorded shots each time a hole is opened
+  useEffect(() => {
+    if (visible) {
+      setDraftShots(shots.map(normalizeShot));
+    }
+  }, [visible, holeNumber, shots]);
+
+  const addShot = (rowId, outcome) => {
+    const { type, result, category, outcome: grade } = getShotFields(schema, rowId, outcome);
+    setDraftShots(prevShots => [...prevShots, createShot(type, result, { category, outcome: grade })]);
+  };
+
+  // Remove the last shot in this row and outcome, re-measuring the shots around it
+  const removeShot = (rowId, outcome) => {
+    setDraftShots(prevShots => {
+      const index = prevShots.map(shot => isCellShot(shot, schema, rowId, outcome)).lastIndexOf(true);
+      if (index === -1) return prevShots;
+
+      return measureShotDistances(prevShots.filter((_, shotIndex) => shotIndex !== index));
+    });
+  };
+
+  const addPenalty = (penaltyType) => {
+    setDraftShots(prevShots => [...prevShots, createPenalty(penaltyType)]);
+  };
+
+  const removePenalty = () => {
+    setDraftShots(prevShots => {
+      const index = prevShots.map(shot => shot.type).lastIndexOf("Penalties");
+      if (index === -1) return prevShots;
+
+      return prevShots.filter((_, shotIndex) => shotIndex !== index);
+    });
+  };
+
+  const changes = diffShotCounts(shots, draftShots, schema);
+  const record = holeRecord || { hole_data: { shots } };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <TouchableWithoutFeedback onPress={onClose}>
+        <View style={styles.backdrop} />
+      </TouchableWithoutFeedback>
+
+      <View style={styles.sheet}>
+        {/* Header */}
+        <View style={styles.header}>
+          <Typography variant="subtitle">
+            Edit Hole {holeNumber}{par ? ` • Par ${par}` : ""}
+          </Typography>
+          <TouchableOpacity onPress={onClose} hitSlop={{ top: 8, right: 8, bottom: 8, left: 8 }}>
+            <Ionicons name="close" size={24} color={theme.colors.text} />
+          </TouchableOpacity>
+        </View>
+
+        <ShotTable
+          shotCounts={buildShotCounts(draftShots, schema)}
+          schema={schema}
+          activeColumn={activeColumn}
+          setActiveColumn={setActiveColumn}
+          addShot={addShot}
+          removeShot={removeShot}
+          penalties={draftShots.filter(shot => shot.type === "Penalties")}
+          addPenalty={addPenalty}
+          removePenalty={removePenalty}
+        />
+
+        <Typography variant="body" weight="semibold" style={styles.scoreText}>
+          Score: {getHoleRecordScore(record)} → {getEditedHoleScore(record, draftShots)}
+        </Typography>
+        {changes.length > 0 && (
+          <Typography variant="caption" style={styles.changesText}>
+            {describeShotCountChanges(changes)}
+          </Typography>
+        )}
+
+        {/* Insights were generated from the original shots */}
+        <View style={styles.switchRow}>
+          <Typography variant="body">Update insights for this round</Typography>
+          <Switch
+            value={reanalyze}
+            onValueChange={setReanalyze}
+            trackColor={{ true: theme.colors.primary }}
+          />
+        </View>
+
+        <Button
+          variant="primary"
+          fullWidth
+          loading={saving}
+          disabled={saving || changes.length === 0}
+          onPress={() => onSave(draftShots, { reanalyze })}
+        >
+          Save Correction
+        </Button>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: "rgba(0, 0, 0, 0.3)",
+  },
+  sheet: {
+    backgroundColor: "#fff",
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    paddingHorizontal: theme.spacing.medium,
+    paddingTop: theme.spacing.medium,
+    paddingBottom: theme.spacing.large,
+  },
+  header: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    marginBottom: theme.spacing.small,
+  },
+  scoreText: {
+    marginTop: theme.spacing.medium,
+  },
+  changesText: {
+    marginTop: 4,
+  },
+  switchRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    marginVertical: theme.spacing.medium,
+  },
+});
@@ -0,0 +1,254 @@
+// src/components/HoleMap.js
+//
+// Map of the current hole drawn from the course POI data. The tee sits
+// at the bottom and the green at the top; bunkers, hazards, distance
+// markers and the player's live location are plotted in between.
+// Tapping the map drops a target and shows the carry to it from the
+// player (or the tee) and the distance left from it to the green.
+
+import React, { useState, useEffect } from "react";
+import { View, Pressable, StyleSheet } from "react-native";
+import Svg, { Circle, Line, G, Text as SvgText } from "react-native-svg";
+import * as Location from "expo-location";
+import Typography from "../ui/components/Typography";
+import theme from "../ui/theme";
+import {
+  calculateDistanceYards,
+  createHoleProjection,
+  findGreenCenter,
+  findTeePosition
+} from "../../supabase/functions/_shared/geo";
+
+// Fill color for each hazard type
+const HAZARD_COLORS = {
+  water: "#4a90d9",
+  trees: "#2e6b34",
+  road: "#9e9e9e",
+  dogleg: "#c8c8c8"
+};
+
+const BUNKER_COLOR = "#e8d49a";
+const GREEN_COLOR = "#5cb85c";
+const PLAYER_COLOR = "#1e88e5";
+const TARGET_COLOR = "#ff7043";
+
+/**
+ * HoleMap Component
+ *
+ * @param {Object} props
+ * @param {Object} props.holeData - Current hole data with poi
+ * @param {boolean} props.active - Whether to follow the player's location
+ * @param {number} props.height - Height of the map
+ */
+export default function HoleMap({ holeData, active = true, height = 320 }) {
+  const [width, setWidth] = useState(0);
+  const [playerLocation, setPlayerLocation] = useState(null);
+  const [target, setTarget] = useState(null);
+
+  const poi = holeData?.poi;
+  const green = findGreenCenter(poi);
+  const tee = findTeePosition(poi);
+
+  // Clear the target when moving to another hole
+  useEffect(() => {
+    setTarget(null);
+  }, [holeData?.poi]);
+
+  // Follow the player while the map is shown (permission is requested by DistanceIndicator)
+  useEffect(() => {
+    if (!active) return undefined;
+
+    let subscription = null;
+    let cancelled = false;
+
+    const startWatching = async () => {
+      try {
+        const { status } = await Location.getForegroundPermissionsAsync();
+        if (status !== "granted" || cancelled) return;
+
+        subscription = await Location.watchPositionAsync(
+          { accuracy: Location.Accuracy.BestForNavigation, timeInterval: 2000, distanceInterval: 5 },
+          (location) => {
+            setPlayerLocation({ lat: location.coords.latitude, lng: location.coords.longitude });
+          }
+        );
+
+        // Unmounted while the watch was starting
+        if (cancelled) subscription.remove();
+      } catch (error) {
+        console.error("[HoleMap] Error watching location:", error);
+      }
+    };
+
+    startWatching();
+
+    return () => {
+      cancelled = true;
+      if (subscription) subscription.remove();
+    };
+  }, [active]);
+
+  // Draw from the tee, or from the player when the tee isn't mapped
+  const origin = tee || playerLocation;
+  const projection = createHoleProjection(origin, green, width, height);
+
+  // Carry distances are measured from the player when we know where they are
+  const measureFrom = playerLocation || tee;
+
+  const handlePress = (event) => {
+    if (!projection) return;
+
+    const { locationX, locationY } = event.nativeEvent;
+    setTarget(projection.toCoordinates({ x: locationX, y: locationY }));
+  };
+
+  const renderPoint = (point, key, radius, fill, stroke = "#fff") => {
+    const { x, y } = projection.toScreen(point);
+    return <Circle key={key} cx={x} cy={y} r={radius} fill={fill} stroke={stroke} strokeWidth={1} />;
+  };
+
+  const renderMap = () => {
+    const teeScreen = tee ? projection.toScreen(tee) : null;
+    const greenScreen = projection.toScreen(green);
+    const playerScreen = playerLocation ? projection.toScreen(playerLocation) : null;
+    const targetScreen = target ? projection.toScreen(target) : null;
+    const fromScreen = playerScreen || teeScreen;
+
+    return (
+      <Svg width={width} height={height}>
+        {/* Line of play */}
+        {teeScreen && (
+          <Line
+            x1={teeScreen.x}
+            y1={teeScreen.y}
+            x2={greenScreen.x}
+            y2={greenScreen.y}
+            stroke="#9ccc9c"
+            strokeWidth={2}
+            strokeDasharray="6,6"
+          />
+        )}
+
+        {/* Bunkers and hazards */}
+        {(poi?.bunkers || []).map((bunker, index) => renderPoint(bunker, `bunker-${index}`, 6, BUNKER_COLOR))}
+        {(poi?.hazards || []).map((hazard, index) => {
+          if (hazard.type === "distance_marker") {
+            const { x, y } = projection.toScreen(hazard);
+            return (
+              <G key={`hazard-${index}`}>
+                <Circle cx={x} cy={y} r={3} fill="#fff" stroke="#666" strokeWidth={1} />
+                <SvgText x={x + 6} y={y + 4} fontSize={10} fill="#666">{hazard.distance}</SvgText>
+              </G>
+            );
+          }
+          return renderPoint(hazard, `hazard-${index}`, 6, HAZARD_COLORS[hazard.type] || "#bbb");
+        })}
+
+        {/* Green - front and back edges as small marks around the center */}
+        <Circle cx={greenScreen.x} cy={greenScreen.y} r={12} fill={GREEN_COLOR} opacity={0.8} />
+        {(poi?.greens || [])
+          .filter(point => point.location === "front" || point.location === "back")
+          .map((point, index) => renderPoint(point, `green-${index}`, 3, "#fff", GREEN_COLOR))}
+
+        {/* Tees */}
+        {(poi?.tees || []).map((point, index) => renderPoint(point, `tee-${index}`, 5, "#fff", "#333"))}
+
+        {/* Target with carry and remaining distance */}
+        {targetScreen && (
+          <G>
+            {fromScreen && (
+              <Line
+                x1={fromScreen.x}
+                y1={fromScreen.y}
+                x2={targetScreen.x}
+                y2={targetScreen.y}
+                stroke={TARGET_COLOR}
+                strokeWidth={2}
+              />
+            )}
+            <Line
+              x1={targetScreen.x}
+              y1={targetScreen.y}
+              x2={greenScreen.x}
+              y2={greenScreen.y}
+              stroke={TARGET_COLOR}
+              strokeWidth={1}
+              strokeDasharray="4,4"
+            />
+            <Circle cx={targetScreen.x} cy={targetScreen.y} r={7} fill="none" stroke={TARGET_COLOR} strokeWidth={2} />
+          </G>
+        )}
+
+        {/* Player */}
+        {playerScreen && (
+          <Circle cx={playerScreen.x} cy={playerScreen.y} r={6} fill={PLAYER_COLOR} stroke="#fff" strokeWidth={2} />
+        )}
+      </Svg>
+    );
+  };
+
+  const carryDistance = target ? calculateDistanceYards(measureFrom, target) : null;
+  const remainingDistance = target ? calculateDistanceYards(target, green) : null;
+
+  return (
+    <View style={styles.container}>
+      <Pressable
+        style={[styles.map, { height }]}
+        onLayout={(event) => setWidth(event.nativeEvent.layout.width)}
+        onPress={handlePress}
+      >
+        {projection ? renderMap() : (
+          <View style={styles.emptyState}>
+            <Typography variant="caption" italic>
+              {green ? "Waiting for your location..." : "No map data for this hole"}
+            </Typography>
+          </View>
+        )}
+      </Pressable>
+
+      {/* Distances for the tapped target */}
+      <View style={styles.footer}>
+        {target ? (
+          <>
+            <Typography variant="body" weight="semibold">
+              {carryDistance !== null ? `${carryDistance} yd` : "---"}
+              <Typography variant="caption"> {playerLocation ? "from you" : "from tee"}</Typography>
+            </Typography>
+            <Typography variant="body" weight="semibold">
+              {remainingDistance !== null ? `${remainingDistance} yd` : "---"}
+              <Typography variant="caption"> to green</Typography>
+            </Typography>
+          </>
+        ) : (
+          <Typography variant="caption">Tap the map to measure a shot</Typography>
+        )}
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: "#f8f8f8",
+    borderRadius: 8,
+    marginBottom: 8,
+    marginHorizontal: 8,
+    overflow: "hidden",
+  },
+  map: {
+    width: "100%",
+    backgroundColor: "#e3f1e3",
+  },
+  emptyState: {
+    flex: 1,
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  footer: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    paddingHorizontal: theme.spacing.small,
+    paddingVertical: 6,
+  },
+});
@@ -4,16 +4,46 @@ import React from "react";
 import { View, Text, TouchableOpacity, StyleSheet } from "react-native";
 import { Ionicons } from "@expo/vector-icons";
 import theme from "../ui/theme";
+import { SYNC_STATUS } from "../services/syncQueue";
+import { buildHoleSequence } from "../../supabase/functions/_shared/holeRange";
+
+// Icon and color for each sync status
+const SYNC_STATUS_DISPLAY = {
+  [SYNC_STATUS.PENDING]: { icon: "cloud-upload-outline", color: "#999" },
+  [SYNC_STATUS.SYNCING]: { icon: "sync-outline", color: theme.colors.primary },
+  [SYNC_STATUS.SYNCED]: { icon: "cloud-done-outline", color: theme.colors.success },
+  [SYNC_STATUS.ERROR]: { icon: "cloud-offline-outline", color: theme.colors.accent },
+  [SYNC_STATUS.CONFLICT]: { icon: "git-compare-outline", color: theme.colors.error },
+  [SYNC_STATUS.FAILED]: { icon: "alert-circle-outline", color: theme.colors.error }
+};
 
 /**
  * HoleNavigator Component - Allows navigation between holes
+ * 
+ * Also shows the sync state of every hole: an icon for the current hole
+ * and a row of dots for the whole round.
+ * 
+ * @param {Array} props.holeNumbers - Holes in the round in playing order (defaults to 1-18)
+ * @param {Object} props.syncStatuses - Map of hole number to { status } from the sync queue
  */
-export default function HoleNavigator({ currentHole, onPreviousHole, onNextHole, totalHoles = 18 }) {
+export default function HoleNavigator({ currentHole, onPreviousHole, onNextHole, holeNumbers = buildHoleSequence(), syncStatuses = null }) {
+  const holePosition = holeNumbers.indexOf(currentHole) + 1;
+  
   // Determine if buttons should be disabled
-  const isPreviousDisabled = currentHole <= 1;
-  const isNextDisabled = currentHole >= totalHoles;
+  const isPreviousDisabled = holePosition <= 1;
+  const isNextDisabled = holePosition >= holeNumbers.length;
+  
+  // Show how far through the round we are when it doesn't start on hole 1
+  const holeTotalText = holePosition === currentHole
+    ? `of ${holeNumbers.length}`
+    : `${holePosition} of ${holeNumbers.length}`;
+
+  // Sync display for the current hole (nothing shown until a hole is queued)
+  const currentSync = syncStatuses?.[String(currentHole)];
+  const currentSyncDisplay = currentSync ? SYNC_STATUS_DISPLAY[currentSync.status] : null;
 
   return (
+    <View style={styles.wrapper}>
     <View style={styles.container}>
       {/* Previous hole button */}
       <TouchableOpacity 
@@ -32,7 +62,17 @@ export default function HoleNavigator({ currentHole, onPreviousHole, onNextHole,
       <View style={styles.holeLabelContainer}>
         <Text style={styles.holeTitleText}>HOLE</Text>
         <Text style={styles.holeNumberText}>{currentHole}</Text>
-        <Text style={styles.holeTotalText}>of {totalHoles}</Text>
+        <View style={styles.holeTotalRow}>
+          <Text style={styles.holeTotalText}>{holeTotalText}</Text>
+          {currentSyncDisplay && (
+            <Ionicons 
+              name={currentSyncDisplay.icon} 
+              size={14} 
+              color={currentSyncDisplay.color} 
+              style={styles.syncIcon}
+            />
+          )}
+        </View>
       </View>
       
       {/* Next hole button */}
@@ -48,10 +88,35 @@ export default function HoleNavigator({ currentHole, onPreviousHole, onNextHole,
         />
       </TouchableOpacity>
     </View>
+    
+    {/* Per-hole sync dots */}
+    {syncStatuses && (
+      <View style={styles.syncDotsRow}>
+        {holeNumbers.map(holeNum => {
+          const holeSync = syncStatuses[String(holeNum)];
+          const dotColor = holeSync ? SYNC_STATUS_DISPLAY[holeSync.status]?.color : null;
+          
+          return (
+            <View 
+              key={`sync-${holeNum}`} 
+              style={[
+                styles.syncDot,
+                { backgroundColor: dotColor || "#ddd" },
+                holeNum === currentHole && styles.currentSyncDot
+              ]} 
+            />
+          );
+        })}
+      </View>
+    )}
+    </View>
   );
 }
 
 const styles = StyleSheet.create({
+  wrapper: {
+    width: "100%",
+  },
   container: {
     flexDirection: "row",
     alignItems: "center",
@@ -88,8 +153,32 @@ const styles = StyleSheet.create({
     fontWeight: "bold",
     color: theme.colors.text,
   },
+  holeTotalRow: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
   holeTotalText: {
     fontSize: 12,
     color: "#666",
+  },
+  syncIcon: {
+    marginLeft: 4,
+  },
+  syncDotsRow: {
+    flexDirection: "row",
+    justifyContent: "center",
+    flexWrap: "wrap",
+    marginTop: 4,
+  },
+  syncDot: {
+    width: 6,
+    height: 6,
+    borderRadius: 3,
+    marginHorizontal: 2,
+  },
+  currentSyncDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
   }
-});
\ No newline at end of file
+});
\ No newline at end of file
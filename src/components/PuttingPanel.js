@@ -0,0 +1,186 @@
+// src/components/PuttingPanel.js
+//
+// Optional panel under the ShotTable for recording putting detail on the
+// current hole: how far each putt started from the hole and which way
+// the missed ones finished. The putt counts in the table are unaffected.
+
+import React, { useState } from "react";
+import { View, TouchableOpacity, TextInput, StyleSheet } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import Typography from "../ui/components/Typography";
+import theme from "../ui/theme";
+import {
+  PUTT_MISS_DIRECTIONS,
+  PUTT_MISS_LABELS,
+  MAX_PUTT_DISTANCE
+} from "../../supabase/functions/_shared/puttingStats";
+
+/**
+ * Selectable chip used for miss directions
+ */
+const Chip = ({ label, selected, onPress }) => (
+  <TouchableOpacity
+    onPress={onPress}
+    style={[styles.chip, selected && styles.selectedChip]}
+  >
+    <Typography
+      variant="caption"
+      weight={selected ? "semibold" : "normal"}
+      color={selected ? "white" : theme.colors.text}
+    >
+      {label}
+    </Typography>
+  </TouchableOpacity>
+);
+
+/**
+ * PuttingPanel Component
+ *
+ * Lists the putts recorded on the current hole. Every putt takes a
+ * distance in feet; a putt that was not the last stroke on the hole also
+ * takes a miss direction. The last putt is the holed one, so its distance
+ * is the holed length.
+ *
+ * @param {Object} props
+ * @param {Array} props.shots - The hole's shots in order
+ * @param {Function} props.onUpdateShot - Called with (index, changes) when a putt changes
+ */
+export default function PuttingPanel({ shots = [], onUpdateShot }) {
+  const [expanded, setExpanded] = useState(false);
+
+  const putts = shots
+    .map((shot, index) => ({ shot, index }))
+    .filter(({ shot }) => shot.type === "Putts");
+
+  if (putts.length === 0) return null;
+
+  const firstDistance = putts[0].shot.putt_distance;
+
+  const handleDistanceChange = (index, text) => {
+    const parsed = parseInt(text.replace(/[^0-9]/g, ""), 10);
+    onUpdateShot(index, {
+      putt_distance: Number.isNaN(parsed) ? null : Math.min(parsed, MAX_PUTT_DISTANCE)
+    });
+  };
+
+  return (
+    <View style={styles.container}>
+      <TouchableOpacity style={styles.header} onPress={() => setExpanded(prev => !prev)}>
+        <Typography variant="body" weight="semibold">Putting</Typography>
+        <View style={styles.headerSummary}>
+          <Typography variant="caption" style={styles.summaryText}>
+            {putts.length} {putts.length === 1 ? "putt" : "putts"}
+            {typeof firstDistance === "number" ? ` • first ${firstDistance} ft` : ""}
+          </Typography>
+          <Ionicons name={expanded ? "chevron-up" : "chevron-down"} size={18} color={theme.colors.secondary} />
+        </View>
+      </TouchableOpacity>
+
+      {expanded && putts.map(({ shot, index }, position) => {
+        // Only the last stroke on the hole can have been holed
+        const holed = index === shots.length - 1;
+
+        return (
+          <View key={`${shot.timestamp}-${index}`} style={styles.puttRow}>
+            <View style={styles.puttHeader}>
+              <Typography variant="caption" weight="semibold">
+                Putt {position + 1}{position === 0 ? " • First" : ""}{holed ? " • Holed" : ""}
+              </Typography>
+              <View style={styles.distanceRow}>
+                <TextInput
+                  style={styles.distanceInput}
+                  value={typeof shot.putt_distance === "number" ? String(shot.putt_distance) : ""}
+                  onChangeText={text => handleDistanceChange(index, text)}
+                  keyboardType="number-pad"
+                  placeholder="—"
+                  maxLength={3}
+                />
+                <Typography variant="caption">ft</Typography>
+              </View>
+            </View>
+
+            {!holed && (
+              <View style={styles.chipRow}>
+                {Object.values(PUTT_MISS_DIRECTIONS).map(direction => (
+                  <Chip
+                    key={direction}
+                    label={PUTT_MISS_LABELS[direction]}
+                    selected={shot.miss_direction === direction}
+                    onPress={() => onUpdateShot(index, {
+                      miss_direction: shot.miss_direction === direction ? null : direction
+                    })}
+                  />
+                ))}
+              </View>
+            )}
+          </View>
+        );
+      })}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginHorizontal: 8,
+    marginBottom: 12,
+    backgroundColor: "#f8f8f8",
+    borderRadius: 8,
+    padding: 10,
+  },
+  header: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+  },
+  headerSummary: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  summaryText: {
+    color: "#666",
+    marginRight: 4,
+  },
+  puttRow: {
+    marginTop: 8,
+    paddingTop: 8,
+    borderTopWidth: 1,
+    borderTopColor: "#e8e8e8",
+  },
+  puttHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+  },
+  distanceRow: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  distanceInput: {
+    borderWidth: 1,
+    borderColor: "#ddd",
+    borderRadius: 8,
+    backgroundColor: "#fff",
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    width: 56,
+    fontSize: 16,
+    marginRight: 4,
+    textAlign: "center",
+  },
+  chipRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    marginTop: 6,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: "#fff",
+    marginRight: 8,
+  },
+  selectedChip: {
+    backgroundColor: theme.colors.primary,
+  },
+});
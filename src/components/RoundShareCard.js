@@ -0,0 +1,119 @@
+// src/components/RoundShareCard.js
+//
+// Scorecard graphic for sharing a round. Drawn with react-native-svg so
+// it can be exported as a PNG (Svg.toDataURL) without being on screen -
+// ScorecardScreen mounts it offscreen and shareService captures it.
+
+import React, { forwardRef } from "react";
+import { View, StyleSheet } from "react-native";
+import Svg, { Defs, LinearGradient, Stop, Rect, Line, Text as SvgText } from "react-native-svg";
+import theme from "../ui/theme";
+import { formatToPar } from "../../supabase/functions/_shared/roundSummary";
+
+export const SHARE_CARD_WIDTH = 1080;
+export const SHARE_CARD_HEIGHT = 1080;
+
+// Characters per line of the insight highlight at its font size
+const HIGHLIGHT_LINE_LENGTH = 42;
+
+/**
+ * Split text into lines of at most maxLength characters, on word boundaries
+ */
+function wrapText(text, maxLength) {
+  const lines = [];
+  text.split(/\s+/).forEach(word => {
+    const current = lines[lines.length - 1];
+    if (current && `${current} ${word}`.length <= maxLength) {
+      lines[lines.length - 1] = `${current} ${word}`;
+    } else {
+      lines.push(word);
+    }
+  });
+  return lines;
+}
+
+/**
+ * RoundShareCard Component
+ *
+ * @param {Object} props
+ * @param {Object} props.summary - Round summary from buildRoundSummary
+ * @param {Object} ref - Forwarded to the Svg for toDataURL
+ */
+const RoundShareCard = forwardRef(function RoundShareCard({ summary }, ref) {
+  if (!summary) return null;
+
+  const details = [
+    summary.teeName ? `${summary.teeName} tees` : null,
+    summary.playedAt ? new Date(summary.playedAt).toLocaleDateString() : null,
+    `${summary.holesPlayed} holes`
+  ].filter(Boolean).join("  •  ");
+
+  const stats = [
+    { label: "Birdies", value: summary.birdies + summary.eagles },
+    { label: "Pars", value: summary.pars },
+    { label: "Bogeys", value: summary.bogeys }
+  ];
+
+  const highlightLines = summary.highlight ? wrapText(summary.highlight, HIGHLIGHT_LINE_LENGTH).slice(0, 4) : [];
+
+  return (
+    <View style={styles.offscreen} pointerEvents="none">
+      <Svg ref={ref} width={SHARE_CARD_WIDTH} height={SHARE_CARD_HEIGHT} viewBox={`0 0 ${SHARE_CARD_WIDTH} ${SHARE_CARD_HEIGHT}`}>
+        <Defs>
+          <LinearGradient id="background" x1="0" y1="0" x2="1" y2="1">
+            <Stop offset="0" stopColor="#007AFF" />
+            <Stop offset="1" stopColor="#005CE6" />
+          </LinearGradient>
+        </Defs>
+        <Rect x={0} y={0} width={SHARE_CARD_WIDTH} height={SHARE_CARD_HEIGHT} fill="url(#background)" />
+
+        {/* Course and round details */}
+        <SvgText x={80} y={150} fontSize={60} fontWeight="bold" fill="#fff">
+          {summary.courseName.length > 30 ? `${summary.courseName.slice(0, 29)}…` : summary.courseName}
+        </SvgText>
+        <SvgText x={80} y={215} fontSize={34} fill="#fff" opacity={0.85}>{details}</SvgText>
+
+        {/* Score */}
+        <SvgText x={80} y={470} fontSize={220} fontWeight="bold" fill="#fff">{summary.grossShots}</SvgText>
+        <SvgText x={540} y={400} fontSize={96} fontWeight="bold" fill="#fff">{formatToPar(summary.toPar)}</SvgText>
+        <SvgText x={540} y={460} fontSize={34} fill="#fff" opacity={0.85}>
+          {summary.par ? `Par ${summary.par}` : "Vs par"}
+        </SvgText>
+
+        {/* Scoring breakdown */}
+        <Line x1={80} y1={540} x2={SHARE_CARD_WIDTH - 80} y2={540} stroke="#fff" strokeOpacity={0.3} strokeWidth={2} />
+        {stats.map((stat, index) => (
+          <React.Fragment key={stat.label}>
+            <SvgText x={80 + index * 320} y={640} fontSize={84} fontWeight="bold" fill="#fff">{stat.value}</SvgText>
+            <SvgText x={80 + index * 320} y={690} fontSize={32} fill="#fff" opacity={0.85}>{stat.label}</SvgText>
+          </React.Fragment>
+        ))}
+
+        {/* Insight highlight */}
+        {highlightLines.map((line, index) => (
+          <SvgText key={index} x={80} y={800 + index * 48} fontSize={38} fontStyle="italic" fill="#fff">
+            {line}
+          </SvgText>
+        ))}
+
+        <SvgText x={80} y={SHARE_CARD_HEIGHT - 60} fontSize={30} fontWeight="bold" fill="#fff" opacity={0.7}>
+          Golf Improve
+        </SvgText>
+      </Svg>
+    </View>
+  );
+});
+
+export default RoundShareCard;
+
+const styles = StyleSheet.create({
+  // Rendered but kept out of view so it can be captured
+  offscreen: {
+    position: "absolute",
+    left: -SHARE_CARD_WIDTH * 2,
+    top: 0,
+    width: SHARE_CARD_WIDTH,
+    height: SHARE_CARD_HEIGHT,
+    backgroundColor: theme.colors.primary,
+  },
+});
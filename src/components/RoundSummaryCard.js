@@ -8,6 +8,10 @@ import { TouchableOpacity, View, StyleSheet } from 'react-native';
 import theme from '../ui/theme';
 import Typography from '../ui/components/Typography';
 import Card from '../ui/components/Card';
+import {
+  SCORING_FORMATS,
+  getRoundHeadline
+} from '../../supabase/functions/_shared/scoringFormats';
 
 /**
  * RoundSummaryCard Component
@@ -17,11 +21,18 @@ import Card from '../ui/components/Card';
  * 
  * @param {Object} props
  * @param {Object} props.round - Round data object containing id, date, courseName, score, grossShots
+ *   and optionally formatResult (rounds.format_result) for rounds not played as stroke play
  * @param {Function} props.onPress - Function to call when card is pressed (typically for navigation)
+ * @param {Function} props.onCoursePress - Optional; makes the course name a link (to the course's stats)
  */
-const RoundSummaryCard = ({ round, onPress }) => {
+const RoundSummaryCard = ({ round, onPress, onCoursePress }) => {
   if (!round) return null;
 
+  // Points, net score or par/bogey result for other scoring formats
+  const formatHeadline = round.formatResult && round.formatResult.format !== SCORING_FORMATS.STROKE
+    ? getRoundHeadline(round.formatResult)
+    : null;
+
   return (
     <TouchableOpacity
       onPress={onPress}
@@ -30,13 +41,21 @@ const RoundSummaryCard = ({ round, onPress }) => {
       <Card style={styles.roundCard}>
         {/* Course name and date row */}
         <View style={styles.cardTopRow}>
-          <Typography 
-            variant="body" 
-            weight="semibold" 
-            style={styles.courseName}
-          >
-            {round.courseName}
-          </Typography>
+          {onCoursePress ? (
+            <TouchableOpacity onPress={onCoursePress} style={styles.courseName}>
+              <Typography variant="body" weight="semibold" color={theme.colors.primary}>
+                {round.courseName}
+              </Typography>
+            </TouchableOpacity>
+          ) : (
+            <Typography 
+              variant="body" 
+              weight="semibold" 
+              style={styles.courseName}
+            >
+              {round.courseName}
+            </Typography>
+          )}
           <Typography variant="caption">
             {new Date(round.date).toLocaleDateString()}
           </Typography>
@@ -68,6 +87,24 @@ const RoundSummaryCard = ({ round, onPress }) => {
             </Typography>
             <Typography variant="caption">To Par</Typography>
           </View>
+          
+          {formatHeadline && (
+            <>
+              <View style={styles.statDivider} />
+              
+              {/* Format result */}
+              <View style={styles.statContainer}>
+                <Typography
+                  variant="body"
+                  weight="semibold"
+                  color={theme.colors.primary}
+                >
+                  {formatHeadline.value}
+                </Typography>
+                <Typography variant="caption">{formatHeadline.label}</Typography>
+              </View>
+            </>
+          )}
         </View>
       </Card>
     </TouchableOpacity>
@@ -0,0 +1,385 @@
+// src/components/ShotDetailSheet.js
+//
+// Bottom sheet for adding detail to individual shots of one type.
+// Opened from a ShotTable row; the counts in the table are unaffected.
+
+import React, { useState, useEffect } from "react";
+import {
+  View,
+  Modal,
+  ScrollView,
+  TouchableOpacity,
+  TouchableWithoutFeedback,
+  TextInput,
+  StyleSheet,
+  ActivityIndicator
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import * as Location from "expo-location";
+import Typography from "../ui/components/Typography";
+import Button from "../ui/components/Button";
+import theme from "../ui/theme";
+import {
+  DEFAULT_CLUBS,
+  SHOT_LIES,
+  SHOT_LIE_LABELS,
+  normalizeShot
+} from "../../supabase/functions/_shared/shotModel";
+import { MISS_DIRECTION_SHOT_TYPES, COMPASS_DIRECTIONS } from "../../supabase/functions/_shared/dispersion";
+
+/**
+ * Selectable chip used for clubs and lies
+ */
+const Chip = ({ label, selected, onPress }) => (
+  <TouchableOpacity
+    onPress={onPress}
+    style={[styles.chip, selected && styles.selectedChip]}
+  >
+    <Typography
+      variant="caption"
+      weight={selected ? "semibold" : "normal"}
+      color={selected ? "white" : theme.colors.text}
+    >
+      {label}
+    </Typography>
+  </TouchableOpacity>
+);
+
+/**
+ * ShotDetailSheet Component
+ *
+ * Lists the current hole's shots of one type and edits the optional
+ * detail fields of the selected shot: club, starting lie, distance to
+ * target, the GPS position the shot was played from and, for full shots,
+ * which way it missed.
+ *
+ * @param {Object} props
+ * @param {boolean} props.visible - Whether the sheet is shown
+ * @param {string} props.shotType - The shot type being edited
+ * @param {Array} props.shots - Entries of { shot, index } where index is the position in the hole's shots array
+ * @param {Array} props.clubs - Clubs to offer (defaults to the standard set)
+ * @param {Function} props.onUpdateShot - Called with (index, changes) when a shot is saved
+ * @param {Function} props.onClose - Called when the sheet is dismissed
+ */
+export default function ShotDetailSheet({
+  visible,
+  shotType,
+  shots = [],
+  clubs = DEFAULT_CLUBS,
+  onUpdateShot,
+  onClose
+}) {
+  // Index (in the hole's shots array) of the shot being edited
+  const [selectedIndex, setSelectedIndex] = useState(null);
+
+  // Draft values for the selected shot
+  const [club, setClub] = useState(null);
+  const [lie, setLie] = useState(null);
+  const [missDirection, setMissDirection] = useState(null);
+  const [distanceText, setDistanceText] = useState("");
+  const [location, setLocation] = useState(null);
+  const [measuredDistance, setMeasuredDistance] = useState(null);
+  const [locating, setLocating] = useState(false);
+  const [locationError, setLocationError] = useState(null);
+
+  // Default to the most recent shot of this type whenever the sheet opens
+  useEffect(() => {
+    if (visible && shots.length > 0) {
+      setSelectedIndex(shots[shots.length - 1].index);
+    } else if (!visible) {
+      setSelectedIndex(null);
+    }
+  }, [visible, shotType]);
+
+  // Load the draft from the selected shot
+  useEffect(() => {
+    const entry = shots.find(item => item.index === selectedIndex);
+    if (!entry) return;
+
+    const shot = normalizeShot(entry.shot);
+    setClub(shot.club);
+    setLie(shot.lie);
+    setMissDirection(shot.miss_direction);
+    setDistanceText(shot.distance_to_target !== null ? String(shot.distance_to_target) : "");
+    setLocation(shot.location);
+    setMeasuredDistance(shot.shot_distance);
+    setLocationError(null);
+  }, [selectedIndex]);
+
+  /**
+   * Replace the stored position with the device's current GPS fix
+   */
+  const captureLocation = async () => {
+    try {
+      setLocating(true);
+      setLocationError(null);
+
+      const { status } = await Location.requestForegroundPermissionsAsync();
+      if (status !== "granted") {
+        setLocationError("Location permission is needed to record where the shot was played");
+        return;
+      }
+
+      const position = await Location.getCurrentPositionAsync({
+        accuracy: Location.Accuracy.High
+      });
+
+      setLocation({
+        lat: position.coords.latitude,
+        lng: position.coords.longitude,
+        accuracy: position.coords.accuracy,
+        captured_at: new Date(position.timestamp).toISOString()
+      });
+    } catch (error) {
+      console.error("[ShotDetailSheet] Error getting position:", error);
+      setLocationError("Couldn't get a GPS fix");
+    } finally {
+      setLocating(false);
+    }
+  };
+
+  /**
+   * Save the draft back to the shot
+   */
+  const handleSave = () => {
+    if (selectedIndex === null) return;
+
+    const parsedDistance = parseInt(distanceText, 10);
+
+    onUpdateShot(selectedIndex, {
+      club,
+      lie,
+      distance_to_target: Number.isNaN(parsedDistance) ? null : parsedDistance,
+      location,
+      ...(MISS_DIRECTION_SHOT_TYPES.includes(shotType) ? { miss_direction: missDirection } : {})
+    });
+
+    onClose();
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <TouchableWithoutFeedback onPress={onClose}>
+        <View style={styles.backdrop} />
+      </TouchableWithoutFeedback>
+
+      <View style={styles.sheet}>
+        {/* Header */}
+        <View style={styles.header}>
+          <Typography variant="subtitle">{shotType} Details</Typography>
+          <TouchableOpacity onPress={onClose} hitSlop={{ top: 8, right: 8, bottom: 8, left: 8 }}>
+            <Ionicons name="close" size={24} color={theme.colors.text} />
+          </TouchableOpacity>
+        </View>
+
+        {shots.length === 0 ? (
+          <Typography variant="secondary" italic style={styles.emptyText}>
+            No {shotType ? shotType.toLowerCase() : "shots"} recorded on this hole yet.
+          </Typography>
+        ) : (
+          <ScrollView contentContainerStyle={styles.content}>
+            {/* Shot picker - shots are numbered by their order on the hole */}
+            <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipRow}>
+              {shots.map(({ shot, index }) => (
+                <Chip
+                  key={`${shot.timestamp}-${index}`}
+                  label={`Shot ${index + 1} • ${shot.result}`}
+                  selected={index === selectedIndex}
+                  onPress={() => setSelectedIndex(index)}
+                />
+              ))}
+            </ScrollView>
+
+            {/* Club */}
+            <Typography variant="body" weight="semibold" style={styles.label}>Club</Typography>
+            <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipRow}>
+              {clubs.map(clubName => (
+                <Chip
+                  key={clubName}
+                  label={clubName}
+                  selected={club === clubName}
+                  onPress={() => setClub(club === clubName ? null : clubName)}
+                />
+              ))}
+            </ScrollView>
+
+            {/* Starting lie */}
+            <Typography variant="body" weight="semibold" style={styles.label}>Lie</Typography>
+            <View style={styles.wrapRow}>
+              {Object.values(SHOT_LIES).map(lieValue => (
+                <Chip
+                  key={lieValue}
+                  label={SHOT_LIE_LABELS[lieValue]}
+                  selected={lie === lieValue}
+                  onPress={() => setLie(lie === lieValue ? null : lieValue)}
+                />
+              ))}
+            </View>
+
+            {/* Miss direction - full shots only; putts use the putting panel */}
+            {MISS_DIRECTION_SHOT_TYPES.includes(shotType) && (
+              <>
+                <Typography variant="body" weight="semibold" style={styles.label}>Miss direction</Typography>
+                <View style={styles.wrapRow}>
+                  {COMPASS_DIRECTIONS.map(direction => (
+                    <Chip
+                      key={direction.id}
+                      label={`${direction.symbol} ${direction.label}`}
+                      selected={missDirection === direction.id}
+                      onPress={() => setMissDirection(missDirection === direction.id ? null : direction.id)}
+                    />
+                  ))}
+                </View>
+              </>
+            )}
+
+            {/* Distance to target */}
+            <Typography variant="body" weight="semibold" style={styles.label}>Distance to target</Typography>
+            <View style={styles.distanceRow}>
+              <TextInput
+                style={styles.distanceInput}
+                value={distanceText}
+                onChangeText={text => setDistanceText(text.replace(/[^0-9]/g, ""))}
+                keyboardType="number-pad"
+                placeholder="—"
+                maxLength={3}
+              />
+              <Typography variant="secondary">yds</Typography>
+            </View>
+
+            {/* GPS position */}
+            <Typography variant="body" weight="semibold" style={styles.label}>Position</Typography>
+            <View style={styles.locationRow}>
+              <Typography variant="secondary" style={styles.locationText}>
+                {location
+                  ? `${location.lat.toFixed(5)}, ${location.lng.toFixed(5)}${location.accuracy ? ` (±${Math.round(location.accuracy)}m)` : ""}`
+                  : "Not recorded"}
+              </Typography>
+              {locating ? (
+                <ActivityIndicator size="small" color={theme.colors.primary} />
+              ) : (
+                <TouchableOpacity onPress={captureLocation} style={styles.locationButton}>
+                  <Ionicons name="locate" size={18} color={theme.colors.primary} />
+                  <Typography variant="caption" color={theme.colors.primary} style={styles.locationButtonText}>
+                    Use current
+                  </Typography>
+                </TouchableOpacity>
+              )}
+            </View>
+            {locationError && (
+              <Typography variant="caption" color={theme.colors.error}>
+                {locationError}
+              </Typography>
+            )}
+
+            {/* Measured from ball marks - read only */}
+            {measuredDistance !== null && (
+              <>
+                <Typography variant="body" weight="semibold" style={styles.label}>Measured distance</Typography>
+                <Typography variant="secondary">{measuredDistance} yds</Typography>
+              </>
+            )}
+
+            <Button
+              variant="primary"
+              fullWidth
+              onPress={handleSave}
+              style={styles.saveButton}
+            >
+              Save Shot
+            </Button>
+          </ScrollView>
+        )}
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: "rgba(0, 0, 0, 0.3)",
+  },
+  sheet: {
+    backgroundColor: "#fff",
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    paddingHorizontal: theme.spacing.medium,
+    paddingTop: theme.spacing.medium,
+    paddingBottom: theme.spacing.large,
+    maxHeight: "75%",
+  },
+  header: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    marginBottom: theme.spacing.small,
+  },
+  content: {
+    paddingBottom: theme.spacing.medium,
+  },
+  emptyText: {
+    paddingVertical: theme.spacing.large,
+    textAlign: "center",
+  },
+  label: {
+    marginTop: theme.spacing.medium,
+    marginBottom: theme.spacing.small,
+  },
+  chipRow: {
+    flexGrow: 0,
+  },
+  wrapRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: "#f0f0f0",
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  selectedChip: {
+    backgroundColor: theme.colors.primary,
+  },
+  distanceRow: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  distanceInput: {
+    borderWidth: 1,
+    borderColor: "#ddd",
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    width: 80,
+    fontSize: 16,
+    marginRight: 8,
+  },
+  locationRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+  },
+  locationText: {
+    flex: 1,
+  },
+  locationButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    padding: 6,
+  },
+  locationButtonText: {
+    marginLeft: 4,
+  },
+  saveButton: {
+    marginTop: theme.spacing.large,
+  }
+});
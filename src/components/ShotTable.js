@@ -5,36 +5,66 @@
 
 import React, { useEffect, useState } from "react";
 import { View, TouchableOpacity, StyleSheet, Dimensions } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
 import Typography from "../ui/components/Typography";
 import theme from "../ui/theme";
+import {
+  PENALTY_TYPES,
+  PENALTY_TYPE_LABELS,
+  PENALTY_STROKES,
+  countHoleStrokes,
+  getPenaltyLabel
+} from "../../supabase/functions/_shared/shotModel";
+import { MISS_DIRECTION_SHOT_TYPES, COMPASS_DIRECTIONS } from "../../supabase/functions/_shared/dispersion";
+import { DEFAULT_TRACKING_SCHEMA } from "../../supabase/functions/_shared/trackingProfile";
 
 // Get screen dimensions for responsive calculations
 const { width: SCREEN_WIDTH } = Dimensions.get('window');
 
 // ========== DOMAIN MODEL CONSTANTS ==========
-// Define shot types and outcomes with standardized naming
-const SHOT_TYPES = ["Tee Shot", "Long Shot", "Approach", "Chip", "Putts", "Sand", "Penalties"];
+// Rows and outcome columns come from the round's tracking schema (see
+// trackingProfile.js). Penalties have no outcome, so they get a row of
+// their own instead of outcome cells.
 
-// Display transformation mapping - consistent with data model
-const OUTCOME_DISPLAY_MAPPING = {
-  "On Target": "On\nTarget",        // Force line break with \n
-  "Slightly Off": "Slightly\nOff",  // Force line break with \n
-  "Recovery Needed": "Bad"          // Single word needs no break
-};
+/**
+ * Compass-style picker for where a full shot missed
+ * Eight directions around the target; the centre dismisses it without a miss.
+ */
+const MissDirectionPicker = ({ type, onPick, onDismiss }) => {
+  const cells = [...COMPASS_DIRECTIONS.slice(0, 4), null, ...COMPASS_DIRECTIONS.slice(4)];
 
-// Map display name back to data model - bidirectional mapping
-const DISPLAY_TO_DATA_MAPPING = {
-  "On\nTarget": "On Target",
-  "Slightly\nOff": "Slightly Off",
-  "Bad": "Recovery Needed"
+  return (
+    <View style={styles.missPickerRow}>
+      <Typography variant="caption" style={styles.missPickerLabel}>
+        {type} miss?
+      </Typography>
+      <View style={styles.compass}>
+        {cells.map(direction => (
+          direction ? (
+            <TouchableOpacity
+              key={direction.id}
+              onPress={() => onPick(direction.id)}
+              style={styles.compassCell}
+              accessibilityLabel={direction.label}
+            >
+              <Typography variant="body" color={theme.colors.primary}>{direction.symbol}</Typography>
+            </TouchableOpacity>
+          ) : (
+            <TouchableOpacity
+              key="target"
+              onPress={onDismiss}
+              style={[styles.compassCell, styles.compassTarget]}
+              accessibilityLabel="No miss"
+            >
+              <Ionicons name="radio-button-on" size={14} color={theme.colors.success} />
+            </TouchableOpacity>
+          )
+        ))}
+      </View>
+    </View>
+  );
 };
 
-// Domain-specific utility function for outcome display transformation
-const getDisplayOutcome = (outcome) => OUTCOME_DISPLAY_MAPPING[outcome] || outcome;
-
-// Get data model key from UI display name
-const getDataModelOutcome = (displayOutcome) => DISPLAY_TO_DATA_MAPPING[displayOutcome] || displayOutcome;
-
 /**
  * ShotTable Component
  * 
@@ -43,21 +73,44 @@ const getDataModelOutcome = (displayOutcome) => DISPLAY_TO_DATA_MAPPING[displayO
  * engine and premium insights feature.
  * 
  * @param {Object} props
- * @param {Object} props.shotCounts - Current shot count data
+ * @param {Object} props.shotCounts - Current shot count data, keyed by row id then outcome id
+ * @param {Object} props.schema - Optional - the round's tracking schema (rows and outcome columns)
  * @param {string} props.activeColumn - Currently selected outcome column
  * @param {Function} props.setActiveColumn - Function to set active column
- * @param {Function} props.addShot - Function to add a shot
- * @param {Function} props.removeShot - Function to remove a shot
+ * @param {Function} props.addShot - Function to add a shot, called with (rowId, outcomeId)
+ * @param {Function} props.removeShot - Function to remove a shot, called with (rowId, outcomeId)
+ * @param {Function} props.onEditShots - Optional - called with a row's shot type when its row label is pressed
+ * @param {Object} props.detailCounts - Optional - number of shots with recorded detail per shot type
+ * @param {Function} props.onSetMissDirection - Optional - called with (type, direction) when a miss direction
+ *   is picked for the latest tee shot, long shot or approach; enables the compass picker
+ * @param {Array} props.penalties - The hole's penalties (Penalties entries from its shots)
+ * @param {Function} props.addPenalty - Called with a PENALTY_TYPES value to record a penalty
+ * @param {Function} props.removePenalty - Called to remove the hole's latest penalty
  */
-export default function ShotTable({ shotCounts, activeColumn, setActiveColumn, addShot, removeShot }) {
+export default function ShotTable({
+  shotCounts,
+  schema = DEFAULT_TRACKING_SCHEMA,
+  activeColumn,
+  setActiveColumn,
+  addShot,
+  removeShot,
+  onEditShots,
+  detailCounts = {},
+  onSetMissDirection,
+  penalties = [],
+  addPenalty,
+  removePenalty
+}) {
   const [tableWidth, setTableWidth] = useState(SCREEN_WIDTH - theme.spacing.medium * 2);
   const [calculatedStyles, setCalculatedStyles] = useState({});
+  const [missPickerRow, setMissPickerRow] = useState(null); // Row awaiting a miss direction
+  const [showPenaltyPicker, setShowPenaltyPicker] = useState(false); // Penalty type picker open
   
   // Ensure activeColumn is always valid by applying defensive programming
   useEffect(() => {
     if (!shotCounts) return;
     
-    const validOutcomes = Object.keys(shotCounts[SHOT_TYPES[0]] || {});
+    const validOutcomes = schema.outcomes.map(outcome => outcome.id);
     
     // If activeColumn isn't valid, set it to the first outcome
     if (!activeColumn || !validOutcomes.includes(activeColumn)) {
@@ -67,14 +120,13 @@ export default function ShotTable({ shotCounts, activeColumn, setActiveColumn, a
         setActiveColumn(validOutcomes[0]);
       }
     }
-  }, [shotCounts, activeColumn, setActiveColumn]);
+  }, [shotCounts, schema, activeColumn, setActiveColumn]);
 
   // Calculate cell dimensions and button sizes based on available width
   useEffect(() => {
     if (!shotCounts || !tableWidth) return;
     
-    // Extract outcomes from the first shot type to ensure we maintain data model integrity
-    const outcomes = Object.keys(shotCounts[SHOT_TYPES[0]] || {});
+    const outcomes = schema.outcomes;
     if (outcomes.length === 0) return;
   
     // Type column takes 30% of table width
@@ -130,7 +182,7 @@ export default function ShotTable({ shotCounts, activeColumn, setActiveColumn, a
       activeColumnWidth,
       buttonSize
     });
-  }, [tableWidth, shotCounts]);
+  }, [tableWidth, shotCounts, schema]);
 
   // Handle layout changes to measure available width
   const handleLayout = (event) => {
@@ -146,9 +198,9 @@ export default function ShotTable({ shotCounts, activeColumn, setActiveColumn, a
     );
   }
 
-  // Function to get color for outcome column headers
+  // Function to get color for outcome column headers (by the standard outcome it maps to)
   const getOutcomeColor = (outcome) => {
-    switch (outcome) {
+    switch (outcome.standard) {
       case "On Target":
         return theme.colors.success ? `${theme.colors.success}20` : "#e6ffe6"; // Light green with opacity
       case "Slightly Off":
@@ -160,8 +212,30 @@ export default function ShotTable({ shotCounts, activeColumn, setActiveColumn, a
     }
   };
 
-  // Extract outcomes from the first shot type to ensure we maintain data model integrity
-  const outcomes = Object.keys(shotCounts[SHOT_TYPES[0]] || {});
+  const outcomes = schema.outcomes;
+
+  // Offer the miss direction picker after recording a full shot
+  const handleAddShot = (row, outcome) => {
+    addShot(row.id, outcome);
+    setMissPickerRow(onSetMissDirection && MISS_DIRECTION_SHOT_TYPES.includes(row.type) ? row.id : null);
+  };
+
+  const handleRemoveShot = (row, outcome) => {
+    removeShot(row.id, outcome);
+    setMissPickerRow(null);
+  };
+
+  const handlePickMissDirection = (row, direction) => {
+    onSetMissDirection(row.type, direction);
+    setMissPickerRow(null);
+  };
+
+  const handleAddPenalty = (penaltyType) => {
+    addPenalty(penaltyType);
+    setShowPenaltyPicker(false);
+  };
+
+  const penaltyStrokes = countHoleStrokes(penalties);
 
   return (
     <View 
@@ -181,13 +255,12 @@ export default function ShotTable({ shotCounts, activeColumn, setActiveColumn, a
         
         {/* Outcome Headers with color coding and two-line text */}
         {outcomes.map((outcome) => {
-          const displayName = getDisplayOutcome(outcome);
-          const isActive = activeColumn === outcome;
+          const isActive = activeColumn === outcome.id;
           
           return (
             <TouchableOpacity
-              key={outcome}
-              onPress={() => setActiveColumn(outcome)}
+              key={outcome.id}
+              onPress={() => setActiveColumn(outcome.id)}
               style={[
                 styles.outcomeCell,
                 isActive ? 
@@ -201,7 +274,7 @@ export default function ShotTable({ shotCounts, activeColumn, setActiveColumn, a
                 weight={isActive ? "bold" : "normal"}
                 style={styles.headerText}
               >
-                {displayName}
+                {outcome.short || outcome.label}
               </Typography>
             </TouchableOpacity>
           );
@@ -209,104 +282,195 @@ export default function ShotTable({ shotCounts, activeColumn, setActiveColumn, a
       </View>
       
       {/* Data Rows */}
-      {SHOT_TYPES.map((type) => (
-        <View key={type} style={styles.dataRow}>
-          {/* Shot Type */}
-          <View style={[
-            styles.shotTypeCell, 
-            { width: calculatedStyles.typeColumnWidth }
-          ]}>
-            <Typography variant="body" weight="medium" style={styles.rowText}>
-              {type}
-            </Typography>
-          </View>
+      {schema.rows.map((row) => (
+        <React.Fragment key={row.id}>
+          <View style={styles.dataRow}>
+            {/* Shot Type - opens the shot detail editor when supported */}
+            <TouchableOpacity
+              onPress={() => onEditShots && onEditShots(row.type)}
+              disabled={!onEditShots}
+              style={[
+                styles.shotTypeCell, 
+                { width: calculatedStyles.typeColumnWidth }
+              ]}
+            >
+              <Typography variant="body" weight="medium" style={styles.rowText} numberOfLines={2}>
+                {row.label}
+              </Typography>
+              {onEditShots && (
+                <Ionicons 
+                  name={detailCounts[row.type] > 0 ? "create" : "create-outline"} 
+                  size={12} 
+                  color={detailCounts[row.type] > 0 ? theme.colors.primary : theme.colors.secondary} 
+                  style={styles.editIcon}
+                />
+              )}
+            </TouchableOpacity>
           
-          {/* Outcome Cells */}
-          {outcomes.map((outcome) => {
-            // Get the count for this shot type and outcome
-            const count = shotCounts[type] && 
-                          typeof shotCounts[type][outcome] === 'number' ? 
-                          shotCounts[type][outcome] : 0;
+            {/* Outcome Cells */}
+            {outcomes.map((outcome) => {
+              // Get the count for this row and outcome
+              const count = shotCounts[row.id] && 
+                            typeof shotCounts[row.id][outcome.id] === 'number' ? 
+                            shotCounts[row.id][outcome.id] : 0;
             
-            const isActive = activeColumn === outcome;
+              const isActive = activeColumn === outcome.id;
             
-            return (
-              <TouchableOpacity
-                key={outcome}
-                onPress={() => !isActive && setActiveColumn(outcome)}
-                style={[
-                  styles.outcomeCell,
-                  isActive ? 
-                    [styles.activeOutcomeCell, { width: calculatedStyles.activeColumnWidth }] : 
-                    [styles.inactiveOutcomeCell, { width: calculatedStyles.inactiveColumnWidth }],
-                  isActive && { backgroundColor: getOutcomeColor(outcome) },
-                  count > 0 && !isActive && styles.hasValueCell
-                ]}
-              >
-                {isActive ? (
-                  <View style={styles.controlsContainer}>
-                    {/* Decrement button */}
-                    <TouchableOpacity
-                      onPress={() => removeShot(type, outcome)}
-                      disabled={count === 0}
-                      style={[
-                        styles.actionButton,
-                        count === 0 && styles.disabledButton,
-                        { width: calculatedStyles.buttonSize, height: calculatedStyles.buttonSize }
-                      ]}
-                      hitSlop={{ top: 8, right: 8, bottom: 8, left: 8 }}
-                    >
+              return (
+                <TouchableOpacity
+                  key={outcome.id}
+                  onPress={() => !isActive && setActiveColumn(outcome.id)}
+                  style={[
+                    styles.outcomeCell,
+                    isActive ? 
+                      [styles.activeOutcomeCell, { width: calculatedStyles.activeColumnWidth }] : 
+                      [styles.inactiveOutcomeCell, { width: calculatedStyles.inactiveColumnWidth }],
+                    isActive && { backgroundColor: getOutcomeColor(outcome) },
+                    count > 0 && !isActive && styles.hasValueCell
+                  ]}
+                >
+                  {isActive ? (
+                    <View style={styles.controlsContainer}>
+                      {/* Decrement button */}
+                      <TouchableOpacity
+                        onPress={() => handleRemoveShot(row, outcome.id)}
+                        disabled={count === 0}
+                        style={[
+                          styles.actionButton,
+                          count === 0 && styles.disabledButton,
+                          { width: calculatedStyles.buttonSize, height: calculatedStyles.buttonSize }
+                        ]}
+                        hitSlop={{ top: 8, right: 8, bottom: 8, left: 8 }}
+                      >
+                        <Typography 
+                          variant="button" 
+                          color={count === 0 ? theme.colors.secondary : "white"}
+                          style={styles.buttonText}
+                        >
+                          -
+                        </Typography>
+                      </TouchableOpacity>
+                    
+                      {/* Count display */}
                       <Typography 
-                        variant="button" 
-                        color={count === 0 ? theme.colors.secondary : "white"}
-                        style={styles.buttonText}
+                        variant="body" 
+                        weight="bold" 
+                        style={styles.countText}
                       >
-                        -
+                        {count}
                       </Typography>
-                    </TouchableOpacity>
                     
-                    {/* Count display */}
+                      {/* Increment button */}
+                      <TouchableOpacity
+                        onPress={() => handleAddShot(row, outcome.id)}
+                        style={[
+                          styles.actionButton,
+                          { width: calculatedStyles.buttonSize, height: calculatedStyles.buttonSize }
+                        ]}
+                        hitSlop={{ top: 8, right: 8, bottom: 8, left: 8 }}
+                      >
+                        <Typography 
+                          variant="button" 
+                          color="white"
+                          style={styles.buttonText}
+                        >
+                          +
+                        </Typography>
+                      </TouchableOpacity>
+                    </View>
+                  ) : (
                     <Typography 
-                      variant="body" 
-                      weight="bold" 
-                      style={styles.countText}
+                      variant="body"
+                      weight={count > 0 ? "bold" : "normal"}
+                      color={count > 0 ? theme.colors.primary : theme.colors.text}
+                      style={styles.countValueText}
                     >
                       {count}
                     </Typography>
-                    
-                    {/* Increment button */}
-                    <TouchableOpacity
-                      onPress={() => addShot(type, outcome)}
-                      style={[
-                        styles.actionButton,
-                        { width: calculatedStyles.buttonSize, height: calculatedStyles.buttonSize }
-                      ]}
-                      hitSlop={{ top: 8, right: 8, bottom: 8, left: 8 }}
-                    >
-                      <Typography 
-                        variant="button" 
-                        color="white"
-                        style={styles.buttonText}
-                      >
-                        +
-                      </Typography>
-                    </TouchableOpacity>
-                  </View>
-                ) : (
-                  <Typography 
-                    variant="body"
-                    weight={count > 0 ? "bold" : "normal"}
-                    color={count > 0 ? theme.colors.primary : theme.colors.text}
-                    style={styles.countValueText}
-                  >
-                    {count}
-                  </Typography>
-                )}
-              </TouchableOpacity>
-            );
-          })}
-        </View>
+                  )}
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+        
+          {/* Miss direction for the shot just recorded */}
+          {missPickerRow === row.id && (
+            <MissDirectionPicker
+              type={row.label}
+              onPick={direction => handlePickMissDirection(row, direction)}
+              onDismiss={() => setMissPickerRow(null)}
+            />
+          )}
+        </React.Fragment>
       ))}
+      
+      {/* Penalties - recorded by cause, each adding its penalty strokes */}
+      <View style={styles.dataRow}>
+        <View style={[styles.shotTypeCell, { width: calculatedStyles.typeColumnWidth }]}>
+          <Typography variant="body" weight="medium" style={styles.rowText}>
+            Penalties
+          </Typography>
+        </View>
+        
+        <View style={styles.penaltyCell}>
+          <Typography variant="caption" numberOfLines={2} style={styles.penaltySummary}>
+            {penalties.length > 0 ? penalties.map(getPenaltyLabel).join(", ") : "None"}
+          </Typography>
+          
+          <TouchableOpacity
+            onPress={() => removePenalty && removePenalty()}
+            disabled={penalties.length === 0 || !removePenalty}
+            style={[
+              styles.actionButton,
+              penalties.length === 0 && styles.disabledButton,
+              { width: calculatedStyles.buttonSize, height: calculatedStyles.buttonSize }
+            ]}
+            hitSlop={{ top: 8, right: 8, bottom: 8, left: 8 }}
+          >
+            <Typography 
+              variant="button" 
+              color={penalties.length === 0 ? theme.colors.secondary : "white"}
+              style={styles.buttonText}
+            >
+              -
+            </Typography>
+          </TouchableOpacity>
+          
+          <Typography variant="body" weight="bold" style={styles.countText}>
+            {penaltyStrokes > 0 ? `+${penaltyStrokes}` : 0}
+          </Typography>
+          
+          <TouchableOpacity
+            onPress={() => setShowPenaltyPicker(prev => !prev)}
+            disabled={!addPenalty}
+            style={[
+              styles.actionButton,
+              { width: calculatedStyles.buttonSize, height: calculatedStyles.buttonSize }
+            ]}
+            hitSlop={{ top: 8, right: 8, bottom: 8, left: 8 }}
+          >
+            <Typography variant="button" color="white" style={styles.buttonText}>
+              +
+            </Typography>
+          </TouchableOpacity>
+        </View>
+      </View>
+      
+      {showPenaltyPicker && (
+        <View style={styles.penaltyPicker}>
+          {Object.values(PENALTY_TYPES).map(penaltyType => (
+            <TouchableOpacity
+              key={penaltyType}
+              onPress={() => handleAddPenalty(penaltyType)}
+              style={styles.penaltyChip}
+            >
+              <Typography variant="caption">
+                {PENALTY_TYPE_LABELS[penaltyType]} +{PENALTY_STROKES[penaltyType]}
+              </Typography>
+            </TouchableOpacity>
+          ))}
+        </View>
+      )}
     </View>
   );
 }
@@ -366,6 +530,11 @@ const styles = StyleSheet.create({
   rowText: {
     fontSize: 14,
   },
+  editIcon: {
+    position: 'absolute',
+    right: 4,
+    top: 4,
+  },
   countValueText: {
     textAlign: 'center',
   },
@@ -394,5 +563,59 @@ const styles = StyleSheet.create({
   countText: {
     textAlign: "center",
     minWidth: 30,
+  },
+  missPickerRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: theme.spacing.small,
+    paddingVertical: 4,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+    backgroundColor: '#fafafa',
+  },
+  missPickerLabel: {
+    color: theme.colors.secondary,
+  },
+  compass: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    width: 96,
+  },
+  compassCell: {
+    width: 32,
+    height: 28,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  compassTarget: {
+    borderRadius: 14,
+    backgroundColor: '#f0f0f0',
+  },
+  penaltyCell: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: theme.spacing.small,
+  },
+  penaltySummary: {
+    flex: 1,
+    color: theme.colors.secondary,
+    marginRight: 4,
+  },
+  penaltyPicker: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    paddingHorizontal: theme.spacing.small,
+    paddingTop: 6,
+    backgroundColor: '#fafafa',
+  },
+  penaltyChip: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: '#f0f0f0',
+    marginRight: 6,
+    marginBottom: 6,
   }
-});
\ No newline at end of file
+});
\ No newline at end of file
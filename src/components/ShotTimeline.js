@@ -0,0 +1,382 @@
+// src/components/ShotTimeline.js
+//
+// The current hole's shots in the order they were played, under the
+// ShotTable. Any entry can be dragged to a new place, deleted or changed
+// to another row and outcome, not just the latest one. The order shown is
+// hole_data.shots, which the hole's stats are derived from.
+
+import React, { useRef, useState } from "react";
+import { View, TouchableOpacity, PanResponder, StyleSheet } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import Typography from "../ui/components/Typography";
+import theme from "../ui/theme";
+import {
+  PENALTY_TYPES,
+  PENALTY_TYPE_LABELS,
+  getPenaltyLabel,
+  getShotOutcome,
+  getShotRowId,
+  getShotStrokes
+} from "../../supabase/functions/_shared/shotModel";
+import { DEFAULT_TRACKING_SCHEMA } from "../../supabase/functions/_shared/trackingProfile";
+
+// Height of one timeline entry; dragging moves a shot one place per row
+const ROW_HEIGHT = 44;
+
+/**
+ * Selectable chip used in the entry editor
+ */
+const Chip = ({ label, selected, onPress }) => (
+  <TouchableOpacity
+    onPress={onPress}
+    style={[styles.chip, selected && styles.selectedChip]}
+  >
+    <Typography
+      variant="caption"
+      weight={selected ? "semibold" : "normal"}
+      color={selected ? "white" : theme.colors.text}
+    >
+      {label}
+    </Typography>
+  </TouchableOpacity>
+);
+
+/**
+ * Time a shot was recorded, e.g. "9:42"
+ */
+const formatShotTime = (timestamp) => (
+  timestamp
+    ? new Date(timestamp).toLocaleTimeString([], { hour: "numeric", minute: "2-digit" })
+    : ""
+);
+
+/**
+ * One timeline entry with a drag handle
+ * The pan responder is created once per entry, so the latest props are
+ * read through a ref while a drag is in progress.
+ */
+const TimelineRow = ({ index, count, dragOffset, onDragStart, onDragMove, onDragEnd, children }) => {
+  const propsRef = useRef({});
+  propsRef.current = { index, count, onDragStart, onDragMove, onDragEnd };
+
+  const panResponder = useRef(PanResponder.create({
+    onStartShouldSetPanResponder: () => true,
+    onMoveShouldSetPanResponder: () => true,
+    onPanResponderTerminationRequest: () => false,
+    onPanResponderGrant: () => propsRef.current.onDragStart(propsRef.current.index),
+    onPanResponderMove: (_, gesture) => propsRef.current.onDragMove(gesture.dy),
+    onPanResponderRelease: (_, gesture) => {
+      const { index: from, count: total, onDragEnd: end } = propsRef.current;
+      const to = Math.max(0, Math.min(total - 1, from + Math.round(gesture.dy / ROW_HEIGHT)));
+      end(from, to);
+    },
+    onPanResponderTerminate: () => {
+      const { index: from, onDragEnd: end } = propsRef.current;
+      end(from, from);
+    }
+  })).current;
+
+  const dragging = dragOffset !== null;
+
+  return (
+    <View style={[styles.row, dragging && styles.draggingRow, dragging && { transform: [{ translateY: dragOffset }] }]}>
+      <View {...panResponder.panHandlers} style={styles.dragHandle} accessibilityLabel="Drag to reorder">
+        <Ionicons name="reorder-three" size={20} color={theme.colors.secondary} />
+      </View>
+      {children}
+    </View>
+  );
+};
+
+/**
+ * ShotTimeline Component
+ *
+ * @param {Object} props
+ * @param {Array} props.shots - The hole's shots in order
+ * @param {Object} props.schema - The round's tracking schema, for row and outcome labels
+ * @param {Function} props.onMoveShot - Called with (fromIndex, toIndex) when a shot is dragged to a new place
+ * @param {Function} props.onDeleteShot - Called with the index of a shot to delete
+ * @param {Function} props.onChangeShot - Called with (index, rowId, outcomeId) when a shot's row or outcome changes
+ * @param {Function} props.onChangePenalty - Called with (index, penaltyType) when a penalty's cause changes
+ * @param {Function} props.onUndo - Undo the latest shot edit in the round
+ * @param {Function} props.onRedo - Redo the latest undone shot edit
+ * @param {string|null} props.undoLabel - Description of the edit undo would reverse (null when there is none)
+ * @param {string|null} props.redoLabel - Description of the edit redo would repeat (null when there is none)
+ * @param {Function} props.onDragChange - Optional - called with true when a drag starts and false when it ends
+ */
+export default function ShotTimeline({
+  shots = [],
+  schema = DEFAULT_TRACKING_SCHEMA,
+  onMoveShot,
+  onDeleteShot,
+  onChangeShot,
+  onChangePenalty,
+  onUndo,
+  onRedo,
+  undoLabel = null,
+  redoLabel = null,
+  onDragChange
+}) {
+  const [expanded, setExpanded] = useState(false);
+  const [editingIndex, setEditingIndex] = useState(null);
+  const [drag, setDrag] = useState(null); // { index, offset } while an entry is being dragged
+
+  const handleDragStart = (index) => {
+    setEditingIndex(null);
+    setDrag({ index, offset: 0 });
+    onDragChange && onDragChange(true);
+  };
+
+  const handleDragEnd = (from, to) => {
+    setDrag(null);
+    onDragChange && onDragChange(false);
+    if (from !== to) onMoveShot(from, to);
+  };
+
+  const handleDelete = (index) => {
+    setEditingIndex(null);
+    onDeleteShot(index);
+  };
+
+  const getRowLabel = (shot) => {
+    if (shot.type === "Penalties") {
+      return `${getPenaltyLabel(shot)} +${getShotStrokes(shot)}`;
+    }
+
+    const rowId = getShotRowId(shot, schema);
+    return schema.rows.find(row => row.id === rowId)?.label || shot.type;
+  };
+
+  const getOutcomeLabel = (shot) => {
+    if (shot.type === "Penalties") return "";
+
+    const outcome = getShotOutcome(shot);
+    return schema.outcomes.find(entry => entry.id === outcome)?.label || outcome || "";
+  };
+
+  const renderEditor = (shot, index) => {
+    const rowId = getShotRowId(shot, schema);
+    const outcome = getShotOutcome(shot);
+
+    return (
+      <View style={styles.editor}>
+        {shot.type === "Penalties" ? (
+          <View style={styles.chipRow}>
+            {Object.values(PENALTY_TYPES).map(penaltyType => (
+              <Chip
+                key={penaltyType}
+                label={PENALTY_TYPE_LABELS[penaltyType]}
+                selected={shot.penalty_type === penaltyType}
+                onPress={() => onChangePenalty(index, penaltyType)}
+              />
+            ))}
+          </View>
+        ) : (
+          <>
+            <View style={styles.chipRow}>
+              {schema.rows.map(row => (
+                <Chip
+                  key={row.id}
+                  label={row.label}
+                  selected={rowId === row.id}
+                  onPress={() => onChangeShot(index, row.id, outcome)}
+                />
+              ))}
+            </View>
+            <View style={styles.chipRow}>
+              {schema.outcomes.map(entry => (
+                <Chip
+                  key={entry.id}
+                  label={entry.label}
+                  selected={outcome === entry.id}
+                  onPress={() => onChangeShot(index, rowId || shot.type, entry.id)}
+                />
+              ))}
+            </View>
+          </>
+        )}
+
+        <TouchableOpacity onPress={() => handleDelete(index)} style={styles.deleteButton}>
+          <Ionicons name="trash-outline" size={16} color={theme.colors.error} />
+          <Typography variant="caption" color={theme.colors.error} style={styles.deleteText}>
+            Delete {shot.type === "Penalties" ? "penalty" : "shot"}
+          </Typography>
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.headerTitle} onPress={() => setExpanded(prev => !prev)}>
+          <Typography variant="body" weight="semibold">Shot Timeline</Typography>
+          <Typography variant="caption" style={styles.summaryText}>
+            {shots.length} {shots.length === 1 ? "entry" : "entries"}
+          </Typography>
+          <Ionicons name={expanded ? "chevron-up" : "chevron-down"} size={18} color={theme.colors.secondary} />
+        </TouchableOpacity>
+
+        {/* Undo and redo cover every hole in the round */}
+        <TouchableOpacity
+          onPress={onUndo}
+          disabled={!undoLabel}
+          style={styles.historyButton}
+          accessibilityLabel={undoLabel ? `Undo ${undoLabel}` : "Nothing to undo"}
+        >
+          <Ionicons name="arrow-undo" size={20} color={undoLabel ? theme.colors.primary : theme.colors.secondary} />
+        </TouchableOpacity>
+        <TouchableOpacity
+          onPress={onRedo}
+          disabled={!redoLabel}
+          style={styles.historyButton}
+          accessibilityLabel={redoLabel ? `Redo ${redoLabel}` : "Nothing to redo"}
+        >
+          <Ionicons name="arrow-redo" size={20} color={redoLabel ? theme.colors.primary : theme.colors.secondary} />
+        </TouchableOpacity>
+      </View>
+
+      {undoLabel && (
+        <Typography variant="caption" style={styles.summaryText} numberOfLines={1}>
+          Last change: {undoLabel}
+        </Typography>
+      )}
+
+      {expanded && shots.length === 0 && (
+        <Typography variant="caption" italic style={styles.emptyText}>
+          No shots on this hole yet.
+        </Typography>
+      )}
+
+      {expanded && shots.map((shot, index) => (
+        <View key={shot.id || `${shot.timestamp}-${index}`}>
+          <TimelineRow
+            index={index}
+            count={shots.length}
+            dragOffset={drag?.index === index ? drag.offset : null}
+            onDragStart={handleDragStart}
+            onDragMove={offset => setDrag(prev => (prev ? { ...prev, offset } : prev))}
+            onDragEnd={handleDragEnd}
+          >
+            <TouchableOpacity
+              style={styles.rowContent}
+              onPress={() => setEditingIndex(editingIndex === index ? null : index)}
+            >
+              <Typography variant="caption" weight="semibold" style={styles.shotNumber}>
+                {index + 1}
+              </Typography>
+              <View style={styles.shotInfo}>
+                <Typography variant="body" numberOfLines={1}>
+                  {getRowLabel(shot)}
+                </Typography>
+                {getOutcomeLabel(shot) !== "" && (
+                  <Typography variant="caption" style={styles.summaryText}>
+                    {getOutcomeLabel(shot)}
+                  </Typography>
+                )}
+              </View>
+              <Typography variant="caption" style={styles.summaryText}>
+                {formatShotTime(shot.timestamp)}
+              </Typography>
+            </TouchableOpacity>
+          </TimelineRow>
+
+          {editingIndex === index && renderEditor(shot, index)}
+        </View>
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginHorizontal: 8,
+    marginBottom: 12,
+    backgroundColor: "#f8f8f8",
+    borderRadius: 8,
+    padding: 10,
+  },
+  header: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  headerTitle: {
+    flex: 1,
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  summaryText: {
+    color: "#666",
+    marginHorizontal: 4,
+  },
+  historyButton: {
+    padding: 4,
+    marginLeft: 8,
+  },
+  emptyText: {
+    marginTop: 8,
+    color: theme.colors.secondary,
+  },
+  row: {
+    flexDirection: "row",
+    alignItems: "center",
+    height: ROW_HEIGHT,
+    borderTopWidth: 1,
+    borderTopColor: "#e8e8e8",
+    backgroundColor: "#f8f8f8",
+  },
+  draggingRow: {
+    zIndex: 1,
+    backgroundColor: "#fff",
+    borderRadius: 6,
+    ...theme.elevation.medium,
+  },
+  dragHandle: {
+    width: 32,
+    height: "100%",
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  rowContent: {
+    flex: 1,
+    flexDirection: "row",
+    alignItems: "center",
+    height: "100%",
+  },
+  shotNumber: {
+    width: 20,
+  },
+  shotInfo: {
+    flex: 1,
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  editor: {
+    paddingLeft: 32,
+    paddingBottom: 8,
+  },
+  chipRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    marginTop: 6,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: "#fff",
+    marginRight: 8,
+    marginBottom: 6,
+  },
+  selectedChip: {
+    backgroundColor: theme.colors.primary,
+  },
+  deleteButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginTop: 4,
+  },
+  deleteText: {
+    marginLeft: 4,
+  },
+});
@@ -0,0 +1,227 @@
+// src/components/StrokesGainedCard.js
+//
+// Strokes-gained breakdown card for the insights screen.
+// Numbers come straight from the shared strokes-gained engine, so
+// unlike the coach's cards they are fully reproducible.
+
+import React from "react";
+import { View, TouchableOpacity, ActivityIndicator, StyleSheet } from "react-native";
+import Typography from "../ui/components/Typography";
+import Card from "../ui/components/Card";
+import theme from "../ui/theme";
+import {
+  BASELINES,
+  SG_CATEGORIES,
+  SG_CATEGORY_LABELS
+} from "../../supabase/functions/_shared/strokesGained";
+
+// Bar scale - a full bar is this many strokes gained or lost per round
+const BAR_SCALE_STROKES = 3;
+
+/**
+ * Format a strokes-gained value with an explicit sign
+ */
+const formatStrokesGained = (value) => {
+  if (value === null || value === undefined) return "–";
+  const rounded = Math.round(value * 10) / 10;
+  return rounded > 0 ? `+${rounded.toFixed(1)}` : rounded.toFixed(1);
+};
+
+/**
+ * StrokesGainedCard Component
+ *
+ * Shows average strokes gained per round in each category against the
+ * selected baseline, with a toggle to switch baselines.
+ *
+ * @param {Object} props
+ * @param {Object} props.average - Averages from averageStrokesGained (null when no rounds)
+ * @param {string} props.baselineId - Selected baseline ID
+ * @param {Function} props.onBaselineChange - Called with a baseline ID
+ * @param {boolean} props.loading - Whether results are being calculated
+ * @param {number} props.estimatedShare - Fraction of shots with estimated distances (0-1)
+ */
+export default function StrokesGainedCard({
+  average,
+  baselineId,
+  onBaselineChange,
+  loading = false,
+  estimatedShare = 0
+}) {
+  return (
+    <Card style={styles.card}>
+      <Typography variant="subtitle">Strokes Gained</Typography>
+      <Typography variant="caption" style={styles.subtitle}>
+        {average ? `Per round, last ${average.rounds} ${average.rounds === 1 ? "round" : "rounds"}` : "Per round"}
+      </Typography>
+
+      {/* Baseline selector */}
+      <View style={styles.baselineRow}>
+        {Object.values(BASELINES).map(baseline => {
+          const selected = baseline.id === baselineId;
+          return (
+            <TouchableOpacity
+              key={baseline.id}
+              onPress={() => onBaselineChange(baseline.id)}
+              style={[styles.baselineOption, selected && styles.selectedBaseline]}
+            >
+              <Typography
+                variant="caption"
+                weight={selected ? "semibold" : "normal"}
+                color={selected ? "white" : theme.colors.text}
+              >
+                vs {baseline.label}
+              </Typography>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+
+      {loading ? (
+        <ActivityIndicator size="small" color={theme.colors.primary} style={styles.loading} />
+      ) : !average ? (
+        <Typography variant="secondary" italic style={styles.emptyText}>
+          Complete a round to see where you gain and lose strokes.
+        </Typography>
+      ) : (
+        <>
+          {Object.values(SG_CATEGORIES).map(category => {
+            const value = average[category];
+            const positive = value >= 0;
+            const barWidth = `${Math.min(100, (Math.abs(value) / BAR_SCALE_STROKES) * 100) / 2}%`;
+
+            return (
+              <View key={category} style={styles.categoryRow}>
+                <Typography variant="body" style={styles.categoryLabel}>
+                  {SG_CATEGORY_LABELS[category]}
+                </Typography>
+
+                {/* Diverging bar - losses to the left of center, gains to the right */}
+                <View style={styles.barTrack}>
+                  <View style={styles.barCenter} />
+                  <View
+                    style={[
+                      styles.bar,
+                      positive ? styles.gainBar : styles.lossBar,
+                      { width: barWidth }
+                    ]}
+                  />
+                </View>
+
+                <Typography
+                  variant="body"
+                  weight="semibold"
+                  color={positive ? theme.colors.success : theme.colors.error}
+                  style={styles.categoryValue}
+                >
+                  {formatStrokesGained(value)}
+                </Typography>
+              </View>
+            );
+          })}
+
+          <View style={styles.totalRow}>
+            <Typography variant="body" weight="bold">Total</Typography>
+            <Typography
+              variant="body"
+              weight="bold"
+              color={average.total >= 0 ? theme.colors.success : theme.colors.error}
+            >
+              {formatStrokesGained(average.total)}
+            </Typography>
+          </View>
+
+          {estimatedShare > 0.5 && (
+            <Typography variant="caption" italic style={styles.footnote}>
+              Most shot distances are estimated. Add distances in the shot details for sharper numbers.
+            </Typography>
+          )}
+        </>
+      )}
+    </Card>
+  );
+}
+
+const styles = StyleSheet.create({
+  card: {
+    marginVertical: theme.spacing.small,
+  },
+  subtitle: {
+    marginTop: 2,
+  },
+  baselineRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    marginTop: theme.spacing.medium,
+    marginBottom: theme.spacing.small,
+  },
+  baselineOption: {
+    paddingHorizontal: 10,
+    paddingVertical: 5,
+    borderRadius: 14,
+    backgroundColor: "#f0f0f0",
+    marginRight: 8,
+    marginBottom: 4,
+  },
+  selectedBaseline: {
+    backgroundColor: theme.colors.primary,
+  },
+  loading: {
+    marginVertical: theme.spacing.medium,
+  },
+  emptyText: {
+    marginVertical: theme.spacing.medium,
+  },
+  categoryRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginTop: theme.spacing.small,
+  },
+  categoryLabel: {
+    width: 120,
+  },
+  barTrack: {
+    flex: 1,
+    height: 10,
+    marginHorizontal: theme.spacing.small,
+    flexDirection: "row",
+    justifyContent: "center",
+    position: "relative",
+  },
+  barCenter: {
+    position: "absolute",
+    left: "50%",
+    top: -2,
+    bottom: -2,
+    width: 1,
+    backgroundColor: "#ccc",
+  },
+  bar: {
+    position: "absolute",
+    top: 0,
+    bottom: 0,
+    borderRadius: 3,
+  },
+  gainBar: {
+    left: "50%",
+    backgroundColor: theme.colors.success,
+  },
+  lossBar: {
+    right: "50%",
+    backgroundColor: theme.colors.error,
+  },
+  categoryValue: {
+    width: 44,
+    textAlign: "right",
+  },
+  totalRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    marginTop: theme.spacing.medium,
+    paddingTop: theme.spacing.small,
+    borderTopWidth: 1,
+    borderTopColor: "#f0f0f0",
+  },
+  footnote: {
+    marginTop: theme.spacing.small,
+  }
+});
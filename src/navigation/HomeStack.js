@@ -6,6 +6,7 @@ import HomeScreen from "../screens/HomeScreen";
 import CourseSelectorScreen from "../screens/CourseSelectorScreen";
 import TrackerScreen from "../screens/TrackerScreen";
 import ScorecardScreen from "../screens/ScorecardScreen";
+import CourseDetailScreen from "../screens/CourseDetailScreen";
 
 // Import our navigation styling system
 import { createHomeStackConfig } from "../ui/navigation/configs/stack";
@@ -20,6 +21,7 @@ const Stack = createStackNavigator();
  * - CourseSelectorScreen: For selecting a course
  * - TrackerScreen: For tracking shots during a round
  * - ScorecardScreen: For viewing detailed scorecard after completing a round
+ * - CourseDetailScreen: The player's scoring and per-hole stats at one course
  */
 export default function HomeStack() {
   // Get configuration for the home stack
@@ -53,6 +55,12 @@ export default function HomeStack() {
         component={ScorecardScreen} 
         options={config.screenConfigs.ScorecardScreen.options}
       />
+      
+      <Stack.Screen 
+        name="CourseDetail" 
+        component={CourseDetailScreen} 
+        options={config.screenConfigs.CourseDetail.options}
+      />
     </Stack.Navigator>
   );
 }
\ No newline at end of file
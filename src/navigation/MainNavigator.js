@@ -5,9 +5,14 @@ import { createBottomTabNavigator } from "@react-navigation/bottom-tabs";
 import { createStackNavigator } from "@react-navigation/stack";
 import HomeStack from "./HomeStack";
 import RoundsScreen from "../screens/RoundScreen";
+import StatsScreen from "../screens/StatsScreen";
 import InsightsScreen from "../screens/InsightsScreen";
 import ProfileScreen from "../screens/ProfileScreen";
 import ScorecardScreen from "../screens/ScorecardScreen";
+import CourseDetailScreen from "../screens/CourseDetailScreen";
+import ClubStatsScreen from "../screens/ClubStatsScreen";
+import ImportRoundsScreen from "../screens/ImportRoundsScreen";
+import TrackingProfileScreen from "../screens/TrackingProfileScreen";
 
 // Import our navigation styling system
 import navigationTheme from "../ui/navigation/theme";
@@ -15,12 +20,14 @@ import { getTabBarConfig, getTabNavigatorScreenOptions } from "../ui/navigation/
 import { 
   createStackNavigatorScreenOptions,
   createRoundsStackConfig, 
+  createStatsStackConfig,
   createInsightsStackConfig, 
   createProfileStackConfig 
 } from "../ui/navigation/configs/stack";
 
 // Create stack navigators for each tab that needs nested navigation
 const RoundsStack = createStackNavigator();
+const StatsStack = createStackNavigator();
 const InsightsStack = createStackNavigator();
 const ProfileStack = createStackNavigator();
 
@@ -29,6 +36,7 @@ const ProfileStack = createStackNavigator();
  * 
  * Creates a stack navigator for the Rounds tab with consistent headers
  * This allows navigation from the rounds list to the scorecard view
+ * and to the player's stats at a round's course
  */
 function RoundsStackScreen() {
   // Get configuration for the rounds stack
@@ -46,10 +54,35 @@ function RoundsStackScreen() {
         component={ScorecardScreen} 
         options={config.screenConfigs.ScorecardScreen.options}
       />
+      <RoundsStack.Screen 
+        name="CourseDetail" 
+        component={CourseDetailScreen} 
+        options={config.screenConfigs.CourseDetail.options}
+      />
     </RoundsStack.Navigator>
   );
 }
 
+/**
+ * StatsStackScreen Component
+ * 
+ * Creates a stack navigator for the Stats tab with consistent headers
+ */
+function StatsStackScreen() {
+  // Get configuration for the stats stack
+  const config = createStatsStackConfig();
+  
+  return (
+    <StatsStack.Navigator screenOptions={config.screenOptions}>
+      <StatsStack.Screen 
+        name="StatsScreen" 
+        component={StatsScreen}
+        options={config.screenConfigs.StatsScreen.options}
+      />
+    </StatsStack.Navigator>
+  );
+}
+
 /**
  * InsightsStackScreen Component
  * 
@@ -74,6 +107,8 @@ function InsightsStackScreen() {
  * ProfileStackScreen Component
  * 
  * Creates a stack navigator for the Profile tab with consistent headers
+ * This allows navigation from the profile to the per-club statistics,
+ * the round importer and the shot tracking setup
  */
 function ProfileStackScreen() {
   // Get configuration for the profile stack
@@ -86,6 +121,21 @@ function ProfileStackScreen() {
         component={ProfileScreen}
         options={config.screenConfigs.ProfileScreen.options}
       />
+      <ProfileStack.Screen 
+        name="ClubStatsScreen" 
+        component={ClubStatsScreen}
+        options={config.screenConfigs.ClubStatsScreen.options}
+      />
+      <ProfileStack.Screen 
+        name="ImportRoundsScreen" 
+        component={ImportRoundsScreen}
+        options={config.screenConfigs.ImportRoundsScreen.options}
+      />
+      <ProfileStack.Screen 
+        name="TrackingProfileScreen" 
+        component={TrackingProfileScreen}
+        options={config.screenConfigs.TrackingProfileScreen.options}
+      />
     </ProfileStack.Navigator>
   );
 }
@@ -95,9 +145,10 @@ const Tab = createBottomTabNavigator();
 /**
  * MainNavigator Component
  * 
- * Creates the bottom tab navigation for the app with four tabs:
+ * Creates the bottom tab navigation for the app with five tabs:
  * - Home: For starting new rounds and seeing recent activity
  * - Rounds: For viewing completed rounds and scorecards
+ * - Stats: For trend charts across completed rounds
  * - Insights: For viewing AI-powered game analysis and improvement tips
  * - Profile: For user account settings
  */
@@ -114,6 +165,11 @@ export default function MainNavigator() {
         component={RoundsStackScreen}
         options={({ route }) => getTabBarConfig(route)}
       />
+      <Tab.Screen
+        name="Stats"
+        component={StatsStackScreen}
+        options={({ route }) => getTabBarConfig(route)}
+      />
       <Tab.Screen
         name="Insights"
         component={InsightsStackScreen}
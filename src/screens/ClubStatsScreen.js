@@ -0,0 +1,170 @@
+// src/screens/ClubStatsScreen.js
+import React, { useState, useCallback, useContext } from "react";
+import { View, ScrollView, StyleSheet, RefreshControl, ActivityIndicator } from "react-native";
+import { useFocusEffect } from "@react-navigation/native";
+import Layout from "../ui/Layout";
+import theme from "../ui/theme";
+import Typography from "../ui/components/Typography";
+import Card from "../ui/components/Card";
+import { AuthContext } from "../context/AuthContext";
+import { getClubStats } from "../services/clubService";
+import { MIN_MEASURED_SHOTS } from "../../supabase/functions/_shared/clubStats";
+
+/**
+ * ClubStatsScreen Component
+ * 
+ * Per-club statistics from the player's completed rounds: how often each
+ * club finds the target, and its average, median and 80th-percentile
+ * distance from shots measured with ball marks.
+ */
+export default function ClubStatsScreen() {
+  const { user } = useContext(AuthContext);
+  
+  const [stats, setStats] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  
+  const loadStats = async () => {
+    if (!user) return;
+    
+    try {
+      setStats(await getClubStats(user.id));
+    } catch (error) {
+      console.error("Error loading club statistics:", error);
+      setStats(null);
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  };
+  
+  // Reload when returning to the screen, e.g. after editing the bag
+  useFocusEffect(
+    useCallback(() => {
+      loadStats();
+    }, [user])
+  );
+  
+  const handleRefresh = () => {
+    setRefreshing(true);
+    loadStats();
+  };
+  
+  const renderDistance = (label, value) => (
+    <View style={styles.stat}>
+      <Typography variant="body" weight="semibold">{value} yd</Typography>
+      <Typography variant="caption">{label}</Typography>
+    </View>
+  );
+  
+  const renderClub = (club) => (
+    <Card key={club.club} style={styles.clubCard}>
+      <View style={styles.clubHeader}>
+        <View style={styles.clubName}>
+          <Typography variant="subtitle">
+            {club.club}
+            {club.loft !== null && <Typography variant="caption"> {club.loft}°</Typography>}
+          </Typography>
+          {(club.nickname || !club.isActive) && (
+            <Typography variant="caption" italic>
+              {[club.nickname, !club.isActive && "Retired"].filter(Boolean).join(" · ")}
+            </Typography>
+          )}
+        </View>
+        <View style={styles.onTarget}>
+          <Typography variant="subtitle" color={theme.colors.primary}>{club.onTargetRate}%</Typography>
+          <Typography variant="caption">On Target</Typography>
+        </View>
+      </View>
+      
+      {club.average !== null ? (
+        <View style={styles.statsRow}>
+          {renderDistance("Average", club.average)}
+          {renderDistance("Median", club.median)}
+          {renderDistance("80th pct", club.p80)}
+        </View>
+      ) : (
+        <Typography variant="caption" style={styles.noteText}>
+          {club.measuredCount} of {MIN_MEASURED_SHOTS} measured shots needed for distances.
+        </Typography>
+      )}
+      
+      <Typography variant="caption" style={styles.noteText}>
+        {club.shotCount} {club.shotCount === 1 ? "shot" : "shots"}, {club.measuredCount} measured
+      </Typography>
+    </Card>
+  );
+  
+  return (
+    <Layout>
+      <ScrollView
+        contentContainerStyle={styles.container}
+        refreshControl={<RefreshControl refreshing={refreshing} onRefresh={handleRefresh} />}
+      >
+        {loading ? (
+          <ActivityIndicator size="large" color={theme.colors.primary} style={styles.loading} />
+        ) : !stats || stats.clubs.length === 0 ? (
+          <View style={styles.emptyState}>
+            <Typography variant="body" align="center">
+              No club data yet.
+            </Typography>
+            <Typography variant="caption" align="center" style={styles.noteText}>
+              Tag a club on your shots, and mark your ball before each shot to measure distances.
+            </Typography>
+          </View>
+        ) : (
+          <>
+            <Typography variant="caption" style={styles.summaryText}>
+              From your last {stats.roundCount} completed {stats.roundCount === 1 ? "round" : "rounds"}
+            </Typography>
+            {stats.clubs.map(renderClub)}
+          </>
+        )}
+      </ScrollView>
+    </Layout>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    padding: theme.spacing.medium,
+  },
+  loading: {
+    marginTop: 40,
+  },
+  emptyState: {
+    marginTop: 40,
+    paddingHorizontal: theme.spacing.large,
+  },
+  summaryText: {
+    marginBottom: theme.spacing.small,
+    color: theme.colors.secondary,
+  },
+  clubCard: {
+    marginBottom: theme.spacing.medium,
+  },
+  clubHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "flex-start",
+  },
+  clubName: {
+    flex: 1,
+  },
+  onTarget: {
+    alignItems: "flex-end",
+  },
+  statsRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    marginTop: theme.spacing.small,
+  },
+  stat: {
+    flex: 1,
+    alignItems: "center",
+  },
+  noteText: {
+    marginTop: theme.spacing.small,
+    color: theme.colors.secondary,
+  },
+});
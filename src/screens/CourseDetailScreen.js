@@ -0,0 +1,350 @@
+// src/screens/CourseDetailScreen.js
+import React, { useState, useCallback, useContext } from "react";
+import {
+  View,
+  ScrollView,
+  TouchableOpacity,
+  StyleSheet,
+  RefreshControl,
+  ActivityIndicator
+} from "react-native";
+import { useFocusEffect } from "@react-navigation/native";
+import { Ionicons } from "@expo/vector-icons";
+import Layout from "../ui/Layout";
+import theme from "../ui/theme";
+import Typography from "../ui/components/Typography";
+import Card from "../ui/components/Card";
+import { AuthContext } from "../context/AuthContext";
+import { getCourseHistory } from "../services/statsService";
+import { buildCourseStats } from "../../supabase/functions/_shared/courseStats";
+
+// Change in a hole's recent average (strokes) shown as a trend arrow
+const TREND_THRESHOLD = 0.25;
+
+/**
+ * Selectable filter chip
+ */
+const FilterChip = ({ label, selected, onPress }) => (
+  <TouchableOpacity
+    onPress={onPress}
+    style={[styles.chip, selected && styles.selectedChip]}
+  >
+    <Typography
+      variant="caption"
+      weight={selected ? "semibold" : "normal"}
+      color={selected ? "white" : theme.colors.text}
+    >
+      {label}
+    </Typography>
+  </TouchableOpacity>
+);
+
+/**
+ * Format a score relative to par, e.g. "+1.4" or "E"
+ */
+const formatToPar = (value, decimals = 1) => {
+  if (value === null || value === undefined) return "-";
+  if (value === 0) return "E";
+
+  const rounded = Number.isInteger(value) ? `${value}` : value.toFixed(decimals);
+  return value > 0 ? `+${rounded}` : rounded;
+};
+
+/**
+ * Format a percentage, or "-" with nothing measured
+ */
+const formatPercent = (value) => (value === null ? "-" : `${value}%`);
+
+/**
+ * CourseDetailScreen Component
+ *
+ * The player's record at one course: scoring average, best and worst
+ * rounds, and each hole's average, fairways, greens, putts and recent
+ * scores across every round there, optionally for one tee. The holes
+ * that cost the most strokes are highlighted as nemesis holes.
+ */
+export default function CourseDetailScreen({ route, navigation }) {
+  const { user } = useContext(AuthContext);
+  const { courseId, courseName, teeName: initialTeeName = null } = route.params || {};
+
+  const [history, setHistory] = useState(null);
+  const [teeName, setTeeName] = useState(initialTeeName);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+
+  const loadHistory = async () => {
+    if (!user || !courseId) return;
+
+    try {
+      const data = await getCourseHistory(user.id, courseId);
+      setHistory(data);
+
+      // Fall back to all tees when the requested tee has never been played
+      setTeeName(current => (
+        current && !data.rounds.some(round => round.selected_tee_name === current) ? null : current
+      ));
+    } catch (error) {
+      console.error("Error loading course history:", error);
+      setHistory(null);
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  };
+
+  // Reload when returning to the screen (a round may have been corrected)
+  useFocusEffect(
+    useCallback(() => {
+      loadHistory();
+    }, [user, courseId])
+  );
+
+  const handleRefresh = () => {
+    setRefreshing(true);
+    loadHistory();
+  };
+
+  const tees = history
+    ? [...new Set(history.rounds.filter(round => round.selected_tee_name).map(round => round.selected_tee_name))]
+    : [];
+
+  const stats = history
+    ? buildCourseStats(history.course, history.rounds, history.holeRecords, { teeName })
+    : null;
+
+  const nemesisHoles = stats
+    ? stats.holes.filter(hole => hole.nemesis).sort((a, b) => b.averageToPar - a.averageToPar)
+    : [];
+
+  const renderSummaryStat = (label, value, onPress) => (
+    <TouchableOpacity style={styles.summaryStat} onPress={onPress} disabled={!onPress}>
+      <Typography variant="subtitle" weight="bold" color={onPress ? theme.colors.primary : theme.colors.text}>
+        {value}
+      </Typography>
+      <Typography variant="caption">{label}</Typography>
+    </TouchableOpacity>
+  );
+
+  const renderRoundStat = (label, round) => renderSummaryStat(
+    label,
+    round ? `${round.grossShots}` : "-",
+    round ? () => navigation.navigate("ScorecardScreen", { roundId: round.roundId }) : null
+  );
+
+  const renderTrend = (trend) => {
+    if (trend === null || Math.abs(trend) < TREND_THRESHOLD) {
+      return <Ionicons name="remove" size={16} color={theme.colors.secondary} />;
+    }
+
+    // Lower recent scores mean the hole is getting easier for the player
+    return trend < 0
+      ? <Ionicons name="arrow-down" size={16} color={theme.colors.success} />
+      : <Ionicons name="arrow-up" size={16} color={theme.colors.error} />;
+  };
+
+  const renderHole = (hole) => (
+    <View key={hole.number} style={[styles.holeRow, hole.nemesis && styles.nemesisRow]}>
+      <View style={styles.holeHeader}>
+        <Typography variant="body" weight="semibold">
+          Hole {hole.number}
+          <Typography variant="caption"> Par {hole.par || "-"}</Typography>
+        </Typography>
+        {hole.nemesis && (
+          <Typography variant="caption" weight="semibold" color={theme.colors.error}>
+            Nemesis
+          </Typography>
+        )}
+      </View>
+
+      {hole.plays === 0 ? (
+        <Typography variant="caption" italic style={styles.noteText}>
+          Not played yet.
+        </Typography>
+      ) : (
+        <>
+          <View style={styles.holeStats}>
+            <View style={styles.holeStat}>
+              <Typography variant="body" weight="semibold">{hole.averageScore.toFixed(1)}</Typography>
+              <Typography variant="caption">Avg</Typography>
+            </View>
+            <View style={styles.holeStat}>
+              <Typography variant="body" weight="semibold" color={hole.averageToPar > 0 ? theme.colors.error : theme.colors.success}>
+                {formatToPar(hole.averageToPar)}
+              </Typography>
+              <Typography variant="caption">To Par</Typography>
+            </View>
+            <View style={styles.holeStat}>
+              <Typography variant="body" weight="semibold">{formatPercent(hole.stats.fairwayPct)}</Typography>
+              <Typography variant="caption">FW</Typography>
+            </View>
+            <View style={styles.holeStat}>
+              <Typography variant="body" weight="semibold">{formatPercent(hole.stats.girPct)}</Typography>
+              <Typography variant="caption">GIR</Typography>
+            </View>
+            <View style={styles.holeStat}>
+              <Typography variant="body" weight="semibold">
+                {hole.stats.puttsPerHole !== null ? hole.stats.puttsPerHole.toFixed(1) : "-"}
+              </Typography>
+              <Typography variant="caption">Putts</Typography>
+            </View>
+          </View>
+
+          <View style={styles.recentRow}>
+            <Typography variant="caption">
+              Recent: {hole.recentScores.join(", ")} · Best {hole.best}
+            </Typography>
+            {renderTrend(hole.trend)}
+          </View>
+        </>
+      )}
+    </View>
+  );
+
+  return (
+    <Layout>
+      <ScrollView
+        contentContainerStyle={styles.container}
+        refreshControl={<RefreshControl refreshing={refreshing} onRefresh={handleRefresh} />}
+      >
+        <Typography variant="title" style={styles.courseName}>
+          {history?.course?.name || courseName || "Course"}
+        </Typography>
+
+        {tees.length > 1 && (
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipRow}>
+            <FilterChip label="All Tees" selected={!teeName} onPress={() => setTeeName(null)} />
+            {tees.map(tee => (
+              <FilterChip key={tee} label={tee} selected={teeName === tee} onPress={() => setTeeName(tee)} />
+            ))}
+          </ScrollView>
+        )}
+
+        {loading ? (
+          <ActivityIndicator size="large" color={theme.colors.primary} style={styles.loading} />
+        ) : !stats || stats.roundCount === 0 ? (
+          <View style={styles.emptyState}>
+            <Typography variant="body" align="center">
+              No completed rounds at this course{teeName ? ` from the ${teeName} tees` : ""}.
+            </Typography>
+            <Typography variant="caption" align="center" style={styles.noteText}>
+              Finish a round here to start building your course history.
+            </Typography>
+          </View>
+        ) : (
+          <>
+            {/* Scoring summary */}
+            <Card style={styles.card}>
+              <View style={styles.summaryRow}>
+                {renderSummaryStat("Rounds", `${stats.roundCount}`)}
+                {renderSummaryStat("Average", stats.scoringAverage !== null ? stats.scoringAverage.toFixed(1) : "-")}
+                {renderRoundStat("Best", stats.bestRound)}
+                {renderRoundStat("Worst", stats.worstRound)}
+              </View>
+              {stats.fullRoundCount < stats.roundCount && (
+                <Typography variant="caption" italic style={styles.noteText}>
+                  Scoring average, best and worst use full rounds only ({stats.fullRoundCount} of {stats.roundCount}).
+                </Typography>
+              )}
+            </Card>
+
+            {/* Nemesis holes */}
+            {nemesisHoles.length > 0 && (
+              <Card style={styles.card}>
+                <Typography variant="subtitle" style={styles.cardTitle}>Nemesis Holes</Typography>
+                {nemesisHoles.map(hole => (
+                  <Typography key={hole.number} variant="body">
+                    Hole {hole.number} (Par {hole.par}): {formatToPar(hole.averageToPar)} per play over {hole.plays} rounds
+                  </Typography>
+                ))}
+              </Card>
+            )}
+
+            {/* Hole by hole */}
+            <Card style={styles.card}>
+              <Typography variant="subtitle" style={styles.cardTitle}>Hole by Hole</Typography>
+              {stats.holes.map(renderHole)}
+            </Card>
+          </>
+        )}
+      </ScrollView>
+    </Layout>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    padding: theme.spacing.medium,
+  },
+  courseName: {
+    marginBottom: theme.spacing.small,
+  },
+  loading: {
+    marginTop: 40,
+  },
+  emptyState: {
+    marginTop: 40,
+    paddingHorizontal: theme.spacing.large,
+  },
+  chipRow: {
+    flexGrow: 0,
+    marginBottom: theme.spacing.small,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: "#f0f0f0",
+    marginRight: 8,
+  },
+  selectedChip: {
+    backgroundColor: theme.colors.primary,
+  },
+  card: {
+    marginBottom: theme.spacing.medium,
+  },
+  cardTitle: {
+    marginBottom: theme.spacing.small,
+  },
+  summaryRow: {
+    flexDirection: "row",
+    justifyContent: "space-around",
+  },
+  summaryStat: {
+    alignItems: "center",
+    flex: 1,
+  },
+  holeRow: {
+    paddingVertical: theme.spacing.small,
+    paddingHorizontal: theme.spacing.small,
+    borderTopWidth: 1,
+    borderTopColor: "#f0f0f0",
+  },
+  nemesisRow: {
+    backgroundColor: "#fdecea",
+    borderRadius: 6,
+  },
+  holeHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+  },
+  holeStats: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    marginTop: 4,
+  },
+  holeStat: {
+    alignItems: "center",
+    flex: 1,
+  },
+  recentRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    marginTop: 4,
+  },
+  noteText: {
+    marginTop: 4,
+    color: theme.colors.secondary,
+  },
+});
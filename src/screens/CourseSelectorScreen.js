@@ -31,6 +31,25 @@ import { getAllCourses, searchCourses, getRecentCourses, getCourseById, ensureCo
 import Typography from "../ui/components/Typography";
 import SkeletonCourseCard from "../components/SkeletonCourseCard";
 import { AuthContext } from "../context/AuthContext";
+import { getHandicapIndex } from "../services/handicapService";
+import { getRecentLinkedPlayers, MAX_GROUP_SIZE } from "../services/groupRoundService";
+import AddPlayerSheet from "../components/AddPlayerSheet";
+import {
+  SCORING_FORMAT_DETAILS,
+  DEFAULT_SCORING_FORMAT,
+  STROKE_INDEX_SETS,
+  getScoringFormat,
+  getTeeCourseHandicap
+} from "../../supabase/functions/_shared/scoringFormats";
+import {
+  HOLE_RANGES,
+  HOLE_RANGE_LABELS,
+  getCourseHoleCount,
+  getAvailableHoleRanges,
+  getHoleRangeSettings,
+  buildHoleSequence,
+  describeHoleSequence
+} from "../../supabase/functions/_shared/holeRange";
 
 /**
  * CourseSelectorScreen Component
@@ -49,6 +68,21 @@ export default function CourseSelectorScreen({ navigation }) {
   const [selectedCourse, setSelectedCourse] = useState(null);
   const [selectedTeeId, setSelectedTeeId] = useState(null);
   
+  // Scoring format state
+  const [scoringFormat, setScoringFormat] = useState(DEFAULT_SCORING_FORMAT);
+  const [strokeIndexSet, setStrokeIndexSet] = useState(STROKE_INDEX_SETS.MEN);
+  const [handicapIndex, setHandicapIndex] = useState(null);
+  
+  // Hole range state - a preset, or a custom start hole and length
+  const [holeRange, setHoleRange] = useState(HOLE_RANGES.FULL);
+  const [customStartHole, setCustomStartHole] = useState(1);
+  const [customHoleCount, setCustomHoleCount] = useState(9);
+  
+  // Group round state - the other players, not including the scorer
+  const [groupPlayers, setGroupPlayers] = useState([]);
+  const [recentPlayers, setRecentPlayers] = useState([]);
+  const [showAddPlayer, setShowAddPlayer] = useState(false);
+  
   // Loading states
   const [isLoadingAll, setIsLoadingAll] = useState(true);
   const [isLoadingRecent, setIsLoadingRecent] = useState(true);
@@ -103,6 +137,20 @@ export default function CourseSelectorScreen({ navigation }) {
     loadRecentCourses();
   }, [user]);
   
+  // Load the player's handicap index for net formats
+  useEffect(() => {
+    if (!user) return;
+    
+    getHandicapIndex(user.id).then(setHandicapIndex);
+  }, [user]);
+  
+  // Load linked players from recent group rounds for quick adding
+  useEffect(() => {
+    if (!user) return;
+    
+    getRecentLinkedPlayers(user.id).then(setRecentPlayers);
+  }, [user]);
+  
   // Load all courses as a fallback when component mounts
   useEffect(() => {
     const loadAllCourses = async () => {
@@ -156,6 +204,8 @@ export default function CourseSelectorScreen({ navigation }) {
   const handleCourseSelect = async (course) => {
     setSelectedCourse(course);
     setSelectedTeeId(null); // Reset tee selection
+    setHoleRange(getAvailableHoleRanges(getCourseHoleCount(course))[0]);
+    setCustomStartHole(1);
     
     // If there's only one tee, select it automatically
     if (course.tees && course.tees.length === 1) {
@@ -223,9 +273,32 @@ export default function CourseSelectorScreen({ navigation }) {
         courseName: selectedCourse.name,
         teeId: selectedTeeId,
         teeName: selectedTee.name,
+        holes: holeSequence,
         hasPoi: selectedCourse.poi ? "Yes" : "No"
       });
       
+      // Fix the course handicap for the round from the tee's ratings
+      // (search results don't include hole data, so load it when missing)
+      let courseHoles = selectedCourse.holes;
+      const anyHandicap = handicapIndex !== null || groupPlayers.some(player => player.handicapIndex !== null);
+      if (!courseHoles && anyHandicap) {
+        const detailedCourse = await getCourseById(selectedCourse.id);
+        courseHoles = detailedCourse?.holes;
+      }
+      const courseHandicap = getTeeCourseHandicap(
+        handicapIndex,
+        selectedTee,
+        courseHoles,
+        strokeIndexSet,
+        holeSequence
+      );
+      
+      // Everyone in the group plays off their own course handicap from the same tee
+      const players = groupPlayers.map(player => ({
+        ...player,
+        courseHandicap: getTeeCourseHandicap(player.handicapIndex, selectedTee, courseHoles, strokeIndexSet, holeSequence)
+      }));
+      
       // Pre-load POI data if needed - optimization for better in-round experience
       let courseWithPoi = selectedCourse;
       if (!selectedCourse.poi && selectedCourse.id) {
@@ -248,6 +321,13 @@ export default function CourseSelectorScreen({ navigation }) {
         teeId: selectedTeeId,
         teeName: selectedTee.name,
         teeColor: selectedTee.color,
+        scoringFormat,
+        courseHandicap,
+        strokeIndexSet,
+        numHoles: courseHoleCount,
+        startHole: holeSequence[0],
+        holeCount: holeSequence.length,
+        players,
         poi: courseWithPoi.poi || [] // Include POI data if available
       }));
       
@@ -320,6 +400,87 @@ export default function CourseSelectorScreen({ navigation }) {
     </TouchableOpacity>
   );
   
+  /**
+   * Render a scoring format option
+   */
+  const renderFormatOption = (format) => {
+    const selected = scoringFormat === format.id;
+    return (
+      <TouchableOpacity
+        key={format.id}
+        style={[styles.formatOption, selected && styles.selectedFormatOption]}
+        onPress={() => setScoringFormat(format.id)}
+      >
+        <Typography
+          variant="caption"
+          weight={selected ? "semibold" : "normal"}
+          color={selected ? "#FFFFFF" : theme.colors.text}
+        >
+          {format.label}
+        </Typography>
+      </TouchableOpacity>
+    );
+  };
+  
+  /**
+   * Add a guest or linked player to the group
+   */
+  const handleAddPlayer = (player) => {
+    setGroupPlayers(prev => [...prev, player].slice(0, MAX_GROUP_SIZE - 1));
+  };
+  
+  /**
+   * Remove a player from the group
+   */
+  const handleRemovePlayer = (index) => {
+    setGroupPlayers(prev => prev.filter((_, i) => i !== index));
+  };
+  
+  /**
+   * Render a hole range option
+   */
+  const renderHoleRangeOption = (range) => {
+    const selected = activeHoleRange === range;
+    return (
+      <TouchableOpacity
+        key={range}
+        style={[styles.formatOption, selected && styles.selectedFormatOption]}
+        onPress={() => setHoleRange(range)}
+      >
+        <Typography
+          variant="caption"
+          weight={selected ? "semibold" : "normal"}
+          color={selected ? "#FFFFFF" : theme.colors.text}
+        >
+          {HOLE_RANGE_LABELS[range]}
+        </Typography>
+      </TouchableOpacity>
+    );
+  };
+  
+  // Holes to be played, in order
+  const courseHoleCount = getCourseHoleCount(selectedCourse);
+  const availableHoleRanges = getAvailableHoleRanges(courseHoleCount);
+  const activeHoleRange = availableHoleRanges.includes(holeRange) ? holeRange : availableHoleRanges[0];
+  const rangeSettings = getHoleRangeSettings(activeHoleRange, courseHoleCount) ||
+    { startHole: customStartHole, holeCount: customHoleCount };
+  const holeSequence = buildHoleSequence(rangeSettings.startHole, rangeSettings.holeCount, courseHoleCount);
+  const customHoleCounts = [9, 18].filter(count => count <= courseHoleCount);
+  
+  /**
+   * Move the custom start hole, wrapping around the course
+   */
+  const stepStartHole = (step) => {
+    setCustomStartHole(prev => ((prev - 1 + step + courseHoleCount) % courseHoleCount) + 1);
+  };
+  
+  // Course handicap preview for the selected tee and format
+  const selectedFormat = getScoringFormat(scoringFormat);
+  const selectedTee = selectedCourse?.tees?.find(tee => tee.id === selectedTeeId);
+  const previewCourseHandicap = selectedTee
+    ? getTeeCourseHandicap(handicapIndex, selectedTee, selectedCourse.holes, strokeIndexSet, holeSequence)
+    : null;
+  
   // Determine which courses to display based on search and recent courses
   let displayCourses = [];
   let isLoading = false;
@@ -420,9 +581,24 @@ export default function CourseSelectorScreen({ navigation }) {
         {/* Tee Selection with Loading Indicator */}
         {selectedCourse && (
           <View style={styles.teeSelectionContainer}>
-            <Typography variant="subtitle" style={styles.teeSelectionTitle}>
-              Select Tee
-            </Typography>
+            <View style={styles.teeSelectionHeader}>
+              <Typography variant="subtitle" style={styles.teeSelectionTitle}>
+                Select Tee
+              </Typography>
+              
+              {/* The player's history at this course */}
+              <TouchableOpacity
+                onPress={() => navigation.navigate("CourseDetail", {
+                  courseId: selectedCourse.id,
+                  courseName: selectedCourse.name,
+                  teeName: selectedTee?.name || null
+                })}
+              >
+                <Typography variant="body" color={theme.colors.primary}>
+                  Course Stats
+                </Typography>
+              </TouchableOpacity>
+            </View>
             
             {isLoadingCourseDetails ? (
               <View style={styles.teeLoadingContainer}>
@@ -442,6 +618,131 @@ export default function CourseSelectorScreen({ navigation }) {
                 )}
               </View>
             )}
+            
+            {/* Holes to play */}
+            <Typography variant="subtitle" style={styles.teeSelectionTitle}>
+              Holes
+            </Typography>
+            <View style={styles.formatList}>
+              {availableHoleRanges.map(renderHoleRangeOption)}
+            </View>
+            
+            {activeHoleRange === HOLE_RANGES.CUSTOM && (
+              <View style={styles.handicapRow}>
+                <View style={styles.startHoleStepper}>
+                  <TouchableOpacity
+                    onPress={() => stepStartHole(-1)}
+                    hitSlop={{ top: 8, right: 8, bottom: 8, left: 8 }}
+                  >
+                    <Ionicons name="remove-circle-outline" size={22} color={theme.colors.primary} />
+                  </TouchableOpacity>
+                  <Typography variant="caption" weight="semibold" style={styles.startHoleText}>
+                    Start on {customStartHole}
+                  </Typography>
+                  <TouchableOpacity
+                    onPress={() => stepStartHole(1)}
+                    hitSlop={{ top: 8, right: 8, bottom: 8, left: 8 }}
+                  >
+                    <Ionicons name="add-circle-outline" size={22} color={theme.colors.primary} />
+                  </TouchableOpacity>
+                </View>
+                
+                <View style={styles.indexSetToggle}>
+                  {customHoleCounts.map(count => (
+                    <TouchableOpacity
+                      key={count}
+                      style={[styles.indexSetOption, customHoleCount === count && styles.selectedFormatOption]}
+                      onPress={() => setCustomHoleCount(count)}
+                    >
+                      <Typography
+                        variant="caption"
+                        color={customHoleCount === count ? "#FFFFFF" : theme.colors.text}
+                      >
+                        {count} holes
+                      </Typography>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              </View>
+            )}
+            
+            <Typography variant="caption" style={styles.holeRangeText}>
+              {describeHoleSequence(holeSequence)}
+            </Typography>
+            
+            {/* Scoring format */}
+            <Typography variant="subtitle" style={styles.teeSelectionTitle}>
+              Scoring Format
+            </Typography>
+            <View style={styles.formatList}>
+              {Object.values(SCORING_FORMAT_DETAILS).map(renderFormatOption)}
+            </View>
+            
+            {selectedFormat.usesHandicap && (
+              <View style={styles.handicapRow}>
+                {/* Which hole indexes handicap strokes are allocated from */}
+                <View style={styles.indexSetToggle}>
+                  {[STROKE_INDEX_SETS.MEN, STROKE_INDEX_SETS.WOMEN].map(set => (
+                    <TouchableOpacity
+                      key={set}
+                      style={[styles.indexSetOption, strokeIndexSet === set && styles.selectedFormatOption]}
+                      onPress={() => setStrokeIndexSet(set)}
+                    >
+                      <Typography
+                        variant="caption"
+                        color={strokeIndexSet === set ? "#FFFFFF" : theme.colors.text}
+                      >
+                        {set === STROKE_INDEX_SETS.MEN ? "Men's index" : "Women's index"}
+                      </Typography>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+                
+                <Typography variant="caption" style={styles.handicapText}>
+                  {handicapIndex === null
+                    ? "Set your handicap on your profile to receive strokes"
+                    : previewCourseHandicap !== null
+                      ? `Course handicap ${previewCourseHandicap}`
+                      : `Handicap index ${handicapIndex}`}
+                </Typography>
+              </View>
+            )}
+            
+            {/* Group - the scorer plus up to three more players */}
+            <Typography variant="subtitle" style={styles.teeSelectionTitle}>
+              Players
+            </Typography>
+            <View style={styles.formatList}>
+              <View style={[styles.formatOption, styles.selectedFormatOption]}>
+                <Typography variant="caption" weight="semibold" color="#FFFFFF">You</Typography>
+              </View>
+              {groupPlayers.map((player, index) => (
+                <TouchableOpacity
+                  key={`${player.profileId || "guest"}-${index}`}
+                  style={[styles.formatOption, styles.playerChip]}
+                  onPress={() => handleRemovePlayer(index)}
+                >
+                  <Ionicons
+                    name={player.profileId ? "person" : "person-outline"}
+                    size={12}
+                    color={theme.colors.text}
+                  />
+                  <Typography variant="caption" style={styles.playerChipText}>
+                    {player.displayName}
+                  </Typography>
+                  <Ionicons name="close" size={12} color="#999" />
+                </TouchableOpacity>
+              ))}
+              {groupPlayers.length < MAX_GROUP_SIZE - 1 && (
+                <TouchableOpacity
+                  style={[styles.formatOption, styles.playerChip]}
+                  onPress={() => setShowAddPlayer(true)}
+                >
+                  <Ionicons name="add" size={14} color={theme.colors.primary} />
+                  <Typography variant="caption" color={theme.colors.primary}>Add Player</Typography>
+                </TouchableOpacity>
+              )}
+            </View>
           </View>
         )}
         
@@ -462,6 +763,14 @@ export default function CourseSelectorScreen({ navigation }) {
             Start Round
           </Typography>
         </TouchableOpacity>
+        
+        <AddPlayerSheet
+          visible={showAddPlayer}
+          recentPlayers={recentPlayers}
+          excludeProfileIds={groupPlayers.map(player => player.profileId).filter(Boolean)}
+          onAddPlayer={handleAddPlayer}
+          onClose={() => setShowAddPlayer(false)}
+        />
       </SafeAreaView>
     </Layout>
   );
@@ -564,6 +873,11 @@ const styles = StyleSheet.create({
     marginTop: 16,
     marginBottom: 16,
   },
+  teeSelectionHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "baseline",
+  },
   teeSelectionTitle: {
     marginBottom: 8,
   },
@@ -607,6 +921,61 @@ const styles = StyleSheet.create({
     textAlign: "center",
     padding: 8,
   },
+  formatList: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    marginBottom: 8,
+  },
+  formatOption: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 14,
+    backgroundColor: "#f0f0f0",
+    marginRight: 8,
+    marginBottom: 6,
+  },
+  selectedFormatOption: {
+    backgroundColor: theme.colors.primary,
+  },
+  playerChip: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  playerChipText: {
+    marginHorizontal: 4,
+  },
+  handicapRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+  },
+  indexSetToggle: {
+    flexDirection: "row",
+    borderRadius: 14,
+    overflow: "hidden",
+    backgroundColor: "#f0f0f0",
+  },
+  indexSetOption: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+  },
+  handicapText: {
+    flex: 1,
+    marginLeft: 8,
+    textAlign: "right",
+    color: "#666",
+  },
+  startHoleStepper: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  startHoleText: {
+    marginHorizontal: 8,
+  },
+  holeRangeText: {
+    color: "#666",
+    marginBottom: 8,
+  },
   teeLoadingContainer: {
     alignItems: 'center',
     justifyContent: 'center',
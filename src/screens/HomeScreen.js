@@ -1,6 +1,7 @@
 // src/screens/HomeScreen.js
-import React, { useState, useEffect, useContext } from "react";
-import { View, ActivityIndicator, StyleSheet, ScrollView } from "react-native";
+import React, { useState, useEffect, useContext, useCallback } from "react";
+import { View, ActivityIndicator, StyleSheet, ScrollView, Alert } from "react-native";
+import { useFocusEffect } from "@react-navigation/native";
 import AsyncStorage from "@react-native-async-storage/async-storage";
 import Layout from "../ui/Layout";
 import theme from "../ui/theme";
@@ -8,16 +9,25 @@ import { supabase } from "../services/supabase";
 import { AuthContext } from "../context/AuthContext";
 import InsightCard from "../components/InsightCard"; // New component
 import RoundSummaryCard from "../components/RoundSummaryCard";
+import GroupRequestsCard from "../components/GroupRequestsCard";
 import { getLatestInsights } from "../services/insightsService";
+import { getInProgressRound, deleteAbandonedRound } from "../services/roundservice";
+import { getCourseById } from "../services/courseService";
+import { clearRoundSync, getPendingCount } from "../services/syncQueue";
+import { getGroupRequests, respondToPlayerLink, respondToGroupRound } from "../services/groupRoundService";
+import { refreshHandicap } from "../services/handicapService";
 import Typography from "../ui/components/Typography";
 import Button from "../ui/components/Button";
 import Card from "../ui/components/Card";
+import { getCourseHoleCount } from "../../supabase/functions/_shared/holeRange";
 
 /**
  * HomeScreen Component
  * 
  * This screen shows the insights summary card, "Start New Round" button 
  * and displays cards for recent completed rounds.
+ * A paused round is shown above the button so it can be resumed or discarded.
+ * Link invites and group rounds scored by other players wait there to be accepted.
  * Enhanced with design system components for visual consistency.
  */
 export default function HomeScreen({ navigation }) {
@@ -29,6 +39,13 @@ export default function HomeScreen({ navigation }) {
   const [insightsSummary, setInsightsSummary] = useState(null);
   const [insightsLoading, setInsightsLoading] = useState(true);
   
+  // Paused round waiting to be resumed (local copy first, then server)
+  const [inProgressRound, setInProgressRound] = useState(null);
+  
+  // Link invites and group rounds waiting on the player's answer
+  const [groupRequests, setGroupRequests] = useState({ linkRequests: [], pendingRounds: [] });
+  const [answeringRequestId, setAnsweringRequestId] = useState(null);
+  
   // Determine premium status for conversion opportunities
   const hasPremiumAccess = hasPermission("product_a");
 
@@ -50,7 +67,9 @@ export default function HomeScreen({ navigation }) {
             created_at,
             score,
             gross_shots,
-            is_complete
+            is_complete,
+            format_result,
+            selected_tee_name
           `)
           .eq("profile_id", user.id)
           .eq("is_complete", true) // Only get completed rounds
@@ -86,10 +105,13 @@ export default function HomeScreen({ navigation }) {
           const formattedRounds = data.map(round => ({
             id: round.id,
             date: round.created_at,
+            courseId: round.course_id,
+            teeName: round.selected_tee_name,
             courseName: coursesById[round.course_id] ? coursesById[round.course_id].name : "Unknown Course",
             score: round.score,
             grossShots: round.gross_shots,
-            isComplete: round.is_complete
+            isComplete: round.is_complete,
+            formatResult: round.format_result
           }));
           
           setRecentRounds(formattedRounds);
@@ -106,6 +128,233 @@ export default function HomeScreen({ navigation }) {
     fetchRecentRounds();
   }, [user]);
 
+  /**
+   * Find a paused round to offer on the home screen
+   * Prefers the copy on this device; falls back to an incomplete round on the server.
+   */
+  const loadInProgressRound = useCallback(async () => {
+    if (!user) return;
+    
+    try {
+      const storedRoundStr = await AsyncStorage.getItem("currentRound");
+      
+      if (storedRoundStr) {
+        const storedRound = JSON.parse(storedRoundStr);
+        const storedCourseStr = await AsyncStorage.getItem("selectedCourse");
+        const storedCourse = storedCourseStr ? JSON.parse(storedCourseStr) : null;
+        
+        // Count holes with at least one shot recorded
+        const storedHolesStr = await AsyncStorage.getItem(`round_${storedRound.id}_holes`);
+        const storedHoles = storedHolesStr ? JSON.parse(storedHolesStr) : {};
+        const holesPlayed = Object.values(storedHoles).filter(hole => hole?.shots?.length > 0).length;
+        
+        setInProgressRound({
+          round: storedRound,
+          courseName: storedCourse?.id === storedRound.course_id ? storedCourse.name : "Unknown Course",
+          holesPlayed,
+          lastHole: storedRound.last_hole || 1,
+          isLocal: true
+        });
+        return;
+      }
+      
+      // Nothing on this device - check for a round paused elsewhere
+      const serverRound = await getInProgressRound(user.id);
+      
+      // A round finished offline stays incomplete until its queued upload runs
+      if (!serverRound || await getPendingCount(serverRound.id) > 0) {
+        setInProgressRound(null);
+        return;
+      }
+      
+      const { data: courseData, error } = await supabase
+        .from("courses")
+        .select("id, name")
+        .eq("id", serverRound.course_id)
+        .single();
+        
+      if (error) {
+        console.error("Error fetching course for in-progress round:", error);
+      }
+      
+      setInProgressRound({
+        round: serverRound,
+        courseName: courseData?.name || "Unknown Course",
+        holesPlayed: serverRound.holes_played,
+        lastHole: serverRound.last_hole,
+        isLocal: false
+      });
+    } catch (error) {
+      console.error("Error loading in-progress round:", error);
+      setInProgressRound(null);
+    }
+  }, [user]);
+  
+  /**
+   * Load the requests other players are waiting on
+   */
+  const loadGroupRequests = useCallback(async () => {
+    if (!user) return;
+    setGroupRequests(await getGroupRequests());
+  }, [user]);
+  
+  // Re-check for a paused round and group requests whenever the screen regains focus
+  useFocusEffect(
+    useCallback(() => {
+      loadInProgressRound();
+      loadGroupRequests();
+    }, [loadInProgressRound, loadGroupRequests])
+  );
+  
+  /**
+   * Accept or decline an invite to link accounts
+   */
+  const handleRespondLink = async (linkId, accept) => {
+    try {
+      setAnsweringRequestId(linkId);
+      await respondToPlayerLink(linkId, accept);
+      await loadGroupRequests();
+    } catch (error) {
+      console.error("Error answering link invite:", error);
+      Alert.alert("Error", "Couldn't answer the invite. Please try again.");
+    } finally {
+      setAnsweringRequestId(null);
+    }
+  };
+  
+  /**
+   * Accept or decline a round another player scored for this player
+   * An accepted round counts towards the handicap index straight away.
+   */
+  const handleRespondRound = async (roundPlayerId, accept) => {
+    try {
+      setAnsweringRequestId(roundPlayerId);
+      await respondToGroupRound(roundPlayerId, accept);
+      await loadGroupRequests();
+      
+      if (accept) {
+        refreshHandicap(user.id).catch(err => {
+          console.error("Error refreshing handicap:", err);
+        });
+      }
+    } catch (error) {
+      console.error("Error answering group round:", error);
+      Alert.alert("Error", "Couldn't answer the group round. Please try again.");
+    } finally {
+      setAnsweringRequestId(null);
+    }
+  };
+  
+  /**
+   * Reopen the tracker on the last hole played
+   */
+  const resumeRound = async () => {
+    if (!inProgressRound) return;
+    
+    const { round, lastHole, isLocal } = inProgressRound;
+    
+    try {
+      // A course picked for a new round since this one was paused has
+      // replaced the stored course, so it's rebuilt from the round as well
+      const storedCourseStr = await AsyncStorage.getItem("selectedCourse");
+      const storedCourse = storedCourseStr ? JSON.parse(storedCourseStr) : null;
+      
+      if (!isLocal || storedCourse?.id !== round.course_id) {
+        // Rebuild the local course state the tracker expects
+        const course = await getCourseById(round.course_id);
+        
+        if (!course) {
+          Alert.alert("Error", "Couldn't load the course for this round. Please try again.");
+          return;
+        }
+        
+        const tee = course.tees?.find(t => t.id === round.selected_tee_id);
+        
+        await AsyncStorage.setItem("selectedCourse", JSON.stringify({
+          id: course.id,
+          name: course.name,
+          club_name: course.club_name || "",
+          location: course.location || "",
+          teeId: round.selected_tee_id,
+          teeName: round.selected_tee_name,
+          teeColor: tee?.color,
+          numHoles: getCourseHoleCount(course),
+          poi: course.poi || []
+        }));
+      }
+      
+      if (!isLocal) {
+        await AsyncStorage.setItem("currentRound", JSON.stringify({ ...round, last_hole: lastHole }));
+      }
+      
+      navigation.navigate("Tracker", { resumeRoundId: round.id });
+    } catch (error) {
+      console.error("Error resuming round:", error);
+      Alert.alert("Error", "There was a problem resuming your round. Please try again.");
+    }
+  };
+  
+  /**
+   * Permanently delete the paused round and its local data
+   */
+  const discardInProgressRound = async () => {
+    if (!inProgressRound) return;
+    
+    const roundId = inProgressRound.round.id;
+    
+    try {
+      await deleteAbandonedRound(roundId);
+      
+      // Clean up AsyncStorage and anything still queued for upload
+      await AsyncStorage.removeItem(`round_${roundId}_holes`);
+      await AsyncStorage.removeItem("currentRound");
+      await clearRoundSync(roundId);
+      
+      console.log("Paused round discarded:", roundId);
+    } catch (error) {
+      console.error("Error discarding round:", error);
+    } finally {
+      setInProgressRound(null);
+    }
+  };
+  
+  // Confirm before throwing away a paused round
+  const confirmDiscardRound = () => {
+    Alert.alert(
+      "Discard Round?",
+      "This round and all of its shots will be permanently deleted.",
+      [
+        { text: "Cancel", style: "cancel" },
+        { text: "Discard", style: "destructive", onPress: discardInProgressRound }
+      ]
+    );
+  };
+  
+  // Starting a new round while one is paused asks what to do with it first
+  const handleStartNewRound = () => {
+    if (!inProgressRound) {
+      navigation.navigate("CourseSelector");
+      return;
+    }
+    
+    Alert.alert(
+      "Round In Progress",
+      `You have a paused round at ${inProgressRound.courseName}. Resume it or discard it to start a new one.`,
+      [
+        { text: "Cancel", style: "cancel" },
+        { text: "Resume", onPress: resumeRound },
+        { 
+          text: "Discard & Start New", 
+          style: "destructive",
+          onPress: async () => {
+            await discardInProgressRound();
+            navigation.navigate("CourseSelector");
+          }
+        }
+      ]
+    );
+  };
+
   // Fetch insights summary - monetization content
   useEffect(() => {
     async function fetchInsightsSummary() {
@@ -153,6 +402,15 @@ export default function HomeScreen({ navigation }) {
     navigation.navigate("ScorecardScreen", { roundId });
   };
 
+  // Handle navigation to the course's stats
+  const handleCoursePress = (round) => {
+    navigation.navigate("CourseDetail", {
+      courseId: round.courseId,
+      courseName: round.courseName,
+      teeName: round.teeName
+    });
+  };
+
   return (
     <Layout>
       <ScrollView 
@@ -174,11 +432,52 @@ export default function HomeScreen({ navigation }) {
             ctaAction={() => navigation.navigate("Subscription")}
           />
           
+          {/* In-progress round - resume where the player paused */}
+          {inProgressRound && (
+            <Card style={styles.inProgressCard}>
+              <Typography variant="subtitle">In-progress round</Typography>
+              <Typography variant="body" style={styles.inProgressCourse}>
+                {inProgressRound.courseName}
+              </Typography>
+              <Typography variant="secondary">
+                {inProgressRound.holesPlayed} {inProgressRound.holesPlayed === 1 ? "hole" : "holes"} played • Paused on hole {inProgressRound.lastHole}
+              </Typography>
+              
+              <View style={styles.inProgressActions}>
+                <Button
+                  variant="outline"
+                  size="small"
+                  onPress={confirmDiscardRound}
+                  style={styles.inProgressButton}
+                >
+                  Discard
+                </Button>
+                <Button
+                  variant="primary"
+                  size="small"
+                  onPress={resumeRound}
+                  style={styles.inProgressButton}
+                >
+                  Resume
+                </Button>
+              </View>
+            </Card>
+          )}
+          
+          {/* Link invites and rounds scored by other players */}
+          <GroupRequestsCard
+            linkRequests={groupRequests.linkRequests}
+            pendingRounds={groupRequests.pendingRounds}
+            busyId={answeringRequestId}
+            onRespondLink={handleRespondLink}
+            onRespondRound={handleRespondRound}
+          />
+          
           {/* Start New Round button */}
           <Button
             variant="primary"
             size="large"
-            onPress={() => navigation.navigate("CourseSelector")}
+            onPress={handleStartNewRound}
             style={styles.primaryButton}
           >
             Start New Round
@@ -202,6 +501,7 @@ export default function HomeScreen({ navigation }) {
                     key={round.id}
                     round={round} 
                     onPress={() => handleRoundPress(round.id)}
+                    onCoursePress={() => handleCoursePress(round)}
                   />
                 ))}
               </View>
@@ -231,6 +531,21 @@ const styles = StyleSheet.create({
     alignItems: "center",
     padding: theme.spacing.medium,
   },
+  inProgressCard: {
+    width: "100%",
+    marginTop: theme.spacing.medium,
+  },
+  inProgressCourse: {
+    marginTop: theme.spacing.small,
+  },
+  inProgressActions: {
+    flexDirection: "row",
+    justifyContent: "flex-end",
+    marginTop: theme.spacing.medium,
+  },
+  inProgressButton: {
+    marginLeft: theme.spacing.small,
+  },
   primaryButton: {
     marginVertical: theme.spacing.medium,
     minWidth: 200,
@@ -248,4 +563,4 @@ const styles = StyleSheet.create({
   emptyStateCard: {
     padding: theme.spacing.medium,
   }
-});
\ No newline at end of file
+});
\ No newline at end of file
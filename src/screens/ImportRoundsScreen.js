@@ -0,0 +1,332 @@
+// src/screens/ImportRoundsScreen.js
+import React, { useState, useContext } from "react";
+import {
+  View,
+  ScrollView,
+  StyleSheet,
+  TextInput,
+  TouchableOpacity,
+  Switch,
+  Alert,
+  ActivityIndicator
+} from "react-native";
+import Layout from "../ui/Layout";
+import theme from "../ui/theme";
+import Typography from "../ui/components/Typography";
+import Button from "../ui/components/Button";
+import Card from "../ui/components/Card";
+import { AuthContext } from "../context/AuthContext";
+import { searchCourses } from "../services/courseService";
+import { pickImportFile, matchImportCourses, importRounds } from "../services/importService";
+import { IMPORT_CSV_COLUMNS } from "../../supabase/functions/_shared/roundImport";
+
+// Parse errors listed before the rest are summarised
+const MAX_ERRORS_SHOWN = 5;
+
+/**
+ * ImportRoundsScreen Component
+ * 
+ * Imports rounds from a CSV or JSON file. After the file is read each
+ * course name is matched to a course; the player can change any match and
+ * leave rounds out before the rounds are written.
+ */
+export default function ImportRoundsScreen({ navigation }) {
+  const { user } = useContext(AuthContext);
+  
+  const [parsed, setParsed] = useState(null);          // { fileName, rounds, errors }
+  const [matches, setMatches] = useState({});          // Course name -> { course, candidates }
+  const [excluded, setExcluded] = useState([]);        // Keys of rounds left out
+  const [loading, setLoading] = useState(false);
+  const [importing, setImporting] = useState(false);
+  
+  // Course search for fixing a match
+  const [fixingCourse, setFixingCourse] = useState(null);
+  const [searchText, setSearchText] = useState("");
+  const [searchResults, setSearchResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+  
+  const handlePickFile = async () => {
+    try {
+      setLoading(true);
+      const result = await pickImportFile();
+      if (!result) return;
+      
+      setParsed(result);
+      setExcluded([]);
+      setFixingCourse(null);
+      setMatches(await matchImportCourses(result.rounds));
+    } catch (error) {
+      console.error("Error reading import file:", error);
+      Alert.alert("Import Failed", "The file couldn't be read.");
+    } finally {
+      setLoading(false);
+    }
+  };
+  
+  const startFixing = (courseName) => {
+    setFixingCourse(courseName);
+    setSearchText(courseName);
+    setSearchResults(matches[courseName]?.candidates || []);
+  };
+  
+  const handleSearch = async () => {
+    setSearching(true);
+    setSearchResults(await searchCourses(searchText));
+    setSearching(false);
+  };
+  
+  const chooseCourse = (course) => {
+    setMatches(prev => ({
+      ...prev,
+      [fixingCourse]: { ...prev[fixingCourse], course }
+    }));
+    setFixingCourse(null);
+  };
+  
+  const toggleRound = (key, include) => {
+    setExcluded(prev => (include ? prev.filter(item => item !== key) : [...prev, key]));
+  };
+  
+  const roundsToImport = (parsed?.rounds || []).filter(
+    round => !excluded.includes(round.key) && matches[round.courseName]?.course
+  );
+  
+  const handleImport = async () => {
+    try {
+      setImporting(true);
+      const { imported, skipped } = await importRounds(user.id, roundsToImport, matches);
+      
+      Alert.alert(
+        "Import Complete",
+        `${imported} ${imported === 1 ? "round" : "rounds"} imported.` +
+          (skipped > 0 ? ` ${skipped} already imported and skipped.` : ""),
+        [{ text: "OK", onPress: () => navigation.goBack() }]
+      );
+    } catch (error) {
+      console.error("Error importing rounds:", error);
+      Alert.alert("Import Failed", "Some rounds couldn't be imported. Please try again.");
+    } finally {
+      setImporting(false);
+    }
+  };
+  
+  const renderCourseMatch = (courseName) => {
+    const course = matches[courseName]?.course;
+    
+    return (
+      <View key={courseName} style={styles.matchRow}>
+        <View style={styles.matchRowHeader}>
+          <View style={styles.matchNames}>
+            <Typography variant="body" weight="semibold">{courseName}</Typography>
+            <Typography variant="caption" color={course ? theme.colors.text : theme.colors.error}>
+              {course ? `→ ${course.name}${course.location ? `, ${course.location}` : ""}` : "No matching course found"}
+            </Typography>
+          </View>
+          <TouchableOpacity onPress={() => startFixing(courseName)}>
+            <Typography variant="caption" color={theme.colors.primary} weight="semibold">
+              Change
+            </Typography>
+          </TouchableOpacity>
+        </View>
+        
+        {fixingCourse === courseName && (
+          <View style={styles.searchContainer}>
+            <View style={styles.searchRow}>
+              <TextInput
+                style={styles.searchInput}
+                value={searchText}
+                onChangeText={setSearchText}
+                onSubmitEditing={handleSearch}
+                placeholder="Search courses"
+                returnKeyType="search"
+              />
+              {searching ? (
+                <ActivityIndicator size="small" color={theme.colors.primary} />
+              ) : (
+                <TouchableOpacity onPress={handleSearch}>
+                  <Typography variant="caption" color={theme.colors.primary} weight="semibold">
+                    Search
+                  </Typography>
+                </TouchableOpacity>
+              )}
+            </View>
+            {searchResults.map(result => (
+              <TouchableOpacity key={result.id} style={styles.searchResult} onPress={() => chooseCourse(result)}>
+                <Typography variant="body">{result.name}</Typography>
+                {result.location ? <Typography variant="caption">{result.location}</Typography> : null}
+              </TouchableOpacity>
+            ))}
+            {!searching && searchResults.length === 0 && (
+              <Typography variant="caption" italic>No courses found</Typography>
+            )}
+          </View>
+        )}
+      </View>
+    );
+  };
+  
+  const renderRound = (round) => {
+    const matched = Boolean(matches[round.courseName]?.course);
+    const gross = round.holes.reduce((total, hole) => total + hole.score, 0);
+    
+    return (
+      <View key={round.key} style={styles.roundRow}>
+        <View style={styles.matchNames}>
+          <Typography variant="body">
+            {round.date} · {round.courseName}
+          </Typography>
+          <Typography variant="caption">
+            {round.holes.length} holes · {gross} strokes{round.teeName ? ` · ${round.teeName} tees` : ""}
+            {!matched && " · needs a course"}
+          </Typography>
+        </View>
+        <Switch
+          value={matched && !excluded.includes(round.key)}
+          onValueChange={value => toggleRound(round.key, value)}
+          disabled={!matched}
+          trackColor={{ true: theme.colors.primary }}
+        />
+      </View>
+    );
+  };
+  
+  const courseNames = [...new Set((parsed?.rounds || []).map(round => round.courseName))];
+  
+  return (
+    <Layout>
+      <ScrollView contentContainerStyle={styles.container} keyboardShouldPersistTaps="handled">
+        <Card style={styles.card}>
+          <Typography variant="body">
+            Import rounds from another app or a spreadsheet as a CSV or JSON file.
+          </Typography>
+          <Typography variant="caption" style={styles.helpText}>
+            CSV files have one row per hole with the columns: {IMPORT_CSV_COLUMNS.join(", ")}.
+            par and the shot counts are optional.
+          </Typography>
+          <Button
+            variant="primary"
+            onPress={handlePickFile}
+            loading={loading}
+            disabled={loading || importing}
+            iconLeft="document-outline"
+            style={styles.button}
+          >
+            {parsed ? "Choose Another File" : "Choose File"}
+          </Button>
+        </Card>
+        
+        {parsed && !loading && (
+          <>
+            {parsed.errors.length > 0 && (
+              <Card style={styles.card}>
+                <Typography variant="subtitle" color={theme.colors.error}>
+                  {parsed.errors.length} {parsed.errors.length === 1 ? "problem" : "problems"} in {parsed.fileName}
+                </Typography>
+                {parsed.errors.slice(0, MAX_ERRORS_SHOWN).map(error => (
+                  <Typography key={error} variant="caption" style={styles.errorText}>{error}</Typography>
+                ))}
+                {parsed.errors.length > MAX_ERRORS_SHOWN && (
+                  <Typography variant="caption" italic>
+                    and {parsed.errors.length - MAX_ERRORS_SHOWN} more. These rows are left out.
+                  </Typography>
+                )}
+              </Card>
+            )}
+            
+            {parsed.rounds.length > 0 ? (
+              <>
+                <Card style={styles.card}>
+                  <Typography variant="subtitle" style={styles.sectionTitle}>Courses</Typography>
+                  {courseNames.map(renderCourseMatch)}
+                </Card>
+                
+                <Card style={styles.card}>
+                  <Typography variant="subtitle" style={styles.sectionTitle}>Rounds</Typography>
+                  {parsed.rounds.map(renderRound)}
+                </Card>
+                
+                <Button
+                  variant="primary"
+                  fullWidth
+                  onPress={handleImport}
+                  loading={importing}
+                  disabled={importing || roundsToImport.length === 0}
+                >
+                  {`Import ${roundsToImport.length} ${roundsToImport.length === 1 ? "Round" : "Rounds"}`}
+                </Button>
+              </>
+            ) : (
+              <Typography variant="body" align="center" style={styles.helpText}>
+                No rounds found in {parsed.fileName}.
+              </Typography>
+            )}
+          </>
+        )}
+      </ScrollView>
+    </Layout>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    padding: theme.spacing.medium,
+  },
+  card: {
+    marginBottom: theme.spacing.medium,
+  },
+  sectionTitle: {
+    marginBottom: theme.spacing.small,
+  },
+  helpText: {
+    marginTop: theme.spacing.small,
+    color: theme.colors.secondary,
+  },
+  button: {
+    marginTop: theme.spacing.medium,
+  },
+  errorText: {
+    marginTop: 4,
+  },
+  matchRow: {
+    paddingVertical: theme.spacing.small,
+    borderBottomWidth: 1,
+    borderBottomColor: "#f0f0f0",
+  },
+  matchRowHeader: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  matchNames: {
+    flex: 1,
+    marginRight: theme.spacing.small,
+  },
+  searchContainer: {
+    marginTop: theme.spacing.small,
+  },
+  searchRow: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  searchInput: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: "#ddd",
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    fontSize: 16,
+    marginRight: theme.spacing.small,
+  },
+  searchResult: {
+    paddingVertical: theme.spacing.small,
+    borderBottomWidth: 1,
+    borderBottomColor: "#f5f5f5",
+  },
+  roundRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: theme.spacing.small,
+    borderBottomWidth: 1,
+    borderBottomColor: "#f0f0f0",
+  },
+});
@@ -6,13 +6,20 @@ import theme from "../ui/theme";
 import { AuthContext } from "../context/AuthContext";
 import { getLatestInsights } from "../services/insightsService";
 import InsightCard from "../components/InsightCard"; 
+import StrokesGainedCard from "../components/StrokesGainedCard";
 import Typography from "../ui/components/Typography";
+import { 
+  getRecentStrokesGained, 
+  getPreferredBaseline, 
+  setPreferredBaseline 
+} from "../services/strokesGainedService";
 
 /**
  * InsightsScreen Component
  * 
  * This screen displays AI-generated insights about the user's golf game.
  * Now supports dynamic tiered insights architecture for adaptive content display.
+ * A strokes-gained card above the insights shows deterministic per-category stats.
  */
 export default function InsightsScreen({ navigation }) {
   // Get current authenticated user and premium status
@@ -24,6 +31,38 @@ export default function InsightsScreen({ navigation }) {
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [error, setError] = useState(null);
+  
+  // Strokes gained state - calculated on the device from recent rounds
+  const [strokesGained, setStrokesGained] = useState(null);
+  const [sgBaseline, setSgBaseline] = useState(null);
+  const [sgLoading, setSgLoading] = useState(true);
+
+  /**
+   * Calculate strokes gained for recent rounds against a baseline
+   */
+  const fetchStrokesGained = async (baselineId) => {
+    if (!user) return;
+    
+    try {
+      setSgLoading(true);
+      const baseline = baselineId || sgBaseline || await getPreferredBaseline();
+      setSgBaseline(baseline);
+      
+      const result = await getRecentStrokesGained(user.id, baseline);
+      setStrokesGained(result);
+    } catch (err) {
+      console.error("Error calculating strokes gained:", err);
+      setStrokesGained(null);
+    } finally {
+      setSgLoading(false);
+    }
+  };
+  
+  // Switch baseline and remember the choice
+  const handleBaselineChange = (baselineId) => {
+    setPreferredBaseline(baselineId);
+    fetchStrokesGained(baselineId);
+  };
 
   /**
    * Fetch insights data from the database
@@ -60,11 +99,13 @@ export default function InsightsScreen({ navigation }) {
   // Load insights when component mounts
   useEffect(() => {
     fetchInsights();
+    fetchStrokesGained();
   }, [user]);
 
   // Handle pull-to-refresh
   const onRefresh = async () => {
     setRefreshing(true);
+    fetchStrokesGained();
     await fetchInsights();
   };
   
@@ -105,11 +146,29 @@ export default function InsightsScreen({ navigation }) {
     );
   }
   
+  // Share of shots whose distances had to be estimated
+  const estimatedShare = strokesGained?.rounds?.length
+    ? strokesGained.rounds.reduce((sum, round) => sum + round.estimated_shots, 0) /
+      Math.max(1, strokesGained.rounds.reduce((sum, round) => sum + round.total_shots, 0))
+    : 0;
+  
+  // Strokes gained card, shown whether or not coach insights exist
+  const strokesGainedCard = (
+    <StrokesGainedCard
+      average={strokesGained?.average || null}
+      baselineId={sgBaseline}
+      onBaselineChange={handleBaselineChange}
+      loading={sgLoading}
+      estimatedShare={estimatedShare}
+    />
+  );
+  
   // Render the empty state when no insights exist
   if (!insights) {
     return (
       <Layout>
         <View style={styles.centerContainer}>
+          {strokesGained?.average && strokesGainedCard}
           <InsightCard
             title="No Insights Yet"
             content="Complete a round to get personalized insights from your golf coach. Track your shots to see patterns and get tips to improve your game."
@@ -140,6 +199,9 @@ export default function InsightsScreen({ navigation }) {
           />
         }
       >
+        {/* Deterministic strokes-gained breakdown */}
+        {strokesGainedCard}
+        
         {/* Check if we have tiered insights structure - if not, fall back to previous format */}
         {hasTieredInsights ? (
           // Render dynamic cards from tieredInsights array
@@ -280,4 +342,4 @@ const styles = {
     marginBottom: 24,
     alignItems: 'center',
   }
-};
\ No newline at end of file
+};
\ No newline at end of file
@@ -7,7 +7,10 @@ import {
   TextInput, 
   TouchableWithoutFeedback,
   Keyboard,
-  Platform
+  Platform,
+  Switch,
+  ActivityIndicator,
+  Alert
 } from "react-native";
 import { AuthContext } from "../context/AuthContext";
 import { supabase } from "../services/supabase";
@@ -16,14 +19,25 @@ import theme from "../ui/theme";
 import Button from "../ui/components/Button";
 import Typography from "../ui/components/Typography";
 import debounce from 'lodash/debounce';
+import { calculateHandicap, setHandicapOverride } from "../services/handicapService";
+import ClubBagEditor from "../components/ClubBagEditor";
+import CarryChartCard from "../components/CarryChartCard";
+import { exportUserData } from "../services/exportService";
 
 /**
  * ProfileScreen Component
  * 
  * Displays user information and provides account management functionality.
  * Features handicap tracking with real-time database synchronization.
+ * The handicap index is calculated from completed rounds (WHS); players
+ * can switch to a manual override to keep an official index instead.
+ * The bag editor lists the player's clubs, with a link to per-club stats,
+ * and the carry chart behind the club suggestions on the tracker.
+ * Shot tracking links to the setup of the tracker's shot table.
+ * Players can export all their rounds, shots and insights, and import
+ * rounds from other apps.
  */
-export default function ProfileScreen() {
+export default function ProfileScreen({ navigation }) {
   // Access authentication context
   const { user, signOut } = useContext(AuthContext);
   
@@ -32,6 +46,16 @@ export default function ProfileScreen() {
   const [isSaving, setIsSaving] = useState(false);
   const [saveStatus, setSaveStatus] = useState(null); // 'success', 'error', or null
   
+  // Calculated handicap state
+  const [handicapOverride, setHandicapOverrideState] = useState(false);
+  const [calculated, setCalculated] = useState(null);       // Result from calculateHandicap
+  const [calculating, setCalculating] = useState(true);
+  
+  // Bumped when the bag changes so the carry chart reloads
+  const [bagVersion, setBagVersion] = useState(0);
+  
+  const [exporting, setExporting] = useState(false);
+  
   // Load user profile data on mount
   useEffect(() => {
     const loadUserProfile = async () => {
@@ -40,7 +64,7 @@ export default function ProfileScreen() {
       try {
         const { data, error } = await supabase
           .from('profiles')
-          .select('handicap')
+          .select('handicap, handicap_override')
           .eq('id', user.id)
           .single();
           
@@ -50,14 +74,60 @@ export default function ProfileScreen() {
         if (data && data.handicap !== null) {
           setHandicap(data.handicap.toString());
         }
+        setHandicapOverrideState(Boolean(data?.handicap_override));
       } catch (error) {
         console.error("Error loading profile data:", error.message);
       }
     };
     
+    // Calculate the WHS index from completed rounds
+    const loadCalculatedHandicap = async () => {
+      if (!user) return;
+      
+      try {
+        setCalculating(true);
+        const result = await calculateHandicap(user.id);
+        setCalculated(result);
+      } catch (error) {
+        console.error("Error calculating handicap:", error.message);
+        setCalculated(null);
+      } finally {
+        setCalculating(false);
+      }
+    };
+    
     loadUserProfile();
+    loadCalculatedHandicap();
   }, [user]);
   
+  // Switch between the calculated index and a manual override
+  const handleOverrideToggle = async (override) => {
+    if (!user) return;
+    
+    setHandicapOverrideState(override);
+    setIsSaving(true);
+    
+    try {
+      const manualValue = handicap.trim() === "" ? null : parseFloat(handicap);
+      const storedHandicap = await setHandicapOverride(
+        user.id, 
+        override, 
+        override ? manualValue : null
+      );
+      
+      setHandicap(storedHandicap !== null && storedHandicap !== undefined ? storedHandicap.toString() : "");
+      setSaveStatus('success');
+      setTimeout(() => setSaveStatus(null), 2000);
+    } catch (error) {
+      console.error("Error updating handicap override:", error.message);
+      setHandicapOverrideState(!override);
+      setSaveStatus('error');
+      setTimeout(() => setSaveStatus(null), 3000);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+  
   // Create debounced save function to prevent excessive database writes
   // This creates a sophisticated debounce pattern with technical optimizations
   const debouncedSaveHandicap = useCallback(
@@ -109,11 +179,27 @@ export default function ProfileScreen() {
   
   // Handle blur event (when user finishes editing)
   const handleHandicapBlur = () => {
-    if (user && handicap !== "") {
+    // Only a manual override can be edited by hand
+    if (user && handicap !== "" && handicapOverride) {
       debouncedSaveHandicap(user.id, handicap);
     }
   };
   
+  // Export rounds, holes and shots as CSV plus the full JSON archive
+  const handleExport = async () => {
+    if (!user) return;
+    
+    setExporting(true);
+    try {
+      await exportUserData(user.id);
+    } catch (error) {
+      console.error("Error exporting data:", error.message);
+      Alert.alert("Export Failed", "Your data couldn't be exported. Please try again.");
+    } finally {
+      setExporting(false);
+    }
+  };
+  
   // Get status indicator styles and text
   const getStatusIndicator = () => {
     if (!saveStatus) return null;
@@ -167,11 +253,12 @@ export default function ProfileScreen() {
               
               <View style={styles.inputContainer}>
                 <TextInput
-                  style={styles.handicapInput}
+                  style={[styles.handicapInput, !handicapOverride && styles.readOnlyInput]}
                   value={handicap}
                   onChangeText={handleHandicapChange}
                   onBlur={handleHandicapBlur}
-                  placeholder="Enter handicap"
+                  editable={handicapOverride}
+                  placeholder={handicapOverride ? "Enter handicap" : "–"}
                   keyboardType="numeric"
                   returnKeyType="done"
                   maxLength={5} // Reasonable limit for handicap values
@@ -185,9 +272,159 @@ export default function ProfileScreen() {
               </View>
             </View>
             
+            {/* Manual override toggle */}
+            <View style={styles.handicapContainer}>
+              <Typography variant="body" style={styles.handicapLabel}>
+                Use my official index
+              </Typography>
+              <Switch
+                value={handicapOverride}
+                onValueChange={handleOverrideToggle}
+                trackColor={{ true: theme.colors.primary }}
+              />
+            </View>
+            
             <Typography variant="caption" style={styles.helpText}>
-              Enter your official handicap index to track progress over time.
+              {handicapOverride
+                ? "Your entered handicap is kept. The calculated index below is shown for reference."
+                : "Your handicap index is calculated from your completed rounds using the World Handicap System."}
+            </Typography>
+            
+            {/* Calculated index and scoring record */}
+            <View style={styles.calculatedSection}>
+              <View style={styles.handicapContainer}>
+                <Typography variant="body" style={styles.handicapLabel}>
+                  Calculated index
+                </Typography>
+                {calculating ? (
+                  <ActivityIndicator size="small" color={theme.colors.primary} />
+                ) : (
+                  <Typography variant="body" weight="semibold">
+                    {calculated?.index !== null && calculated?.index !== undefined 
+                      ? calculated.index.toFixed(1) 
+                      : "–"}
+                  </Typography>
+                )}
+              </View>
+              
+              {!calculating && calculated && (
+                <Typography variant="caption" style={styles.helpText}>
+                  {calculated.index === null
+                    ? `${calculated.scoreCount} of 3 rated 18-hole scores needed for an index.`
+                    : `Best ${calculated.usedCount} of your last ${calculated.scoreCount} score differentials.`}
+                </Typography>
+              )}
+              
+              {!calculating && calculated?.record?.length > 0 && (
+                <View style={styles.recordList}>
+                  {[...calculated.record].reverse().map(entry => (
+                    <View key={entry.roundId} style={styles.recordRow}>
+                      <Typography variant="caption" style={styles.recordDate}>
+                        {new Date(entry.playedAt).toLocaleDateString()}
+                      </Typography>
+                      <Typography variant="caption" style={styles.recordScore}>
+                        {entry.adjustedGross}
+                      </Typography>
+                      <Typography 
+                        variant="caption" 
+                        weight={entry.used ? "bold" : "normal"}
+                        color={entry.used ? theme.colors.primary : theme.colors.secondary}
+                        style={styles.recordDifferential}
+                      >
+                        {entry.differential.toFixed(1)}{entry.used ? " *" : ""}
+                      </Typography>
+                    </View>
+                  ))}
+                  <Typography variant="caption" style={styles.helpText}>
+                    Adjusted score and differential per round. * counts towards your index.
+                  </Typography>
+                </View>
+              )}
+            </View>
+          </View>
+          
+          {/* Bag Section */}
+          <View style={styles.handicapSection}>
+            <Typography variant="subtitle" style={styles.sectionTitle}>
+              My Bag
+            </Typography>
+            
+            <ClubBagEditor userId={user?.id} onChange={() => setBagVersion(prev => prev + 1)} />
+            
+            <Button
+              variant="outline"
+              size="small"
+              onPress={() => navigation.navigate("ClubStatsScreen")}
+              iconLeft="stats-chart-outline"
+              style={styles.sectionButton}
+            >
+              Club Stats
+            </Button>
+          </View>
+          
+          {/* Carry Chart Section */}
+          <View style={styles.handicapSection}>
+            <Typography variant="subtitle" style={styles.sectionTitle}>
+              Carry Distances
+            </Typography>
+            
+            <CarryChartCard userId={user?.id} refreshKey={bagVersion} />
+          </View>
+          
+          {/* Shot Tracking Section */}
+          <View style={styles.handicapSection}>
+            <Typography variant="subtitle" style={styles.sectionTitle}>
+              Shot Tracking
+            </Typography>
+            
+            <Typography variant="caption" style={styles.exportText}>
+              Choose a 3 or 5-point outcome scale, hide shot rows you don't use and
+              add your own categories.
+            </Typography>
+            
+            <Button
+              variant="outline"
+              size="small"
+              onPress={() => navigation.navigate("TrackingProfileScreen")}
+              iconLeft="options-outline"
+              style={styles.sectionButton}
+            >
+              Customize Shot Table
+            </Button>
+          </View>
+          
+          {/* Data Export Section */}
+          <View style={styles.handicapSection}>
+            <Typography variant="subtitle" style={styles.sectionTitle}>
+              Your Data
+            </Typography>
+            
+            <Typography variant="caption" style={styles.exportText}>
+              Download a zip of your rounds, holes and shots as CSV files for spreadsheets,
+              plus a complete JSON archive of your rounds, shots and insights.
             </Typography>
+            
+            <Button
+              variant="outline"
+              size="small"
+              onPress={handleExport}
+              loading={exporting}
+              disabled={exporting}
+              iconLeft="download-outline"
+              style={styles.sectionButton}
+            >
+              Export Data
+            </Button>
+            
+            <Button
+              variant="outline"
+              size="small"
+              onPress={() => navigation.navigate("ImportRoundsScreen")}
+              iconLeft="cloud-upload-outline"
+              style={styles.sectionButton}
+            >
+              Import Rounds
+            </Button>
           </View>
           
           <View style={styles.spacer} />
@@ -268,6 +505,33 @@ const styles = StyleSheet.create({
     borderBottomWidth: 1,
     borderBottomColor: theme.colors.border,
   },
+  readOnlyInput: {
+    borderBottomColor: "transparent",
+    color: theme.colors.secondary,
+  },
+  calculatedSection: {
+    marginTop: theme.spacing.medium,
+  },
+  recordList: {
+    marginTop: theme.spacing.small,
+  },
+  recordRow: {
+    flexDirection: "row",
+    paddingVertical: 4,
+    borderBottomWidth: 1,
+    borderBottomColor: "#f5f5f5",
+  },
+  recordDate: {
+    flex: 1,
+  },
+  recordScore: {
+    width: 50,
+    textAlign: "right",
+  },
+  recordDifferential: {
+    width: 60,
+    textAlign: "right",
+  },
   loadingIndicator: {
     width: 6,
     height: 6,
@@ -290,10 +554,16 @@ const styles = StyleSheet.create({
     color: theme.colors.secondary,
     fontStyle: 'italic',
   },
+  exportText: {
+    color: theme.colors.secondary,
+  },
+  sectionButton: {
+    marginTop: theme.spacing.medium,
+  },
   spacer: {
     height: 32,
   },
   signOutButton: {
     minWidth: 200,
   }
-});
\ No newline at end of file
+});
\ No newline at end of file
@@ -40,7 +40,9 @@ export default function RoundsScreen() {
             created_at,
             score,
             gross_shots,
-            is_complete
+            is_complete,
+            format_result,
+            selected_tee_name
           `)
           .eq("profile_id", user.id)
           .eq("is_complete", true) // Only get completed rounds
@@ -75,10 +77,13 @@ export default function RoundsScreen() {
           const formattedRounds = data.map(round => ({
             id: round.id,
             date: round.created_at,
+            courseId: round.course_id,
+            teeName: round.selected_tee_name,
             courseName: coursesById[round.course_id] ? coursesById[round.course_id].name : "Unknown Course",
             score: round.score,
             grossShots: round.gross_shots,
-            isComplete: round.is_complete
+            isComplete: round.is_complete,
+            formatResult: round.format_result
           }));
           
           setRounds(formattedRounds);
@@ -102,6 +107,15 @@ export default function RoundsScreen() {
     navigation.navigate("ScorecardScreen", { roundId });
   };
 
+  // Navigate to the player's stats at a round's course
+  const handleCoursePress = (round) => {
+    navigation.navigate("CourseDetail", {
+      courseId: round.courseId,
+      courseName: round.courseName,
+      teeName: round.teeName
+    });
+  };
+
   return (
     <Layout>
       <View style={styles.container}>
@@ -114,6 +128,7 @@ export default function RoundsScreen() {
               <RoundSummaryCard 
                 round={item} 
                 onPress={() => handleRoundPress(item.id)}
+                onCoursePress={() => handleCoursePress(item)}
               />
             )}
             keyExtractor={item => item.id}
@@ -1,12 +1,43 @@
 // src/screens/ScorecardScreen.js
 
-import React, { useEffect, useState } from "react";
-import { View, Text, StyleSheet, ScrollView, TouchableOpacity, ActivityIndicator } from "react-native";
+import React, { useContext, useEffect, useRef, useState } from "react";
+import { View, Text, StyleSheet, ScrollView, TouchableOpacity, ActivityIndicator, Alert } from "react-native";
 import { useNavigation, useRoute, StackActions } from '@react-navigation/native';
 import { Ionicons } from "@expo/vector-icons";
 import { supabase } from "../services/supabase";
+import { getRoundPlayers, getPlayerHoleScore, SCORER_POSITION } from "../services/groupRoundService";
+import { getRoundInsights } from "../services/insightsService";
+import { editCompletedHole, getRoundEdits } from "../services/roundservice";
+import { shareRoundImage, shareScorecardLink, revokeScorecardLink } from "../services/shareService";
+import { AuthContext } from "../context/AuthContext";
+import RoundShareCard from "../components/RoundShareCard";
+import HoleEditSheet from "../components/HoleEditSheet";
 import Layout from "../ui/Layout";
 import theme from "../ui/theme";
+import {
+  SCORING_FORMATS,
+  buildFormatHoles,
+  formatHolesTotal,
+  formatHoleValue,
+  getFormatColumnLabel,
+  getHoleParAndIndex,
+  getRoundHeadline,
+  getScoringFormat,
+  scoreRound
+} from "../../supabase/functions/_shared/scoringFormats";
+import {
+  buildHoleSequence,
+  describeHoleSequence,
+  getCourseHoleCount,
+  getRoundHoleSequence
+} from "../../supabase/functions/_shared/holeRange";
+import { buildRoundSummary } from "../../supabase/functions/_shared/roundSummary";
+import {
+  describeShotCountChanges,
+  getHolePenalties,
+  getHoleRecordScore
+} from "../../supabase/functions/_shared/shotModel";
+import { countOutcomes, getTrackingSchema } from "../../supabase/functions/_shared/trackingProfile";
 
 /**
  * ScorecardScreen Component
@@ -15,10 +46,20 @@ import theme from "../ui/theme";
  * Shows hole-by-hole scores and outcome breakdowns.
  * Updated to work with the new shots data structure.
  * Enhanced navigation to provide cleaner flow back to home screen.
+ * Rounds played under another scoring format get an extra column with
+ * the format's per-hole points or net result.
+ * Group rounds show a shared scorecard with a column per player.
+ * Only the holes the round covered are listed, in playing order.
+ * The round can be shared as a scorecard image, and its owner can
+ * publish a read-only web scorecard link.
+ * Owners can also correct holes after completion in edit mode; every
+ * correction is kept in the round's edit history.
+ * Outcome columns follow the tracking schema the round was played with.
  */
 export default function ScorecardScreen() {
   const navigation = useNavigation();
   const route = useRoute();
+  const { user } = useContext(AuthContext);
   // Get roundId from navigation params
   const { roundId, fromTracker } = route.params || {};
   
@@ -26,10 +67,25 @@ export default function ScorecardScreen() {
   const [roundData, setRoundData] = useState(null);
   const [courseData, setCourseData] = useState(null);
   const [holesData, setHolesData] = useState([]);
+  const [formatResult, setFormatResult] = useState(null);
+  const [groupPlayers, setGroupPlayers] = useState([]);
+  const [holeSequence, setHoleSequence] = useState(buildHoleSequence());
   const [loading, setLoading] = useState(true);
+  const [shareSummary, setShareSummary] = useState(null);
+  const [sharing, setSharing] = useState(false);
+  const shareCardRef = useRef(null);
+  
+  // Edit mode - corrections to holes after the round was completed
+  const [holeRecords, setHoleRecords] = useState([]);
+  const [editing, setEditing] = useState(false);
+  const [editHole, setEditHole] = useState(null);
+  const [savingEdit, setSavingEdit] = useState(false);
+  const [roundEdits, setRoundEdits] = useState([]);
+  const [reloadKey, setReloadKey] = useState(0);
 
-  // Define the outcome categories - used throughout the component
-  const outcomes = ["On Target", "Slightly Off", "Recovery Needed"];
+  // Rows and outcome columns the round was tracked with - used throughout the component
+  const trackingSchema = getTrackingSchema(roundData);
+  const outcomes = trackingSchema.outcomes;
 
   // Fetch all data for this round when component mounts
   useEffect(() => {
@@ -54,7 +110,14 @@ export default function ScorecardScreen() {
             gross_shots,
             created_at,
             is_complete,
-            selected_tee_name
+            selected_tee_name,
+            scoring_format,
+            course_handicap,
+            stroke_index_set,
+            start_hole,
+            hole_count,
+            public_share,
+            tracking_schema
           `)
           .eq("id", roundId)
           .single();
@@ -70,7 +133,7 @@ export default function ScorecardScreen() {
         // 2. Fetch the course data
         const { data: course, error: courseError } = await supabase
           .from("courses")
-          .select("id, name, par, holes")
+          .select("id, name, par, num_holes, holes")
           .eq("id", round.course_id)
           .single();
           
@@ -96,10 +159,66 @@ export default function ScorecardScreen() {
           throw holesError;
         }
         
+        setHoleRecords(holes);
+        
+        // The holes this round covered, in playing order
+        const roundHoles = getRoundHoleSequence(round, getCourseHoleCount(course));
+        setHoleSequence(roundHoles);
+        
         // Process the holes data to get outcome breakdowns for display
-        const processedHoles = processHolesData(holes, round.selected_tee_name?.toLowerCase());
+        const processedHoles = processHolesData(holes, getTrackingSchema(round), roundHoles);
         setHolesData(processedHoles);
         
+        // 4. Score the round under its format when it isn't plain stroke play
+        const format = getScoringFormat(round.scoring_format);
+        if (format.id !== SCORING_FORMATS.STROKE && Array.isArray(course.holes)) {
+          const scores = {};
+          holes.forEach(hole => {
+            scores[hole.hole_number] = getHoleRecordScore(hole);
+          });
+          
+          setFormatResult(scoreRound(
+            format.id,
+            buildFormatHoles(course.holes, scores, round.stroke_index_set, roundHoles),
+            round.course_handicap
+          ));
+        }
+        
+        // 5. Summary for the share image, with a highlight from the round's insights
+        const insights = await getRoundInsights(roundId);
+        setShareSummary(buildRoundSummary({ round, course, holes, insights }));
+        setRoundEdits(await getRoundEdits(roundId));
+        
+        // 6. Load the rest of the group for a shared scorecard
+        const roundPlayers = await getRoundPlayers(roundId);
+        if (roundPlayers.length > 0) {
+          const everyone = [
+            { position: SCORER_POSITION, display_name: "You", course_handicap: round.course_handicap },
+            ...roundPlayers
+          ];
+          
+          setGroupPlayers(everyone.map(player => {
+            const scores = {};
+            holes.forEach(hole => {
+              const score = getPlayerHoleScore(hole.hole_data, player.position);
+              if (score) scores[hole.hole_number] = score;
+            });
+            
+            return {
+              position: player.position,
+              name: player.display_name,
+              scores,
+              result: Array.isArray(course.holes)
+                ? scoreRound(
+                    round.scoring_format,
+                    buildFormatHoles(course.holes, scores, round.stroke_index_set, roundHoles),
+                    player.course_handicap
+                  )
+                : null
+            };
+          }));
+        }
+        
       } catch (error) {
         console.error("Error fetching scorecard data:", error);
       } finally {
@@ -108,108 +227,172 @@ export default function ScorecardScreen() {
     }
     
     fetchRoundData();
-  }, [roundId]);
+  }, [roundId, reloadKey]);
 
   /**
    * Process the holes data to get outcome breakdowns
    * This converts the JSONB hole_data into a format for display
    */
-  const processHolesData = (holes, selectedTee) => {
-    const processed = [];
+  const processHolesData = (holes, schema, roundHoles) => {
+    const processed = {};
     
-    // Default empty data for all 18 holes
-    for (let i = 1; i <= 18; i++) {
-      processed[i] = {
-        number: i,
+    // Default empty data for every hole in the round
+    roundHoles.forEach(holeNum => {
+      processed[holeNum] = {
+        number: holeNum,
         score: 0,
-        outcomes: {
-          "On Target": 0,
-          "Slightly Off": 0,
-          "Recovery Needed": 0
-        }
+        outcomes: countOutcomes([], schema)
       };
-    }
+    });
     
     // Process each hole with data
     holes.forEach(hole => {
       const holeNum = hole.hole_number;
       const holeData = hole.hole_data;
       
-      // Skip if missing data
-      if (!holeData || !holeData.shots || !Array.isArray(holeData.shots)) {
+      // Skip if missing data or outside the round
+      if (!holeData || !holeData.shots || !Array.isArray(holeData.shots) || !processed[holeNum]) {
         return;
       }
       
-      // Count by outcome
-      const outcomes = {
-        "On Target": 0,
-        "Slightly Off": 0,
-        "Recovery Needed": 0
-      };
-      
-      // Count shots by outcome
-      holeData.shots.forEach(shot => {
-        if (outcomes[shot.result] !== undefined) {
-          outcomes[shot.result]++;
-        }
-      });
-      
-      // Update processed data
+      // Update processed data - penalties add their strokes to the score
+      // and aren't shots, so they have no outcome
       processed[holeNum] = {
         number: holeNum,
-        score: hole.total_score || holeData.shots.length,
+        score: getHoleRecordScore(hole),
         par: holeData.par,
         distance: holeData.distance,
-        outcomes: outcomes
+        outcomes: countOutcomes(holeData.shots, schema),
+        penalties: getHolePenalties(holeData.shots)
       };
     });
     
-    // Return only valid holes (1-18)
-    return processed.filter((_, index) => index > 0 && index <= 18);
+    // Return the round's holes in playing order
+    return roundHoles.map(holeNum => processed[holeNum]);
   };
 
-  // Calculate front nine, back nine, and total scores with outcome breakdowns
+  // Calculate total score with outcome breakdowns
   const calculateTotals = () => {
-    let frontNine = 0;
-    let backNine = 0;
+    let total = 0;
     
     // Initialize outcome totals
-    let totalOnTarget = 0;
-    let totalSlightlyOff = 0; 
-    let totalRecoveryNeeded = 0;
+    const outcomeTotals = {};
+    outcomes.forEach(outcome => {
+      outcomeTotals[outcome.id] = 0;
+    });
     
     holesData.forEach(hole => {
-      const holeNum = hole.number;
-      const score = hole.score || 0;
-      
-      // Add to front or back nine
-      if (holeNum <= 9) {
-        frontNine += score;
-      } else {
-        backNine += score;
-      }
+      total += hole.score || 0;
       
       // Count outcomes
-      totalOnTarget += hole.outcomes["On Target"] || 0;
-      totalSlightlyOff += hole.outcomes["Slightly Off"] || 0;
-      totalRecoveryNeeded += hole.outcomes["Recovery Needed"] || 0;
+      outcomes.forEach(outcome => {
+        outcomeTotals[outcome.id] += hole.outcomes[outcome.id] || 0;
+      });
     });
     
     return {
-      frontNine,
-      backNine,
-      total: frontNine + backNine,
-      outcomes: {
-        "On Target": totalOnTarget,
-        "Slightly Off": totalSlightlyOff,
-        "Recovery Needed": totalRecoveryNeeded
-      }
+      total,
+      outcomes: outcomeTotals,
+      // Shots graded on target or better, whatever the scale
+      onTarget: outcomes
+        .filter(outcome => outcome.standard === "On Target")
+        .reduce((sum, outcome) => sum + outcomeTotals[outcome.id], 0)
     };
   };
 
-  // Get color for outcome column headers
+  // Gross total over a set of holes
+  const sectionScore = (holeNumbers) => holesData
+    .filter(hole => holeNumbers.includes(hole.number))
+    .reduce((total, hole) => total + (hole.score || 0), 0);
+
+  // Format total (points, net or holes up) over a set of holes
+  const formatSectionTotal = (holeNumbers) => formatHolesTotal(
+    formatResult.format,
+    formatResult.holes.filter(hole => holeNumbers.includes(hole.holeNumber))
+  );
+
+  // Gross total for a group player over a set of holes
+  const playerSectionTotal = (player, holeNumbers) => {
+    const total = holeNumbers.reduce((sum, holeNum) => sum + (player.scores[holeNum] || 0), 0);
+    return total || "-";
+  };
+
+  /**
+   * Render the shared scorecard for a group round - one column per player
+   */
+  const renderGroupScorecard = () => {
+    const renderHoleRow = (holeNum) => (
+      <TouchableOpacity
+        key={`hole-${holeNum}`}
+        style={[styles.holeRow, editing && styles.editableRow]}
+        disabled={!editing}
+        onPress={() => setEditHole(holeNum)}
+      >
+        <Text style={styles.holeColumn}>{holeNum}</Text>
+        <Text style={styles.parColumn}>{getCourseHolePar(courseData, holeNum, roundData?.stroke_index_set) || "-"}</Text>
+        {groupPlayers.map(player => (
+          <Text key={player.position} style={styles.playerColumn}>{player.scores[holeNum] || "-"}</Text>
+        ))}
+      </TouchableOpacity>
+    );
+    
+    const renderTotalRow = (label, holeNumbers) => (
+      <View key={`total-${label}`} style={[styles.holeRow, styles.totalRow]}>
+        <Text style={[styles.holeColumn, styles.totalText]}>{label}</Text>
+        <Text style={[styles.parColumn, styles.totalText]}>
+          {calculateCoursePar(courseData, holeNumbers, roundData?.stroke_index_set) || "-"}
+        </Text>
+        {groupPlayers.map(player => (
+          <Text key={player.position} style={[styles.playerColumn, styles.totalText]}>
+            {playerSectionTotal(player, holeNumbers)}
+          </Text>
+        ))}
+      </View>
+    );
+    
+    const showFormatRow = getScoringFormat(roundData?.scoring_format).id !== SCORING_FORMATS.STROKE;
+    
+    return (
+      <ScrollView style={styles.scorecard}>
+        <View style={styles.headerRow}>
+          <Text style={[styles.holeColumn, styles.headerText]}>Hole</Text>
+          <Text style={[styles.parColumn, styles.headerText]}>Par</Text>
+          {groupPlayers.map(player => (
+            <Text key={player.position} style={[styles.playerColumn, styles.headerText]} numberOfLines={1}>
+              {player.name}
+            </Text>
+          ))}
+        </View>
+        
+        {holeSections.map(section => (
+          <React.Fragment key={section.label}>
+            {section.holes.map(renderHoleRow)}
+            {holeSections.length > 1 && renderTotalRow(section.label, section.holes)}
+          </React.Fragment>
+        ))}
+        {renderTotalRow("Total", holeSequence)}
+        
+        {/* Format result per player (points, net score or par/bogey) */}
+        {showFormatRow && (
+          <View style={[styles.holeRow, styles.totalRow]}>
+            <Text style={[styles.holeColumn, styles.totalText]}>
+              {getFormatColumnLabel(roundData?.scoring_format)}
+            </Text>
+            <Text style={styles.parColumn}></Text>
+            {groupPlayers.map(player => (
+              <Text key={player.position} style={[styles.playerColumn, styles.totalText, styles.formatValue]}>
+                {player.result ? getRoundHeadline(player.result).value : "-"}
+              </Text>
+            ))}
+          </View>
+        )}
+      </ScrollView>
+    );
+  };
+
+  // Get color for outcome column headers (by the standard outcome it maps to)
   const getOutcomeColor = (outcome) => {
-    switch (outcome) {
+    switch (outcome.standard) {
       case "On Target":
         return "#e6ffe6"; // Light green for good shots
       case "Slightly Off":
@@ -231,6 +414,60 @@ export default function ScorecardScreen() {
     navigation.dispatch(StackActions.popToTop());
   };
 
+  /**
+   * Share the scorecard image through the share sheet
+   */
+  const handleShareImage = async () => {
+    try {
+      setSharing(true);
+      await shareRoundImage(shareCardRef, roundId);
+    } catch (error) {
+      console.error("Error sharing scorecard image:", error);
+      Alert.alert("Share Failed", "Unable to share this round. Please try again.");
+    } finally {
+      setSharing(false);
+    }
+  };
+
+  /**
+   * Publish the web scorecard and share its link, or stop sharing it
+   */
+  const handleShareLink = async () => {
+    try {
+      setSharing(true);
+      if (roundData.public_share) {
+        await revokeScorecardLink(roundId);
+        setRoundData({ ...roundData, public_share: false });
+        Alert.alert("Link Disabled", "Links to this scorecard no longer work.");
+      } else {
+        await shareScorecardLink(roundId);
+        setRoundData({ ...roundData, public_share: true });
+      }
+    } catch (error) {
+      console.error("Error updating scorecard link:", error);
+      Alert.alert("Share Failed", "Unable to update the scorecard link. Please try again.");
+    } finally {
+      setSharing(false);
+    }
+  };
+
+  /**
+   * Save a correction to the hole being edited and reload the scorecard
+   */
+  const handleSaveEdit = async (shots, { reanalyze }) => {
+    try {
+      setSavingEdit(true);
+      await editCompletedHole(roundId, editHole, shots, { reanalyze, trackingSchema });
+      setEditHole(null);
+      setReloadKey(key => key + 1);
+    } catch (error) {
+      console.error("Error saving hole correction:", error);
+      Alert.alert("Save Failed", "Unable to save this correction. Please try again.");
+    } finally {
+      setSavingEdit(false);
+    }
+  };
+
   // If still loading, show loading indicator
   if (loading) {
     return (
@@ -245,6 +482,13 @@ export default function ScorecardScreen() {
 
   // Calculate totals for display
   const totals = calculateTotals();
+  const holeSections = getHoleSections(holeSequence);
+  const formatHeadline = formatResult ? getRoundHeadline(formatResult) : null;
+  const isOwner = roundData?.profile_id === user?.id;
+  const penaltyHoles = holesData.filter(hole => hole?.penalties?.length > 0);
+  const penaltyStrokes = penaltyHoles.reduce((total, hole) => (
+    total + hole.penalties.reduce((sum, penalty) => sum + penalty.strokes, 0)
+  ), 0);
 
   return (
     <Layout>
@@ -254,104 +498,98 @@ export default function ScorecardScreen() {
           <Text style={styles.courseName}>{courseData?.name || "Unknown Course"}</Text>
           <Text style={styles.roundDate}>
             {roundData?.created_at ? new Date(roundData.created_at).toLocaleDateString() : ""}
+            {holeSequence.length !== 18 || holeSequence[0] !== 1 ? ` • ${describeHoleSequence(holeSequence)}` : ""}
           </Text>
         </View>
         
-        {/* Scorecard */}
-        <ScrollView style={styles.scorecard}>
-          {/* Header row - updated with new outcome categories */}
-          <View style={styles.headerRow}>
-            <Text style={[styles.holeColumn, styles.headerText]}>Hole</Text>
-            <Text style={[styles.parColumn, styles.headerText]}>Par</Text>
-            <Text style={[styles.scoreColumn, styles.headerText]}>Score</Text>
-            {/* Outcome columns with new categories */}
-            <Text style={[styles.outcomeColumn, styles.headerText, {backgroundColor: getOutcomeColor("On Target")}]}>
-              On Target
-            </Text>
-            <Text style={[styles.outcomeColumn, styles.headerText, {backgroundColor: getOutcomeColor("Slightly Off")}]}>
-              Slightly Off
-            </Text>
-            <Text style={[styles.outcomeColumn, styles.headerText, {backgroundColor: getOutcomeColor("Recovery Needed")}]}>
-              Recovery
-            </Text>
-          </View>
-          
-          {/* Hole rows - Front Nine */}
-          {[1, 2, 3, 4, 5, 6, 7, 8, 9].map(holeNum => {
-            // Find this hole's data
-            const holeData = holesData.find(h => h.number === holeNum) || {
-              number: holeNum,
-              score: 0,
-              par: getCourseHolePar(courseData, holeNum),
-              outcomes: { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 }
-            };
-            
-            return (
-              <View key={`hole-${holeNum}`} style={styles.holeRow}>
-                <Text style={styles.holeColumn}>{holeNum}</Text>
-                <Text style={styles.parColumn}>{holeData.par || "-"}</Text>
-                <Text style={styles.scoreColumn}>{holeData.score || 0}</Text>
-                {/* Outcome values */}
-                <Text style={styles.outcomeColumn}>{holeData.outcomes["On Target"] || 0}</Text>
-                <Text style={styles.outcomeColumn}>{holeData.outcomes["Slightly Off"] || 0}</Text>
-                <Text style={styles.outcomeColumn}>{holeData.outcomes["Recovery Needed"] || 0}</Text>
-              </View>
-            );
-          })}
-          
-          {/* Out (Front Nine) totals */}
-          <View style={[styles.holeRow, styles.totalRow]}>
-            <Text style={[styles.holeColumn, styles.totalText]}>Out</Text>
-            <Text style={[styles.parColumn, styles.totalText]}>{calculateCoursePar(courseData, 1, 9)}</Text>
-            <Text style={[styles.scoreColumn, styles.totalText]}>{totals.frontNine}</Text>
-            <Text style={styles.outcomeColumn}></Text>
-            <Text style={styles.outcomeColumn}></Text>
-            <Text style={styles.outcomeColumn}></Text>
-          </View>
+        {/* Scorecard - shared layout for group rounds */}
+        {groupPlayers.length > 0 ? renderGroupScorecard() : (
+          <ScrollView style={styles.scorecard}>
+            {/* Header row - updated with new outcome categories */}
+            <View style={styles.headerRow}>
+              <Text style={[styles.holeColumn, styles.headerText]}>Hole</Text>
+              <Text style={[styles.parColumn, styles.headerText]}>Par</Text>
+              <Text style={[styles.scoreColumn, styles.headerText]}>Score</Text>
+              {formatResult && (
+                <Text style={[styles.scoreColumn, styles.headerText]}>{getFormatColumnLabel(formatResult.format)}</Text>
+              )}
+              {/* Outcome columns from the round's tracking schema */}
+              {outcomes.map(outcome => (
+                <Text
+                  key={outcome.id}
+                  style={[styles.outcomeColumn, styles.headerText, {backgroundColor: getOutcomeColor(outcome)}]}
+                >
+                  {(outcome.short || outcome.label).replace("\n", " ")}
+                </Text>
+              ))}
+            </View>
           
-          {/* Hole rows - Back Nine */}
-          {[10, 11, 12, 13, 14, 15, 16, 17, 18].map(holeNum => {
-            // Find this hole's data
-            const holeData = holesData.find(h => h.number === holeNum) || {
-              number: holeNum,
-              score: 0,
-              par: getCourseHolePar(courseData, holeNum),
-              outcomes: { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 }
-            };
-            
-            return (
-              <View key={`hole-${holeNum}`} style={styles.holeRow}>
-                <Text style={styles.holeColumn}>{holeNum}</Text>
-                <Text style={styles.parColumn}>{holeData.par || "-"}</Text>
-                <Text style={styles.scoreColumn}>{holeData.score || 0}</Text>
-                {/* Outcome values */}
-                <Text style={styles.outcomeColumn}>{holeData.outcomes["On Target"] || 0}</Text>
-                <Text style={styles.outcomeColumn}>{holeData.outcomes["Slightly Off"] || 0}</Text>
-                <Text style={styles.outcomeColumn}>{holeData.outcomes["Recovery Needed"] || 0}</Text>
-              </View>
-            );
-          })}
+            {/* Hole rows with a subtotal after each nine */}
+            {holeSections.map(section => (
+              <React.Fragment key={section.label}>
+                {section.holes.map(holeNum => {
+                  // Find this hole's data
+                  const holeData = holesData.find(h => h.number === holeNum) || {
+                    number: holeNum,
+                    score: 0,
+                    par: getCourseHolePar(courseData, holeNum, roundData?.stroke_index_set),
+                    outcomes: countOutcomes([], trackingSchema)
+                  };
+                
+                  return (
+                    <TouchableOpacity
+                      key={`hole-${holeNum}`}
+                      style={[styles.holeRow, editing && styles.editableRow]}
+                      disabled={!editing}
+                      onPress={() => setEditHole(holeNum)}
+                    >
+                      <Text style={styles.holeColumn}>{holeNum}</Text>
+                      <Text style={styles.parColumn}>{holeData.par || "-"}</Text>
+                      <Text style={styles.scoreColumn}>{holeData.score || 0}</Text>
+                      {formatResult && (
+                        <Text style={[styles.scoreColumn, styles.formatValue]}>
+                          {formatHoleValue(formatResult.format, formatResult.holes.find(hole => hole.holeNumber === holeNum))}
+                        </Text>
+                      )}
+                      {/* Outcome values */}
+                      {outcomes.map(outcome => (
+                        <Text key={outcome.id} style={styles.outcomeColumn}>{holeData.outcomes[outcome.id] || 0}</Text>
+                      ))}
+                    </TouchableOpacity>
+                  );
+                })}
+              
+                {/* Out / In totals */}
+                {holeSections.length > 1 && (
+                  <View style={[styles.holeRow, styles.totalRow]}>
+                    <Text style={[styles.holeColumn, styles.totalText]}>{section.label}</Text>
+                    <Text style={[styles.parColumn, styles.totalText]}>{calculateCoursePar(courseData, section.holes, roundData?.stroke_index_set)}</Text>
+                    <Text style={[styles.scoreColumn, styles.totalText]}>{sectionScore(section.holes)}</Text>
+                    {formatResult && (
+                      <Text style={[styles.scoreColumn, styles.totalText]}>{formatSectionTotal(section.holes)}</Text>
+                    )}
+                    {outcomes.map(outcome => (
+                      <Text key={outcome.id} style={styles.outcomeColumn}></Text>
+                    ))}
+                  </View>
+                )}
+              </React.Fragment>
+            ))}
           
-          {/* In (Back Nine) totals */}
-          <View style={[styles.holeRow, styles.totalRow]}>
-            <Text style={[styles.holeColumn, styles.totalText]}>In</Text>
-            <Text style={[styles.parColumn, styles.totalText]}>{calculateCoursePar(courseData, 10, 18)}</Text>
-            <Text style={[styles.scoreColumn, styles.totalText]}>{totals.backNine}</Text>
-            <Text style={styles.outcomeColumn}></Text>
-            <Text style={styles.outcomeColumn}></Text>
-            <Text style={styles.outcomeColumn}></Text>
-          </View>
-          
-          {/* Total row - updated with new outcome totals */}
-          <View style={[styles.holeRow, styles.totalRow]}>
-            <Text style={[styles.holeColumn, styles.totalText]}>Total</Text>
-            <Text style={[styles.parColumn, styles.totalText]}>{courseData?.par || "-"}</Text>
-            <Text style={[styles.scoreColumn, styles.totalText]}>{totals.total}</Text>
-            <Text style={[styles.outcomeColumn, styles.totalText]}>{totals.outcomes["On Target"]}</Text>
-            <Text style={[styles.outcomeColumn, styles.totalText]}>{totals.outcomes["Slightly Off"]}</Text>
-            <Text style={[styles.outcomeColumn, styles.totalText]}>{totals.outcomes["Recovery Needed"]}</Text>
-          </View>
-        </ScrollView>
+            {/* Total row - updated with new outcome totals */}
+            <View style={[styles.holeRow, styles.totalRow]}>
+              <Text style={[styles.holeColumn, styles.totalText]}>Total</Text>
+              <Text style={[styles.parColumn, styles.totalText]}>{calculateCoursePar(courseData, holeSequence, roundData?.stroke_index_set) || "-"}</Text>
+              <Text style={[styles.scoreColumn, styles.totalText]}>{totals.total}</Text>
+              {formatResult && (
+                <Text style={[styles.scoreColumn, styles.totalText]}>{formatSectionTotal(holeSequence)}</Text>
+              )}
+              {outcomes.map(outcome => (
+                <Text key={outcome.id} style={[styles.outcomeColumn, styles.totalText]}>{totals.outcomes[outcome.id]}</Text>
+              ))}
+            </View>
+          </ScrollView>
+        )}
         
         {/* Round summary - updated label to match new categories */}
         <View style={styles.summary}>
@@ -365,13 +603,72 @@ export default function ScorecardScreen() {
               {roundData?.score !== null ? (roundData.score > 0 ? `+${roundData.score}` : roundData.score) : "N/A"}
             </Text>
           </View>
+          {/* Format result (points, net score or par/bogey match) */}
+          {formatHeadline && (
+            <View style={styles.summaryItem}>
+              <Text style={styles.summaryLabel}>{formatHeadline.label}</Text>
+              <Text style={styles.summaryValue}>{formatHeadline.value}</Text>
+            </View>
+          )}
           {/* Updated to show "On Target" instead of "Good Shots" */}
           <View style={styles.summaryItem}>
             <Text style={styles.summaryLabel}>On Target Shots</Text>
-            <Text style={styles.summaryValue}>{totals.outcomes["On Target"]}</Text>
+            <Text style={styles.summaryValue}>{totals.onTarget}</Text>
           </View>
+          {penaltyStrokes > 0 && (
+            <View style={styles.summaryItem}>
+              <Text style={styles.summaryLabel}>Penalty Strokes</Text>
+              <Text style={[styles.summaryValue, styles.penaltyValue]}>{penaltyStrokes}</Text>
+            </View>
+          )}
         </View>
         
+        {/* What each penalty was for */}
+        {penaltyHoles.length > 0 && (
+          <View style={styles.penaltyPanel}>
+            {penaltyHoles.map(hole => (
+              <Text key={`penalty-${hole.number}`} style={styles.penaltyEntry}>
+                Hole {hole.number}: {hole.penalties.map(penalty => `${penalty.label} +${penalty.strokes}`).join(", ")}
+              </Text>
+            ))}
+          </View>
+        )}
+        
+        {/* Corrections made since the round was completed */}
+        {editing && (
+          <View style={styles.editPanel}>
+            <Text style={styles.editHint}>Tap a hole to correct its shots.</Text>
+            {roundEdits.slice(0, 5).map(edit => (
+              <Text key={edit.id} style={styles.editEntry} numberOfLines={2}>
+                {new Date(edit.created_at).toLocaleDateString()} • Hole {edit.hole_number}: {edit.previous_total_score ?? 0} → {edit.new_total_score}
+                {edit.changes?.length ? ` (${describeShotCountChanges(edit.changes)})` : ""}
+              </Text>
+            ))}
+          </View>
+        )}
+        
+        {/* Share as an image, or as a web scorecard link for the round's owner */}
+        {roundData?.is_complete && shareSummary && (
+          <View style={styles.shareRow}>
+            <TouchableOpacity style={styles.shareButton} onPress={handleShareImage} disabled={sharing}>
+              <Ionicons name="share-outline" size={18} color={theme.colors.primary} />
+              <Text style={styles.shareButtonText}>Share Round</Text>
+            </TouchableOpacity>
+            {isOwner && (
+              <TouchableOpacity style={styles.shareButton} onPress={handleShareLink} disabled={sharing}>
+                <Ionicons name={roundData.public_share ? "link" : "link-outline"} size={18} color={theme.colors.primary} />
+                <Text style={styles.shareButtonText}>{roundData.public_share ? "Stop Sharing Link" : "Share Link"}</Text>
+              </TouchableOpacity>
+            )}
+            {isOwner && (
+              <TouchableOpacity style={styles.shareButton} onPress={() => setEditing(!editing)}>
+                <Ionicons name={editing ? "checkmark" : "create-outline"} size={18} color={theme.colors.primary} />
+                <Text style={styles.shareButtonText}>{editing ? "Done" : "Edit"}</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        )}
+        
         {/* Return to Home button - only shown when coming from tracker */}
         {fromTracker && (
           <TouchableOpacity 
@@ -381,42 +678,78 @@ export default function ScorecardScreen() {
             <Text style={styles.homeButtonText}>Return to Home</Text>
           </TouchableOpacity>
         )}
+        
+        {/* Offscreen graphic captured for the share image */}
+        <RoundShareCard ref={shareCardRef} summary={shareSummary} />
+        
+        <HoleEditSheet
+          visible={editHole !== null}
+          holeNumber={editHole}
+          par={editHole ? getCourseHolePar(courseData, editHole, roundData?.stroke_index_set) : null}
+          shots={holeRecords.find(hole => hole.hole_number === editHole)?.hole_data?.shots || EMPTY_SHOTS}
+          holeRecord={holeRecords.find(hole => hole.hole_number === editHole) || null}
+          schema={trackingSchema}
+          saving={savingEdit}
+          onSave={handleSaveEdit}
+          onClose={() => setEditHole(null)}
+        />
       </View>
     </Layout>
   );
 }
 
+// Stable empty list for holes with no recorded shots
+const EMPTY_SHOTS = [];
+
 /**
  * Helper function to get par for a specific hole from course data
  */
-function getCourseHolePar(courseData, holeNumber) {
+function getCourseHolePar(courseData, holeNumber, strokeIndexSet) {
   if (!courseData || !courseData.holes || !Array.isArray(courseData.holes)) {
     return null;
   }
   
   const holeData = courseData.holes.find(h => h.number === holeNumber);
-  return holeData ? holeData.par_men : null;
+  return holeData ? getHoleParAndIndex(holeData, strokeIndexSet).par : null;
 }
 
 /**
- * Helper function to calculate par for a range of holes
+ * Helper function to calculate par for a set of holes
  */
-function calculateCoursePar(courseData, startHole, endHole) {
+function calculateCoursePar(courseData, holeNumbers, strokeIndexSet) {
   if (!courseData || !courseData.holes || !Array.isArray(courseData.holes)) {
     return null;
   }
   
   let totalPar = 0;
-  for (let i = startHole; i <= endHole; i++) {
-    const holePar = getCourseHolePar(courseData, i);
+  holeNumbers.forEach(holeNumber => {
+    const holePar = getCourseHolePar(courseData, holeNumber, strokeIndexSet);
     if (holePar) {
       totalPar += holePar;
     }
-  }
+  });
   
   return totalPar || null;
 }
 
+/**
+ * Helper function to split a round's holes into nines for subtotals
+ * An 18-hole round gets "Out" and "In"; other lengths are labelled by hole.
+ */
+function getHoleSections(holeSequence) {
+  const sections = [];
+  for (let i = 0; i < holeSequence.length; i += 9) {
+    sections.push(holeSequence.slice(i, i + 9));
+  }
+  
+  return sections.map((holes, index) => ({
+    holes,
+    label: sections.length === 2
+      ? (index === 0 ? "Out" : "In")
+      : `${holes[0]}-${holes[holes.length - 1]}`
+  }));
+}
+
 // Styles with Material Design guidelines
 const styles = StyleSheet.create({
   container: {
@@ -481,6 +814,10 @@ const styles = StyleSheet.create({
     width: 50,
     textAlign: "center",
   },
+  playerColumn: {
+    flex: 1,
+    textAlign: "center",
+  },
   outcomeColumn: {
     flex: 1,
     textAlign: "center",
@@ -493,6 +830,10 @@ const styles = StyleSheet.create({
   totalText: {
     fontWeight: "bold",
   },
+  formatValue: {
+    color: theme.colors.primary,
+    fontWeight: "500",
+  },
   summary: {
     flexDirection: "row",
     backgroundColor: "#fff",
@@ -514,6 +855,58 @@ const styles = StyleSheet.create({
     fontWeight: "bold",
     color: theme.colors.primary,
   },
+  penaltyValue: {
+    color: theme.colors.error,
+  },
+  penaltyPanel: {
+    backgroundColor: "#fff",
+    paddingHorizontal: 16,
+    paddingBottom: 8,
+  },
+  penaltyEntry: {
+    fontSize: 12,
+    color: "#666",
+  },
+  editableRow: {
+    backgroundColor: "#f0f7ff",
+  },
+  editPanel: {
+    backgroundColor: "#fff",
+    paddingHorizontal: 16,
+    paddingBottom: 8,
+  },
+  editHint: {
+    fontSize: 13,
+    color: theme.colors.primary,
+    marginBottom: 4,
+  },
+  editEntry: {
+    fontSize: 12,
+    color: "#666",
+    marginTop: 2,
+  },
+  shareRow: {
+    flexDirection: "row",
+    justifyContent: "center",
+    backgroundColor: "#fff",
+    paddingBottom: 12,
+  },
+  shareButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 8,
+    paddingHorizontal: 16,
+    marginHorizontal: 6,
+    borderRadius: 20,
+    borderWidth: 1,
+    borderColor: theme.colors.primary,
+  },
+  shareButtonText: {
+    color: theme.colors.primary,
+    fontSize: 14,
+    fontWeight: "500",
+    marginLeft: 6,
+  },
   // Return to Home button styling
   homeButton: {
     backgroundColor: theme.colors.primary,
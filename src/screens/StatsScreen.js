@@ -0,0 +1,405 @@
+// src/screens/StatsScreen.js
+import React, { useState, useCallback, useContext } from "react";
+import {
+  View,
+  ScrollView,
+  TouchableOpacity,
+  StyleSheet,
+  RefreshControl,
+  ActivityIndicator,
+  Dimensions
+} from "react-native";
+import { useFocusEffect } from "@react-navigation/native";
+import { LineChart, BarChart } from "react-native-chart-kit";
+import Layout from "../ui/Layout";
+import theme from "../ui/theme";
+import Typography from "../ui/components/Typography";
+import Card from "../ui/components/Card";
+import DispersionPlot from "../components/DispersionPlot";
+import { AuthContext } from "../context/AuthContext";
+import { getRoundTrends } from "../services/statsService";
+import {
+  STATS_DATE_RANGES,
+  DEFAULT_STATS_DATE_RANGE,
+  TREND_METRICS,
+  averageTrendMetric,
+  filterRoundTrends
+} from "../../supabase/functions/_shared/statsTrends";
+import { PUTT_MISS_LABELS, summarizePutting } from "../../supabase/functions/_shared/puttingStats";
+import { MISS_DIRECTION_SHOT_TYPES, summarizeDispersion } from "../../supabase/functions/_shared/dispersion";
+
+// Most dates labelled on a chart's x axis
+const MAX_AXIS_LABELS = 6;
+
+const CHART_CONFIG = {
+  backgroundGradientFrom: "#fff",
+  backgroundGradientTo: "#fff",
+  decimalPlaces: 0,
+  color: (opacity = 1) => `rgba(0, 122, 255, ${opacity})`,
+  labelColor: (opacity = 1) => `rgba(102, 102, 102, ${opacity})`,
+  propsForDots: {
+    r: "3"
+  }
+};
+
+/**
+ * Selectable filter chip
+ */
+const FilterChip = ({ label, selected, onPress }) => (
+  <TouchableOpacity
+    onPress={onPress}
+    style={[styles.chip, selected && styles.selectedChip]}
+  >
+    <Typography
+      variant="caption"
+      weight={selected ? "semibold" : "normal"}
+      color={selected ? "white" : theme.colors.text}
+    >
+      {label}
+    </Typography>
+  </TouchableOpacity>
+);
+
+// What a consistent lateral miss usually means for a right-handed player
+const MISS_BIAS_DESCRIPTIONS = {
+  left: "Mostly missing left: a hook or pull pattern for a right-handed player.",
+  right: "Mostly missing right: a slice or push pattern for a right-handed player."
+};
+
+/**
+ * Format a metric value for display
+ */
+const formatMetric = (metric, value) => {
+  if (value === null) return "-";
+
+  const rounded = value.toFixed(metric.decimals);
+  return metric.id === "toPar" && value > 0 ? `+${rounded}` : `${rounded}${metric.unit}`;
+};
+
+/**
+ * StatsScreen Component
+ *
+ * Trend charts for the player's completed rounds over a date range,
+ * optionally narrowed to one course and tee: score to par, fairways hit,
+ * greens in regulation, putts, penalty rate and scrambling, then make
+ * percentage by putt distance and a dispersion plot per full-shot type
+ * from shots with recorded detail. Every number is derived from the hole
+ * records in the shots table.
+ */
+export default function StatsScreen() {
+  const { user } = useContext(AuthContext);
+
+  const [rangeId, setRangeId] = useState(DEFAULT_STATS_DATE_RANGE);
+  const [courseId, setCourseId] = useState(null);
+  const [teeName, setTeeName] = useState(null);
+  const [dispersionType, setDispersionType] = useState(MISS_DIRECTION_SHOT_TYPES[0]);
+  const [trends, setTrends] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+
+  const chartWidth = Dimensions.get("window").width - theme.spacing.medium * 4;
+
+  const loadTrends = async () => {
+    if (!user) return;
+
+    try {
+      setTrends(await getRoundTrends(user.id, rangeId));
+    } catch (error) {
+      console.error("Error loading stats:", error);
+      setTrends([]);
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  };
+
+  // Reload when returning to the tab (a round may have been completed) or changing the range
+  useFocusEffect(
+    useCallback(() => {
+      loadTrends();
+    }, [user, rangeId])
+  );
+
+  const handleRefresh = () => {
+    setRefreshing(true);
+    loadTrends();
+  };
+
+  const handleRangeChange = (nextRangeId) => {
+    setLoading(true);
+    setRangeId(nextRangeId);
+  };
+
+  const handleCourseChange = (nextCourseId) => {
+    setCourseId(nextCourseId);
+    setTeeName(null);
+  };
+
+  // Courses and tees played in the range, for the filters
+  const courses = [];
+  trends.forEach(trend => {
+    if (!courses.some(course => course.id === trend.courseId)) {
+      courses.push({ id: trend.courseId, name: trend.courseName });
+    }
+  });
+  const tees = courseId
+    ? [...new Set(trends.filter(trend => trend.courseId === courseId && trend.teeName).map(trend => trend.teeName))]
+    : [];
+
+  const filteredTrends = filterRoundTrends(trends, { courseId, teeName });
+
+  const renderChart = (metric) => {
+    const points = filteredTrends.filter(trend => typeof trend[metric.id] === "number");
+    const average = averageTrendMetric(points, metric.id);
+
+    // Label a handful of evenly spaced rounds so the dates stay readable
+    const labelEvery = Math.max(1, Math.ceil(points.length / MAX_AXIS_LABELS));
+    const labels = points.map((trend, index) => (
+      index % labelEvery === 0
+        ? `${new Date(trend.date).getMonth() + 1}/${new Date(trend.date).getDate()}`
+        : ""
+    ));
+
+    return (
+      <Card key={metric.id} style={styles.chartCard}>
+        <View style={styles.chartHeader}>
+          <Typography variant="subtitle">{metric.label}</Typography>
+          <View style={styles.average}>
+            <Typography variant="subtitle" color={theme.colors.primary}>{formatMetric(metric, average)}</Typography>
+            <Typography variant="caption">Average</Typography>
+          </View>
+        </View>
+
+        {points.length < 2 ? (
+          <Typography variant="caption" italic style={styles.noteText}>
+            Play at least two rounds in this range to see a trend.
+          </Typography>
+        ) : (
+          <LineChart
+            data={{ labels, datasets: [{ data: points.map(trend => trend[metric.id]) }] }}
+            width={chartWidth}
+            height={180}
+            yAxisSuffix={metric.unit}
+            chartConfig={CHART_CONFIG}
+            fromZero={metric.unit === "%"}
+            bezier
+            style={styles.chart}
+          />
+        )}
+      </Card>
+    );
+  };
+
+  const renderPutting = () => {
+    const putting = summarizePutting(filteredTrends.flatMap(trend => trend.putting || []));
+    const measured = putting.makeByDistance.filter(bucket => bucket.attempts > 0);
+    const totalMisses = Object.values(putting.missDirections).reduce((total, count) => total + count, 0);
+
+    return (
+      <Card style={styles.chartCard}>
+        <View style={styles.chartHeader}>
+          <Typography variant="subtitle">Make % by Distance</Typography>
+          <View style={styles.average}>
+            <Typography variant="subtitle" color={theme.colors.primary}>{putting.threePutts}</Typography>
+            <Typography variant="caption">3-Putts</Typography>
+          </View>
+        </View>
+
+        {measured.length === 0 ? (
+          <Typography variant="caption" italic style={styles.noteText}>
+            Record putt distances in the Putting panel while tracking to see your make percentage.
+          </Typography>
+        ) : (
+          <BarChart
+            data={{ labels: measured.map(bucket => bucket.label), datasets: [{ data: measured.map(bucket => bucket.pct) }] }}
+            width={chartWidth}
+            height={200}
+            yAxisLabel=""
+            yAxisSuffix="%"
+            chartConfig={CHART_CONFIG}
+            fromZero
+            showValuesOnTopOfBars
+            style={styles.chart}
+          />
+        )}
+
+        <View style={styles.statRow}>
+          <Typography variant="caption">
+            First putt: {putting.averageFirstPuttDistance !== null ? `${putting.averageFirstPuttDistance} ft` : "-"}
+          </Typography>
+          <Typography variant="caption">
+            Holed: {putting.averageHoledDistance !== null ? `${putting.averageHoledDistance} ft` : "-"}
+          </Typography>
+        </View>
+        {totalMisses > 0 && (
+          <Typography variant="caption" style={styles.noteText}>
+            Misses: {Object.entries(putting.missDirections)
+              .filter(([, count]) => count > 0)
+              .map(([direction, count]) => `${PUTT_MISS_LABELS[direction]} ${Math.round((count / totalMisses) * 100)}%`)
+              .join(" • ")}
+          </Typography>
+        )}
+      </Card>
+    );
+  };
+
+  const renderDispersion = () => {
+    const summary = summarizeDispersion(filteredTrends.flatMap(trend => trend.dispersion || []), dispersionType);
+    const misses = summary.shots - summary.onTarget;
+
+    return (
+      <Card style={styles.chartCard}>
+        <View style={styles.chartHeader}>
+          <Typography variant="subtitle">Shot Dispersion</Typography>
+          <View style={styles.average}>
+            <Typography variant="subtitle" color={theme.colors.primary}>{summary.shots}</Typography>
+            <Typography variant="caption">Shots</Typography>
+          </View>
+        </View>
+
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipRow}>
+          {MISS_DIRECTION_SHOT_TYPES.map(type => (
+            <FilterChip key={type} label={type} selected={dispersionType === type} onPress={() => setDispersionType(type)} />
+          ))}
+        </ScrollView>
+
+        {misses === 0 ? (
+          <Typography variant="caption" italic style={styles.noteText}>
+            Pick a miss direction after recording a {dispersionType.toLowerCase()} to see where your misses go.
+          </Typography>
+        ) : (
+          <>
+            <DispersionPlot summary={summary} size={Math.min(chartWidth, 260)} />
+            <View style={styles.statRow}>
+              <Typography variant="caption">Left {summary.left}</Typography>
+              <Typography variant="caption">Right {summary.right}</Typography>
+              <Typography variant="caption">Short {summary.short}</Typography>
+              <Typography variant="caption">Long {summary.long}</Typography>
+            </View>
+            {summary.bias && (
+              <Typography variant="caption" style={styles.noteText}>
+                {MISS_BIAS_DESCRIPTIONS[summary.bias]}
+              </Typography>
+            )}
+          </>
+        )}
+      </Card>
+    );
+  };
+
+  return (
+    <Layout>
+      <ScrollView
+        contentContainerStyle={styles.container}
+        refreshControl={<RefreshControl refreshing={refreshing} onRefresh={handleRefresh} />}
+      >
+        {/* Filters */}
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipRow}>
+          {Object.entries(STATS_DATE_RANGES).map(([id, range]) => (
+            <FilterChip key={id} label={range.label} selected={rangeId === id} onPress={() => handleRangeChange(id)} />
+          ))}
+        </ScrollView>
+
+        {courses.length > 1 && (
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipRow}>
+            <FilterChip label="All Courses" selected={!courseId} onPress={() => handleCourseChange(null)} />
+            {courses.map(course => (
+              <FilterChip
+                key={course.id}
+                label={course.name}
+                selected={courseId === course.id}
+                onPress={() => handleCourseChange(course.id)}
+              />
+            ))}
+          </ScrollView>
+        )}
+
+        {tees.length > 1 && (
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipRow}>
+            <FilterChip label="All Tees" selected={!teeName} onPress={() => setTeeName(null)} />
+            {tees.map(tee => (
+              <FilterChip key={tee} label={tee} selected={teeName === tee} onPress={() => setTeeName(tee)} />
+            ))}
+          </ScrollView>
+        )}
+
+        {loading ? (
+          <ActivityIndicator size="large" color={theme.colors.primary} style={styles.loading} />
+        ) : filteredTrends.length === 0 ? (
+          <View style={styles.emptyState}>
+            <Typography variant="body" align="center">
+              No completed rounds in this range.
+            </Typography>
+            <Typography variant="caption" align="center" style={styles.noteText}>
+              Finish a round to start seeing your trends.
+            </Typography>
+          </View>
+        ) : (
+          <>
+            <Typography variant="caption" style={styles.summaryText}>
+              {filteredTrends.length} completed {filteredTrends.length === 1 ? "round" : "rounds"}
+            </Typography>
+            {TREND_METRICS.map(renderChart)}
+            {renderPutting()}
+            {renderDispersion()}
+          </>
+        )}
+      </ScrollView>
+    </Layout>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    padding: theme.spacing.medium,
+  },
+  loading: {
+    marginTop: 40,
+  },
+  emptyState: {
+    marginTop: 40,
+    paddingHorizontal: theme.spacing.large,
+  },
+  chipRow: {
+    flexGrow: 0,
+    marginBottom: theme.spacing.small,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: "#f0f0f0",
+    marginRight: 8,
+  },
+  selectedChip: {
+    backgroundColor: theme.colors.primary,
+  },
+  summaryText: {
+    marginBottom: theme.spacing.small,
+    color: theme.colors.secondary,
+  },
+  chartCard: {
+    marginBottom: theme.spacing.medium,
+  },
+  chartHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "flex-start",
+    marginBottom: theme.spacing.small,
+  },
+  average: {
+    alignItems: "flex-end",
+  },
+  chart: {
+    marginLeft: -theme.spacing.small,
+  },
+  statRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    marginTop: theme.spacing.small,
+  },
+  noteText: {
+    marginTop: 4,
+    color: theme.colors.secondary,
+  },
+});
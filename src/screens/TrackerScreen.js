@@ -1,6 +1,6 @@
 // src/screens/TrackerScreen.js
 
-import React, { useState, useEffect, useContext, useCallback } from "react";
+import React, { useState, useEffect, useContext, useCallback, useRef } from "react";
 import { 
   View, 
   StyleSheet, 
@@ -12,16 +12,198 @@ import {
   TouchableOpacity
 } from "react-native";
 import AsyncStorage from "@react-native-async-storage/async-storage";
+import * as Location from "expo-location";
 import Layout from "../ui/Layout";
 import theme from "../ui/theme";
-import { createRound, saveHoleData, completeRound, deleteAbandonedRound } from "../services/roundservice";
+import { 
+  createRound, 
+  saveHoleData, 
+  completeRound, 
+  deleteAbandonedRound, 
+  queueRoundCompletion, 
+  getRoundHoleData 
+} from "../services/roundservice";
+import { 
+  getRoundPlayers, 
+  getPlayerHoleScore, 
+  SCORER_POSITION 
+} from "../services/groupRoundService";
+import { 
+  subscribeToSyncStatus, 
+  getRoundSyncStatus, 
+  flushRoundSync, 
+  clearRoundSync, 
+  getFailedSyncs, 
+  retryFailedSyncs, 
+  SYNC_STATUS 
+} from "../services/syncQueue";
 import ShotTable from "../components/ShotTable";
+import ShotDetailSheet from "../components/ShotDetailSheet";
+import PuttingPanel from "../components/PuttingPanel";
+import ShotTimeline from "../components/ShotTimeline";
+import { getBag, getCarryChart } from "../services/clubService";
+import GroupScoreCard from "../components/GroupScoreCard";
 import HoleNavigator from "../components/HoleNavigator";
 import { AuthContext } from "../context/AuthContext";
 import Typography from "../ui/components/Typography";
 import Button from "../ui/components/Button";
 import DistanceIndicator from '../components/DistanceIndicator';
+import HoleMap from '../components/HoleMap';
 import { useFocusEffect } from '@react-navigation/native';
+import {
+  BALL_MARK_SOURCE,
+  PENALTY_STROKES,
+  PENALTY_TYPE_LABELS,
+  buildShotCounts,
+  countHoleStrokes,
+  createPenalty,
+  createShot,
+  getDefaultLie,
+  hasShotDetail,
+  measureShotDistances,
+  restoreShotSequence,
+  withShotIds
+} from "../../supabase/functions/_shared/shotModel";
+import { calculateDistanceYards, findGreenCenter } from "../../supabase/functions/_shared/geo";
+import {
+  SCORING_FORMATS,
+  buildFormatHoles,
+  formatHoleValue,
+  getHoleParAndIndex,
+  getRoundHeadline,
+  getScoringFormat,
+  scoreRound
+} from "../../supabase/functions/_shared/scoringFormats";
+import { buildHoleSequence, getRoundHoleSequence } from "../../supabase/functions/_shared/holeRange";
+import {
+  buildTrackingSchema,
+  getShotFields,
+  getTrackingSchema,
+  isCellShot
+} from "../../supabase/functions/_shared/trackingProfile";
+import { getTrackingProfile } from "../services/trackingProfileService";
+
+// Shot types where the distance to the green center is a meaningful default
+const GREEN_DISTANCE_SHOT_TYPES = ["Tee Shot", "Long Shot", "Approach", "Chip", "Sand"];
+
+// Most shot edits kept for undo
+const MAX_SHOT_HISTORY = 50;
+
+/**
+ * Get a recent GPS fix without prompting for permission
+ * Returns null when location access hasn't been granted.
+ */
+const getShotPosition = async () => {
+  const { status } = await Location.getForegroundPermissionsAsync();
+  if (status !== "granted") return null;
+  
+  // A fix from the last few seconds is good enough and avoids waiting on the GPS
+  const position = await Location.getLastKnownPositionAsync({ maxAge: 10000, requiredAccuracy: 30 }) ||
+    await Location.getCurrentPositionAsync({ accuracy: Location.Accuracy.Balanced });
+  
+  if (!position) return null;
+  
+  return {
+    lat: position.coords.latitude,
+    lng: position.coords.longitude,
+    accuracy: position.coords.accuracy,
+    captured_at: new Date(position.timestamp).toISOString()
+  };
+};
+
+/**
+ * Get a precise GPS fix for marking the ball
+ * Asks for permission if needed, since the player explicitly tapped to mark.
+ */
+const getBallMark = async () => {
+  const { status } = await Location.requestForegroundPermissionsAsync();
+  if (status !== "granted") return null;
+  
+  const position = await Location.getCurrentPositionAsync({ accuracy: Location.Accuracy.High });
+  
+  return {
+    lat: position.coords.latitude,
+    lng: position.coords.longitude,
+    accuracy: position.coords.accuracy,
+    captured_at: new Date(position.timestamp).toISOString(),
+    source: BALL_MARK_SOURCE
+  };
+};
+
+/**
+ * Empty tracking state for a hole
+ * 
+ * @param {object} trackingSchema - The round's tracking schema (defaults to the standard table)
+ */
+const createHoleState = (trackingSchema) => ({
+  // Hole characteristics (will be filled from course data)
+  par: null,
+  distance: null,
+  index: null,
+  features: [],
+  
+  // Shot data
+  shots: [], // Array of { id, type, result, timestamp, club, lie, distance_to_target, location, shot_distance }
+  
+  // Position marked at the ball since the last shot was recorded (not saved)
+  ball_mark: null,
+  
+  // Other players' scores in a group round, keyed by player position
+  player_scores: {},
+  
+  // Shot counts for the ShotTable, keyed by the schema's rows and outcomes
+  shotCounts: buildShotCounts([], trackingSchema),
+  
+  // POI data for this hole
+  poi: null
+});
+
+/**
+ * Build the hole_data record saved to the shots table, including POI data
+ */
+const buildHoleRecord = (holeInfo) => ({
+  par: holeInfo.par,
+  distance: holeInfo.distance,
+  index: holeInfo.index,
+  features: holeInfo.features,
+  shots: holeInfo.shots,
+  player_scores: holeInfo.player_scores || {}, // Other players' scores in a group round
+  poi: holeInfo.poi // Include POI data in database record
+});
+
+/**
+ * Check whether anything has been scored on a hole yet
+ * In a group round another player may have a score before the scorer records a shot.
+ */
+const hasHoleScores = (holeInfo) => Boolean(
+  holeInfo && (
+    holeInfo.shots.length > 0 ||
+    Object.values(holeInfo.player_scores || {}).some(score => score > 0)
+  )
+);
+
+/**
+ * Ask what to do with a paused round found when starting a new one
+ * A paused round on another course can only be resumed from the home
+ * screen, which reloads its course.
+ * 
+ * @param {boolean} sameCourse - Whether the paused round is on the selected course
+ * @returns {Promise<string>} "resume", "discard" or "cancel"
+ */
+const askAboutPausedRound = (sameCourse) => new Promise(resolve => {
+  Alert.alert(
+    "Round In Progress",
+    sameCourse
+      ? "You have a paused round on this course. Resume it, or discard it to start the round you just set up."
+      : "You have a paused round on another course. Discard it to start this one, or go back and resume it from the home screen.",
+    [
+      { text: "Cancel", style: "cancel", onPress: () => resolve("cancel") },
+      ...(sameCourse ? [{ text: "Resume", onPress: () => resolve("resume") }] : []),
+      { text: "Discard & Start New", style: "destructive", onPress: () => resolve("discard") }
+    ],
+    { cancelable: false }
+  );
+});
 
 /**
  * TrackerScreen Component
@@ -29,43 +211,26 @@ import { useFocusEffect } from '@react-navigation/native';
  * This screen allows users to track shots during a round of golf.
  * Uses the new data structure for tracking and saving hole data.
  * Enhanced to include POI data for each hole when available.
+ * Shot edits on any hole can be undone and redone until the screen is
+ * closed; hole_data.shots stays the record of what was played, in order.
  */
-export default function TrackerScreen({ navigation }) {
+export default function TrackerScreen({ navigation, route }) {
   // Get the authenticated user from context
   const { user } = useContext(AuthContext);
   
   // Local state for tracking current hole and shots
   const [currentHole, setCurrentHole] = useState(1);
-  const [totalHoles] = useState(18); // Standard golf round is 18 holes
+  const [holeSequence, setHoleSequence] = useState(buildHoleSequence()); // Holes in the round in playing order
+  
+  // Where the current hole falls in the round
+  const holePosition = holeSequence.indexOf(currentHole);
+  const isLastHole = holePosition === holeSequence.length - 1;
   
-  // Initialize hole data structure for all holes
+  // Initialize hole data structure for a standard round (other holes are added once the round is known)
   const initialHoleState = {};
-  for (let i = 1; i <= 18; i++) {
-    initialHoleState[i] = {
-      // Hole characteristics (will be filled from course data)
-      par: null,
-      distance: null,
-      index: null,
-      features: [],
-      
-      // Shot data
-      shots: [], // Array of { type, result, timestamp }
-      
-      // Shot counts for ShotTable compatibility
-      shotCounts: {
-        "Tee Shot": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
-        "Long Shot": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
-        "Approach": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
-        "Chip": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
-        "Putts": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
-        "Sand": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
-        "Penalties": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 }
-      },
-      
-      // POI data for this hole
-      poi: null
-    };
-  }
+  buildHoleSequence().forEach(holeNum => {
+    initialHoleState[holeNum] = createHoleState();
+  });
   
   // Main state variables for the component
   const [holeData, setHoleData] = useState(initialHoleState); // Tracks all data for all holes
@@ -74,105 +239,24 @@ export default function TrackerScreen({ navigation }) {
   const [loading, setLoading] = useState(false);                // Loading state for async operations
   const [course, setCourse] = useState(null);                   // Current course data
   const [courseDetails, setCourseDetails] = useState(null);     // Detailed course data from database
-
-  // Update the iOS navigation interception
-  useFocusEffect(
-    useCallback(() => {
-      const unsubscribe = navigation.addListener('beforeRemove', (e) => {
-        // If we have an active round, prevent ANY navigation and show confirmation
-        if (round && round.id) {
-          // Always prevent the default navigation
-          e.preventDefault();
-          
-          Alert.alert(
-            "Exit Round?",
-            "Are you sure you want to exit this round? Your progress will not be saved.",
-            [
-              { text: "Stay", style: "cancel" },
-              { 
-                text: "Exit", 
-                style: "destructive",
-                onPress: async () => {
-                  try {
-                    setLoading(true);
-                    
-                    // Delete the round from the database
-                    await deleteAbandonedRound(round.id);
-                    
-                    // Clean up AsyncStorage
-                    await AsyncStorage.removeItem(`round_${round.id}_holes`);
-                    await AsyncStorage.removeItem("currentRound");
-                    
-                    console.log("Round abandoned and cleaned up successfully");
-                    
-                    // Dispatch the originally prevented action
-                    navigation.dispatch(e.data.action);
-                  } catch (error) {
-                    console.error("Error abandoning round:", error);
-                    // Still navigate even if cleanup fails
-                    navigation.dispatch(e.data.action);
-                  } finally {
-                    setLoading(false);
-                  }
-                }
-              }
-            ]
-          );
-        }
-      });
-
-      return unsubscribe;
-    }, [navigation, round, setLoading])
-  );
-
-  // Add this effect to handle hardware back button on Android
-  useEffect(() => {
-    const backHandler = BackHandler.addEventListener(
-      'hardwareBackPress',
-      () => {
-        // Show confirmation dialog instead of going back immediately
-        Alert.alert(
-          "Exit Round?",
-          "Are you sure you want to exit this round? Your progress will not be saved.",
-          [
-            { text: "Stay", style: "cancel", onPress: () => {} },
-            { 
-              text: "Exit", 
-              style: "destructive",
-              onPress: async () => {
-                try {
-                  setLoading(true); // Show loading state
-                  
-                  if (round && round.id) {
-                    // Delete the round from the database
-                    await deleteAbandonedRound(round.id);
-                    
-                    // Clean up AsyncStorage
-                    await AsyncStorage.removeItem(`round_${round.id}_holes`);
-                    await AsyncStorage.removeItem("currentRound");
-                    
-                    console.log("Round abandoned and cleaned up successfully");
-                  }
-                  
-                  // Navigate back
-                  navigation.goBack();
-                } catch (error) {
-                  console.error("Error abandoning round:", error);
-                  // Still navigate back even if cleanup fails
-                  navigation.goBack();
-                } finally {
-                  setLoading(false);
-                }
-              }
-            }
-          ]
-        );
-        return true; // Prevent default back behavior
-      }
-    );
-
-    return () => backHandler.remove();
-  }, [round]);
+  const [syncStatuses, setSyncStatuses] = useState({});         // Per-hole sync state from the sync queue
+  const [editingShotType, setEditingShotType] = useState(null); // Shot type open in the detail sheet
+  const [players, setPlayers] = useState([]);                   // Other players in a group round
+  const [showHoleMap, setShowHoleMap] = useState(false);        // Whether the hole map is open
+  const [markingBall, setMarkingBall] = useState(false);        // Waiting on a GPS fix for a ball mark
+  const [bagClubs, setBagClubs] = useState([]);                 // Active clubs in the player's bag
+  const [carryChart, setCarryChart] = useState([]);             // Carry distances used for club suggestions
+  const [shotHistory, setShotHistory] = useState({ undo: [], redo: [] }); // Shot edits across the round, latest last
+  const [draggingShot, setDraggingShot] = useState(false);      // Whether a timeline entry is being dragged
+  
+  // ShotTable rows and outcomes the round is tracked with
+  const trackingSchema = getTrackingSchema(round);
+  
+  // Set once the round is finished, paused or discarded so leaving the screen isn't intercepted
+  const exitingRef = useRef(false);
+  
+  // Set when the home screen resumes a paused round
+  const resumeRoundId = route?.params?.resumeRoundId;
 
   /**
    * Save the current hole data to AsyncStorage
@@ -228,17 +312,249 @@ export default function TrackerScreen({ navigation }) {
     }
   }, [round]);
 
+  /**
+   * Queue the current hole for upload through the sync queue
+   * Holes without shots are skipped until something is recorded.
+   */
+  const syncCurrentHole = useCallback(async () => {
+    if (!round) return;
+    
+    const holeInfo = holeData[currentHole];
+    if (!hasHoleScores(holeInfo)) return;
+    
+    try {
+      await saveHoleData(round.id, currentHole, buildHoleRecord(holeInfo), countHoleStrokes(holeInfo.shots));
+    } catch (error) {
+      // The local copy in AsyncStorage is still intact, so this is non-fatal
+      console.error("Error queueing hole for sync:", error);
+    }
+  }, [round, currentHole, holeData]);
+
+  /**
+   * Replace a local hole with a newer copy saved from another device
+   */
+  const adoptRemoteHole = useCallback(async (holeNum, remoteHoleData) => {
+    if (!round || !remoteHoleData) return;
+    
+    console.log(`Hole ${holeNum} was updated on another device, using the newer copy`);
+    
+    const shots = withShotIds(remoteHoleData.shots);
+    const adoptedHole = {
+      ...remoteHoleData,
+      shots,
+      shotCounts: buildShotCounts(shots, getTrackingSchema(round))
+    };
+    
+    setHoleData(prevData => ({
+      ...prevData,
+      [holeNum]: { ...prevData[holeNum], ...adoptedHole }
+    }));
+    
+    try {
+      const existingDataStr = await AsyncStorage.getItem(`round_${round.id}_holes`);
+      const existingData = existingDataStr ? JSON.parse(existingDataStr) : {};
+      existingData[holeNum] = { ...existingData[holeNum], ...adoptedHole };
+      await AsyncStorage.setItem(`round_${round.id}_holes`, JSON.stringify(existingData));
+    } catch (error) {
+      console.error("Error saving adopted hole data to AsyncStorage:", error);
+    }
+  }, [round]);
+
+  /**
+   * Track per-hole sync status for the active round
+   */
+  useEffect(() => {
+    if (!round?.id) return;
+    
+    let isMounted = true;
+    
+    getRoundSyncStatus(round.id).then(statuses => {
+      if (isMounted) setSyncStatuses(statuses);
+    });
+    
+    const unsubscribe = subscribeToSyncStatus(round.id, (statuses, change) => {
+      if (!isMounted) return;
+      setSyncStatuses(statuses);
+      
+      // Last write wins: another device saved this hole more recently
+      if (change.status === SYNC_STATUS.CONFLICT && change.remote?.hole_data) {
+        adoptRemoteHole(Number(change.key), change.remote.hole_data);
+      }
+      
+      // The server rejected the upload, so it won't be retried on its own
+      if (change.status === SYNC_STATUS.FAILED) {
+        const target = change.key === "complete_round" ? "Finishing the round" : `Hole ${change.key}`;
+        Alert.alert(
+          "Upload Failed",
+          `${target} couldn't be saved to your account (${change.error}). It's kept on this device.`,
+          [
+            { text: "OK", style: "cancel" },
+            { text: "Try Again", onPress: () => retryFailedSyncs(round.id) }
+          ]
+        );
+      }
+    });
+    
+    return () => {
+      isMounted = false;
+      unsubscribe();
+    };
+  }, [round, adoptRemoteHole]);
+
+  /**
+   * Pause the round and leave the tracker
+   * The round row, stored holes and sync queue are kept so the round
+   * can be resumed from the home screen on the last hole played.
+   * 
+   * @param {Function} leave - Performs the navigation away from the screen
+   */
+  const pauseRound = useCallback(async (leave) => {
+    try {
+      setLoading(true);
+      
+      // Keep the hole in progress and queue it for upload
+      await saveCurrentHoleToStorage();
+      await syncCurrentHole();
+      
+      // Remember where the player stopped
+      await AsyncStorage.setItem("currentRound", JSON.stringify({ ...round, last_hole: currentHole }));
+      
+      console.log(`Round paused on hole ${currentHole}`);
+    } catch (error) {
+      // The round is still stored locally, so leave anyway
+      console.error("Error pausing round:", error);
+    } finally {
+      exitingRef.current = true;
+      setLoading(false);
+      leave();
+    }
+  }, [round, currentHole, saveCurrentHoleToStorage, syncCurrentHole]);
+
+  /**
+   * Discard the round completely and leave the tracker
+   * 
+   * @param {Function} leave - Performs the navigation away from the screen
+   */
+  const discardRound = useCallback(async (leave) => {
+    try {
+      setLoading(true);
+      
+      if (round && round.id) {
+        // Delete the round and any uploaded holes from the database
+        await deleteAbandonedRound(round.id);
+        
+        // Clean up AsyncStorage and anything still queued for upload
+        await AsyncStorage.removeItem(`round_${round.id}_holes`);
+        await AsyncStorage.removeItem("currentRound");
+        await clearRoundSync(round.id);
+        
+        console.log("Round discarded and cleaned up successfully");
+      }
+    } catch (error) {
+      // Still navigate even if cleanup fails
+      console.error("Error discarding round:", error);
+    } finally {
+      exitingRef.current = true;
+      setLoading(false);
+      leave();
+    }
+  }, [round]);
+
+  /**
+   * Ask whether to pause or discard the round before leaving
+   * 
+   * @param {Function} leave - Performs the navigation away from the screen
+   */
+  const confirmExit = useCallback((leave) => {
+    Alert.alert(
+      "Leave Round?",
+      "Pause to keep your progress and resume later from the home screen, or discard this round completely.",
+      [
+        { text: "Stay", style: "cancel" },
+        { text: "Pause Round", onPress: () => pauseRound(leave) },
+        { 
+          text: "Discard Round", 
+          style: "destructive",
+          onPress: () => discardRound(leave)
+        }
+      ]
+    );
+  }, [pauseRound, discardRound]);
+
+  // Update the iOS navigation interception
+  useFocusEffect(
+    useCallback(() => {
+      const unsubscribe = navigation.addListener('beforeRemove', (e) => {
+        // If we have an active round, prevent ANY navigation and show confirmation
+        if (round && round.id && !exitingRef.current) {
+          // Always prevent the default navigation
+          e.preventDefault();
+          
+          // Dispatch the originally prevented action once the user chooses
+          confirmExit(() => navigation.dispatch(e.data.action));
+        }
+      });
+
+      return unsubscribe;
+    }, [navigation, round, confirmExit])
+  );
+
+  /**
+   * Load the player's bag so shots can be tagged with their own clubs,
+   * and their carry chart for club suggestions
+   */
+  useEffect(() => {
+    if (!user) return;
+    
+    getBag(user.id, true).then(clubs => setBagClubs(clubs.map(club => club.name)));
+    getCarryChart(user.id).then(setCarryChart);
+  }, [user]);
+
+  // Add this effect to handle hardware back button on Android
+  useEffect(() => {
+    const backHandler = BackHandler.addEventListener(
+      'hardwareBackPress',
+      () => {
+        if (exitingRef.current) {
+          return false; // Let the default back behavior run
+        }
+        
+        if (!round || !round.id) {
+          navigation.goBack();
+          return true;
+        }
+        
+        // Show pause/discard options instead of going back immediately
+        confirmExit(() => navigation.goBack());
+        return true; // Prevent default back behavior
+      }
+    );
+
+    return () => backHandler.remove();
+  }, [round, navigation, confirmExit]);
+
+  /**
+   * Remember the last hole played so a paused round resumes in the right place
+   */
+  useEffect(() => {
+    if (!round?.id || exitingRef.current) return;
+    
+    AsyncStorage.setItem("currentRound", JSON.stringify({ ...round, last_hole: currentHole }))
+      .catch(error => console.error("Error saving current hole:", error));
+  }, [round, currentHole]);
+
   /**
    * Function to navigate to the next hole
    * Saves current hole data before moving
    */
   const handleNextHole = useCallback(async () => {
-    if (currentHole < totalHoles) {
-      // Save current hole data to AsyncStorage
+    if (!isLastHole) {
+      // Save current hole data to AsyncStorage and queue it for upload
       await saveCurrentHoleToStorage();
+      await syncCurrentHole();
       
       // Move to the next hole
-      setCurrentHole(prev => prev + 1);
+      setCurrentHole(holeSequence[holePosition + 1]);
     } else {
       // If on the last hole, prompt to finish the round
       Alert.alert(
@@ -254,21 +570,22 @@ export default function TrackerScreen({ navigation }) {
         ]
       );
     }
-  }, [currentHole, totalHoles, saveCurrentHoleToStorage]);
+  }, [isLastHole, holePosition, holeSequence, saveCurrentHoleToStorage, syncCurrentHole]);
 
   /**
    * Function to navigate to the previous hole
    * Saves current hole data before moving
    */
   const handlePreviousHole = useCallback(async () => {
-    if (currentHole > 1) {
-      // Save current hole data to AsyncStorage
+    if (holePosition > 0) {
+      // Save current hole data to AsyncStorage and queue it for upload
       await saveCurrentHoleToStorage();
+      await syncCurrentHole();
       
       // Move to the previous hole
-      setCurrentHole(prev => prev - 1);
+      setCurrentHole(holeSequence[holePosition - 1]);
     }
-  }, [currentHole, saveCurrentHoleToStorage]);
+  }, [holePosition, holeSequence, saveCurrentHoleToStorage, syncCurrentHole]);
 
   /**
    * Update hole information when courseDetails or currentHole changes
@@ -313,6 +630,9 @@ export default function TrackerScreen({ navigation }) {
           }
         }
         
+        // Par and stroke index from the set chosen for the round
+        const { par, strokeIndex } = getHoleParAndIndex(currentHoleInfo, round?.stroke_index_set);
+        
         // Update hole data with course information
         setHoleData(prevData => {
           const newData = { ...prevData };
@@ -321,9 +641,9 @@ export default function TrackerScreen({ navigation }) {
           if (!newData[currentHole].par) {
             newData[currentHole] = {
               ...newData[currentHole],
-              par: currentHoleInfo.par_men || null,
+              par,
               distance: distance || null,
-              index: currentHoleInfo.index_men || null,
+              index: strokeIndex,
               features: currentHoleInfo.features || [],
               poi: holePoi // Add POI data to hole
             };
@@ -371,27 +691,95 @@ export default function TrackerScreen({ navigation }) {
         const existingRoundStr = await AsyncStorage.getItem("currentRound");
         let roundData;
         
-        if (existingRoundStr) {
+        const existingRound = existingRoundStr ? JSON.parse(existingRoundStr) : null;
+        let resumeExisting = false;
+        
+        if (existingRound) {
+          // The home screen's Resume opens the paused round directly; a new
+          // selection asks first so the paused round is never lost silently
+          const choice = resumeRoundId === existingRound.id
+            ? "resume"
+            : await askAboutPausedRound(existingRound.course_id === courseData.id);
+          
+          if (choice === "cancel") {
+            exitingRef.current = true;
+            navigation.goBack();
+            return;
+          }
+          
+          if (choice === "discard") {
+            await deleteAbandonedRound(existingRound.id);
+            await AsyncStorage.removeItem(`round_${existingRound.id}_holes`);
+            await AsyncStorage.removeItem("currentRound");
+            await clearRoundSync(existingRound.id);
+            console.log("Paused round discarded:", existingRound.id);
+          }
+          
+          resumeExisting = choice === "resume";
+        }
+        
+        if (resumeExisting) {
           // Use existing round
-          roundData = JSON.parse(existingRoundStr);
+          roundData = existingRound;
           console.log("Resuming existing round:", roundData);
           setRound(roundData);
+          
+          // Pick up on the hole where the round was paused
+          if (roundData.last_hole) {
+            setCurrentHole(roundData.last_hole);
+          }
         } else {
+          const newRoundHoles = getRoundHoleSequence(
+            { start_hole: courseData.startHole, hole_count: courseData.holeCount },
+            courseData.numHoles
+          );
+          
+          // The round keeps the player's current shot table setup
+          const trackingProfile = await getTrackingProfile(user.id);
+
           // Create a new round
           roundData = await createRound(
             user.id,
             courseData.id,
             courseData.teeId,
-            courseData.teeName
+            courseData.teeName,
+            {
+              scoringFormat: courseData.scoringFormat,
+              courseHandicap: courseData.courseHandicap,
+              strokeIndexSet: courseData.strokeIndexSet,
+              startHole: newRoundHoles[0],
+              holeCount: newRoundHoles.length,
+              trackingSchema: buildTrackingSchema(trackingProfile)
+            },
+            courseData.players || []
           );
           
           console.log("New round created:", roundData);
           setRound(roundData);
+          setCurrentHole(newRoundHoles[0]);
           
           // Store the round in AsyncStorage
           await AsyncStorage.setItem("currentRound", JSON.stringify(roundData));
         }
         
+        // Track the holes this round covers, in playing order, counted with the round's schema
+        const roundSchema = getTrackingSchema(roundData);
+        const roundHoles = getRoundHoleSequence(roundData, courseData.numHoles);
+        setHoleSequence(roundHoles);
+        setHoleData(prevData => {
+          const newData = { ...prevData };
+          roundHoles.forEach(holeNum => {
+            newData[holeNum] = newData[holeNum]
+              ? { ...newData[holeNum], shotCounts: buildShotCounts(newData[holeNum].shots, roundSchema) }
+              : createHoleState(roundSchema);
+          });
+          return newData;
+        });
+        
+        // Load the rest of the group (rounds resumed from the server don't carry them)
+        const roundPlayers = roundData.players || await getRoundPlayers(roundData.id);
+        setPlayers(roundPlayers);
+        
         // Get supabase from the service
         const { supabase } = require("../services/supabase");
         
@@ -424,14 +812,37 @@ export default function TrackerScreen({ navigation }) {
               const newData = { ...prevData };
               
               // Update each hole that has stored data
+              // Shots saved before they had ids get them here
               Object.keys(storedHoles).forEach(holeNum => {
-                newData[holeNum] = storedHoles[holeNum];
+                newData[holeNum] = { ...storedHoles[holeNum], shots: withShotIds(storedHoles[holeNum].shots) };
               });
               
               return newData;
             });
             
             console.log("Loaded hole data from storage");
+          } else if (resumeExisting) {
+            // Resuming on a device without local holes - rebuild them from the server
+            const savedHoles = await getRoundHoleData(roundData.id);
+            
+            if (savedHoles.length > 0) {
+              const restoredHoles = {};
+              savedHoles.forEach(record => {
+                const shots = withShotIds(record.hole_data?.shots);
+                restoredHoles[record.hole_number] = {
+                  ...createHoleState(roundSchema),
+                  ...record.hole_data,
+                  shots,
+                  shotCounts: buildShotCounts(shots, roundSchema)
+                };
+              });
+              
+              setHoleData(prevData => ({ ...prevData, ...restoredHoles }));
+              
+              // Keep a local copy so the round can continue offline
+              await AsyncStorage.setItem(`round_${roundData.id}_holes`, JSON.stringify(restoredHoles));
+              console.log(`Restored ${savedHoles.length} holes from the server`);
+            }
           }
         }
       } catch (error) {
@@ -444,64 +855,241 @@ export default function TrackerScreen({ navigation }) {
     };
     
     initializeRound();
-  }, [user, navigation]);
+  }, [user, navigation, resumeRoundId]);
+
+  /**
+   * Update the detail fields of one shot on the current hole
+   * 
+   * @param {number} shotIndex - Position of the shot in the hole's shots array
+   * @param {object} changes - Fields to merge into the shot
+   * @param {number} holeNum - Hole the shot belongs to (defaults to the current hole)
+   */
+  const updateShot = useCallback((shotIndex, changes, holeNum = currentHole) => {
+    setHoleData(prevData => {
+      const holeInfo = prevData[holeNum];
+      if (!holeInfo || !holeInfo.shots[shotIndex]) {
+        return prevData;
+      }
+      
+      const shots = [...holeInfo.shots];
+      shots[shotIndex] = { ...shots[shotIndex], ...changes };
+      
+      return {
+        ...prevData,
+        [holeNum]: { ...holeInfo, shots: measureShotDistances(shots, holeInfo.ball_mark) }
+      };
+    });
+  }, [currentHole]);
+
+  /**
+   * Attach the player's GPS position to a newly recorded shot
+   * Runs in the background so recording a shot never waits on the GPS.
+   */
+  const captureShotPosition = useCallback(async (holeNum, type, shotId) => {
+    try {
+      const location = await getShotPosition();
+      if (!location) return;
+      
+      setHoleData(prevData => {
+        const holeInfo = prevData[holeNum];
+        const shotIndex = holeInfo?.shots.findIndex(shot => shot.id === shotId);
+        if (shotIndex === undefined || shotIndex === -1) {
+          return prevData; // Shot was removed before the fix arrived
+        }
+        
+        const shots = [...holeInfo.shots];
+        const shot = { ...shots[shotIndex], location };
+        
+        // Fill in the distance to the green when the player hasn't entered one
+        const greenCenter = findGreenCenter(holeInfo.poi);
+        if (shot.distance_to_target === null && greenCenter && GREEN_DISTANCE_SHOT_TYPES.includes(type)) {
+          shot.distance_to_target = calculateDistanceYards(location, greenCenter);
+        }
+        
+        shots[shotIndex] = shot;
+        return { ...prevData, [holeNum]: { ...holeInfo, shots } };
+      });
+    } catch (error) {
+      // Position is optional detail, so a failed fix is only logged
+      console.warn("Could not capture shot position:", error);
+    }
+  }, []);
+
+  /**
+   * Mark the ball's position on the current hole
+   * The mark ends the previous shot (giving its distance) and becomes the
+   * starting position of the next shot recorded.
+   */
+  const markBall = useCallback(async () => {
+    const holeNum = currentHole;
+    setMarkingBall(true);
+    
+    try {
+      const mark = await getBallMark();
+      if (!mark) {
+        Alert.alert("Location Needed", "Allow location access to measure your shots.");
+        return;
+      }
+      
+      setHoleData(prevData => {
+        const holeInfo = prevData[holeNum];
+        if (!holeInfo) return prevData;
+        
+        return {
+          ...prevData,
+          [holeNum]: {
+            ...holeInfo,
+            ball_mark: mark,
+            shots: measureShotDistances(holeInfo.shots, mark)
+          }
+        };
+      });
+    } catch (error) {
+      console.error("Error marking ball position:", error);
+      Alert.alert("Location Unavailable", "Couldn't get a GPS fix. Please try again.");
+    } finally {
+      setMarkingBall(false);
+    }
+  }, [currentHole]);
+
+  /**
+   * Label of a row in the round's tracking schema
+   */
+  const getRowLabel = useCallback((rowId) => (
+    trackingSchema.rows.find(row => row.id === rowId)?.label || rowId
+  ), [trackingSchema]);
 
   /**
-   * Function to add a shot of a specific type and outcome
+   * Remember a hole's shots before an edit so it can be undone
+   * Only what the shots were and their order are undone; detail such as
+   * clubs and positions is kept (see restoreShotSequence).
+   * 
+   * @param {number} holeNum - The hole being edited
+   * @param {string} label - Description of the edit, e.g. "Added Tee Shot"
    */
-  const addShot = useCallback((type, outcome) => {
-    console.log(`Adding ${outcome} ${type} shot for hole ${currentHole}`);
+  const recordShotHistory = useCallback((holeNum, label) => {
+    const shots = holeData[holeNum]?.shots || [];
+    
+    setShotHistory(prev => ({
+      undo: [...prev.undo, { holeNum, shots, label }].slice(-MAX_SHOT_HISTORY),
+      redo: []
+    }));
+  }, [holeData]);
+
+  /**
+   * Apply a timeline edit to the current hole's shots
+   * 
+   * @param {string} label - Description of the edit for undo
+   * @param {Function} editShots - Given the hole's shots, returns the edited shots
+   */
+  const editHoleShots = useCallback((label, editShots) => {
+    const holeNum = currentHole;
+    recordShotHistory(holeNum, label);
+    
+    setHoleData(prevData => {
+      const holeInfo = prevData[holeNum];
+      if (!holeInfo) return prevData;
+      
+      const shots = measureShotDistances(editShots(holeInfo.shots), holeInfo.ball_mark);
+      return {
+        ...prevData,
+        [holeNum]: { ...holeInfo, shots, shotCounts: buildShotCounts(shots, trackingSchema) }
+      };
+    });
+  }, [currentHole, recordShotHistory, trackingSchema]);
+
+  /**
+   * Function to add a shot in a ShotTable row and outcome column
+   * A custom category is stored as its shot type plus the category, and a
+   * five-point grade as its standard outcome plus the grade.
+   * 
+   * @param {string} rowId - The row's id (the shot type for standard rows)
+   * @param {string} outcome - The outcome column's id
+   */
+  const addShot = useCallback((rowId, outcome) => {
+    console.log(`Adding ${outcome} ${rowId} shot for hole ${currentHole}`);
+    recordShotHistory(currentHole, `Added ${getRowLabel(rowId)}`);
+    
+    const holeInfo = holeData[currentHole];
+    const { type, result, category, outcome: grade } = getShotFields(trackingSchema, rowId, outcome);
+    
+    // A marked ball gives the shot's starting position, so no background fix is needed.
+    // Penalty strokes aren't played from the ball, so they leave the mark in place.
+    const mark = type !== "Penalties" ? holeInfo?.ball_mark : null;
+    const greenCenter = findGreenCenter(holeInfo?.poi);
+    
+    const shot = createShot(type, result, {
+      category,
+      outcome: grade,
+      ...(mark ? {
+        location: mark,
+        distance_to_target: greenCenter && GREEN_DISTANCE_SHOT_TYPES.includes(type)
+          ? calculateDistanceYards(mark, greenCenter)
+          : null
+      } : {})
+    });
     
     setHoleData(prevData => {
       const newData = { ...prevData };
       const currentHoleInfo = { ...newData[currentHole] };
       
       // Add to shots array
-      currentHoleInfo.shots.push({
-        type,
-        result: outcome,
-        timestamp: new Date().toISOString()
-      });
+      currentHoleInfo.shots = [...currentHoleInfo.shots, shot];
+      
+      // The mark now belongs to this shot
+      if (mark) {
+        currentHoleInfo.ball_mark = null;
+        currentHoleInfo.shots = measureShotDistances(currentHoleInfo.shots);
+      }
       
-      // Update shot counts for ShotTable compatibility
-      currentHoleInfo.shotCounts[type][outcome] += 1;
+      // Update shot counts for the ShotTable
+      currentHoleInfo.shotCounts = buildShotCounts(currentHoleInfo.shots, trackingSchema);
       
       // Update hole data
       newData[currentHole] = currentHoleInfo;
       
       return newData;
     });
-  }, [currentHole]);
+    
+    if (!mark) {
+      captureShotPosition(currentHole, type, shot.id);
+    }
+  }, [currentHole, holeData, trackingSchema, captureShotPosition, recordShotHistory, getRowLabel]);
 
   /**
-   * Function to remove a shot of a specific type and outcome
+   * Function to remove the latest shot in a ShotTable row and outcome column
+   * 
+   * @param {string} rowId - The row's id (the shot type for standard rows)
+   * @param {string} outcome - The outcome column's id
    */
-  const removeShot = useCallback((type, outcome) => {
-    console.log(`Removing ${outcome} ${type} shot for hole ${currentHole}`);
+  const removeShot = useCallback((rowId, outcome) => {
+    console.log(`Removing ${outcome} ${rowId} shot for hole ${currentHole}`);
+    
+    const shots = holeData[currentHole]?.shots || [];
+    if (!shots.some(shot => isCellShot(shot, trackingSchema, rowId, outcome))) return;
+    recordShotHistory(currentHole, `Removed ${getRowLabel(rowId)}`);
     
     setHoleData(prevData => {
       const newData = { ...prevData };
       const currentHoleInfo = { ...newData[currentHole] };
       
-      // Only proceed if there are shots to remove
-      if (currentHoleInfo.shotCounts[type][outcome] <= 0) {
-        return prevData;
-      }
-      
-      // Find the index of the last shot of this type and outcome
+      // Find the index of the last shot counted in this row and outcome
       const shotIndex = [...currentHoleInfo.shots].reverse().findIndex(
-        shot => shot.type === type && shot.result === outcome
+        shot => isCellShot(shot, trackingSchema, rowId, outcome)
       );
       
       if (shotIndex !== -1) {
         // Convert the reversed index to the actual index
         const actualIndex = currentHoleInfo.shots.length - 1 - shotIndex;
         
-        // Remove the shot from the shots array
-        currentHoleInfo.shots.splice(actualIndex, 1);
+        // Remove the shot from the shots array, re-measuring the shots around it
+        currentHoleInfo.shots = measureShotDistances(
+          currentHoleInfo.shots.filter((_, index) => index !== actualIndex),
+          currentHoleInfo.ball_mark
+        );
         
-        // Update the shot counts for ShotTable compatibility
-        currentHoleInfo.shotCounts[type][outcome] -= 1;
+        // Update the shot counts for the ShotTable
+        currentHoleInfo.shotCounts = buildShotCounts(currentHoleInfo.shots, trackingSchema);
         
         // Update the hole data
         newData[currentHole] = currentHoleInfo;
@@ -509,6 +1097,194 @@ export default function TrackerScreen({ navigation }) {
       
       return newData;
     });
+  }, [currentHole, holeData, trackingSchema, recordShotHistory, getRowLabel]);
+
+  /**
+   * Record a penalty on the current hole
+   * Penalties don't move the ball, so the ball mark and GPS are left alone.
+   * 
+   * @param {string} penaltyType - One of PENALTY_TYPES
+   */
+  const addPenalty = useCallback((penaltyType) => {
+    console.log(`Adding ${penaltyType} penalty for hole ${currentHole}`);
+    recordShotHistory(currentHole, `Added ${PENALTY_TYPE_LABELS[penaltyType] || "penalty"}`);
+    
+    setHoleData(prevData => {
+      const holeInfo = prevData[currentHole];
+      return {
+        ...prevData,
+        [currentHole]: { ...holeInfo, shots: [...holeInfo.shots, createPenalty(penaltyType)] }
+      };
+    });
+  }, [currentHole, recordShotHistory]);
+
+  /**
+   * Remove the latest penalty on the current hole
+   */
+  const removePenalty = useCallback(() => {
+    const shots = holeData[currentHole]?.shots || [];
+    if (!shots.some(shot => shot.type === "Penalties")) return;
+    recordShotHistory(currentHole, "Removed penalty");
+    
+    setHoleData(prevData => {
+      const holeInfo = prevData[currentHole];
+      const reversedIndex = [...holeInfo.shots].reverse().findIndex(shot => shot.type === "Penalties");
+      if (reversedIndex === -1) return prevData;
+      
+      const actualIndex = holeInfo.shots.length - 1 - reversedIndex;
+      const shots = holeInfo.shots.filter((_, index) => index !== actualIndex);
+      
+      // Recount, since penalties recorded before they had types were counted by outcome
+      return {
+        ...prevData,
+        [currentHole]: {
+          ...holeInfo,
+          shots,
+          shotCounts: buildShotCounts(shots, trackingSchema)
+        }
+      };
+    });
+  }, [currentHole, holeData, trackingSchema, recordShotHistory]);
+
+  /**
+   * Record where the latest shot of a type missed, from the ShotTable picker
+   * 
+   * @param {string} type - Tee Shot, Long Shot or Approach
+   * @param {string} direction - A compass direction id from dispersion.js
+   */
+  const setMissDirection = useCallback((type, direction) => {
+    const shots = holeData[currentHole]?.shots || [];
+    const reversedIndex = [...shots].reverse().findIndex(shot => shot.type === type);
+    
+    if (reversedIndex !== -1) {
+      updateShot(shots.length - 1 - reversedIndex, { miss_direction: direction });
+    }
+  }, [currentHole, holeData, updateShot]);
+
+  /**
+   * Move a shot to another place in the current hole's order, from the timeline
+   * 
+   * @param {number} fromIndex - The shot's position
+   * @param {number} toIndex - Where it moves to
+   */
+  const moveShot = useCallback((fromIndex, toIndex) => {
+    editHoleShots("Reordered shots", shots => {
+      const reordered = [...shots];
+      const [shot] = reordered.splice(fromIndex, 1);
+      reordered.splice(toIndex, 0, shot);
+      return reordered;
+    });
+  }, [editHoleShots]);
+
+  /**
+   * Delete any shot or penalty on the current hole, from the timeline
+   * 
+   * @param {number} shotIndex - The shot's position
+   */
+  const deleteShot = useCallback((shotIndex) => {
+    const shot = holeData[currentHole]?.shots[shotIndex];
+    if (!shot) return;
+    
+    editHoleShots(
+      `Deleted ${shot.type === "Penalties" ? "penalty" : "shot"} ${shotIndex + 1}`,
+      shots => shots.filter((_, index) => index !== shotIndex)
+    );
+  }, [currentHole, holeData, editHoleShots]);
+
+  /**
+   * Change which row and outcome a shot on the current hole is counted in
+   * A lie that only came from the old shot type follows the new one.
+   * 
+   * @param {number} shotIndex - The shot's position
+   * @param {string} rowId - The new row's id
+   * @param {string} outcome - The new outcome column's id
+   */
+  const changeShot = useCallback((shotIndex, rowId, outcome) => {
+    const { type, result, category, outcome: grade } = getShotFields(trackingSchema, rowId, outcome);
+    
+    editHoleShots(`Changed shot ${shotIndex + 1}`, shots => shots.map((shot, index) => {
+      if (index !== shotIndex) return shot;
+      
+      const lie = shot.lie === getDefaultLie(shot.type) ? getDefaultLie(type) : shot.lie;
+      return { ...shot, type, result, category, outcome: grade, lie };
+    }));
+  }, [trackingSchema, editHoleShots]);
+
+  /**
+   * Change the cause of a penalty on the current hole
+   * The penalty strokes follow the new cause.
+   * 
+   * @param {number} shotIndex - The penalty's position
+   * @param {string} penaltyType - One of PENALTY_TYPES
+   */
+  const changePenalty = useCallback((shotIndex, penaltyType) => {
+    editHoleShots(`Changed penalty ${shotIndex + 1}`, shots => shots.map((shot, index) => (
+      index === shotIndex
+        ? { ...shot, penalty_type: penaltyType, penalty_strokes: PENALTY_STROKES[penaltyType] ?? 1 }
+        : shot
+    )));
+  }, [editHoleShots]);
+
+  /**
+   * Undo or redo the latest shot edit in the round
+   * An edit on another hole takes the player to that hole first, saving the
+   * current one as moving between holes does.
+   * 
+   * @param {string} direction - "undo" or "redo"
+   */
+  const stepShotHistory = useCallback(async (direction) => {
+    const reverse = direction === "undo" ? "redo" : "undo";
+    const entry = shotHistory[direction][shotHistory[direction].length - 1];
+    if (!entry) return;
+    
+    if (entry.holeNum !== currentHole) {
+      await saveCurrentHoleToStorage();
+      await syncCurrentHole();
+      setCurrentHole(entry.holeNum);
+    }
+    
+    setShotHistory(prev => ({
+      [direction]: prev[direction].slice(0, -1),
+      [reverse]: [
+        ...prev[reverse],
+        { holeNum: entry.holeNum, shots: holeData[entry.holeNum]?.shots || [], label: entry.label }
+      ].slice(-MAX_SHOT_HISTORY)
+    }));
+    
+    setHoleData(prevData => {
+      const holeInfo = prevData[entry.holeNum];
+      if (!holeInfo) return prevData;
+      
+      const shots = measureShotDistances(restoreShotSequence(entry.shots, holeInfo.shots), holeInfo.ball_mark);
+      return {
+        ...prevData,
+        [entry.holeNum]: { ...holeInfo, shots, shotCounts: buildShotCounts(shots, trackingSchema) }
+      };
+    });
+  }, [shotHistory, currentHole, holeData, trackingSchema, saveCurrentHoleToStorage, syncCurrentHole]);
+
+  /**
+   * Set another player's score on the current hole
+   * 
+   * @param {number} position - The player's position in the group
+   * @param {number|null} score - Gross score, or null to clear it
+   */
+  const setPlayerScore = useCallback((position, score) => {
+    setHoleData(prevData => {
+      const holeInfo = prevData[currentHole];
+      const playerScores = { ...(holeInfo.player_scores || {}) };
+      
+      if (score) {
+        playerScores[position] = score;
+      } else {
+        delete playerScores[position];
+      }
+      
+      return {
+        ...prevData,
+        [currentHole]: { ...holeInfo, player_scores: playerScores }
+      };
+    });
   }, [currentHole]);
 
   /**
@@ -518,12 +1294,13 @@ export default function TrackerScreen({ navigation }) {
     try {
       setLoading(true);
       
-      // Save current hole data to AsyncStorage
+      // Save current hole data to AsyncStorage and queue it for upload
       await saveCurrentHoleToStorage();
+      await syncCurrentHole();
       
       // Move to next hole if not on last hole
-      if (currentHole < totalHoles) {
-        setCurrentHole(prev => prev + 1);
+      if (!isLastHole) {
+        setCurrentHole(holeSequence[holePosition + 1]);
       }
       
       setLoading(false);
@@ -536,7 +1313,10 @@ export default function TrackerScreen({ navigation }) {
 
   /**
    * Complete the round - save all hole data to database
-   * Enhanced to include POI data in the saved hole_data
+   * 
+   * Every hole goes through the sync queue. When the upload can't finish
+   * (no signal on the last green), completion is queued behind the holes
+   * and runs automatically once the device is back online.
    */
   const finishRound = async () => {
     try {
@@ -554,51 +1334,69 @@ export default function TrackerScreen({ navigation }) {
       
       const storedHoleData = JSON.parse(storedDataStr);
       
-      // Save each hole to the database
-      for (let holeNum = 1; holeNum <= totalHoles; holeNum++) {
+      // Queue each hole that hasn't already reached the database
+      for (const holeNum of holeSequence) {
         // Skip holes with no data
-        if (!storedHoleData[holeNum] || storedHoleData[holeNum].shots.length === 0) {
+        if (!hasHoleScores(storedHoleData[holeNum])) {
+          continue;
+        }
+        
+        // Re-sending a synced hole would re-stamp it and could overwrite newer edits
+        const alreadySynced = syncStatuses[String(holeNum)]?.status === SYNC_STATUS.SYNCED;
+        if (alreadySynced && holeNum !== currentHole) {
           continue;
         }
         
         const holeInfo = storedHoleData[holeNum];
-        const totalScore = holeInfo.shots.length;
-        
-        // Create hole data object including POI data
-        const holeDataForDb = {
-          par: holeInfo.par,
-          distance: holeInfo.distance,
-          index: holeInfo.index,
-          features: holeInfo.features,
-          shots: holeInfo.shots,
-          poi: holeInfo.poi // Include POI data in database record
-        };
         
-        // Save hole data to database
         await saveHoleData(
           round.id,
           holeNum,
-          holeDataForDb,
-          totalScore
+          buildHoleRecord(holeInfo),
+          countHoleStrokes(holeInfo.shots)
         );
-        
-        console.log(`Hole ${holeNum} data saved to database`);
       }
       
-      // Complete the round
-      await completeRound(round.id);
-      console.log("Round completed successfully");
+      // Try to upload everything right now
+      const allSynced = await flushRoundSync(round.id);
       
-      // Clear AsyncStorage data for this round
+      if (allSynced) {
+        // Complete the round
+        await completeRound(round.id);
+        await clearRoundSync(round.id);
+        console.log("Round completed successfully");
+      } else {
+        // Offline - let the queue complete the round once the holes are uploaded
+        await queueRoundCompletion(round.id);
+        console.log("Round completion queued until connection returns");
+      }
+      
+      // Clear AsyncStorage data for this round - the queue holds anything not yet uploaded
       await AsyncStorage.removeItem(`round_${round.id}_holes`);
       await AsyncStorage.removeItem("currentRound");
       
-      // Navigate to scorecard with replace to prevent back navigation to the tracker
-      // This creates a cleaner flow where completing a round leads directly to the scorecard
-      navigation.replace("ScorecardScreen", { 
-        roundId: round.id,
-        fromTracker: true // Add flag to indicate we came from tracker
-      });
+      // Allow the screen to be left without the exit confirmation
+      exitingRef.current = true;
+      
+      if (allSynced) {
+        // Navigate to scorecard with replace to prevent back navigation to the tracker
+        // This creates a cleaner flow where completing a round leads directly to the scorecard
+        navigation.replace("ScorecardScreen", { 
+          roundId: round.id,
+          fromTracker: true // Add flag to indicate we came from tracker
+        });
+      } else {
+        setLoading(false);
+        
+        const failedSyncs = await getFailedSyncs(round.id);
+        Alert.alert(
+          "Round Saved",
+          failedSyncs.length > 0
+            ? "Some holes couldn't be uploaded to your account. The rest of your round will finish uploading automatically."
+            : "You're offline right now. Your round is saved on this device and will upload automatically when you're back online.",
+          [{ text: "OK", onPress: () => navigation.goBack() }]
+        );
+      }
     } catch (error) {
       console.error("Error finishing round:", error);
       setLoading(false);
@@ -609,11 +1407,89 @@ export default function TrackerScreen({ navigation }) {
     }
   };
 
+  // Shots of the type open in the detail sheet, with their position on the hole
+  const editingShots = editingShotType
+    ? (holeData[currentHole]?.shots || [])
+        .map((shot, index) => ({ shot, index }))
+        .filter(({ shot }) => shot.type === editingShotType)
+    : [];
+  
+  // Number of shots per type that already have detail recorded
+  const detailCounts = {};
+  (holeData[currentHole]?.shots || []).forEach(shot => {
+    if (hasShotDetail(shot)) {
+      detailCounts[shot.type] = (detailCounts[shot.type] || 0) + 1;
+    }
+  });
+  
+  // Most recent shot on this hole measured from ball marks
+  const lastMeasuredShot = [...(holeData[currentHole]?.shots || [])]
+    .reverse()
+    .find(shot => shot.shot_distance !== null && shot.shot_distance !== undefined);
+
   // Calculate total score for current hole
-  const currentHoleScore = holeData[currentHole]?.shots?.length || 0;
+  const currentHoleScore = countHoleStrokes(holeData[currentHole]?.shots);
   const currentHolePar = holeData[currentHole]?.par || 0;
   const scoreRelativeToPar = currentHoleScore - currentHolePar;
   
+  // Score the round so far under the format chosen for it
+  const scoringFormat = getScoringFormat(round?.scoring_format);
+  const holeScores = {};
+  Object.keys(holeData).forEach(holeNum => {
+    if (holeData[holeNum]?.shots?.length > 0) {
+      holeScores[holeNum] = countHoleStrokes(holeData[holeNum].shots);
+    }
+  });
+  const formatResult = scoringFormat.id !== SCORING_FORMATS.STROKE && courseDetails?.holes
+    ? scoreRound(
+        scoringFormat.id,
+        buildFormatHoles(courseDetails.holes, holeScores, round?.stroke_index_set, holeSequence),
+        round?.course_handicap
+      )
+    : null;
+  const currentHoleResult = formatResult?.holes.find(hole => hole.holeNumber === currentHole);
+  const formatHeadline = formatResult ? getRoundHeadline(formatResult) : null;
+  
+  // Hole scores and running totals for everyone in a group round
+  const groupPlayers = players.length === 0 ? [] : [
+    { position: SCORER_POSITION, name: "You", courseHandicap: round?.course_handicap },
+    ...players.map(player => ({
+      position: player.position,
+      name: player.display_name,
+      courseHandicap: player.course_handicap
+    }))
+  ].map(player => {
+    const scores = {};
+    Object.keys(holeData).forEach(holeNum => {
+      const score = getPlayerHoleScore(holeData[holeNum], player.position);
+      if (score) scores[holeNum] = score;
+    });
+    
+    const result = courseDetails?.holes
+      ? scoreRound(
+          scoringFormat.id,
+          buildFormatHoles(courseDetails.holes, scores, round?.stroke_index_set, holeSequence),
+          player.courseHandicap
+        )
+      : null;
+    const headline = result ? getRoundHeadline(result) : null;
+    const grossTotal = Object.values(scores).reduce((total, score) => total + score, 0);
+    
+    return {
+      position: player.position,
+      name: player.name,
+      holeScore: getPlayerHoleScore(holeData[currentHole], player.position),
+      strokesReceived: result?.holes.find(hole => hole.holeNumber === currentHole)?.strokesReceived || 0,
+      total: headline ? `${headline.label} ${headline.value}` : `Total ${grossTotal}`
+    };
+  });
+  
+  // Handicap strokes on this hole (negative when giving strokes back)
+  const holeStrokes = currentHoleResult?.strokesReceived || 0;
+  const holeStrokesText = holeStrokes === 0
+    ? ""
+    : ` • ${holeStrokes > 0 ? "Receive" : "Give"} ${Math.abs(holeStrokes)} ${Math.abs(holeStrokes) === 1 ? "stroke" : "strokes"}`;
+  
   // Add color-coding helper function for score display
   const getScoreColor = () => {
     if (scoreRelativeToPar < 0) return theme.colors.success; // Under par (good)
@@ -623,14 +1499,15 @@ export default function TrackerScreen({ navigation }) {
 
   return (
     <SafeAreaView style={styles.safeArea}>
-      <ScrollView contentContainerStyle={styles.container}>
+      <ScrollView contentContainerStyle={styles.container} scrollEnabled={!draggingShot}>
         {/* 1. Navigator - KEEP EXISTING */}
         <View style={styles.navigatorContainer}>
           <HoleNavigator
             currentHole={currentHole}
             onPreviousHole={handlePreviousHole}
             onNextHole={handleNextHole}
-            totalHoles={totalHoles}
+            holeNumbers={holeSequence}
+            syncStatuses={round ? syncStatuses : null}
           />
         </View>
 
@@ -652,6 +1529,18 @@ export default function TrackerScreen({ navigation }) {
               </Typography>
             </View>
           </View>
+          
+          {/* Format points for this hole and the round so far */}
+          {formatResult && (
+            <View style={styles.formatRow}>
+              <Typography variant="caption" style={styles.formatText}>
+                {scoringFormat.label}{holeStrokesText}
+              </Typography>
+              <Typography variant="caption" weight="semibold">
+                Hole {formatHoleValue(scoringFormat.id, currentHoleResult)} • {formatHeadline.label} {formatHeadline.value}
+              </Typography>
+            </View>
+          )}
         </View>
 
         {/* Show loading indicator when saving data */}
@@ -668,34 +1557,119 @@ export default function TrackerScreen({ navigation }) {
             <DistanceIndicator 
               holeData={holeData[currentHole]} 
               active={!loading} 
+              carryChart={carryChart}
             />
             
+            {/* Ball marking and the hole map toggle */}
+            <View style={styles.gpsActions}>
+              <TouchableOpacity
+                style={styles.markBallButton}
+                onPress={markBall}
+                disabled={markingBall}
+              >
+                {markingBall ? (
+                  <ActivityIndicator size="small" color={theme.colors.primary} />
+                ) : (
+                  <Typography variant="caption" color={theme.colors.primary} weight="semibold">
+                    {holeData[currentHole]?.ball_mark ? "Ball marked" : "Mark ball"}
+                  </Typography>
+                )}
+              </TouchableOpacity>
+              {lastMeasuredShot && (
+                <Typography variant="caption" style={styles.lastShotText}>
+                  Last shot: {lastMeasuredShot.shot_distance} yd
+                </Typography>
+              )}
+              
+              {/* Hole map - only offered when the course has mapped greens */}
+              {holeData[currentHole]?.poi?.greens?.length > 0 && (
+                <TouchableOpacity
+                  style={styles.mapToggle}
+                  onPress={() => setShowHoleMap(prev => !prev)}
+                >
+                  <Typography variant="caption" color={theme.colors.primary} weight="semibold">
+                    {showHoleMap ? "Hide hole map" : "Show hole map"}
+                  </Typography>
+                </TouchableOpacity>
+              )}
+            </View>
+            {showHoleMap && holeData[currentHole]?.poi?.greens?.length > 0 && (
+              <HoleMap holeData={holeData[currentHole]} active={!loading} />
+            )}
+            
             {/* 4. Shot Table - MAINTAINED POSITION BUT EXPANDED HEIGHT */}
             <View style={styles.tableContainer}>
               <ShotTable
                 shotCounts={holeData[currentHole].shotCounts}
+                schema={trackingSchema}
                 activeColumn={activeColumn}
                 setActiveColumn={setActiveColumn}
                 addShot={addShot}
                 removeShot={removeShot}
+                onEditShots={setEditingShotType}
+                detailCounts={detailCounts}
+                onSetMissDirection={setMissDirection}
+                penalties={(holeData[currentHole]?.shots || []).filter(shot => shot.type === "Penalties")}
+                addPenalty={addPenalty}
+                removePenalty={removePenalty}
               />
             </View>
             
+            {/* The hole's shots in order - reorder, delete, change, undo and redo */}
+            <ShotTimeline
+              shots={holeData[currentHole]?.shots || []}
+              schema={trackingSchema}
+              onMoveShot={moveShot}
+              onDeleteShot={deleteShot}
+              onChangeShot={changeShot}
+              onChangePenalty={changePenalty}
+              onUndo={() => stepShotHistory("undo")}
+              onRedo={() => stepShotHistory("redo")}
+              undoLabel={shotHistory.undo[shotHistory.undo.length - 1]?.label || null}
+              redoLabel={shotHistory.redo[shotHistory.redo.length - 1]?.label || null}
+              onDragChange={setDraggingShot}
+            />
+            
+            {/* Putting detail - first-putt distance, misses and holed length */}
+            <PuttingPanel
+              shots={holeData[currentHole]?.shots || []}
+              onUpdateShot={updateShot}
+            />
+            
+            {/* Scores for the rest of the group */}
+            {groupPlayers.length > 0 && (
+              <GroupScoreCard
+                players={groupPlayers}
+                par={holeData[currentHole]?.par}
+                onChangeScore={setPlayerScore}
+              />
+            )}
+            
             {/* 5. Action Button - MAINTAINED POSITION */}
             <View style={styles.buttonContainer}>
               <Button
                 variant="primary"
                 size="large"
                 fullWidth
-                onPress={currentHole === totalHoles ? finishRound : completeHole}
+                onPress={isLastHole ? finishRound : completeHole}
                 loading={loading}
               >
-                {currentHole === totalHoles ? "Complete Round" : "Complete Hole"}
+                {isLastHole ? "Complete Round" : "Complete Hole"}
               </Button>
             </View>
           </View>
         )}
       </ScrollView>
+      
+      {/* Per-shot detail editor opened from a ShotTable row */}
+      <ShotDetailSheet
+        visible={editingShotType !== null}
+        shotType={editingShotType}
+        shots={editingShots}
+        clubs={bagClubs.length > 0 ? bagClubs : undefined}
+        onUpdateShot={updateShot}
+        onClose={() => setEditingShotType(null)}
+      />
     </SafeAreaView>
   );
 }
@@ -738,6 +1712,41 @@ const styles = StyleSheet.create({
   scoreText: {
     fontSize: 18,
   },
+  formatRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: 6,
+    paddingTop: 6,
+    borderTopWidth: 1,
+    borderTopColor: '#e8e8e8',
+  },
+  formatText: {
+    color: '#666',
+    flex: 1,
+  },
+  gpsActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginHorizontal: 8,
+    marginBottom: 8,
+  },
+  markBallButton: {
+    minWidth: 84,
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: theme.colors.primary,
+    alignItems: 'center',
+  },
+  lastShotText: {
+    marginLeft: 8,
+    color: '#666',
+  },
+  mapToggle: {
+    marginLeft: 'auto',
+  },
   loadingContainer: {
     flex: 1,
     justifyContent: "center",
@@ -761,4 +1770,4 @@ const styles = StyleSheet.create({
     marginBottom: theme.spacing.medium,
     paddingHorizontal: theme.spacing.medium,
   }
-});
\ No newline at end of file
+});
@@ -0,0 +1,324 @@
+// src/screens/TrackingProfileScreen.js
+import React, { useState, useEffect, useContext } from "react";
+import {
+  View,
+  ScrollView,
+  StyleSheet,
+  TextInput,
+  TouchableOpacity,
+  Switch,
+  Alert,
+  ActivityIndicator
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import Layout from "../ui/Layout";
+import theme from "../ui/theme";
+import Typography from "../ui/components/Typography";
+import Button from "../ui/components/Button";
+import Card from "../ui/components/Card";
+import { AuthContext } from "../context/AuthContext";
+import { getTrackingProfile, saveTrackingProfile } from "../services/trackingProfileService";
+import {
+  OUTCOME_SCALES,
+  OUTCOME_SCALE_LABELS,
+  CATEGORY_BASE_TYPES,
+  MAX_CUSTOM_CATEGORIES,
+  MAX_CATEGORY_LABEL_LENGTH,
+  buildTrackingSchema,
+  createCategoryId,
+  getScaleOutcomes
+} from "../../supabase/functions/_shared/trackingProfile";
+
+/**
+ * Selectable chip used for the scale and base type pickers
+ */
+const Chip = ({ label, selected, onPress }) => (
+  <TouchableOpacity
+    onPress={onPress}
+    style={[styles.chip, selected && styles.selectedChip]}
+  >
+    <Typography
+      variant="caption"
+      weight={selected ? "semibold" : "normal"}
+      color={selected ? "white" : theme.colors.text}
+    >
+      {label}
+    </Typography>
+  </TouchableOpacity>
+);
+
+/**
+ * TrackingProfileScreen Component
+ *
+ * Sets up what the ShotTable tracks: the outcome scale, which rows are
+ * shown and custom categories added under a standard shot type. Changes
+ * apply to rounds started after saving; rounds already played keep the
+ * table they were tracked with.
+ */
+export default function TrackingProfileScreen({ navigation }) {
+  const { user } = useContext(AuthContext);
+
+  const [profile, setProfile] = useState(null);       // Draft { outcomeScale, hiddenRows, customCategories }
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [categoryLabel, setCategoryLabel] = useState("");
+  const [categoryType, setCategoryType] = useState(CATEGORY_BASE_TYPES[0]);
+
+  useEffect(() => {
+    const loadProfile = async () => {
+      if (!user) return;
+
+      setProfile(await getTrackingProfile(user.id));
+      setLoading(false);
+    };
+
+    loadProfile();
+  }, [user]);
+
+  const updateProfile = (changes) => setProfile(prev => ({ ...prev, ...changes }));
+
+  const toggleRow = (rowId, visible) => {
+    updateProfile({
+      hiddenRows: visible
+        ? profile.hiddenRows.filter(id => id !== rowId)
+        : [...profile.hiddenRows, rowId]
+    });
+  };
+
+  const handleAddCategory = () => {
+    const label = categoryLabel.trim();
+    if (!label) return;
+
+    if (profile.customCategories.some(category => category.label.toLowerCase() === label.toLowerCase())) {
+      Alert.alert("Category Exists", `You already have a "${label}" category.`);
+      return;
+    }
+
+    updateProfile({
+      customCategories: [
+        ...profile.customCategories,
+        { id: createCategoryId(label, profile.customCategories), label, baseType: categoryType }
+      ]
+    });
+    setCategoryLabel("");
+  };
+
+  const handleRemoveCategory = (category) => {
+    updateProfile({
+      customCategories: profile.customCategories.filter(entry => entry.id !== category.id),
+      hiddenRows: profile.hiddenRows.filter(id => id !== category.id)
+    });
+  };
+
+  const handleSave = async () => {
+    if (!user) return;
+
+    // Every row hidden would leave nothing to track
+    const visibleRows = buildTrackingSchema({ ...profile, hiddenRows: [] }).rows
+      .filter(row => !profile.hiddenRows.includes(row.id));
+    if (visibleRows.length === 0) {
+      Alert.alert("Nothing to Track", "Keep at least one row visible.");
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await saveTrackingProfile(user.id, profile);
+      navigation.goBack();
+    } catch (error) {
+      console.error("Error saving tracking profile:", error);
+      Alert.alert("Save Failed", "Your tracking setup couldn't be saved. Please try again.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading || !profile) {
+    return (
+      <Layout>
+        <ActivityIndicator size="large" color={theme.colors.primary} style={styles.loading} />
+      </Layout>
+    );
+  }
+
+  // Every row the profile can show, including hidden ones
+  const rows = buildTrackingSchema({ ...profile, hiddenRows: [] }).rows;
+
+  return (
+    <Layout>
+      <ScrollView contentContainerStyle={styles.container} keyboardShouldPersistTaps="handled">
+        {/* Outcome scale */}
+        <Card style={styles.card}>
+          <Typography variant="subtitle" style={styles.cardTitle}>Outcome Scale</Typography>
+          <View style={styles.chipRow}>
+            {Object.values(OUTCOME_SCALES).map(scale => (
+              <Chip
+                key={scale}
+                label={OUTCOME_SCALE_LABELS[scale]}
+                selected={profile.outcomeScale === scale}
+                onPress={() => updateProfile({ outcomeScale: scale })}
+              />
+            ))}
+          </View>
+          <Typography variant="caption" style={styles.helpText}>
+            {getScaleOutcomes(profile.outcomeScale).map(outcome => outcome.label).join(" · ")}
+          </Typography>
+        </Card>
+
+        {/* Rows */}
+        <Card style={styles.card}>
+          <Typography variant="subtitle" style={styles.cardTitle}>Shot Rows</Typography>
+          {rows.map(row => {
+            const category = profile.customCategories.find(entry => entry.id === row.category);
+
+            return (
+              <View key={row.id} style={styles.row}>
+                <View style={styles.rowInfo}>
+                  <Typography variant="body" weight={category ? "normal" : "semibold"}>
+                    {row.label}
+                  </Typography>
+                  {category && (
+                    <Typography variant="caption" italic>Counts as {category.baseType}</Typography>
+                  )}
+                </View>
+                <Switch
+                  value={!profile.hiddenRows.includes(row.id)}
+                  onValueChange={visible => toggleRow(row.id, visible)}
+                  trackColor={{ true: theme.colors.primary }}
+                />
+                {category && (
+                  <TouchableOpacity onPress={() => handleRemoveCategory(category)} style={styles.deleteButton}>
+                    <Ionicons name="trash-outline" size={18} color={theme.colors.secondary} />
+                  </TouchableOpacity>
+                )}
+              </View>
+            );
+          })}
+          <Typography variant="caption" style={styles.helpText}>
+            Switch a row off to hide it from the shot table. Penalties always have their own row.
+          </Typography>
+        </Card>
+
+        {/* Custom categories */}
+        <Card style={styles.card}>
+          <Typography variant="subtitle" style={styles.cardTitle}>Add a Category</Typography>
+          {profile.customCategories.length >= MAX_CUSTOM_CATEGORIES ? (
+            <Typography variant="caption" style={styles.helpText}>
+              You can have up to {MAX_CUSTOM_CATEGORIES} custom categories.
+            </Typography>
+          ) : (
+            <>
+              <TextInput
+                style={styles.input}
+                value={categoryLabel}
+                onChangeText={setCategoryLabel}
+                placeholder="Category (e.g. Punch-out)"
+                maxLength={MAX_CATEGORY_LABEL_LENGTH}
+              />
+              <Typography variant="caption" style={styles.helpText}>Counts as</Typography>
+              <View style={styles.chipRow}>
+                {CATEGORY_BASE_TYPES.map(type => (
+                  <Chip
+                    key={type}
+                    label={type}
+                    selected={categoryType === type}
+                    onPress={() => setCategoryType(type)}
+                  />
+                ))}
+              </View>
+              <Button
+                variant="outline"
+                size="small"
+                onPress={handleAddCategory}
+                disabled={!categoryLabel.trim()}
+                iconLeft="add-circle-outline"
+                style={styles.addButton}
+              >
+                Add Category
+              </Button>
+            </>
+          )}
+        </Card>
+
+        <Typography variant="caption" align="center" style={styles.helpText}>
+          Changes apply to rounds you start from now on.
+        </Typography>
+
+        <Button
+          variant="primary"
+          fullWidth
+          onPress={handleSave}
+          loading={saving}
+          disabled={saving}
+          style={styles.saveButton}
+        >
+          Save
+        </Button>
+      </ScrollView>
+    </Layout>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    padding: theme.spacing.medium,
+  },
+  loading: {
+    marginTop: 40,
+  },
+  card: {
+    marginBottom: theme.spacing.medium,
+  },
+  cardTitle: {
+    marginBottom: theme.spacing.small,
+  },
+  chipRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: "#f0f0f0",
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  selectedChip: {
+    backgroundColor: theme.colors.primary,
+  },
+  row: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: theme.spacing.small,
+    borderBottomWidth: 1,
+    borderBottomColor: "#f0f0f0",
+  },
+  rowInfo: {
+    flex: 1,
+  },
+  deleteButton: {
+    padding: 6,
+    marginLeft: 4,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: "#ddd",
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    fontSize: 16,
+  },
+  helpText: {
+    marginTop: 4,
+    marginBottom: 4,
+    color: theme.colors.secondary,
+  },
+  addButton: {
+    marginTop: theme.spacing.small,
+  },
+  saveButton: {
+    marginTop: theme.spacing.small,
+    marginBottom: theme.spacing.large,
+  },
+});
@@ -0,0 +1,219 @@
+// src/services/clubService.js
+//
+// The player's bag (player_clubs), per-club statistics built from the
+// shots recorded in their completed rounds, and the carry chart used for
+// club suggestions.
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { supabase } from "./supabase";
+import { buildClubStats } from "../../supabase/functions/_shared/clubStats";
+import {
+  buildCarryChart,
+  DEFAULT_CARRY_CHARTS,
+  DEFAULT_CARRY_CHART_ID
+} from "../../supabase/functions/_shared/clubRecommendation";
+
+// Most completed rounds read when building club statistics
+const MAX_ROUNDS_IN_STATS = 100;
+
+// Storage key for the default carry chart used before shots are measured
+const CARRY_CHART_STORAGE_KEY = "defaultCarryChart";
+
+/**
+ * Get the clubs in a player's bag
+ *
+ * @param {string} userId - The user's profile ID
+ * @param {boolean} activeOnly - Leave out retired clubs
+ * @returns {Promise<Array>} player_clubs rows in bag order
+ */
+export const getBag = async (userId, activeOnly = false) => {
+  try {
+    let query = supabase
+      .from("player_clubs")
+      .select("id, name, nickname, loft, is_active, sort_order")
+      .eq("profile_id", userId)
+      .order("sort_order", { ascending: true })
+      .order("created_at", { ascending: true });
+
+    if (activeOnly) {
+      query = query.eq("is_active", true);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      console.error("[getBag] Error fetching clubs:", error);
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error("[getBag] Exception:", error);
+    return [];
+  }
+};
+
+/**
+ * Add a club to the bag
+ *
+ * @param {string} userId - The user's profile ID
+ * @param {object} club - { name, nickname, loft }
+ * @param {number} sortOrder - Position in the bag
+ * @returns {Promise<object>} The inserted row
+ */
+export const addClub = async (userId, club, sortOrder = 0) => {
+  console.log("[addClub] Adding club:", club.name);
+
+  const { data, error } = await supabase
+    .from("player_clubs")
+    .insert({
+      profile_id: userId,
+      name: club.name.trim(),
+      nickname: club.nickname?.trim() || null,
+      loft: club.loft ?? null,
+      sort_order: sortOrder
+    })
+    .select("id, name, nickname, loft, is_active, sort_order")
+    .single();
+
+  if (error) {
+    console.error("[addClub] Error adding club:", error);
+    throw error;
+  }
+
+  return data;
+};
+
+/**
+ * Update a club's nickname, loft or active flag
+ *
+ * @param {string} clubId - The player_clubs row ID
+ * @param {object} changes - Any of { nickname, loft, is_active }
+ * @returns {Promise<object>} The updated row
+ */
+export const updateClub = async (clubId, changes) => {
+  const { data, error } = await supabase
+    .from("player_clubs")
+    .update(changes)
+    .eq("id", clubId)
+    .select("id, name, nickname, loft, is_active, sort_order")
+    .single();
+
+  if (error) {
+    console.error("[updateClub] Error updating club:", error);
+    throw error;
+  }
+
+  return data;
+};
+
+/**
+ * Remove a club from the bag
+ * Shots keep the club name, so they still appear in the statistics.
+ *
+ * @param {string} clubId - The player_clubs row ID
+ */
+export const deleteClub = async (clubId) => {
+  const { error } = await supabase
+    .from("player_clubs")
+    .delete()
+    .eq("id", clubId);
+
+  if (error) {
+    console.error("[deleteClub] Error deleting club:", error);
+    throw error;
+  }
+};
+
+/**
+ * Build per-club statistics from the player's completed rounds
+ *
+ * @param {string} userId - The user's profile ID
+ * @returns {Promise<object>} { clubs: buildClubStats entries, bag, roundCount }
+ */
+export const getClubStats = async (userId) => {
+  const { data: rounds, error: roundsError } = await supabase
+    .from("rounds")
+    .select("id")
+    .eq("profile_id", userId)
+    .eq("is_complete", true)
+    .order("created_at", { ascending: false })
+    .limit(MAX_ROUNDS_IN_STATS);
+
+  if (roundsError) {
+    console.error("[getClubStats] Error fetching rounds:", roundsError);
+    throw roundsError;
+  }
+
+  const bag = await getBag(userId);
+
+  if (!rounds || rounds.length === 0) {
+    return { clubs: [], bag, roundCount: 0 };
+  }
+
+  const { data: holeRecords, error: holesError } = await supabase
+    .from("shots")
+    .select("hole_data")
+    .in("round_id", rounds.map(round => round.id));
+
+  if (holesError) {
+    console.error("[getClubStats] Error fetching shots:", holesError);
+    throw holesError;
+  }
+
+  const shots = (holeRecords || []).flatMap(record => record.hole_data?.shots || []);
+
+  return {
+    clubs: buildClubStats(shots, bag),
+    bag,
+    roundCount: rounds.length
+  };
+};
+
+/**
+ * Get the default carry chart the player has chosen
+ *
+ * @returns {Promise<string>} Chart ID from DEFAULT_CARRY_CHARTS
+ */
+export const getDefaultCarryChart = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(CARRY_CHART_STORAGE_KEY);
+    return stored && DEFAULT_CARRY_CHARTS[stored] ? stored : DEFAULT_CARRY_CHART_ID;
+  } catch (error) {
+    console.error("[clubService] Error reading carry chart preference:", error);
+    return DEFAULT_CARRY_CHART_ID;
+  }
+};
+
+/**
+ * Save the default carry chart
+ *
+ * @param {string} chartId - Chart ID from DEFAULT_CARRY_CHARTS
+ */
+export const setDefaultCarryChart = async (chartId) => {
+  try {
+    await AsyncStorage.setItem(CARRY_CHART_STORAGE_KEY, chartId);
+  } catch (error) {
+    console.error("[clubService] Error saving carry chart preference:", error);
+  }
+};
+
+/**
+ * Build the player's carry chart from their measured shots and bag
+ *
+ * @param {string} userId - The user's profile ID
+ * @param {string} chartId - Default chart for unmeasured clubs (defaults to the saved preference)
+ * @returns {Promise<Array>} Entries from buildCarryChart, longest club first
+ */
+export const getCarryChart = async (userId, chartId = null) => {
+  const defaultChart = chartId || await getDefaultCarryChart();
+
+  try {
+    const { clubs, bag } = await getClubStats(userId);
+    return buildCarryChart(clubs, bag, defaultChart);
+  } catch (error) {
+    // Suggestions still work from the default chart while offline
+    console.error("[getCarryChart] Exception:", error);
+    return buildCarryChart([], [], defaultChart);
+  }
+};
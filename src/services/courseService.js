@@ -103,7 +103,7 @@ export const searchCourses = async (searchTerm) => {
       
       const { data, error } = await supabase
         .from('courses')
-        .select('id, name, club_name, location, tees, poi')  // Now also requesting POI data
+        .select('id, name, club_name, location, num_holes, tees, poi')  // Now also requesting POI data
         .or(`name.ilike.%${processedTerm}%,location.ilike.%${processedTerm}%,club_name.ilike.%${processedTerm}%`)
         .order('name')
         .limit(15);
@@ -192,7 +192,7 @@ export const getRecentCourses = async (userId, limit = 5) => {
       // Get course details for unique IDs
       const { data: courses, error: coursesError } = await supabase
         .from('courses')
-        .select('id, name, club_name, location, tees, poi')  // Now also requesting POI data
+        .select('id, name, club_name, location, num_holes, tees, poi')  // Now also requesting POI data
         .in('id', uniqueCourseIds);
       
       if (coursesError) {
@@ -253,7 +253,7 @@ export const getAllCourses = async () => {
       
       const { data, error } = await supabase
         .from('courses')
-        .select('id, name, club_name, location, tees, poi') // Now also requesting POI data
+        .select('id, name, club_name, location, num_holes, tees, poi') // Now also requesting POI data
         .order('name');
       
       if (error) {
@@ -0,0 +1,179 @@
+// src/services/exportService.js
+//
+// Exports everything a player owns in rounds, shots and insights as a zip
+// bundle: CSV tables for spreadsheets plus the canonical JSON archive (see
+// roundExport.js). The bundle goes through the share sheet on mobile and
+// is downloaded as a file on web.
+
+import { Platform } from "react-native";
+import * as FileSystem from "expo-file-system";
+import * as Sharing from "expo-sharing";
+import { zipSync, strToU8 } from "fflate";
+import { supabase } from "./supabase";
+import { buildExportFiles } from "../../supabase/functions/_shared/roundExport";
+
+// Round IDs per shots query, keeping the request URL short
+const ROUND_ID_BATCH_SIZE = 100;
+
+// Rows per request. The API returns at most max_rows (supabase/config.toml)
+// per response without an error, so every table is read a page at a time.
+const PAGE_SIZE = 1000;
+
+const BASE64_CHARS = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+
+/**
+ * Encode bytes as base64 for expo-file-system (there is no Buffer in React Native)
+ */
+const bytesToBase64 = (bytes) => {
+  let output = "";
+
+  for (let i = 0; i < bytes.length; i += 3) {
+    const chunk = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+    output += BASE64_CHARS[(chunk >> 18) & 63] + BASE64_CHARS[(chunk >> 12) & 63];
+    output += i + 1 < bytes.length ? BASE64_CHARS[(chunk >> 6) & 63] : "=";
+    output += i + 2 < bytes.length ? BASE64_CHARS[chunk & 63] : "=";
+  }
+
+  return output;
+};
+
+/**
+ * Read every row of a query, a page at a time
+ * The query needs a stable order so pages don't overlap.
+ *
+ * @param {Function} buildQuery - Returns a fresh ordered query for each page
+ * @returns {Promise<Array>} All rows
+ */
+const fetchAllRows = async (buildQuery) => {
+  const rows = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) return rows;
+  }
+};
+
+/**
+ * Read all of a player's rounds, shots and insights
+ *
+ * @param {string} userId - The user's profile ID
+ * @returns {Promise<object>} { rounds, shots, insights, courses }
+ */
+export const getExportData = async (userId) => {
+  let rounds;
+  try {
+    rounds = await fetchAllRows(() => supabase
+      .from("rounds")
+      .select("*")
+      .eq("profile_id", userId)
+      .order("created_at", { ascending: true })
+      .order("id", { ascending: true }));
+  } catch (roundsError) {
+    console.error("[getExportData] Error fetching rounds:", roundsError);
+    throw roundsError;
+  }
+
+  const roundIds = rounds.map(round => round.id);
+  const shots = [];
+
+  for (let start = 0; start < roundIds.length; start += ROUND_ID_BATCH_SIZE) {
+    const batch = roundIds.slice(start, start + ROUND_ID_BATCH_SIZE);
+
+    try {
+      shots.push(...await fetchAllRows(() => supabase
+        .from("shots")
+        .select("*")
+        .in("round_id", batch)
+        .order("round_id", { ascending: true })
+        .order("hole_number", { ascending: true })));
+    } catch (error) {
+      console.error("[getExportData] Error fetching shots:", error);
+      throw error;
+    }
+  }
+
+  let insights;
+  try {
+    insights = await fetchAllRows(() => supabase
+      .from("insights")
+      .select("*")
+      .eq("profile_id", userId)
+      .order("created_at", { ascending: true })
+      .order("id", { ascending: true }));
+  } catch (insightsError) {
+    console.error("[getExportData] Error fetching insights:", insightsError);
+    throw insightsError;
+  }
+
+  // Course names for the rounds table
+  const courseIds = [...new Set(rounds.map(round => round.course_id))];
+  let courses = [];
+
+  if (courseIds.length > 0) {
+    const { data, error } = await supabase
+      .from("courses")
+      .select("id, name")
+      .in("id", courseIds);
+
+    if (error) {
+      console.error("[getExportData] Error fetching courses:", error);
+      throw error;
+    }
+
+    courses = data || [];
+  }
+
+  return { rounds, shots, insights, courses };
+};
+
+/**
+ * Build the export and hand it to the share sheet, or download it on web
+ *
+ * @param {string} userId - The user's profile ID
+ * @returns {Promise<object>} { fileName, roundCount }
+ */
+export const exportUserData = async (userId) => {
+  console.log("[exportUserData] Building export for", userId);
+
+  const data = await getExportData(userId);
+  const files = buildExportFiles(userId, data);
+
+  const zipped = zipSync(
+    Object.fromEntries(Object.entries(files).map(([name, contents]) => [name, strToU8(contents)]))
+  );
+
+  const fileName = `initialgolfer-export-${new Date().toISOString().slice(0, 10)}.zip`;
+
+  if (Platform.OS === "web") {
+    const url = URL.createObjectURL(new Blob([zipped], { type: "application/zip" }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  } else {
+    const fileUri = `${FileSystem.cacheDirectory}${fileName}`;
+    await FileSystem.writeAsStringAsync(fileUri, bytesToBase64(zipped), {
+      encoding: FileSystem.EncodingType.Base64
+    });
+
+    if (!(await Sharing.isAvailableAsync())) {
+      throw new Error("Sharing is not available on this device");
+    }
+
+    await Sharing.shareAsync(fileUri, {
+      mimeType: "application/zip",
+      UTI: "public.zip-archive",
+      dialogTitle: "Export your rounds"
+    });
+  }
+
+  console.log("[exportUserData] Exported", data.rounds.length, "rounds");
+
+  return { fileName, roundCount: data.rounds.length };
+};
@@ -0,0 +1,348 @@
+// src/services/groupRoundService.js
+//
+// Group rounds: one device keeps score for up to four players.
+// The scorer owns the round and records full shot detail; the other
+// players are round_players rows whose hole scores are stored in the
+// scorer's hole_data.player_scores, keyed by player position.
+// Linking an account needs that player's agreement: they accept an invite
+// before they can be added, and accept each group round before it counts
+// as one of their own rounds.
+
+import { supabase } from "./supabase";
+import { buildFormatHoles, scoreRound } from "../../supabase/functions/_shared/scoringFormats";
+import { getCourseHoleCount, getRoundHoleSequence } from "../../supabase/functions/_shared/holeRange";
+import { countHoleStrokes } from "../../supabase/functions/_shared/shotModel";
+
+// Most players in a group, including the scorer
+export const MAX_GROUP_SIZE = 4;
+
+// Position of the scorer - other players take positions 2-4
+export const SCORER_POSITION = 1;
+
+/**
+ * Get a player's score on a hole
+ * The scorer's score is their stroke count; everyone else's is entered directly.
+ *
+ * @param {object} holeInfo - The hole's data (hole_data shape)
+ * @param {number} position - Player position in the group
+ * @returns {number|null} Gross score, or null when not entered
+ */
+export const getPlayerHoleScore = (holeInfo, position) => {
+  if (!holeInfo) return null;
+
+  if (position === SCORER_POSITION) {
+    return countHoleStrokes(holeInfo.shots) || null;
+  }
+
+  return holeInfo.player_scores?.[position] || null;
+};
+
+/**
+ * Find a profile to link to a group by email
+ * Only players who have accepted an invite from (or sent one to) the
+ * user are found.
+ *
+ * @param {string} email - The player's account email
+ * @returns {Promise<object|null>} { profileId, email, handicapIndex } or null when no linked account matches
+ */
+export const findPlayerByEmail = async (email) => {
+  console.log("[findPlayerByEmail] Looking up player");
+
+  const { data, error } = await supabase.rpc("find_player_by_email", { p_email: email });
+
+  if (error) {
+    console.error("[findPlayerByEmail] Error looking up player:", error);
+    throw error;
+  }
+
+  const profile = data && data[0];
+  if (!profile) return null;
+
+  return {
+    profileId: profile.id,
+    email: profile.email,
+    handicapIndex: profile.handicap
+  };
+};
+
+/**
+ * Invite an account to link by email
+ * Nothing tells the user whether the email has an account; the player
+ * sees the invite on their home screen if it does.
+ *
+ * @param {string} email - The player's account email
+ * @returns {Promise<void>}
+ */
+export const invitePlayerByEmail = async (email) => {
+  console.log("[invitePlayerByEmail] Sending invite");
+
+  const { error } = await supabase.rpc("invite_player_by_email", { p_email: email });
+
+  if (error) {
+    console.error("[invitePlayerByEmail] Error sending invite:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get the link invites and group rounds waiting on the user
+ *
+ * @returns {Promise<object>} { linkRequests, pendingRounds } where linkRequests are
+ *   { id, requesterEmail, createdAt } and pendingRounds are
+ *   { roundPlayerId, scorerEmail, courseName, playedAt, grossShots, score }
+ */
+export const getGroupRequests = async () => {
+  try {
+    const [links, rounds] = await Promise.all([
+      supabase.rpc("get_player_link_requests"),
+      supabase.rpc("get_pending_group_rounds")
+    ]);
+
+    if (links.error || rounds.error) {
+      console.error("[getGroupRequests] Error fetching requests:", links.error || rounds.error);
+      throw links.error || rounds.error;
+    }
+
+    return {
+      linkRequests: (links.data || []).map(link => ({
+        id: link.id,
+        requesterEmail: link.requester_email,
+        createdAt: link.created_at
+      })),
+      pendingRounds: (rounds.data || []).map(round => ({
+        roundPlayerId: round.round_player_id,
+        scorerEmail: round.scorer_email,
+        courseName: round.course_name,
+        playedAt: round.played_at,
+        grossShots: round.gross_shots,
+        score: round.score
+      }))
+    };
+  } catch (error) {
+    console.error("[getGroupRequests] Exception:", error);
+    return { linkRequests: [], pendingRounds: [] };
+  }
+};
+
+/**
+ * Accept or decline an invite to link with another player
+ *
+ * @param {string} linkId - The invite's ID
+ * @param {boolean} accept - True to accept
+ * @returns {Promise<void>}
+ */
+export const respondToPlayerLink = async (linkId, accept) => {
+  const { error } = await supabase.rpc("respond_to_player_link", { p_link_id: linkId, p_accept: accept });
+
+  if (error) {
+    console.error("[respondToPlayerLink] Error answering invite:", error);
+    throw error;
+  }
+};
+
+/**
+ * Accept or decline a round another player scored for the user
+ * An accepted round becomes one of the user's completed rounds.
+ *
+ * @param {string} roundPlayerId - The user's round_players row in the group round
+ * @param {boolean} accept - True to accept
+ * @returns {Promise<string|null>} The new round's ID when accepted
+ */
+export const respondToGroupRound = async (roundPlayerId, accept) => {
+  const { data, error } = await supabase.rpc(
+    accept ? "accept_group_player_round" : "decline_group_player_round",
+    { p_round_player_id: roundPlayerId }
+  );
+
+  if (error) {
+    console.error("[respondToGroupRound] Error answering group round:", error);
+    throw error;
+  }
+
+  return accept ? data : null;
+};
+
+/**
+ * Get linked players from the user's recent group rounds
+ *
+ * @param {string} userId - The scorer's profile ID
+ * @param {number} limit - Maximum number of players to return
+ * @returns {Promise<Array>} Entries of { profileId, displayName, handicapIndex }, most recent first
+ */
+export const getRecentLinkedPlayers = async (userId, limit = 8) => {
+  try {
+    const { data, error } = await supabase
+      .from("round_players")
+      .select("profile_id, display_name, handicap_index, created_at, rounds!inner(profile_id)")
+      .eq("rounds.profile_id", userId)
+      .not("profile_id", "is", null)
+      .order("created_at", { ascending: false })
+      .limit(50);
+
+    if (error) {
+      console.error("[getRecentLinkedPlayers] Error fetching players:", error);
+      throw error;
+    }
+
+    // One entry per linked profile, keeping the most recent name and index
+    const players = [];
+    (data || []).forEach(row => {
+      if (players.length < limit && !players.some(player => player.profileId === row.profile_id)) {
+        players.push({
+          profileId: row.profile_id,
+          displayName: row.display_name,
+          handicapIndex: row.handicap_index
+        });
+      }
+    });
+
+    return players;
+  } catch (error) {
+    console.error("[getRecentLinkedPlayers] Exception:", error);
+    return [];
+  }
+};
+
+/**
+ * Add the other players to a newly created round
+ *
+ * @param {string} roundId - The scorer's round ID
+ * @param {Array} players - Entries of { displayName, profileId, handicapIndex, courseHandicap } in group order
+ * @returns {Promise<Array>} The inserted round_players rows
+ */
+export const addRoundPlayers = async (roundId, players) => {
+  if (!players || players.length === 0) return [];
+
+  const rows = players.slice(0, MAX_GROUP_SIZE - 1).map((player, index) => ({
+    round_id: roundId,
+    position: SCORER_POSITION + index + 1,
+    display_name: player.displayName,
+    profile_id: player.profileId || null,
+    handicap_index: player.handicapIndex ?? null,
+    course_handicap: player.courseHandicap ?? null
+  }));
+
+  const { data, error } = await supabase
+    .from("round_players")
+    .insert(rows)
+    .select();
+
+  if (error) {
+    console.error("[addRoundPlayers] Error adding players:", error);
+    throw error;
+  }
+
+  return (data || []).sort((a, b) => a.position - b.position);
+};
+
+/**
+ * Get the other players in a round
+ *
+ * @param {string} roundId - The scorer's round ID
+ * @returns {Promise<Array>} round_players rows in group order (empty for a solo round)
+ */
+export const getRoundPlayers = async (roundId) => {
+  try {
+    const { data, error } = await supabase
+      .from("round_players")
+      .select("id, round_id, position, display_name, profile_id, handicap_index, course_handicap, player_round_id, submission_status")
+      .eq("round_id", roundId)
+      .order("position", { ascending: true });
+
+    if (error) {
+      console.error("[getRoundPlayers] Error fetching players:", error);
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error("[getRoundPlayers] Exception:", error);
+    return [];
+  }
+};
+
+/**
+ * Send each linked player their round to accept
+ * Called when the group round is completed. The round is added to the
+ * player's account only once they accept it. Guests have no account, so
+ * their scores stay on the scorer's round only.
+ *
+ * @param {object} round - The scorer's round (course_id, scoring_format, stroke_index_set, start_hole, hole_count)
+ * @param {object} course - { par, num_holes, holes } for the course
+ * @param {Array} holeRecords - The round's shots rows (hole_number, hole_data)
+ * @returns {Promise<Array>} IDs of the round_players rows sent a round
+ */
+export const submitLinkedPlayerRounds = async (round, course, holeRecords) => {
+  const players = await getRoundPlayers(round.id);
+  const linkedPlayers = players.filter(player => player.profile_id && !player.submission_status);
+
+  if (linkedPlayers.length === 0) return [];
+
+  console.log("[submitLinkedPlayerRounds] Sending rounds to", linkedPlayers.length, "linked players");
+
+  const holeSequence = getRoundHoleSequence(round, getCourseHoleCount(course));
+  const hasCourseHoles = Array.isArray(course.holes) && course.holes.length > 0;
+
+  // Par of the holes in the round, falling back to the course par
+  const roundPar = hasCourseHoles
+    ? buildFormatHoles(course.holes, {}, round.stroke_index_set, holeSequence)
+      .reduce((total, hole) => total + (hole.par || 0), 0)
+    : 0;
+
+  const submittedPlayerIds = [];
+
+  for (const player of linkedPlayers) {
+    const scores = {};
+    const holes = [];
+
+    holeRecords.forEach(record => {
+      const score = getPlayerHoleScore(record.hole_data, player.position);
+      if (!score) return;
+
+      scores[record.hole_number] = score;
+      holes.push({
+        hole_number: record.hole_number,
+        total_score: score,
+        hole_data: {
+          par: record.hole_data?.par ?? null,
+          distance: record.hole_data?.distance ?? null,
+          index: record.hole_data?.index ?? null,
+          shots: [],
+          group_round_id: round.id
+        }
+      });
+    });
+
+    // Nothing was scored for this player
+    if (holes.length === 0) continue;
+
+    const grossShots = holes.reduce((total, hole) => total + hole.total_score, 0);
+
+    let formatResult = null;
+    if (hasCourseHoles) {
+      const { holes: _holeResults, ...totals } = scoreRound(
+        round.scoring_format,
+        buildFormatHoles(course.holes, scores, round.stroke_index_set, holeSequence),
+        player.course_handicap
+      );
+      formatResult = totals;
+    }
+
+    const { error } = await supabase.rpc("submit_group_player_round", {
+      p_round_player_id: player.id,
+      p_gross_shots: grossShots,
+      p_score: grossShots - (roundPar || course.par || 72),
+      p_format_result: formatResult,
+      p_holes: holes
+    });
+
+    if (error) {
+      console.error("[submitLinkedPlayerRounds] Error sending round to player:", player.position, error);
+      throw error;
+    }
+
+    submittedPlayerIds.push(player.id);
+  }
+
+  return submittedPlayerIds;
+};
@@ -0,0 +1,336 @@
+// src/services/handicapService.js
+
+import { supabase } from "./supabase";
+import {
+  buildHandicapHistory,
+  calculateHandicapIndex,
+  SCORES_IN_RECORD,
+  NINE_HOLE_SCORE_HOLES
+} from "../../supabase/functions/_shared/handicap";
+import {
+  getCourseHoleCount,
+  getRoundHoleSequence,
+  selectRoundHoles
+} from "../../supabase/functions/_shared/holeRange";
+
+// Most rounds loaded when rebuilding the history
+const MAX_ROUNDS_IN_HISTORY = 200;
+
+/**
+ * Find the tee a round was played from
+ * 
+ * @param {Array} tees - The course's tees JSON
+ * @param {object} round - Round with selected_tee_id and selected_tee_name
+ * @returns {object|null} The tee, or null if it can't be matched
+ */
+const findRoundTee = (tees, round) => {
+  if (!Array.isArray(tees)) return null;
+  
+  return tees.find(tee => String(tee.id) === String(round.selected_tee_id)) ||
+    tees.find(tee => tee.name?.toLowerCase() === round.selected_tee_name?.toLowerCase()) ||
+    null;
+};
+
+/**
+ * Load completed rounds in the shape the WHS calculations expect
+ * Rounds without rating/slope data for their tee are skipped, as are
+ * partial rounds that are neither nine nor 18 holes.
+ * 
+ * @param {string} userId - The user's profile ID
+ * @returns {Promise<Array>} Entries of { roundId, playedAt, holes, courseRating, slope, par, nineHole }
+ */
+const loadScoredRounds = async (userId) => {
+  const { data: rounds, error: roundsError } = await supabase
+    .from("rounds")
+    .select("id, course_id, created_at, selected_tee_id, selected_tee_name, start_hole, hole_count")
+    .eq("profile_id", userId)
+    .eq("is_complete", true)
+    .order("created_at", { ascending: false })
+    .limit(MAX_ROUNDS_IN_HISTORY);
+    
+  if (roundsError) {
+    console.error("[handicapService] Error fetching rounds:", roundsError);
+    throw roundsError;
+  }
+  
+  if (!rounds || rounds.length === 0) return [];
+  
+  const roundIds = rounds.map(round => round.id);
+  const courseIds = [...new Set(rounds.map(round => round.course_id))];
+  
+  const { data: courses, error: coursesError } = await supabase
+    .from("courses")
+    .select("id, par, num_holes, holes, tees")
+    .in("id", courseIds);
+    
+  if (coursesError) {
+    console.error("[handicapService] Error fetching courses:", coursesError);
+    throw coursesError;
+  }
+  
+  const { data: holeRecords, error: holesError } = await supabase
+    .from("shots")
+    .select("round_id, hole_number, total_score")
+    .in("round_id", roundIds);
+    
+  if (holesError) {
+    console.error("[handicapService] Error fetching hole scores:", holesError);
+    throw holesError;
+  }
+  
+  const coursesById = {};
+  (courses || []).forEach(course => {
+    coursesById[course.id] = course;
+  });
+  
+  const scoredRounds = [];
+  
+  rounds.forEach(round => {
+    const course = coursesById[round.course_id];
+    const tee = findRoundTee(course?.tees, round);
+    
+    if (!course || !Array.isArray(course.holes) || course.holes.length === 0 || !tee) {
+      return;
+    }
+    
+    const courseRating = tee.course_rating_men ?? tee.course_rating_women;
+    const slope = tee.slope_men ?? tee.slope_women;
+    
+    if (!courseRating || !slope) return;
+    
+    // Scores keyed by hole number
+    const scores = {};
+    (holeRecords || [])
+      .filter(record => record.round_id === round.id)
+      .forEach(record => {
+        scores[record.hole_number] = record.total_score;
+      });
+    
+    // Only the holes the round covered count towards the score
+    const courseHoleCount = getCourseHoleCount(course);
+    const roundHoles = selectRoundHoles(course.holes, getRoundHoleSequence(round, courseHoleCount));
+    
+    const nineHole = roundHoles.length === NINE_HOLE_SCORE_HOLES;
+    if (!nineHole && roundHoles.length < 18) return;
+    
+    const holes = roundHoles.map(hole => ({
+      par: hole.par_men || hole.par_women || 4,
+      strokeIndex: hole.index_men || hole.index_women || null,
+      score: scores[hole.number] ?? null
+    }));
+    
+    // Tee ratings are for 18 holes unless the course itself is a nine
+    const ratingScale = nineHole && courseHoleCount >= 18 ? 0.5 : 1;
+    
+    scoredRounds.push({
+      roundId: round.id,
+      playedAt: round.created_at,
+      holes,
+      courseRating: Number(courseRating) * ratingScale,
+      slope: Number(slope),
+      par: holes.reduce((sum, hole) => sum + hole.par, 0),
+      nineHole
+    });
+  });
+  
+  return scoredRounds;
+};
+
+/**
+ * Calculate the player's WHS handicap index from their completed rounds
+ * 
+ * @param {string} userId - The user's profile ID
+ * @returns {Promise<object>} { index, history, record } where record is the last 20 scores with a `used` flag
+ */
+export const calculateHandicap = async (userId) => {
+  console.log("[calculateHandicap] Calculating handicap index for", userId);
+  
+  const scoredRounds = await loadScoredRounds(userId);
+  const history = buildHandicapHistory(scoredRounds);
+  
+  // The scoring record is the most recent 20 differentials
+  const record = history.slice(-SCORES_IN_RECORD);
+  const result = calculateHandicapIndex(record.map(entry => entry.differential));
+  
+  return {
+    index: result ? result.index : null,
+    scoreCount: record.length,
+    usedCount: result ? result.usedCount : 0,
+    history,
+    record: record.map((entry, position) => ({
+      ...entry,
+      used: result ? result.usedIndexes.includes(position) : false
+    }))
+  };
+};
+
+/**
+ * Recalculate the handicap index, store the history and update the profile
+ * The profile's handicap is only replaced while the manual override is off.
+ * 
+ * @param {string} userId - The user's profile ID
+ * @returns {Promise<object|null>} Calculation result, or null on error
+ */
+export const refreshHandicap = async (userId) => {
+  console.log("[refreshHandicap] Refreshing handicap for", userId);
+  
+  try {
+    const result = await calculateHandicap(userId);
+    
+    // Store one history row per scored round
+    if (result.history.length > 0) {
+      const { error: historyError } = await supabase
+        .from("handicap_history")
+        .upsert(result.history.map(entry => ({
+          profile_id: userId,
+          round_id: entry.roundId,
+          played_at: entry.playedAt,
+          adjusted_gross_score: entry.adjustedGross,
+          gross_score: entry.grossScore,
+          score_differential: entry.differential,
+          handicap_index: entry.handicapIndex
+        })), {
+          onConflict: "profile_id,round_id"
+        });
+        
+      if (historyError) {
+        console.error("[refreshHandicap] Error saving handicap history:", historyError);
+      }
+    }
+    
+    const { data: profile, error: profileError } = await supabase
+      .from("profiles")
+      .select("handicap_override")
+      .eq("id", userId)
+      .single();
+      
+    if (profileError) {
+      console.error("[refreshHandicap] Error reading profile:", profileError);
+      throw profileError;
+    }
+    
+    const update = {
+      calculated_handicap: result.index,
+      updated_at: new Date().toISOString()
+    };
+    
+    if (!profile.handicap_override && result.index !== null) {
+      update.handicap = result.index;
+    }
+    
+    const { error: updateError } = await supabase
+      .from("profiles")
+      .update(update)
+      .eq("id", userId);
+      
+    if (updateError) {
+      console.error("[refreshHandicap] Error updating profile:", updateError);
+      throw updateError;
+    }
+    
+    console.log("[refreshHandicap] Handicap index:", result.index);
+    return result;
+  } catch (error) {
+    console.error("[refreshHandicap] Exception refreshing handicap:", error);
+    return null;
+  }
+};
+
+/**
+ * Get the stored handicap history, newest first
+ * 
+ * @param {string} userId - The user's profile ID
+ * @param {number} limit - Maximum number of entries
+ * @returns {Promise<Array>} History rows
+ */
+export const getHandicapHistory = async (userId, limit = SCORES_IN_RECORD) => {
+  try {
+    const { data, error } = await supabase
+      .from("handicap_history")
+      .select("round_id, played_at, adjusted_gross_score, gross_score, score_differential, handicap_index")
+      .eq("profile_id", userId)
+      .order("played_at", { ascending: false })
+      .limit(limit);
+      
+    if (error) {
+      console.error("[getHandicapHistory] Error fetching history:", error);
+      throw error;
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error("[getHandicapHistory] Exception:", error);
+    return [];
+  }
+};
+
+/**
+ * Get the handicap index currently stored on the profile
+ * This is the calculated index unless the manual override is on.
+ * 
+ * @param {string} userId - The user's profile ID
+ * @returns {Promise<number|null>} The handicap index, or null when none is set
+ */
+export const getHandicapIndex = async (userId) => {
+  try {
+    const { data, error } = await supabase
+      .from("profiles")
+      .select("handicap")
+      .eq("id", userId)
+      .single();
+      
+    if (error) {
+      console.error("[getHandicapIndex] Error fetching profile:", error);
+      throw error;
+    }
+    
+    return data?.handicap ?? null;
+  } catch (error) {
+    console.error("[getHandicapIndex] Exception:", error);
+    return null;
+  }
+};
+
+/**
+ * Turn the manual handicap override on or off
+ * Turning it off restores the calculated index.
+ * 
+ * @param {string} userId - The user's profile ID
+ * @param {boolean} override - Whether the manual handicap should be kept
+ * @param {number|null} manualHandicap - Handicap to store when turning the override on
+ * @returns {Promise<number|null>} The handicap now stored on the profile
+ */
+export const setHandicapOverride = async (userId, override, manualHandicap = null) => {
+  console.log("[setHandicapOverride] Setting override to", override);
+  
+  const { data: profile, error: profileError } = await supabase
+    .from("profiles")
+    .select("handicap, calculated_handicap")
+    .eq("id", userId)
+    .single();
+    
+  if (profileError) {
+    console.error("[setHandicapOverride] Error reading profile:", profileError);
+    throw profileError;
+  }
+  
+  const handicap = override
+    ? (manualHandicap ?? profile.handicap)
+    : (profile.calculated_handicap ?? profile.handicap);
+  
+  const { error } = await supabase
+    .from("profiles")
+    .update({
+      handicap_override: override,
+      handicap,
+      updated_at: new Date().toISOString()
+    })
+    .eq("id", userId);
+    
+  if (error) {
+    console.error("[setHandicapOverride] Error updating profile:", error);
+    throw error;
+  }
+  
+  return handicap;
+};
@@ -0,0 +1,221 @@
+// src/services/importService.js
+//
+// Imports rounds from other scorecard apps and spreadsheets (see
+// roundImport.js for the file formats). Courses are matched by name
+// through courseService.searchCourses; the player reviews the matches
+// before anything is written.
+
+import { Platform } from "react-native";
+import * as DocumentPicker from "expo-document-picker";
+import * as FileSystem from "expo-file-system";
+import { supabase } from "./supabase";
+import { searchCourses, getCourseById } from "./courseService";
+import { refreshHandicap } from "./handicapService";
+import {
+  parseImportFile,
+  getImportedHoleRange,
+  getMissingImportHoles,
+  buildImportedShots
+} from "../../supabase/functions/_shared/roundImport";
+import { getHoleParAndIndex, STROKE_INDEX_SETS } from "../../supabase/functions/_shared/scoringFormats";
+import { buildHoleSequence, getCourseHoleCount } from "../../supabase/functions/_shared/holeRange";
+
+/**
+ * Compare course names ignoring case, punctuation and common suffixes
+ */
+const normalizeCourseName = (name) => String(name || "")
+  .toLowerCase()
+  .replace(/[^a-z0-9 ]/g, " ")
+  .replace(/\b(golf|country|club|course|links|gc|cc|the)\b/g, " ")
+  .replace(/\s+/g, " ")
+  .trim();
+
+/**
+ * Let the player pick an import file and parse it
+ *
+ * @returns {Promise<object|null>} { fileName, rounds, errors } from parseImportFile, or null when cancelled
+ */
+export const pickImportFile = async () => {
+  const result = await DocumentPicker.getDocumentAsync({
+    type: ["text/csv", "text/comma-separated-values", "application/json", "text/plain"],
+    copyToCacheDirectory: true
+  });
+
+  if (result.canceled || !result.assets?.length) return null;
+
+  const asset = result.assets[0];
+  const text = Platform.OS === "web"
+    ? await (await fetch(asset.uri)).text()
+    : await FileSystem.readAsStringAsync(asset.uri);
+
+  console.log("[pickImportFile] Read", asset.name);
+
+  return { fileName: asset.name, ...parseImportFile(text, asset.name) };
+};
+
+/**
+ * Find the best course for each course name in an import
+ *
+ * @param {Array} rounds - Parsed rounds (courseName)
+ * @returns {Promise<object>} Keyed by course name: { course, candidates } (course is null without a confident match)
+ */
+export const matchImportCourses = async (rounds) => {
+  const names = [...new Set(rounds.map(round => round.courseName))];
+  const matches = {};
+
+  for (const name of names) {
+    const candidates = await searchCourses(name);
+    const target = normalizeCourseName(name);
+
+    const course = candidates.find(candidate => normalizeCourseName(candidate.name) === target) ||
+      candidates.find(candidate => normalizeCourseName(candidate.club_name) === target) ||
+      (candidates.length === 1 ? candidates[0] : null);
+
+    matches[name] = { course, candidates };
+  }
+
+  return matches;
+};
+
+/**
+ * Find the course's tee with the name used in the import
+ */
+const findImportTee = (tees, teeName) => {
+  if (!teeName || !Array.isArray(tees)) return null;
+  return tees.find(tee => tee.name?.toLowerCase() === teeName.toLowerCase()) || null;
+};
+
+/**
+ * Write reviewed rounds as completed, imported rounds
+ * Insights aren't generated for imported rounds - they have no shot
+ * outcomes to analyse - and the handicap is recalculated once at the end.
+ *
+ * @param {string} userId - The user's profile ID
+ * @param {Array} rounds - Parsed rounds to import
+ * @param {object} courseMatches - Course chosen for each course name ({ [courseName]: { course } })
+ * @returns {Promise<object>} { imported, skipped } round counts
+ */
+export const importRounds = async (userId, rounds, courseMatches) => {
+  console.log("[importRounds] Importing", rounds.length, "rounds");
+
+  // Rounds imported before, to avoid duplicates when a file is imported twice
+  const { data: existing, error: existingError } = await supabase
+    .from("rounds")
+    .select("course_id, created_at")
+    .eq("profile_id", userId)
+    .eq("imported", true);
+
+  if (existingError) {
+    console.error("[importRounds] Error checking earlier imports:", existingError);
+    throw existingError;
+  }
+
+  const existingKeys = new Set(
+    (existing || []).map(round => `${round.course_id}|${String(round.created_at).slice(0, 10)}`)
+  );
+
+  const coursesById = {};
+  let imported = 0;
+  let skipped = 0;
+
+  for (const round of rounds) {
+    const matchedCourse = courseMatches[round.courseName]?.course;
+    if (
+      !matchedCourse ||
+      existingKeys.has(`${matchedCourse.id}|${round.date}`) ||
+      getMissingImportHoles(round.holes).length > 0 // Parsing leaves these out; the hole range can't skip holes
+    ) {
+      skipped += 1;
+      continue;
+    }
+
+    if (!coursesById[matchedCourse.id]) {
+      coursesById[matchedCourse.id] = await getCourseById(matchedCourse.id) || matchedCourse;
+    }
+    const course = coursesById[matchedCourse.id];
+
+    const { startHole, holeCount } = getImportedHoleRange(round.holes);
+    const holeSequence = buildHoleSequence(startHole, holeCount, getCourseHoleCount(course));
+    const tee = findImportTee(course.tees, round.teeName);
+    const playedAt = `${round.date}T12:00:00.000Z`;
+
+    // Par and index from the course, unless the file gives the par
+    const holes = round.holes.map(hole => {
+      const courseHole = Array.isArray(course.holes)
+        ? course.holes.find(entry => entry.number === hole.hole)
+        : null;
+      const { par, strokeIndex } = getHoleParAndIndex(courseHole, STROKE_INDEX_SETS.MEN);
+      return { ...hole, par: hole.par || par, strokeIndex };
+    });
+
+    // Without a par for every hole, the course par is scaled to the holes
+    // played so a 9-hole round isn't scored against 18 holes of par
+    const grossShots = holes.reduce((total, hole) => total + hole.score, 0);
+    const roundPar = holes.every(hole => hole.par)
+      ? holes.reduce((total, hole) => total + hole.par, 0)
+      : Math.round((course.par || 72) * holes.length / getCourseHoleCount(course));
+
+    const { data: roundRows, error: roundError } = await supabase
+      .from("rounds")
+      .insert({
+        profile_id: userId,
+        course_id: course.id,
+        created_at: playedAt,
+        is_complete: true,
+        selected_tee_id: tee?.id ?? null,
+        selected_tee_name: tee?.name ?? round.teeName,
+        start_hole: holeSequence[0],
+        hole_count: holeSequence.length,
+        gross_shots: grossShots,
+        score: grossShots - roundPar,
+        imported: true,
+        import_source: round.source
+      })
+      .select("id");
+
+    if (roundError) {
+      console.error("[importRounds] Error creating round:", roundError);
+      throw roundError;
+    }
+
+    const roundId = roundRows[0].id;
+
+    const { error: holesError } = await supabase
+      .from("shots")
+      .insert(holes.map(hole => ({
+        round_id: roundId,
+        hole_number: hole.hole,
+        total_score: hole.score,
+        hole_data: {
+          par: hole.par ?? null,
+          distance: null,
+          index: hole.strokeIndex ?? null,
+          features: [],
+          shots: buildImportedShots(hole, playedAt),
+          player_scores: {},
+          poi: null,
+          imported: true
+        }
+      })));
+
+    if (holesError) {
+      console.error("[importRounds] Error saving holes:", holesError);
+      // Don't leave a round without its holes
+      await supabase.from("rounds").delete().eq("id", roundId);
+      throw holesError;
+    }
+
+    existingKeys.add(`${course.id}|${round.date}`);
+    imported += 1;
+  }
+
+  if (imported > 0) {
+    refreshHandicap(userId).catch(err => {
+      console.error("[importRounds] Error refreshing handicap:", err);
+    });
+  }
+
+  console.log("[importRounds] Imported", imported, "rounds, skipped", skipped);
+
+  return { imported, skipped };
+};
@@ -1,6 +1,35 @@
 // src/services/roundservice.js
 
 import { supabase } from "./supabase";
+import {
+  enqueueSync,
+  processSyncQueue,
+  registerSyncHandler,
+  startSyncQueue,
+  clearRoundSync,
+  getDeviceId,
+  SYNC_STATUS
+} from "./syncQueue";
+import { refreshHandicap } from "./handicapService";
+import { addRoundPlayers, submitLinkedPlayerRounds } from "./groupRoundService";
+import {
+  buildFormatHoles,
+  scoreRound,
+  DEFAULT_SCORING_FORMAT,
+  STROKE_INDEX_SETS,
+  getHoleParAndIndex
+} from "../../supabase/functions/_shared/scoringFormats";
+import {
+  getCourseHoleCount,
+  getRoundHoleSequence,
+  selectRoundHoles,
+  DEFAULT_HOLE_COUNT
+} from "../../supabase/functions/_shared/holeRange";
+import {
+  diffShotCounts,
+  getHoleRecordScore,
+  getEditedHoleScore
+} from "../../supabase/functions/_shared/shotModel";
 
 /**
  * Create a new round record in Supabase.
@@ -9,14 +38,36 @@ import { supabase } from "./supabase";
  * @param {string} course_id - The ID of the course.
  * @param {string} tee_id - The ID of the selected tee.
  * @param {string} tee_name - The name of the selected tee.
- * @returns {object} The newly created round record.
+ * @param {object} settings - Scoring format and hole range chosen for the round
+ * @param {string} settings.scoringFormat - Scoring format ID (see scoringFormats.js)
+ * @param {number|null} settings.courseHandicap - Course handicap for the selected tee
+ * @param {string} settings.strokeIndexSet - "men" or "women" hole indexes for handicap strokes
+ * @param {number} settings.startHole - First hole played (see holeRange.js)
+ * @param {number} settings.holeCount - Number of holes played
+ * @param {object|null} settings.trackingSchema - ShotTable rows and outcomes (see trackingProfile.js)
+ * @param {Array} players - Other players in a group round (see groupRoundService.addRoundPlayers)
+ * @returns {object} The newly created round record, with the group's players in `players`.
  */
-export const createRound = async (profile_id, course_id, tee_id, tee_name) => {
+export const createRound = async (profile_id, course_id, tee_id, tee_name, settings = {}, players = []) => {
+  const {
+    scoringFormat = DEFAULT_SCORING_FORMAT,
+    courseHandicap = null,
+    strokeIndexSet = STROKE_INDEX_SETS.MEN,
+    startHole = 1,
+    holeCount = DEFAULT_HOLE_COUNT,
+    trackingSchema = null
+  } = settings;
+  
   console.log("[createRound] Attempting to create a new round", { 
     profile_id, 
     course_id,
     tee_id,
-    tee_name
+    tee_name,
+    scoringFormat,
+    courseHandicap,
+    startHole,
+    holeCount,
+    players: players.length
   });
   
   // Insert a new round record into the rounds table
@@ -27,7 +78,13 @@ export const createRound = async (profile_id, course_id, tee_id, tee_name) => {
       course_id,
       is_complete: false, // New round is not complete
       selected_tee_id: tee_id,
-      selected_tee_name: tee_name
+      selected_tee_name: tee_name,
+      scoring_format: scoringFormat,
+      course_handicap: courseHandicap,
+      stroke_index_set: strokeIndexSet,
+      start_hole: startHole,
+      hole_count: holeCount,
+      tracking_schema: trackingSchema // Rows and outcomes the round is tracked with
     })
     .select(); // Returns the inserted record(s)
 
@@ -37,51 +94,132 @@ export const createRound = async (profile_id, course_id, tee_id, tee_name) => {
   }
 
   console.log("[createRound] Round created successfully:", data[0]);
-  return data[0]; // Return the newly created round record
+  
+  // Add the rest of the group
+  const roundPlayers = await addRoundPlayers(data[0].id, players);
+  
+  return { ...data[0], players: roundPlayers }; // Return the newly created round record
+};
+
+/**
+ * Write a queued hole record to the shots table
+ * 
+ * Registered as the sync queue handler for hole entries. When the same
+ * round is being edited on two devices, the copy with the most recent
+ * hole_data.updated_at wins and the other device is told about the conflict.
+ * 
+ * @param {object} entry - The queued sync entry
+ * @returns {object} Sync result { status, remote }
+ */
+const upsertHoleRecord = async (entry) => {
+  const { roundId: round_id, holeNumber: hole_number } = entry;
+  const { hole_data, total_score } = entry.payload;
+  
+  console.log("[upsertHoleRecord] Syncing hole", hole_number, "in round", round_id);
+  
+  // Check for a copy written by another device
+  const { data: existing, error: existingError } = await supabase
+    .from("shots")
+    .select("hole_data, total_score")
+    .eq("round_id", round_id)
+    .eq("hole_number", hole_number)
+    .maybeSingle();
+    
+  if (existingError) {
+    console.error("[upsertHoleRecord] Error checking existing hole data:", existingError);
+    throw existingError;
+  }
+  
+  const remoteData = existing?.hole_data;
+  if (
+    remoteData?.updated_at &&
+    remoteData.device_id &&
+    remoteData.device_id !== hole_data.device_id &&
+    new Date(remoteData.updated_at) > new Date(hole_data.updated_at || 0)
+  ) {
+    console.warn("[upsertHoleRecord] Newer copy of hole", hole_number, "found from another device");
+    return { status: SYNC_STATUS.CONFLICT, remote: existing };
+  }
+  
+  // Upsert the hole data (insert if not exists, update if exists)
+  const { data, error } = await supabase
+    .from("shots")
+    .upsert({
+      round_id,
+      hole_number,
+      hole_data,
+      total_score
+    }, {
+      onConflict: 'round_id,hole_number', // Handle the unique constraint
+      returning: 'representation' // Return the full record
+    });
+  
+  if (error) {
+    console.error("[upsertHoleRecord] Error saving hole data:", error);
+    throw error;
+  }
+  
+  console.log("[upsertHoleRecord] Hole data saved successfully:", data);
+  return { status: SYNC_STATUS.SYNCED };
 };
 
 /**
  * Save hole data for a specific hole
  * 
- * This function saves hole data including shots in the new
- * hole-centric format to the shots table.
+ * Writes through the persistent sync queue so the hole survives app
+ * restarts and lost signal. The upload is attempted straight away and
+ * retried with backoff until it reaches the shots table.
  * 
  * @param {string} round_id - The ID of the round
  * @param {number} hole_number - The hole number (1-18)
  * @param {object} hole_data - The hole data including par, distance, and shots
  * @param {number} total_score - The total number of shots for this hole
- * @returns {object} The saved record
+ * @returns {object} The queued sync entry
  */
 export const saveHoleData = async (round_id, hole_number, hole_data, total_score) => {
-  console.log("[saveHoleData] Saving data for hole", hole_number, "in round", round_id);
+  console.log("[saveHoleData] Queueing data for hole", hole_number, "in round", round_id);
   
   try {
-    // Upsert the hole data (insert if not exists, update if exists)
-    const { data, error } = await supabase
-      .from("shots")
-      .upsert({
-        round_id,
-        hole_number,
-        hole_data,
-        total_score
-      }, {
-        onConflict: 'round_id,hole_number', // Handle the unique constraint
-        returning: 'representation' // Return the full record
-      });
+    // Stamp the record so conflicting edits from other devices can be resolved
+    const stampedHoleData = {
+      ...hole_data,
+      updated_at: new Date().toISOString(),
+      device_id: await getDeviceId()
+    };
     
-    if (error) {
-      console.error("[saveHoleData] Error saving hole data:", error);
-      throw error;
-    }
+    const entry = await enqueueSync("hole", round_id, {
+      hole_data: stampedHoleData,
+      total_score
+    }, hole_number);
     
-    console.log("[saveHoleData] Hole data saved successfully:", data);
-    return data;
+    // Kick off an upload without blocking the caller
+    processSyncQueue();
+    
+    return entry;
   } catch (error) {
     console.error("[saveHoleData] Exception in saveHoleData:", error);
     throw error;
   }
 };
 
+/**
+ * Queue round completion behind any holes still waiting to sync
+ * 
+ * Used when the round is finished without a connection. The queue
+ * runs completeRound once every earlier hole for the round is written.
+ * 
+ * @param {string} round_id - The ID of the round to complete
+ * @returns {object} The queued sync entry
+ */
+export const queueRoundCompletion = async (round_id) => {
+  console.log("[queueRoundCompletion] Queueing completion for round", round_id);
+  
+  const entry = await enqueueSync("complete_round", round_id, {});
+  processSyncQueue();
+  
+  return entry;
+};
+
 /**
  * Get all hole data for a round
  * 
@@ -111,6 +249,113 @@ export const getRoundHoleData = async (round_id) => {
   }
 };
 
+/**
+ * Calculate a round's totals from its hole records
+ * Shared by completeRound and by edits made after completion.
+ * 
+ * @param {string} round_id - The ID of the round
+ * @returns {object} { roundData, courseData, holeRecords, grossShots, score, formatResult, coursePar }
+ */
+const calculateRoundStatistics = async (round_id) => {
+  // 1. Get the course_id from the round
+  const { data: roundData, error: roundError } = await supabase
+    .from("rounds")
+    .select("id, course_id, profile_id, selected_tee_name, scoring_format, course_handicap, stroke_index_set, start_hole, hole_count, gross_shots") 
+    .eq("id", round_id)
+    .single();
+    
+  if (roundError) throw roundError;
+  
+  // 2. Get the par value and hole indexes for that course
+  const { data: courseData, error: courseError } = await supabase
+    .from("courses")
+    .select("par, num_holes, holes")
+    .eq("id", roundData.course_id)
+    .single();
+    
+  if (courseError) throw courseError;
+  
+  // 3. Get all hole records for this round
+  const { data: holeRecords, error: holesError } = await supabase
+    .from("shots")
+    .select("hole_number, total_score, hole_data")
+    .eq("round_id", round_id);
+    
+  if (holesError) throw holesError;
+  
+  // 4. Calculate total gross shots by summing each hole's score (penalties count their strokes)
+  let grossShots = 0;
+  const scores = {};
+  holeRecords.forEach(hole => {
+    const holeScore = getHoleRecordScore(hole);
+    grossShots += holeScore;
+    scores[hole.hole_number] = holeScore;
+  });
+  
+  // 5. Calculate score relative to the par of the holes in the round
+  const holeSequence = getRoundHoleSequence(roundData, getCourseHoleCount(courseData));
+  const roundHoles = selectRoundHoles(courseData.holes, holeSequence);
+  
+  let coursePar;
+  if (roundHoles.length === holeSequence.length) {
+    coursePar = roundHoles.reduce(
+      (total, courseHole) => total + (getHoleParAndIndex(courseHole, roundData.stroke_index_set).par || 0),
+      0
+    );
+  } else {
+    // No hole details for the course - use the par recorded on each hole,
+    // or the course par for a full round
+    const recordedPar = holeRecords.reduce((total, hole) => total + (hole.hole_data?.par || 0), 0);
+    coursePar = recordedPar || courseData.par || 72;
+  }
+  
+  const score = grossShots - coursePar;
+  
+  // 6. Score the round under its format (points, net score, par/bogey result)
+  let formatResult = null;
+  if (roundHoles.length > 0) {
+    const { holes: _holeResults, ...totals } = scoreRound(
+      roundData.scoring_format,
+      buildFormatHoles(courseData.holes, scores, roundData.stroke_index_set, holeSequence),
+      roundData.course_handicap
+    );
+    formatResult = totals;
+  }
+  
+  return { roundData, courseData, holeRecords, grossShots, score, formatResult, coursePar };
+};
+
+/**
+ * Ask the analyze-golf-performance Edge Function for new insights (non-blocking)
+ * 
+ * @param {string} userId - The round owner's profile ID
+ * @param {string} round_id - The round to analyse
+ * @param {string} caller - Name used in log messages
+ */
+const requestRoundInsights = (userId, round_id, caller) => {
+  try {
+    console.log(`[${caller}] Triggering insights generation Edge Function`);
+    
+    supabase.functions.invoke('analyze-golf-performance', {
+      body: { 
+        userId,
+        roundId: round_id
+      }
+    }).then(({ data: insightsData, error: insightsError }) => {
+      if (insightsError) {
+        console.error(`[${caller}] Error from insights Edge Function:`, insightsError);
+      } else {
+        console.log(`[${caller}] Insights generated successfully:`, insightsData);
+      }
+    }).catch(err => {
+      console.error(`[${caller}] Exception calling insights Edge Function:`, err);
+    });
+    
+  } catch (insightsError) {
+    console.error(`[${caller}] Failed to trigger insights generation:`, insightsError);
+  }
+};
+
 /**
  * Complete a round by updating its is_complete flag and calculating final statistics.
  * Works with the new shots data structure.
@@ -122,56 +367,31 @@ export const completeRound = async (round_id) => {
   try {
     console.log("[completeRound] Calculating final statistics for round:", round_id);
     
-    // 1. Get the course_id from the round
-    const { data: roundData, error: roundError } = await supabase
-      .from("rounds")
-      .select("course_id, profile_id, selected_tee_name") 
-      .eq("id", round_id)
-      .single();
-      
-    if (roundError) throw roundError;
-    
-    // 2. Get the par value for that course
-    const { data: courseData, error: courseError } = await supabase
-      .from("courses")
-      .select("par")
-      .eq("id", roundData.course_id)
-      .single();
-      
-    if (courseError) throw courseError;
-    
-    const coursePar = courseData.par || 72; // Default to 72 if par is not set
-    
-    // 3. Get all hole records for this round
-    const { data: holeRecords, error: holesError } = await supabase
-      .from("shots")
-      .select("total_score")
-      .eq("round_id", round_id);
-      
-    if (holesError) throw holesError;
-    
-    // 4. Calculate total gross shots by summing the total_score for each hole
-    let grossShots = 0;
-    holeRecords.forEach(hole => {
-      grossShots += hole.total_score || 0;
-    });
-    
-    // 5. Calculate score relative to par
-    const score = grossShots - coursePar;
+    const {
+      roundData,
+      courseData,
+      holeRecords,
+      grossShots,
+      score,
+      formatResult,
+      coursePar
+    } = await calculateRoundStatistics(round_id);
     
     console.log("[completeRound] Statistics calculated:", {
       coursePar,
       grossShots,
-      score
+      score,
+      formatResult
     });
     
-    // 6. Update the round record with calculated values and mark as complete
+    // Update the round record with calculated values and mark as complete
     const { data, error } = await supabase
       .from("rounds")
       .update({ 
         is_complete: true,
         gross_shots: grossShots,
-        score: score
+        score: score,
+        format_result: formatResult
       })
       .eq("id", round_id)
       .select();
@@ -183,28 +403,20 @@ export const completeRound = async (round_id) => {
 
     console.log("[completeRound] Round completed successfully:", data);
     
-    // 7. Trigger insights generation
+    // Send linked players in a group round their rounds to accept
     try {
-      console.log("[completeRound] Triggering insights generation Edge Function");
-      
-      supabase.functions.invoke('analyze-golf-performance', {
-        body: { 
-          userId: roundData.profile_id,
-          roundId: round_id
-        }
-      }).then(({ data: insightsData, error: insightsError }) => {
-        if (insightsError) {
-          console.error("[completeRound] Error from insights Edge Function:", insightsError);
-        } else {
-          console.log("[completeRound] Insights generated successfully:", insightsData);
-        }
-      }).catch(err => {
-        console.error("[completeRound] Exception calling insights Edge Function:", err);
-      });
-      
-    } catch (insightsError) {
-      console.error("[completeRound] Failed to trigger insights generation:", insightsError);
+      await submitLinkedPlayerRounds(roundData, courseData, holeRecords);
+    } catch (groupError) {
+      console.error("[completeRound] Error sending rounds to linked players:", groupError);
     }
+    
+    // Trigger insights generation
+    requestRoundInsights(roundData.profile_id, round_id, "completeRound");
+    
+    // Recalculate the handicap index with the new score (non-blocking)
+    refreshHandicap(roundData.profile_id).catch(err => {
+      console.error("[completeRound] Error refreshing handicap:", err);
+    });
 
     return data;
   } catch (error) {
@@ -213,9 +425,209 @@ export const completeRound = async (round_id) => {
   }
 };
 
+/**
+ * Correct a hole on a completed round
+ * 
+ * Writes the hole straight to the shots table (editing needs a connection,
+ * unlike live scoring), recalculates the round's totals and records the
+ * change in round_edits. The hole's other fields, such as group players'
+ * scores, are kept.
+ * 
+ * @param {string} round_id - The completed round
+ * @param {number} hole_number - The hole being corrected
+ * @param {Array} shots - The hole's corrected shots
+ * @param {object} options
+ * @param {boolean} options.reanalyze - Re-run analyze-golf-performance on the corrected round
+ * @param {object} options.trackingSchema - The round's tracking schema, for the recorded changes
+ * @returns {Promise<object>} The round's new { grossShots, score, formatResult }
+ */
+export const editCompletedHole = async (round_id, hole_number, shots, { reanalyze = false, trackingSchema } = {}) => {
+  console.log("[editCompletedHole] Editing hole", hole_number, "in round", round_id);
+  
+  try {
+    const { data: existing, error: existingError } = await supabase
+      .from("shots")
+      .select("hole_data, total_score")
+      .eq("round_id", round_id)
+      .eq("hole_number", hole_number)
+      .maybeSingle();
+    
+    if (existingError) {
+      console.error("[editCompletedHole] Error reading hole:", existingError);
+      throw existingError;
+    }
+    
+    const previousHoleData = existing?.hole_data || null;
+    const changes = diffShotCounts(previousHoleData?.shots || [], shots, trackingSchema);
+    
+    // Imported holes keep their score, moved by the change in counted shots
+    const totalScore = getEditedHoleScore(existing, shots);
+    
+    const holeData = {
+      ...previousHoleData,
+      shots,
+      updated_at: new Date().toISOString(),
+      device_id: await getDeviceId()
+    };
+    
+    const { error: saveError } = await supabase
+      .from("shots")
+      .upsert({
+        round_id,
+        hole_number,
+        hole_data: holeData,
+        total_score: totalScore
+      }, {
+        onConflict: 'round_id,hole_number'
+      });
+    
+    if (saveError) {
+      console.error("[editCompletedHole] Error saving hole:", saveError);
+      throw saveError;
+    }
+    
+    // Recalculate the round with the corrected hole
+    const { roundData, grossShots, score, formatResult } = await calculateRoundStatistics(round_id);
+    
+    const { error: roundError } = await supabase
+      .from("rounds")
+      .update({
+        gross_shots: grossShots,
+        score,
+        format_result: formatResult
+      })
+      .eq("id", round_id);
+    
+    if (roundError) {
+      console.error("[editCompletedHole] Error updating round totals:", roundError);
+      throw roundError;
+    }
+    
+    // Keep the hole as it was so the correction can be traced
+    const { error: auditError } = await supabase
+      .from("round_edits")
+      .insert({
+        round_id,
+        profile_id: roundData.profile_id,
+        hole_number,
+        previous_hole_data: previousHoleData,
+        previous_total_score: existing?.total_score ?? null,
+        new_total_score: totalScore,
+        previous_gross_shots: roundData.gross_shots,
+        new_gross_shots: grossShots,
+        changes
+      });
+    
+    if (auditError) {
+      console.error("[editCompletedHole] Error recording edit:", auditError);
+      throw auditError;
+    }
+    
+    console.log("[editCompletedHole] Round totals updated:", { grossShots, score });
+    
+    if (reanalyze) {
+      requestRoundInsights(roundData.profile_id, round_id, "editCompletedHole");
+    }
+    
+    // The corrected score counts towards the handicap index (non-blocking)
+    refreshHandicap(roundData.profile_id).catch(err => {
+      console.error("[editCompletedHole] Error refreshing handicap:", err);
+    });
+    
+    return { grossShots, score, formatResult };
+  } catch (error) {
+    console.error("[editCompletedHole] Exception in editCompletedHole:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get the edits made to a completed round
+ * 
+ * @param {string} round_id - The round
+ * @returns {Promise<Array>} round_edits rows, newest first
+ */
+export const getRoundEdits = async (round_id) => {
+  try {
+    const { data, error } = await supabase
+      .from("round_edits")
+      .select("id, hole_number, previous_total_score, new_total_score, previous_gross_shots, new_gross_shots, changes, created_at")
+      .eq("round_id", round_id)
+      .order("created_at", { ascending: false });
+    
+    if (error) {
+      console.error("[getRoundEdits] Error fetching edits:", error);
+      throw error;
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error("[getRoundEdits] Exception:", error);
+    return [];
+  }
+};
+
+/**
+ * Get the most recent incomplete round for a user
+ * 
+ * Paused rounds are kept in the database, so this lets a round be
+ * resumed even when the local copy on this device is gone.
+ * 
+ * @param {string} profile_id - The current user's profile ID
+ * @returns {Promise<object|null>} The incomplete round with its last played hole, or null
+ */
+export const getInProgressRound = async (profile_id) => {
+  console.log("[getInProgressRound] Looking for an incomplete round for", profile_id);
+  
+  try {
+    const { data: rounds, error } = await supabase
+      .from("rounds")
+      .select("id, profile_id, course_id, created_at, is_complete, selected_tee_id, selected_tee_name, scoring_format, course_handicap, stroke_index_set, start_hole, hole_count, tracking_schema")
+      .eq("profile_id", profile_id)
+      .eq("is_complete", false)
+      .order("created_at", { ascending: false })
+      .limit(1);
+      
+    if (error) {
+      console.error("[getInProgressRound] Error fetching incomplete round:", error);
+      throw error;
+    }
+    
+    if (!rounds || rounds.length === 0) {
+      return null;
+    }
+    
+    const round = rounds[0];
+    
+    // Work out how far the round got from the holes already uploaded,
+    // following the order the round's holes are played in
+    const holes = await getRoundHoleData(round.id);
+    const { data: course } = await supabase
+      .from("courses")
+      .select("num_holes")
+      .eq("id", round.course_id)
+      .single();
+    const holeSequence = getRoundHoleSequence(round, getCourseHoleCount(course));
+    const uploadedHoles = holes.map(hole => hole.hole_number);
+    const lastHole = [...holeSequence].reverse().find(holeNumber => uploadedHoles.includes(holeNumber)) || holeSequence[0];
+    
+    return {
+      ...round,
+      last_hole: lastHole,
+      holes_played: holes.length
+    };
+  } catch (error) {
+    console.error("[getInProgressRound] Exception in getInProgressRound:", error);
+    return null;
+  }
+};
+
 /**
  * Delete a round that was abandoned before completion
  * 
+ * Only called when the player explicitly discards a round. Paused rounds
+ * that are never resumed are removed by the expire_abandoned_rounds job.
+ * 
  * @param {string} round_id - The ID of the round to delete
  * @returns {Promise<boolean>} Success status
  */
@@ -223,6 +635,39 @@ export const deleteAbandonedRound = async (round_id) => {
   console.log("[deleteAbandonedRound] Removing abandoned round:", round_id);
   
   try {
+    // Safety check - only discard incomplete rounds
+    const { data: round, error: roundError } = await supabase
+      .from("rounds")
+      .select("id, is_complete")
+      .eq("id", round_id)
+      .maybeSingle();
+      
+    if (roundError) {
+      console.error("[deleteAbandonedRound] Error checking round:", roundError);
+      return false;
+    }
+    
+    if (!round) {
+      // Nothing on the server yet (or already removed)
+      return true;
+    }
+    
+    if (round.is_complete) {
+      console.warn("[deleteAbandonedRound] Refusing to delete a completed round");
+      return false;
+    }
+    
+    // Delete any holes already uploaded for the round
+    const { error: shotsError } = await supabase
+      .from("shots")
+      .delete()
+      .eq("round_id", round_id);
+      
+    if (shotsError) {
+      console.error("[deleteAbandonedRound] Error deleting hole data:", shotsError);
+      return false;
+    }
+    
     // Delete the round record
     const { error } = await supabase
       .from("rounds")
@@ -241,4 +686,24 @@ export const deleteAbandonedRound = async (round_id) => {
     console.error("[deleteAbandonedRound] Exception deleting round:", error);
     return false;
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Start uploading any round data left in the sync queue
+ * 
+ * Exposed from here rather than the queue itself so the round
+ * handlers below are always registered before the first pass runs.
+ */
+export const startRoundSync = () => {
+  startSyncQueue();
+};
+
+// Register the network writers used by the sync queue
+registerSyncHandler("hole", upsertHoleRecord);
+registerSyncHandler("complete_round", async (entry) => {
+  await completeRound(entry.roundId);
+  
+  // Nothing else is synced for a finished round, so drop its hole statuses
+  await clearRoundSync(entry.roundId);
+  return { status: SYNC_STATUS.SYNCED };
+});
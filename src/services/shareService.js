@@ -0,0 +1,112 @@
+// src/services/shareService.js
+//
+// Sharing a round with friends: a scorecard image captured from
+// RoundShareCard, or a signed link to the read-only scorecard page on
+// the website (created and revoked by the public-scorecard edge function).
+
+import { Platform, Share } from "react-native";
+import * as FileSystem from "expo-file-system";
+import * as Sharing from "expo-sharing";
+import { supabase } from "./supabase";
+import { SHARE_CARD_WIDTH, SHARE_CARD_HEIGHT } from "../components/RoundShareCard";
+
+/**
+ * Capture the share card as base64 PNG data
+ *
+ * @param {object} svgRef - Ref to the RoundShareCard's Svg
+ * @returns {Promise<string>} Base64 PNG data (no data: prefix)
+ */
+const captureShareCard = (svgRef) => new Promise((resolve, reject) => {
+  if (!svgRef?.current?.toDataURL) {
+    reject(new Error("Scorecard image is not ready"));
+    return;
+  }
+
+  svgRef.current.toDataURL(
+    (data) => resolve(data.replace(/^data:image\/png;base64,/, "")),
+    { width: SHARE_CARD_WIDTH, height: SHARE_CARD_HEIGHT }
+  );
+});
+
+/**
+ * Share a round's scorecard image through the share sheet, or download it on web
+ *
+ * @param {object} svgRef - Ref to the RoundShareCard's Svg
+ * @param {string} roundId - The round being shared, used in the file name
+ * @returns {Promise<string>} The image file name
+ */
+export const shareRoundImage = async (svgRef, roundId) => {
+  console.log("[shareRoundImage] Capturing scorecard for round", roundId);
+
+  const base64 = await captureShareCard(svgRef);
+  const fileName = `scorecard-${roundId.slice(0, 8)}.png`;
+
+  if (Platform.OS === "web") {
+    const link = document.createElement("a");
+    link.href = `data:image/png;base64,${base64}`;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+  } else {
+    const fileUri = `${FileSystem.cacheDirectory}${fileName}`;
+    await FileSystem.writeAsStringAsync(fileUri, base64, {
+      encoding: FileSystem.EncodingType.Base64
+    });
+
+    if (!(await Sharing.isAvailableAsync())) {
+      throw new Error("Sharing is not available on this device");
+    }
+
+    await Sharing.shareAsync(fileUri, {
+      mimeType: "image/png",
+      UTI: "public.png",
+      dialogTitle: "Share your round"
+    });
+  }
+
+  return fileName;
+};
+
+/**
+ * Publish a round's read-only web scorecard and share the link
+ * The link keeps working until the round is unshared.
+ *
+ * @param {string} roundId - The round to share (must belong to the user)
+ * @returns {Promise<string>} The signed scorecard URL
+ */
+export const shareScorecardLink = async (roundId) => {
+  console.log("[shareScorecardLink] Creating link for round", roundId);
+
+  const { data, error } = await supabase.functions.invoke("public-scorecard", {
+    body: { roundId, action: "create" }
+  });
+
+  if (error) {
+    console.error("[shareScorecardLink] Error from edge function:", error);
+    throw error;
+  }
+
+  await Share.share({ message: `Check out my round: ${data.url}`, url: data.url });
+
+  return data.url;
+};
+
+/**
+ * Stop sharing a round's web scorecard - existing links stop working
+ *
+ * @param {string} roundId - The shared round
+ * @returns {Promise<void>}
+ */
+export const revokeScorecardLink = async (roundId) => {
+  console.log("[revokeScorecardLink] Revoking link for round", roundId);
+
+  const { error } = await supabase.functions.invoke("public-scorecard", {
+    body: { roundId, action: "revoke" }
+  });
+
+  if (error) {
+    console.error("[revokeScorecardLink] Error from edge function:", error);
+    throw error;
+  }
+};
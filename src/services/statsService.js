@@ -0,0 +1,126 @@
+// src/services/statsService.js
+//
+// Data for the Stats tab: completed rounds in a date range, with their
+// hole records and courses, turned into per-round trends by the shared
+// statsTrends module. Also loads a player's history at one course for
+// the course detail screen.
+
+import { supabase } from "./supabase";
+import { buildRoundTrends, getDateRangeStart } from "../../supabase/functions/_shared/statsTrends";
+
+// Round IDs per shots query, keeping the request URL short
+const ROUND_ID_BATCH_SIZE = 100;
+
+/**
+ * Get per-round trends for a player's completed rounds
+ *
+ * @param {string} userId - The user's profile ID
+ * @param {string} rangeId - Key of STATS_DATE_RANGES
+ * @returns {Promise<Array>} Entries from buildRoundTrends, oldest first
+ */
+export const getRoundTrends = async (userId, rangeId) => {
+  let roundsQuery = supabase
+    .from("rounds")
+    .select("id, course_id, created_at, selected_tee_name, score, gross_shots, stroke_index_set")
+    .eq("profile_id", userId)
+    .eq("is_complete", true)
+    .order("created_at", { ascending: true });
+
+  const since = getDateRangeStart(rangeId);
+  if (since) {
+    roundsQuery = roundsQuery.gte("created_at", since);
+  }
+
+  const { data: rounds, error: roundsError } = await roundsQuery;
+
+  if (roundsError) {
+    console.error("[getRoundTrends] Error fetching rounds:", roundsError);
+    throw roundsError;
+  }
+
+  if (!rounds || rounds.length === 0) return [];
+
+  const roundIds = rounds.map(round => round.id);
+  const holeRecords = [];
+
+  for (let start = 0; start < roundIds.length; start += ROUND_ID_BATCH_SIZE) {
+    const { data, error } = await supabase
+      .from("shots")
+      .select("round_id, hole_number, total_score, hole_data")
+      .in("round_id", roundIds.slice(start, start + ROUND_ID_BATCH_SIZE));
+
+    if (error) {
+      console.error("[getRoundTrends] Error fetching shots:", error);
+      throw error;
+    }
+
+    holeRecords.push(...(data || []));
+  }
+
+  // Course names for the filters, and hole pars for holes without their own
+  const { data: courses, error: coursesError } = await supabase
+    .from("courses")
+    .select("id, name, holes")
+    .in("id", [...new Set(rounds.map(round => round.course_id))]);
+
+  if (coursesError) {
+    console.error("[getRoundTrends] Error fetching courses:", coursesError);
+    throw coursesError;
+  }
+
+  return buildRoundTrends(rounds, holeRecords, courses || []);
+};
+
+/**
+ * Get a player's completed rounds at one course, with their hole records
+ * The per-hole breakdown is built with buildCourseStats so the tee
+ * filter can change without another fetch.
+ *
+ * @param {string} userId - The user's profile ID
+ * @param {string} courseId - The course
+ * @returns {Promise<object>} { course, rounds, holeRecords }
+ */
+export const getCourseHistory = async (userId, courseId) => {
+  const { data: course, error: courseError } = await supabase
+    .from("courses")
+    .select("id, name, club_name, par, num_holes, holes")
+    .eq("id", courseId)
+    .single();
+
+  if (courseError) {
+    console.error("[getCourseHistory] Error fetching course:", courseError);
+    throw courseError;
+  }
+
+  const { data: rounds, error: roundsError } = await supabase
+    .from("rounds")
+    .select("id, created_at, gross_shots, score, selected_tee_name, stroke_index_set, start_hole, hole_count")
+    .eq("profile_id", userId)
+    .eq("course_id", courseId)
+    .eq("is_complete", true)
+    .order("created_at", { ascending: true });
+
+  if (roundsError) {
+    console.error("[getCourseHistory] Error fetching rounds:", roundsError);
+    throw roundsError;
+  }
+
+  const roundIds = (rounds || []).map(round => round.id);
+  const holeRecords = [];
+
+  for (let start = 0; start < roundIds.length; start += ROUND_ID_BATCH_SIZE) {
+    const { data, error } = await supabase
+      .from("shots")
+      .select("round_id, hole_number, total_score, hole_data")
+      .in("round_id", roundIds.slice(start, start + ROUND_ID_BATCH_SIZE));
+
+    if (error) {
+      console.error("[getCourseHistory] Error fetching shots:", error);
+      throw error;
+    }
+
+    holeRecords.push(...(data || []));
+  }
+
+  return { course, rounds: rounds || [], holeRecords };
+};
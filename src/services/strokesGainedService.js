@@ -0,0 +1,192 @@
+// src/services/strokesGainedService.js
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { supabase } from "./supabase";
+import {
+  calculateRoundStrokesGained,
+  averageStrokesGained,
+  getHoleDistances,
+  BASELINES,
+  DEFAULT_BASELINE_ID
+} from "../../supabase/functions/_shared/strokesGained";
+
+// Storage key for the player's preferred comparison baseline
+const BASELINE_STORAGE_KEY = "strokesGainedBaseline";
+
+
+/**
+ * Load hole and course data for rounds and run the shared engine
+ */
+const calculateForRounds = async (rounds, baseline) => {
+  const roundIds = rounds.map(round => round.id);
+  const courseIds = [...new Set(rounds.map(round => round.course_id))];
+  
+  const { data: holeRecords, error: holesError } = await supabase
+    .from("shots")
+    .select("round_id, hole_number, hole_data")
+    .in("round_id", roundIds)
+    .order("hole_number", { ascending: true });
+    
+  if (holesError) {
+    console.error("[strokesGainedService] Error fetching hole data:", holesError);
+    throw holesError;
+  }
+  
+  const { data: courses, error: coursesError } = await supabase
+    .from("courses")
+    .select("id, holes")
+    .in("id", courseIds);
+    
+  if (coursesError) {
+    // Hole distances are also stored on each hole record, so carry on
+    console.error("[strokesGainedService] Error fetching course holes:", coursesError);
+  }
+  
+  const coursesById = {};
+  (courses || []).forEach(course => {
+    coursesById[course.id] = course;
+  });
+  
+  const results = rounds.map(round => ({
+    round_id: round.id,
+    course_id: round.course_id,
+    created_at: round.created_at,
+    gross_shots: round.gross_shots,
+    score: round.score,
+    ...calculateRoundStrokesGained(
+      (holeRecords || []).filter(hole => hole.round_id === round.id),
+      baseline,
+      { holeDistances: getHoleDistances(coursesById[round.course_id]?.holes, round.selected_tee_name) }
+    )
+  }));
+  
+  const resolved = BASELINES[baseline] || BASELINES[DEFAULT_BASELINE_ID];
+  
+  return {
+    baseline: { id: resolved.id, label: resolved.label },
+    rounds: results,
+    average: averageStrokesGained(results)
+  };
+};
+
+/**
+ * Get the saved comparison baseline
+ * 
+ * @returns {Promise<string>} Baseline ID
+ */
+export const getPreferredBaseline = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(BASELINE_STORAGE_KEY);
+    return stored && BASELINES[stored] ? stored : DEFAULT_BASELINE_ID;
+  } catch (error) {
+    console.error("[strokesGainedService] Error reading baseline preference:", error);
+    return DEFAULT_BASELINE_ID;
+  }
+};
+
+/**
+ * Save the comparison baseline
+ * 
+ * @param {string} baselineId - Baseline ID
+ */
+export const setPreferredBaseline = async (baselineId) => {
+  try {
+    await AsyncStorage.setItem(BASELINE_STORAGE_KEY, baselineId);
+  } catch (error) {
+    console.error("[strokesGainedService] Error saving baseline preference:", error);
+  }
+};
+
+/**
+ * Calculate strokes gained on the device for a user's recent completed rounds
+ * 
+ * @param {string} userId - The user's profile ID
+ * @param {string} baseline - Baseline ID
+ * @param {number} limit - Number of recent rounds to include
+ * @returns {Promise<object>} { baseline, rounds, average }
+ */
+export const getRecentStrokesGained = async (userId, baseline = DEFAULT_BASELINE_ID, limit = 10) => {
+  console.log("[getRecentStrokesGained] Calculating for", userId, "against", baseline);
+  
+  try {
+    // Imported rounds have shot counts rather than shots, so they have no strokes gained
+    const { data: rounds, error: roundsError } = await supabase
+      .from("rounds")
+      .select("id, course_id, created_at, selected_tee_name, gross_shots, score")
+      .eq("profile_id", userId)
+      .eq("is_complete", true)
+      .eq("imported", false)
+      .order("created_at", { ascending: false })
+      .limit(limit);
+      
+    if (roundsError) {
+      console.error("[getRecentStrokesGained] Error fetching rounds:", roundsError);
+      throw roundsError;
+    }
+    
+    if (!rounds || rounds.length === 0) {
+      const resolved = BASELINES[baseline] || BASELINES[DEFAULT_BASELINE_ID];
+      return { baseline: { id: resolved.id, label: resolved.label }, rounds: [], average: null };
+    }
+    
+    return await calculateForRounds(rounds, baseline);
+  } catch (error) {
+    console.error("[getRecentStrokesGained] Exception:", error);
+    return null;
+  }
+};
+
+/**
+ * Calculate strokes gained on the device for a single round
+ * 
+ * @param {string} roundId - The round ID
+ * @param {string} baseline - Baseline ID
+ * @returns {Promise<object|null>} Round result, or null on error
+ */
+export const getRoundStrokesGained = async (roundId, baseline = DEFAULT_BASELINE_ID) => {
+  console.log("[getRoundStrokesGained] Calculating for round", roundId);
+  
+  try {
+    const { data: round, error } = await supabase
+      .from("rounds")
+      .select("id, course_id, created_at, selected_tee_name, gross_shots, score")
+      .eq("id", roundId)
+      .single();
+      
+    if (error) {
+      console.error("[getRoundStrokesGained] Error fetching round:", error);
+      throw error;
+    }
+    
+    const result = await calculateForRounds([round], baseline);
+    return result.rounds[0] || null;
+  } catch (error) {
+    console.error("[getRoundStrokesGained] Exception:", error);
+    return null;
+  }
+};
+
+/**
+ * Fetch strokes gained from the strokes-gained edge function
+ * Returns the same shape as getRecentStrokesGained.
+ * 
+ * @param {object} options - { roundId, baseline, limit }
+ * @returns {Promise<object|null>} Server-calculated result, or null on error
+ */
+export const fetchStrokesGained = async ({ roundId = null, baseline = DEFAULT_BASELINE_ID, limit = 10 } = {}) => {
+  try {
+    const { data, error } = await supabase.functions.invoke("strokes-gained", {
+      body: { roundId, baseline, limit }
+    });
+    
+    if (error) {
+      console.error("[fetchStrokesGained] Error from edge function:", error);
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error("[fetchStrokesGained] Exception:", error);
+    return null;
+  }
+};
@@ -0,0 +1,569 @@
+// src/services/syncQueue.js
+//
+// Persistent, offline-first write queue for round data.
+// Entries survive app restarts in AsyncStorage and are retried with
+// exponential backoff until the registered handler reports success.
+// Errors retrying can't fix (a rejected write or bad payload) move the
+// entry to a failed list instead, so it doesn't hold up the rest of the round.
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { AppState } from "react-native";
+
+// Storage keys for queue persistence
+const QUEUE_STORAGE_KEY = "syncQueue";
+const STATUS_STORAGE_KEY = "syncQueueStatus";
+const FAILED_STORAGE_KEY = "syncQueueFailed";
+const DEVICE_ID_STORAGE_KEY = "deviceId";
+
+// Retry timing configuration
+const BASE_RETRY_DELAY_MS = 2000;     // First retry after ~2 seconds
+const MAX_RETRY_DELAY_MS = 5 * 60000; // Never wait longer than 5 minutes
+
+// Longest a flush waits for the round's entries to be written
+const FLUSH_TIMEOUT_MS = 30000;
+
+// Postgres error classes retrying can't fix: data exceptions (22),
+// integrity violations (23) and permission or syntax errors (42)
+const PERMANENT_ERROR_CLASSES = ["22", "23", "42"];
+
+// HTTP statuses worth retrying: an expired session is refreshed, timeouts and rate limits pass
+const RETRYABLE_HTTP_STATUSES = [401, 408, 429];
+
+/**
+ * Sync status values exposed to the UI
+ */
+export const SYNC_STATUS = {
+  PENDING: "pending",     // Waiting in the queue
+  SYNCING: "syncing",     // Currently being written
+  SYNCED: "synced",       // Confirmed by the server
+  ERROR: "error",         // Last attempt failed, will retry
+  CONFLICT: "conflict",   // Server had a newer copy from another device
+  FAILED: "failed"        // Rejected by the server, won't be retried automatically
+};
+
+// Handlers registered per entry kind (e.g. 'hole', 'complete_round')
+const handlers = {};
+
+// Status listeners keyed by round ID
+const listeners = new Set();
+
+// In-memory mirrors of persisted state
+let queueCache = null;
+let statusCache = null;
+let failedCache = null;
+let deviceIdCache = null;
+
+// Processing state
+let isProcessing = false;
+let retryTimer = null;
+let appStateSubscription = null;
+
+/**
+ * Load the queue from storage (cached after first read)
+ */
+const loadQueue = async () => {
+  if (queueCache) return queueCache;
+
+  try {
+    const stored = await AsyncStorage.getItem(QUEUE_STORAGE_KEY);
+    queueCache = stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.error("[syncQueue] Error loading queue:", error);
+    queueCache = [];
+  }
+
+  return queueCache;
+};
+
+/**
+ * Persist the queue to storage
+ */
+const saveQueue = async () => {
+  try {
+    await AsyncStorage.setItem(QUEUE_STORAGE_KEY, JSON.stringify(queueCache || []));
+  } catch (error) {
+    console.error("[syncQueue] Error saving queue:", error);
+  }
+};
+
+/**
+ * Load the permanently failed entries from storage (cached after first read)
+ */
+const loadFailed = async () => {
+  if (failedCache) return failedCache;
+
+  try {
+    const stored = await AsyncStorage.getItem(FAILED_STORAGE_KEY);
+    failedCache = stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.error("[syncQueue] Error loading failed entries:", error);
+    failedCache = [];
+  }
+
+  return failedCache;
+};
+
+/**
+ * Persist the failed entries to storage
+ */
+const saveFailed = async () => {
+  try {
+    await AsyncStorage.setItem(FAILED_STORAGE_KEY, JSON.stringify(failedCache || []));
+  } catch (error) {
+    console.error("[syncQueue] Error saving failed entries:", error);
+  }
+};
+
+/**
+ * Load the per-hole status map from storage (cached after first read)
+ */
+const loadStatuses = async () => {
+  if (statusCache) return statusCache;
+
+  try {
+    const stored = await AsyncStorage.getItem(STATUS_STORAGE_KEY);
+    statusCache = stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    console.error("[syncQueue] Error loading sync statuses:", error);
+    statusCache = {};
+  }
+
+  return statusCache;
+};
+
+/**
+ * Update the status of one entry and notify listeners for its round
+ */
+const setStatus = async (roundId, key, status, extra = {}) => {
+  const statuses = await loadStatuses();
+
+  if (!statuses[roundId]) {
+    statuses[roundId] = {};
+  }
+  statuses[roundId][key] = { status, updatedAt: new Date().toISOString(), ...extra };
+
+  try {
+    await AsyncStorage.setItem(STATUS_STORAGE_KEY, JSON.stringify(statuses));
+  } catch (error) {
+    console.error("[syncQueue] Error saving sync statuses:", error);
+  }
+
+  listeners.forEach(listener => {
+    if (listener.roundId === roundId) {
+      try {
+        listener.callback({ ...statuses[roundId] }, { key, status, ...extra });
+      } catch (error) {
+        console.error("[syncQueue] Error in status listener:", error);
+      }
+    }
+  });
+};
+
+/**
+ * Check whether a handler error will fail the same way however often it's retried
+ * Network errors, server errors and an expired session are retried;
+ * rejected requests (RLS, constraint and bad payload errors) are not.
+ *
+ * @param {Error|object} error - The error thrown by a handler
+ * @returns {boolean} True when the entry should be moved to the failed list
+ */
+export const isPermanentSyncError = (error) => {
+  if (error?.permanent) return true;
+
+  const status = Number(error?.status);
+  if (status >= 400 && status < 500 && !RETRYABLE_HTTP_STATUSES.includes(status)) {
+    return true;
+  }
+
+  // PostgREST request (PGRST1xx) and schema (PGRST2xx) errors; PGRST0xx and PGRST3xx are connection and JWT errors
+  const code = String(error?.code || "");
+  return PERMANENT_ERROR_CLASSES.includes(code.slice(0, 2)) || /^PGRST[12]/.test(code);
+};
+
+/**
+ * Calculate the delay before the next attempt using exponential backoff with jitter
+ */
+const getRetryDelay = (attempts) => {
+  const exponential = BASE_RETRY_DELAY_MS * Math.pow(2, Math.max(0, attempts - 1));
+  const jitter = Math.random() * BASE_RETRY_DELAY_MS;
+  return Math.min(MAX_RETRY_DELAY_MS, exponential + jitter);
+};
+
+/**
+ * Schedule the next processing pass for the earliest pending retry
+ */
+const scheduleRetry = () => {
+  if (retryTimer) {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+  }
+
+  if (!queueCache || queueCache.length === 0) return;
+
+  const nextAttemptAt = Math.min(...queueCache.map(entry => entry.nextAttemptAt || 0));
+  const delay = Math.max(0, nextAttemptAt - Date.now());
+
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    processSyncQueue();
+  }, delay);
+};
+
+/**
+ * Build the status key for an entry (hole number or entry kind)
+ */
+const getEntryKey = (kind, holeNumber) => (
+  kind === "hole" ? String(holeNumber) : kind
+);
+
+/**
+ * Get a stable identifier for this device, used to resolve multi-device conflicts
+ *
+ * @returns {Promise<string>} The device ID
+ */
+export const getDeviceId = async () => {
+  if (deviceIdCache) return deviceIdCache;
+
+  try {
+    let deviceId = await AsyncStorage.getItem(DEVICE_ID_STORAGE_KEY);
+    if (!deviceId) {
+      deviceId = `device-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+      await AsyncStorage.setItem(DEVICE_ID_STORAGE_KEY, deviceId);
+    }
+    deviceIdCache = deviceId;
+  } catch (error) {
+    console.error("[syncQueue] Error reading device ID:", error);
+    deviceIdCache = "device-unknown";
+  }
+
+  return deviceIdCache;
+};
+
+/**
+ * Register the function that performs the network write for an entry kind
+ *
+ * The handler receives the queued entry and must resolve with
+ * `{ status: 'synced' }` or `{ status: 'conflict', remote }`, or throw to retry.
+ * Errors that isPermanentSyncError recognizes (or that set `permanent`)
+ * aren't retried. A handler that clears its round with clearRoundSync
+ * leaves no status behind.
+ *
+ * @param {string} kind - The entry kind (e.g. 'hole', 'complete_round')
+ * @param {Function} handler - Async function performing the write
+ */
+export const registerSyncHandler = (kind, handler) => {
+  handlers[kind] = handler;
+};
+
+/**
+ * Add an entry to the queue
+ *
+ * A pending entry for the same round, kind and hole is replaced so only
+ * the latest copy of a hole is ever uploaded.
+ *
+ * @param {string} kind - The entry kind
+ * @param {string} roundId - The round the entry belongs to
+ * @param {object} payload - Data passed to the handler
+ * @param {number|null} holeNumber - Hole number for hole entries
+ * @returns {Promise<object>} The queued entry
+ */
+export const enqueueSync = async (kind, roundId, payload, holeNumber = null) => {
+  const queue = await loadQueue();
+
+  const entry = {
+    id: `${roundId}:${getEntryKey(kind, holeNumber)}:${Date.now()}`,
+    kind,
+    roundId,
+    holeNumber,
+    payload,
+    attempts: 0,
+    nextAttemptAt: Date.now(),
+    lastError: null,
+    createdAt: new Date().toISOString()
+  };
+
+  // Coalesce with an existing entry for the same target
+  const existingIndex = queue.findIndex(item =>
+    item.kind === kind && item.roundId === roundId && item.holeNumber === holeNumber
+  );
+
+  if (existingIndex !== -1) {
+    queue[existingIndex] = entry;
+  } else {
+    queue.push(entry);
+  }
+
+  await saveQueue();
+  await setStatus(roundId, getEntryKey(kind, holeNumber), SYNC_STATUS.PENDING);
+
+  console.log("[syncQueue] Queued", kind, "for round", roundId, holeNumber ? `hole ${holeNumber}` : "");
+  return entry;
+};
+
+/**
+ * Process all due entries in FIFO order
+ *
+ * When an entry for a round fails, later entries for that round are held
+ * back so a round is never completed before its holes are written. An
+ * entry that fails permanently is moved to the failed list and the
+ * round's later entries go ahead.
+ *
+ * @returns {Promise<void>}
+ */
+export const processSyncQueue = async () => {
+  if (isProcessing) return;
+  isProcessing = true;
+
+  try {
+    const queue = await loadQueue();
+    const blockedRounds = new Set();
+    const now = Date.now();
+
+    // Work on a snapshot so new entries queued mid-pass wait for the next pass
+    for (const entry of [...queue]) {
+      // Skip entries replaced or cleared since the pass started
+      if (!queueCache.some(item => item.id === entry.id)) continue;
+      if (blockedRounds.has(entry.roundId)) continue;
+
+      if ((entry.nextAttemptAt || 0) > now) {
+        blockedRounds.add(entry.roundId);
+        continue;
+      }
+
+      const handler = handlers[entry.kind];
+      if (!handler) {
+        console.warn("[syncQueue] No handler registered for", entry.kind);
+        blockedRounds.add(entry.roundId);
+        continue;
+      }
+
+      const key = getEntryKey(entry.kind, entry.holeNumber);
+      await setStatus(entry.roundId, key, SYNC_STATUS.SYNCING);
+
+      try {
+        const result = await handler(entry);
+
+        // Drop the entry unless it was replaced by a newer copy while writing
+        queueCache = queueCache.filter(item => item.id !== entry.id);
+        await saveQueue();
+
+        // The handler finished the round and cleared its sync state
+        const statuses = await loadStatuses();
+        if (!statuses[entry.roundId]) continue;
+
+        const replaced = queueCache.some(item =>
+          item.kind === entry.kind && item.roundId === entry.roundId && item.holeNumber === entry.holeNumber
+        );
+
+        if (replaced) {
+          await setStatus(entry.roundId, key, SYNC_STATUS.PENDING);
+        } else if (result?.status === SYNC_STATUS.CONFLICT) {
+          await setStatus(entry.roundId, key, SYNC_STATUS.CONFLICT, { remote: result.remote || null });
+        } else {
+          await setStatus(entry.roundId, key, SYNC_STATUS.SYNCED);
+        }
+      } catch (error) {
+        console.error("[syncQueue] Error syncing", entry.kind, "for round", entry.roundId, error);
+
+        const message = error?.message || String(error);
+
+        if (isPermanentSyncError(error)) {
+          // Retrying won't help, so keep the entry aside and let the round's queue move on
+          queueCache = queueCache.filter(item => item.id !== entry.id);
+          await saveQueue();
+
+          const failed = await loadFailed();
+          failedCache = [
+            ...failed.filter(item => !(item.kind === entry.kind && item.roundId === entry.roundId && item.holeNumber === entry.holeNumber)),
+            { ...entry, attempts: (entry.attempts || 0) + 1, lastError: message, failedAt: new Date().toISOString() }
+          ];
+          await saveFailed();
+
+          await setStatus(entry.roundId, key, SYNC_STATUS.FAILED, { error: message });
+          continue;
+        }
+
+        const attempts = (entry.attempts || 0) + 1;
+        const current = queueCache.find(item => item.id === entry.id);
+        if (current) {
+          current.attempts = attempts;
+          current.nextAttemptAt = Date.now() + getRetryDelay(attempts);
+          current.lastError = message;
+          await saveQueue();
+        }
+
+        await setStatus(entry.roundId, key, SYNC_STATUS.ERROR, { error: message });
+        blockedRounds.add(entry.roundId);
+      }
+    }
+  } finally {
+    isProcessing = false;
+    scheduleRetry();
+  }
+};
+
+/**
+ * Try to sync every queued entry for one round right now, ignoring backoff
+ *
+ * Resolves once the round's entries are written, one of them is waiting
+ * on a retry, or the timeout passes.
+ *
+ * @param {string} roundId - The round to flush
+ * @param {number} timeoutMs - Longest to wait for the uploads
+ * @returns {Promise<boolean>} True when nothing for the round is queued or failed
+ */
+export const flushRoundSync = async (roundId, timeoutMs = FLUSH_TIMEOUT_MS) => {
+  const queue = await loadQueue();
+  const startedAt = Date.now();
+
+  queue.forEach(entry => {
+    if (entry.roundId === roundId) {
+      entry.nextAttemptAt = startedAt;
+    }
+  });
+
+  // A failed attempt pushes its entry's next attempt past the start of the flush
+  const isSettled = () => {
+    const entries = queueCache.filter(entry => entry.roundId === roundId);
+    return entries.length === 0 || entries.some(entry => entry.nextAttemptAt > startedAt);
+  };
+
+  if (!isSettled()) {
+    await new Promise(resolve => {
+      let unsubscribe = () => {};
+      const finish = () => {
+        clearTimeout(timeout);
+        unsubscribe();
+        resolve();
+      };
+      const timeout = setTimeout(finish, timeoutMs);
+
+      unsubscribe = subscribeToSyncStatus(roundId, () => {
+        if (isSettled()) finish();
+      });
+
+      // A pass already running hands over to a new one when it ends
+      processSyncQueue();
+    });
+  }
+
+  const failed = await loadFailed();
+  return !queueCache.some(entry => entry.roundId === roundId) &&
+    !failed.some(entry => entry.roundId === roundId);
+};
+
+/**
+ * Get the number of queued entries for a round
+ *
+ * @param {string} roundId - The round ID
+ * @returns {Promise<number>} Count of entries still waiting to sync
+ */
+export const getPendingCount = async (roundId) => {
+  const queue = await loadQueue();
+  return queue.filter(entry => entry.roundId === roundId).length;
+};
+
+/**
+ * Get the entries for a round that the server rejected
+ *
+ * @param {string} roundId - The round ID
+ * @returns {Promise<Array>} Failed entries with their lastError
+ */
+export const getFailedSyncs = async (roundId) => {
+  const failed = await loadFailed();
+  return failed.filter(entry => entry.roundId === roundId);
+};
+
+/**
+ * Queue a round's failed entries again
+ * Used once whatever the server rejected has been put right.
+ *
+ * @param {string} roundId - The round ID
+ * @returns {Promise<number>} Number of entries queued again
+ */
+export const retryFailedSyncs = async (roundId) => {
+  const failed = await loadFailed();
+  const retries = failed.filter(entry => entry.roundId === roundId);
+
+  failedCache = failed.filter(entry => entry.roundId !== roundId);
+  await saveFailed();
+
+  for (const entry of retries) {
+    await enqueueSync(entry.kind, entry.roundId, entry.payload, entry.holeNumber);
+  }
+
+  if (retries.length > 0) {
+    processSyncQueue();
+  }
+
+  return retries.length;
+};
+
+/**
+ * Get the sync status map for a round, keyed by hole number
+ *
+ * @param {string} roundId - The round ID
+ * @returns {Promise<object>} Map of hole number to { status, updatedAt }
+ */
+export const getRoundSyncStatus = async (roundId) => {
+  const statuses = await loadStatuses();
+  return { ...(statuses[roundId] || {}) };
+};
+
+/**
+ * Subscribe to sync status changes for a round
+ *
+ * @param {string} roundId - The round ID
+ * @param {Function} callback - Called with (statusMap, change) on each change
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToSyncStatus = (roundId, callback) => {
+  const listener = { roundId, callback };
+  listeners.add(listener);
+
+  return () => {
+    listeners.delete(listener);
+  };
+};
+
+/**
+ * Remove every queued or failed entry and status for a round
+ * Used when a round is discarded or fully completed.
+ *
+ * @param {string} roundId - The round ID
+ * @returns {Promise<void>}
+ */
+export const clearRoundSync = async (roundId) => {
+  const queue = await loadQueue();
+  queueCache = queue.filter(entry => entry.roundId !== roundId);
+  await saveQueue();
+
+  const failed = await loadFailed();
+  failedCache = failed.filter(entry => entry.roundId !== roundId);
+  await saveFailed();
+
+  const statuses = await loadStatuses();
+  delete statuses[roundId];
+
+  try {
+    await AsyncStorage.setItem(STATUS_STORAGE_KEY, JSON.stringify(statuses));
+  } catch (error) {
+    console.error("[syncQueue] Error clearing sync statuses:", error);
+  }
+};
+
+/**
+ * Start background processing
+ * Processes immediately and again whenever the app returns to the foreground.
+ */
+export const startSyncQueue = () => {
+  if (!appStateSubscription) {
+    appStateSubscription = AppState.addEventListener("change", (nextState) => {
+      if (nextState === "active") {
+        processSyncQueue();
+      }
+    });
+  }
+
+  processSyncQueue();
+};
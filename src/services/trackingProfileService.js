@@ -0,0 +1,68 @@
+// src/services/trackingProfileService.js
+//
+// The player's tracking profile (profiles.tracking_profile): the ShotTable
+// outcome scale, hidden rows and custom categories. Rounds store the
+// schema resolved from it when they start (see trackingProfile.js).
+
+import { supabase } from "./supabase";
+import {
+  DEFAULT_TRACKING_PROFILE,
+  normalizeTrackingProfile
+} from "../../supabase/functions/_shared/trackingProfile";
+
+/**
+ * Get the player's tracking profile
+ * Falls back to the default table when none is saved or it can't be read,
+ * so a round can always be started.
+ *
+ * @param {string} userId - The user's profile ID
+ * @returns {Promise<object>} { outcomeScale, hiddenRows, customCategories }
+ */
+export const getTrackingProfile = async (userId) => {
+  try {
+    const { data, error } = await supabase
+      .from("profiles")
+      .select("tracking_profile")
+      .eq("id", userId)
+      .single();
+
+    if (error) {
+      console.error("[getTrackingProfile] Error fetching profile:", error);
+      throw error;
+    }
+
+    return normalizeTrackingProfile(data?.tracking_profile || DEFAULT_TRACKING_PROFILE);
+  } catch (error) {
+    console.error("[getTrackingProfile] Exception:", error);
+    return normalizeTrackingProfile(DEFAULT_TRACKING_PROFILE);
+  }
+};
+
+/**
+ * Save the player's tracking profile
+ * Only rounds started afterwards use it.
+ *
+ * @param {string} userId - The user's profile ID
+ * @param {object} trackingProfile - { outcomeScale, hiddenRows, customCategories }
+ * @returns {Promise<object>} The profile as saved
+ */
+export const saveTrackingProfile = async (userId, trackingProfile) => {
+  console.log("[saveTrackingProfile] Saving tracking profile");
+
+  const profile = normalizeTrackingProfile(trackingProfile);
+
+  const { error } = await supabase
+    .from("profiles")
+    .update({
+      tracking_profile: profile,
+      updated_at: new Date().toISOString()
+    })
+    .eq("id", userId);
+
+  if (error) {
+    console.error("[saveTrackingProfile] Error updating profile:", error);
+    throw error;
+  }
+
+  return profile;
+};
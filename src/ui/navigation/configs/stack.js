@@ -322,6 +322,11 @@ const createHomeStackConfig = () => {
             }
           })
         }
+      },
+      CourseDetail: {
+        options: {
+          title: "Course Stats"
+        }
       }
     }
   };
@@ -346,6 +351,29 @@ const createRoundsStackConfig = () => {
         options: {
           title: "Scorecard"
         }
+      },
+      CourseDetail: {
+        options: {
+          title: "Course Stats"
+        }
+      }
+    }
+  };
+};
+
+const createStatsStackConfig = () => {
+  return {
+    screenOptions: createStackNavigatorScreenOptions(),
+    screenConfigs: {
+      StatsScreen: {
+        options: {
+          title: "Your Stats",
+          // iOS 18 large title style
+          headerLargeTitle: platformDetection.isIOS,
+          headerLargeTitleStyle: {
+            ...visualProperties.getOpticalTypography(34, '700'),
+          }
+        }
       }
     }
   };
@@ -382,6 +410,21 @@ const createProfileStackConfig = () => {
             ...visualProperties.getOpticalTypography(34, '700'),
           }
         }
+      },
+      ClubStatsScreen: {
+        options: {
+          title: "Club Stats"
+        }
+      },
+      ImportRoundsScreen: {
+        options: {
+          title: "Import Rounds"
+        }
+      },
+      TrackingProfileScreen: {
+        options: {
+          title: "Shot Tracking"
+        }
       }
     }
   };
@@ -418,6 +461,7 @@ export {
   CustomHeader,
   createHomeStackConfig,
   createRoundsStackConfig,
+  createStatsStackConfig,
   createInsightsStackConfig,
   createProfileStackConfig
 };
\ No newline at end of file
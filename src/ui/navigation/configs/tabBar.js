@@ -109,6 +109,8 @@ const getIconName = (routeName) => {
       return 'home';
     case 'Rounds':
       return 'golf';
+    case 'Stats':
+      return 'stats-chart';
     case 'Insights':
       return 'bulb';
     case 'Profile':
@@ -0,0 +1,94 @@
+// supabase/functions/_shared/__tests__/holeStats.test.mjs
+//
+// Fixture tests for holeStats.js. Each fixture in fixtures/holeStats.json
+// is one hole's ordered shots and par with the stats it should derive.
+// A fixture's "record" gives the stored hole's total_score and imported
+// flag; without one the hole is a tracked hole scored from its shots.
+// Run with `npm test`.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { deriveHoleRecordStats, deriveHoleStats, summarizeHoleStats } from "../holeStats.js";
+import { countHoleStrokes } from "../shotModel.js";
+
+const fixtures = JSON.parse(
+  readFileSync(new URL("./fixtures/holeStats.json", import.meta.url), "utf8")
+);
+
+const getFixture = (name) => fixtures.find(fixture => fixture.name === name);
+
+/**
+ * The shots table row a fixture stands for
+ */
+const toHoleRecord = ({ par, shots, record = {} }) => ({
+  total_score: record.total_score ?? countHoleStrokes(shots),
+  hole_data: { par, shots, ...(record.imported ? { imported: true } : {}) }
+});
+
+for (const fixture of fixtures) {
+  test(`deriveHoleRecordStats: ${fixture.name}`, () => {
+    assert.deepEqual(deriveHoleRecordStats(toHoleRecord(fixture), fixture.par), fixture.expected);
+  });
+}
+
+
+test("deriveHoleStats: no stats without shots or par", () => {
+  const { shots } = fixtures[0];
+
+  assert.equal(deriveHoleStats([], 4), null);
+  assert.equal(deriveHoleStats(undefined, 4), null);
+  assert.equal(deriveHoleStats(shots, null), null);
+});
+
+test("summarizeHoleStats: counts and percentages over a set of holes", () => {
+  const holes = [
+    "fairway and green in regulation, two putts",
+    "missed fairway into the rough, chip and one putt",
+    "bunker shot and two putts is a failed sand save",
+    "par 3 bunker shot and one putt is a sand save",
+    "water penalty off the tee misses the fairway and counts towards the green"
+  ].map(name => {
+    const fixture = getFixture(name);
+    return deriveHoleStats(fixture.shots, fixture.par);
+  });
+
+  // Holes without stats are skipped
+  assert.deepEqual(summarizeHoleStats([...holes, null]), {
+    holes: 5,
+    fairwaysHit: 2,
+    fairwayAttempts: 4,
+    fairwayPct: 50,
+    greensInRegulation: 1,
+    girPct: 20,
+    putts: 8,
+    puttsPerHole: 1.6,
+    puttsPerGir: 2,
+    upAndDowns: 2,
+    upAndDownAttempts: 3,
+    upAndDownPct: 67,
+    sandSaves: 1,
+    sandSaveAttempts: 2,
+    sandSavePct: 50,
+    scrambles: 2,
+    scrambleAttempts: 4,
+    scramblingPct: 50,
+    penalties: 1,
+    penaltyHoles: 1,
+    penaltyRate: 20
+  });
+});
+
+test("summarizeHoleStats: nothing to measure gives null rates", () => {
+  const summary = summarizeHoleStats([]);
+
+  assert.equal(summary.holes, 0);
+  assert.equal(summary.fairwayPct, null);
+  assert.equal(summary.girPct, null);
+  assert.equal(summary.puttsPerHole, null);
+  assert.equal(summary.puttsPerGir, null);
+  assert.equal(summary.upAndDownPct, null);
+  assert.equal(summary.sandSavePct, null);
+  assert.equal(summary.scramblingPct, null);
+  assert.equal(summary.penaltyRate, null);
+});
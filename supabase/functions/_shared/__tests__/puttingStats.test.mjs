@@ -0,0 +1,57 @@
+// supabase/functions/_shared/__tests__/puttingStats.test.mjs
+//
+// Tests for per-hole putting detail in puttingStats.js.
+// Run with `npm test`.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { getHolePutting } from "../puttingStats.js";
+
+test("getHolePutting: the last putt is holed and earlier ones are misses", () => {
+  const putting = getHolePutting([
+    { type: "Tee Shot", result: "On Target" },
+    { type: "Approach", result: "On Target" },
+    { type: "Putts", result: "Slightly Off", putt_distance: 12, miss_direction: "short" },
+    { type: "Putts", result: "On Target", putt_distance: 2 }
+  ]);
+
+  assert.equal(putting.putts, 2);
+  assert.equal(putting.firstPuttDistance, 12);
+  assert.equal(putting.holedPutt, true);
+  assert.equal(putting.holedDistance, 2);
+  assert.deepEqual(putting.misses, ["short"]);
+  assert.deepEqual(putting.attempts, [
+    { distance: 12, made: false, missDirection: "short" },
+    { distance: 2, made: true, missDirection: null }
+  ]);
+});
+
+test("getHolePutting: a penalty entered after holing out doesn't undo the holed putt", () => {
+  const putting = getHolePutting([
+    { type: "Tee Shot", result: "Recovery Needed" },
+    { type: "Approach", result: "On Target" },
+    { type: "Putts", result: "Slightly Off", putt_distance: 12 },
+    { type: "Putts", result: "On Target", putt_distance: 2 },
+    { type: "Penalties", result: null, penalty_type: "water", penalty_strokes: 1 }
+  ]);
+
+  assert.equal(putting.holedPutt, true);
+  assert.equal(putting.holedDistance, 2);
+  assert.deepEqual(putting.attempts.map(attempt => attempt.made), [false, true]);
+});
+
+test("getHolePutting: a chip-in after putting means the putts were missed", () => {
+  const putting = getHolePutting([
+    { type: "Tee Shot", result: "On Target" },
+    { type: "Putts", result: "Recovery Needed", putt_distance: 30 },
+    { type: "Chip", result: "On Target" }
+  ]);
+
+  assert.equal(putting.holedPutt, false);
+  assert.equal(putting.holedDistance, null);
+});
+
+test("getHolePutting: no detail for a hole without putts", () => {
+  assert.equal(getHolePutting([{ type: "Tee Shot", result: "On Target" }]), null);
+  assert.equal(getHolePutting(null), null);
+});
@@ -0,0 +1,59 @@
+// supabase/functions/_shared/__tests__/shotModel.test.mjs
+//
+// Tests for hole record scores in shotModel.js, for tracked holes and for
+// imported holes whose shots only cover the counted shot types.
+// Run with `npm test`.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  getEditedHoleScore,
+  getHoleRecordScore,
+  isImportedHoleRecord
+} from "../shotModel.js";
+
+// An imported "par 5, score 6, putts 2" hole
+const importedRecord = {
+  total_score: 6,
+  hole_data: {
+    par: 5,
+    imported: true,
+    shots: [
+      { type: "Putts", result: null, imported: true },
+      { type: "Putts", result: null, imported: true }
+    ]
+  }
+};
+
+const trackedRecord = {
+  total_score: 4,
+  hole_data: {
+    par: 4,
+    shots: [
+      { type: "Tee Shot", result: "On Target" },
+      { type: "Approach", result: "On Target" },
+      { type: "Penalties", result: null, penalty_type: "water", penalty_strokes: 1 },
+      { type: "Putts", result: "On Target" }
+    ]
+  }
+};
+
+test("getHoleRecordScore: tracked holes count their shots, imported holes keep their score", () => {
+  assert.equal(getHoleRecordScore(trackedRecord), 4);
+  assert.equal(getHoleRecordScore(importedRecord), 6);
+  assert.equal(isImportedHoleRecord(importedRecord), true);
+  assert.equal(isImportedHoleRecord(trackedRecord), false);
+});
+
+test("getEditedHoleScore: an imported hole moves by the change in counted shots", () => {
+  const [putt] = importedRecord.hole_data.shots;
+
+  assert.equal(getEditedHoleScore(importedRecord, [putt, putt, { type: "Putts", result: "On Target" }]), 7);
+  assert.equal(getEditedHoleScore(importedRecord, [putt]), 5);
+});
+
+test("getEditedHoleScore: a tracked hole is recounted from its shots", () => {
+  const shots = trackedRecord.hole_data.shots.filter(shot => shot.type !== "Penalties");
+
+  assert.equal(getEditedHoleScore(trackedRecord, shots), 3);
+});
@@ -0,0 +1,220 @@
+// supabase/functions/_shared/__tests__/strokesGained.test.mjs
+//
+// Tests for the strokes-gained engine in strokesGained.js: where each
+// stroke is placed when distances are estimated or recorded, how
+// penalties are charged, and holing out. Expected values are worked out
+// from the scratch baseline tables. Run with `npm test`.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  SG_CATEGORIES,
+  calculateHoleStrokesGained,
+  calculateRoundStrokesGained,
+  getHoleDistances,
+  resolveShotPositions
+} from "../strokesGained.js";
+
+/**
+ * The parts of each resolved stroke the tests check
+ */
+const describePositions = (strokes) => strokes.map(({ shot, lie, distance, estimated, penalties }) => ({
+  type: shot.type, lie, distance, estimated, penalties
+}));
+
+test("resolveShotPositions: estimates distances from the hole length", () => {
+  const strokes = resolveShotPositions([
+    { type: "Tee Shot", result: "On Target" },
+    { type: "Approach", result: "On Target", lie: "fairway" },
+    { type: "Putts", result: "Slightly Off" },
+    { type: "Putts", result: "On Target" }
+  ], 400);
+
+  assert.deepEqual(describePositions(strokes), [
+    { type: "Tee Shot", lie: "tee", distance: 400, estimated: false, penalties: 0 },
+    { type: "Approach", lie: "fairway", distance: 170, estimated: true, penalties: 0 },
+    { type: "Putts", lie: "green", distance: 20, estimated: true, penalties: 0 },
+    { type: "Putts", lie: "green", distance: 3, estimated: true, penalties: 0 }
+  ]);
+});
+
+test("resolveShotPositions: estimates long shots, chips and putts, with lies from the previous outcome", () => {
+  const strokes = resolveShotPositions([
+    { type: "Tee Shot", result: "On Target" },
+    { type: "Long Shot", result: "Slightly Off" },
+    { type: "Approach", result: "Slightly Off" },
+    { type: "Chip", result: "On Target" },
+    { type: "Putts", result: "Slightly Off" },
+    { type: "Putts", result: "Slightly Off" },
+    { type: "Putts", result: "On Target" }
+  ], 520);
+
+  assert.deepEqual(describePositions(strokes), [
+    { type: "Tee Shot", lie: "tee", distance: 520, estimated: false, penalties: 0 },
+    { type: "Long Shot", lie: "fairway", distance: 290, estimated: true, penalties: 0 },
+    { type: "Approach", lie: "rough", distance: 60, estimated: true, penalties: 0 },
+    { type: "Chip", lie: "rough", distance: 15, estimated: true, penalties: 0 },
+    { type: "Putts", lie: "green", distance: 20, estimated: true, penalties: 0 },
+    { type: "Putts", lie: "green", distance: 6, estimated: true, penalties: 0 },
+    { type: "Putts", lie: "green", distance: 3, estimated: true, penalties: 0 }
+  ]);
+});
+
+test("resolveShotPositions: a tee shot without a hole length and a lone putt are estimated", () => {
+  const strokes = resolveShotPositions([
+    { type: "Tee Shot", result: "On Target" },
+    { type: "Putts", result: "On Target" }
+  ], null);
+
+  assert.deepEqual(describePositions(strokes), [
+    { type: "Tee Shot", lie: "tee", distance: 150, estimated: true, penalties: 0 },
+    { type: "Putts", lie: "green", distance: 10, estimated: true, penalties: 0 }
+  ]);
+});
+
+test("resolveShotPositions: recorded distances are used as they are", () => {
+  const strokes = resolveShotPositions([
+    { type: "Tee Shot", result: "On Target", distance_to_target: 380 },
+    { type: "Approach", result: "On Target", lie: "fairway", distance_to_target: 145 },
+    { type: "Putts", result: "Slightly Off", distance_to_target: 8 },
+    { type: "Putts", result: "On Target", putt_distance: 4 }
+  ], 400);
+
+  // Putts recorded as distance_to_target are yards; putt_distance is feet
+  assert.deepEqual(describePositions(strokes), [
+    { type: "Tee Shot", lie: "tee", distance: 380, estimated: false, penalties: 0 },
+    { type: "Approach", lie: "fairway", distance: 145, estimated: false, penalties: 0 },
+    { type: "Putts", lie: "green", distance: 24, estimated: false, penalties: 0 },
+    { type: "Putts", lie: "green", distance: 4, estimated: false, penalties: 0 }
+  ]);
+});
+
+test("resolveShotPositions: penalties are charged to the shot before them", () => {
+  const strokes = resolveShotPositions([
+    { type: "Tee Shot", result: "Recovery Needed" },
+    { type: "Penalties", result: null, penalty_type: "water", penalty_strokes: 1 },
+    { type: "Penalties", result: "Recovery Needed" },
+    { type: "Approach", result: "On Target", lie: "rough" },
+    { type: "Putts", result: "On Target" }
+  ], 400);
+
+  assert.deepEqual(strokes.map(stroke => [stroke.shot.type, stroke.penalties]), [
+    ["Tee Shot", 2],
+    ["Approach", 0],
+    ["Putts", 0]
+  ]);
+});
+
+test("calculateHoleStrokesGained: each shot against the baseline, holing out from the last putt", () => {
+  const result = calculateHoleStrokesGained({
+    par: 4,
+    distance: 400,
+    shots: [
+      { type: "Tee Shot", result: "On Target" },
+      { type: "Approach", result: "On Target", lie: "fairway", distance_to_target: 160 },
+      { type: "Putts", result: "Slightly Off", putt_distance: 20 },
+      { type: "Putts", result: "On Target", putt_distance: 3 }
+    ]
+  });
+
+  // 400 yd tee 3.99, 160 yd fairway 2.98, 20 ft 1.87, 3 ft 1.04, holed 0
+  assert.deepEqual(result.shots.map(shot => [shot.category, shot.strokes_gained]), [
+    [SG_CATEGORIES.OFF_THE_TEE, 0.01],
+    [SG_CATEGORIES.APPROACH, 0.11],
+    [SG_CATEGORIES.PUTTING, -0.17],
+    [SG_CATEGORIES.PUTTING, 0.04]
+  ]);
+  assert.equal(result.total, -0.01);
+  assert.equal(result.putting, -0.13);
+  assert.equal(result.estimated_shots, 0);
+});
+
+test("calculateHoleStrokesGained: penalty strokes come off the shot that caused them", () => {
+  const result = calculateHoleStrokesGained({
+    par: 4,
+    distance: 400,
+    shots: [
+      { type: "Tee Shot", result: "Recovery Needed" },
+      { type: "Penalties", result: null, penalty_type: "water", penalty_strokes: 1 },
+      { type: "Approach", result: "On Target", lie: "fairway", distance_to_target: 160 },
+      { type: "Putts", result: "On Target", putt_distance: 3 }
+    ]
+  });
+
+  assert.deepEqual(result.shots.map(shot => [shot.type, shot.penalties, shot.strokes_gained]), [
+    ["Tee Shot", 1, -0.99],
+    ["Approach", 0, 0.94],
+    ["Putts", 0, 0.04]
+  ]);
+  assert.equal(result.off_the_tee, -0.99);
+  assert.equal(result.total, -0.01);
+});
+
+test("calculateHoleStrokesGained: a chip-in holes out around the green", () => {
+  const result = calculateHoleStrokesGained({
+    par: 3,
+    distance: 160,
+    shots: [
+      { type: "Tee Shot", result: "Slightly Off" },
+      { type: "Chip", result: "On Target", lie: "rough", distance_to_target: 10 }
+    ]
+  });
+
+  // A par 3 tee shot is an approach; 160 yd tee 3.016, 10 yd rough 2.34
+  assert.deepEqual(result.shots.map(shot => [shot.category, shot.strokes_gained]), [
+    [SG_CATEGORIES.APPROACH, -0.32],
+    [SG_CATEGORIES.AROUND_THE_GREEN, 1.34]
+  ]);
+  assert.equal(result.around_the_green, 1.34);
+});
+
+test("calculateHoleStrokesGained: no result for a hole without shots", () => {
+  assert.equal(calculateHoleStrokesGained({ par: 4, shots: [] }), null);
+  assert.equal(calculateHoleStrokesGained(null), null);
+});
+
+test("calculateRoundStrokesGained: imported holes are skipped", () => {
+  // An imported "score 6, putts 2" hole only has its two counted putts
+  const importedHole = {
+    hole_number: 1,
+    hole_data: {
+      par: 5,
+      imported: true,
+      shots: [
+        { type: "Putts", result: null, imported: true },
+        { type: "Putts", result: null, imported: true }
+      ]
+    }
+  };
+  const trackedHole = {
+    hole_number: 2,
+    hole_data: {
+      par: 4,
+      distance: 400,
+      shots: [
+        { type: "Tee Shot", result: "On Target" },
+        { type: "Approach", result: "On Target", lie: "fairway", distance_to_target: 160 },
+        { type: "Putts", result: "Slightly Off", putt_distance: 20 },
+        { type: "Putts", result: "On Target", putt_distance: 3 }
+      ]
+    }
+  };
+
+  assert.equal(calculateHoleStrokesGained(importedHole.hole_data), null);
+
+  const result = calculateRoundStrokesGained([importedHole, trackedHole]);
+  assert.equal(result.holes_played, 1);
+  assert.equal(result.holes[0].hole_number, 2);
+  assert.equal(result.total, -0.01);
+});
+
+test("getHoleDistances: the selected tee's yardage, else the first listed", () => {
+  const courseHoles = [
+    { number: 1, distances: { blue: 410, white: 385 } },
+    { number: 2, distances: { red: "150" } },
+    { number: 3 }
+  ];
+
+  assert.deepEqual(getHoleDistances(courseHoles, "White"), { 1: 385, 2: 150 });
+  assert.deepEqual(getHoleDistances(null, "White"), {});
+});
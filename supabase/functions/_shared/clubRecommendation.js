@@ -0,0 +1,140 @@
+// supabase/functions/_shared/clubRecommendation.js
+//
+// Carry-distance chart and club suggestions. A club's carry comes from
+// the player's measured shots (see clubStats.js) once there are enough of
+// them, and from a default chart until then. The confidence band runs
+// from the median less the spread to the 80th percentile.
+
+import { MIN_MEASURED_SHOTS } from "./clubStats.js";
+
+// Yards of extra distance per metre the target is above the player
+export const YARDS_PER_METRE = 1.0936;
+
+// Spread assumed for clubs without measured shots, as a share of the carry
+export const DEFAULT_SPREAD_RATIO = 0.06;
+
+// Carries for an average amateur, scaled for the other default charts
+const BASE_CARRIES = {
+  "Driver": 220,
+  "3 Wood": 200,
+  "5 Wood": 185,
+  "Hybrid": 175,
+  "4 Iron": 165,
+  "5 Iron": 155,
+  "6 Iron": 145,
+  "7 Iron": 135,
+  "8 Iron": 125,
+  "9 Iron": 115,
+  "PW": 105,
+  "GW": 90,
+  "SW": 75,
+  "LW": 60
+};
+
+const scaleCarries = (factor) => Object.fromEntries(
+  Object.entries(BASE_CARRIES).map(([club, carry]) => [club, Math.round(carry * factor)])
+);
+
+/**
+ * Default carry charts a player can start from before they have measured shots
+ */
+export const DEFAULT_CARRY_CHARTS = {
+  short: { id: "short", label: "Shorter hitter", carries: scaleCarries(0.85) },
+  average: { id: "average", label: "Average", carries: BASE_CARRIES },
+  long: { id: "long", label: "Longer hitter", carries: scaleCarries(1.12) }
+};
+
+export const DEFAULT_CARRY_CHART_ID = "average";
+
+/**
+ * Build the player's carry chart
+ * Clubs come from the active clubs in the bag, or from the default chart
+ * when the bag is empty. Putters are left out.
+ *
+ * @param {Array} clubStats - Entries from buildClubStats
+ * @param {Array} bag - The player's clubs ({ name, nickname, is_active })
+ * @param {string} chartId - Default chart used for unmeasured clubs
+ * @returns {Array} Entries of { club, nickname, carry, low, high, source } from longest to shortest
+ */
+export const buildCarryChart = (clubStats = [], bag = [], chartId = DEFAULT_CARRY_CHART_ID) => {
+  const defaults = (DEFAULT_CARRY_CHARTS[chartId] || DEFAULT_CARRY_CHARTS[DEFAULT_CARRY_CHART_ID]).carries;
+
+  const activeClubs = bag.filter(club => club.is_active !== false);
+  const clubs = activeClubs.length > 0
+    ? activeClubs.map(club => ({ name: club.name, nickname: club.nickname || null }))
+    : Object.keys(defaults).map(name => ({ name, nickname: null }));
+
+  return clubs
+    .filter(club => club.name.toLowerCase() !== "putter")
+    .map(club => {
+      const stats = clubStats.find(entry => entry.club === club.name);
+
+      if (stats && stats.measuredCount >= MIN_MEASURED_SHOTS && stats.median !== null) {
+        const spread = Math.max(stats.p80 - stats.median, 1);
+        return {
+          club: club.name,
+          nickname: club.nickname,
+          carry: stats.median,
+          low: stats.median - spread,
+          high: stats.p80,
+          source: "measured"
+        };
+      }
+
+      const carry = defaults[club.name];
+      if (!carry) return null; // A custom club with nothing to go on yet
+
+      const spread = Math.round(carry * DEFAULT_SPREAD_RATIO);
+      return {
+        club: club.name,
+        nickname: club.nickname,
+        carry,
+        low: carry - spread,
+        high: carry + spread,
+        source: "default"
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.carry - a.carry);
+};
+
+/**
+ * Distance a shot plays once the change in elevation is allowed for
+ * Roughly a yard for every yard the target is above or below the player.
+ *
+ * @param {number} distance - Flat distance in yards
+ * @param {number|null} elevationChange - Target elevation less the player's, in metres
+ * @returns {number} Plays-like distance in yards
+ */
+export const getPlaysLikeDistance = (distance, elevationChange) => {
+  if (typeof elevationChange !== "number") return distance;
+  return Math.round(distance + elevationChange * YARDS_PER_METRE);
+};
+
+/**
+ * Suggest a club for a distance
+ * Picks the club whose carry is nearest the distance. Confidence is high
+ * when the distance is in the inner half of that club's band, medium when
+ * it is inside the band and low otherwise (between clubs or out of range).
+ *
+ * @param {number} distance - Distance to play in yards
+ * @param {Array} chart - Entries from buildCarryChart
+ * @returns {object|null} { club, nickname, carry, low, high, source, confidence }, or null without a chart
+ */
+export const recommendClub = (distance, chart = []) => {
+  if (typeof distance !== "number" || distance <= 0 || chart.length === 0) return null;
+
+  const best = chart.reduce((closest, entry) => (
+    Math.abs(entry.carry - distance) < Math.abs(closest.carry - distance) ? entry : closest
+  ));
+
+  const inBand = distance >= best.low && distance <= best.high;
+  const innerBand = inBand &&
+    distance >= best.carry - (best.carry - best.low) / 2 &&
+    distance <= best.carry + (best.high - best.carry) / 2;
+
+  return {
+    ...best,
+    confidence: innerBand ? "high" : inBand ? "medium" : "low"
+  };
+};
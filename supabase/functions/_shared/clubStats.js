@@ -0,0 +1,81 @@
+// supabase/functions/_shared/clubStats.js
+//
+// Per-club statistics from recorded shots. Distances come from
+// shot_distance, which is only set for shots measured between ball marks,
+// so a club can have an On Target rate without any distance figures.
+
+import { normalizeShot } from "./shotModel.js";
+
+// Fewest measured shots before distance figures are shown for a club
+export const MIN_MEASURED_SHOTS = 3;
+
+/**
+ * Value at a percentile of a list of numbers (linear interpolation)
+ *
+ * @param {Array} values - The numbers
+ * @param {number} percent - Percentile between 0 and 100
+ * @returns {number|null} The value, or null for an empty list
+ */
+export const percentile = (values, percent) => {
+  if (!values || values.length === 0) return null;
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = (Math.min(Math.max(percent, 0), 100) / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+};
+
+/**
+ * Build statistics for each club used
+ *
+ * @param {Array} shots - Shots from hole_data, in any order
+ * @param {Array} bag - The player's clubs ({ name, nickname, loft, is_active, sort_order }), optional
+ * @returns {Array} Entries of { club, nickname, loft, isActive, shotCount, onTargetRate,
+ *   measuredCount, average, median, p80 }, in bag order then by name
+ */
+export const buildClubStats = (shots = [], bag = []) => {
+  const byClub = {};
+
+  shots.map(normalizeShot).forEach(shot => {
+    if (!shot.club || shot.type === "Penalties") return;
+
+    if (!byClub[shot.club]) {
+      byClub[shot.club] = { shotCount: 0, onTarget: 0, distances: [] };
+    }
+
+    const entry = byClub[shot.club];
+    entry.shotCount += 1;
+    if (shot.result === "On Target") entry.onTarget += 1;
+    if (shot.shot_distance !== null) entry.distances.push(shot.shot_distance);
+  });
+
+  const bagOrder = (name) => {
+    const index = bag.findIndex(club => club.name === name);
+    return index === -1 ? bag.length : index;
+  };
+
+  return Object.keys(byClub)
+    .sort((a, b) => bagOrder(a) - bagOrder(b) || a.localeCompare(b))
+    .map(name => {
+      const { shotCount, onTarget, distances } = byClub[name];
+      const club = bag.find(item => item.name === name);
+      const hasDistances = distances.length >= MIN_MEASURED_SHOTS;
+
+      return {
+        club: name,
+        nickname: club?.nickname || null,
+        loft: club?.loft ?? null,
+        isActive: club ? club.is_active !== false : true,
+        shotCount,
+        onTargetRate: Math.round((onTarget / shotCount) * 100),
+        measuredCount: distances.length,
+        average: hasDistances
+          ? Math.round(distances.reduce((total, distance) => total + distance, 0) / distances.length)
+          : null,
+        median: hasDistances ? Math.round(percentile(distances, 50)) : null,
+        p80: hasDistances ? Math.round(percentile(distances, 80)) : null
+      };
+    });
+};
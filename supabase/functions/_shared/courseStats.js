@@ -0,0 +1,126 @@
+// supabase/functions/_shared/courseStats.js
+//
+// A player's record at one course: scoring average, best and worst
+// rounds, and per-hole averages and stats across every round they have
+// played there. The holes that cost them the most are flagged as
+// "nemesis holes".
+
+import { getHoleParAndIndex } from "./scoringFormats.js";
+import { getCourseHoleCount, getRoundHoleSequence, DEFAULT_HOLE_COUNT } from "./holeRange.js";
+import { deriveHoleRecordStats, summarizeHoleStats } from "./holeStats.js";
+import { getHoleRecordScore } from "./shotModel.js";
+
+// Plays of a hole needed before it can be a nemesis hole
+export const MIN_NEMESIS_PLAYS = 2;
+
+// Most nemesis holes flagged, and how far over par a hole must average
+export const MAX_NEMESIS_HOLES = 3;
+export const NEMESIS_MIN_OVER_PAR = 0.5;
+
+// Scores shown in a hole's recent history
+const RECENT_SCORE_COUNT = 5;
+
+/**
+ * Average of a list of numbers, rounded to two decimals
+ */
+const average = (values) => (
+  values.length > 0
+    ? Math.round((values.reduce((total, value) => total + value, 0) / values.length) * 100) / 100
+    : null
+);
+
+/**
+ * Build a player's stats for one course
+ *
+ * @param {object} course - courses row (num_holes, holes)
+ * @param {Array} rounds - The player's completed rounds at the course (id, created_at, gross_shots,
+ *   score, selected_tee_name, stroke_index_set, start_hole, hole_count)
+ * @param {Array} holeRecords - shots rows for those rounds (round_id, hole_number, total_score, hole_data)
+ * @param {object} filters - { teeName } to limit to one tee (null for all)
+ * @returns {object} { roundCount, fullRoundCount, scoringAverage, averageToPar, bestRound, worstRound,
+ *   holes: [{ number, par, plays, averageScore, averageToPar, best, worst, recentScores, trend, stats, nemesis }] }
+ */
+export const buildCourseStats = (course, rounds = [], holeRecords = [], { teeName = null } = {}) => {
+  const courseHoleCount = getCourseHoleCount(course);
+  const courseHoles = Array.isArray(course?.holes) ? course.holes : [];
+
+  const playedRounds = rounds
+    .filter(round => !teeName || round.selected_tee_name === teeName)
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+
+  // Only rounds over the full course length are comparable by total
+  const fullLength = Math.min(courseHoleCount, DEFAULT_HOLE_COUNT);
+  const fullRounds = playedRounds.filter(round => (
+    typeof round.gross_shots === "number" &&
+    getRoundHoleSequence(round, courseHoleCount).length >= fullLength
+  ));
+
+  const byGross = [...fullRounds].sort((a, b) => a.gross_shots - b.gross_shots);
+  const describeRound = (round) => (round
+    ? { roundId: round.id, date: round.created_at, grossShots: round.gross_shots, toPar: round.score }
+    : null);
+
+  // Every play of each hole, oldest first
+  const roundIds = playedRounds.map(round => round.id);
+  const plays = {};
+
+  holeRecords
+    .filter(record => roundIds.includes(record.round_id) && getHoleRecordScore(record) > 0)
+    .sort((a, b) => roundIds.indexOf(a.round_id) - roundIds.indexOf(b.round_id))
+    .forEach(record => {
+      const round = playedRounds.find(entry => entry.id === record.round_id);
+      const courseHole = courseHoles.find(hole => hole.number === record.hole_number);
+      const par = record.hole_data?.par || getHoleParAndIndex(courseHole, round.stroke_index_set).par || null;
+
+      (plays[record.hole_number] = plays[record.hole_number] || []).push({
+        score: getHoleRecordScore(record),
+        par,
+        stats: deriveHoleRecordStats(record, par)
+      });
+    });
+
+  const holes = Array.from({ length: courseHoleCount }, (_, index) => index + 1).map(number => {
+    const holePlays = plays[number] || [];
+    const scores = holePlays.map(play => play.score);
+    const par = holePlays.find(play => play.par)?.par ||
+      getHoleParAndIndex(courseHoles.find(hole => hole.number === number)).par ||
+      null;
+
+    // Recent form against the hole's earlier plays (negative is better)
+    const recent = scores.slice(-3);
+    const earlier = scores.slice(0, -3);
+
+    return {
+      number,
+      par,
+      plays: scores.length,
+      averageScore: average(scores),
+      averageToPar: par && scores.length > 0 ? average(scores.map(score => score - par)) : null,
+      best: scores.length > 0 ? Math.min(...scores) : null,
+      worst: scores.length > 0 ? Math.max(...scores) : null,
+      recentScores: scores.slice(-RECENT_SCORE_COUNT),
+      trend: earlier.length > 0 ? Math.round((average(recent) - average(earlier)) * 100) / 100 : null,
+      stats: summarizeHoleStats(holePlays.map(play => play.stats)),
+      nemesis: false
+    };
+  });
+
+  // The holes that cost the most strokes against par
+  holes
+    .filter(hole => hole.plays >= MIN_NEMESIS_PLAYS && hole.averageToPar >= NEMESIS_MIN_OVER_PAR)
+    .sort((a, b) => b.averageToPar - a.averageToPar)
+    .slice(0, MAX_NEMESIS_HOLES)
+    .forEach(hole => {
+      hole.nemesis = true;
+    });
+
+  return {
+    roundCount: playedRounds.length,
+    fullRoundCount: fullRounds.length,
+    scoringAverage: average(fullRounds.map(round => round.gross_shots)),
+    averageToPar: average(fullRounds.filter(round => typeof round.score === "number").map(round => round.score)),
+    bestRound: describeRound(byGross[0]),
+    worstRound: describeRound(byGross[byGross.length - 1]),
+    holes
+  };
+};
@@ -0,0 +1,102 @@
+// supabase/functions/_shared/dispersion.js
+//
+// Miss direction for full shots (tee shots, long shots and approaches),
+// stored as miss_direction on the shot. Directions are compass points
+// relative to the target line: long is past the target, short is before
+// it. Used by the ShotTable picker and the Stats tab dispersion plots.
+
+/**
+ * Shot types that offer the miss direction picker
+ */
+export const MISS_DIRECTION_SHOT_TYPES = ["Tee Shot", "Long Shot", "Approach"];
+
+/**
+ * Compass points a full shot can miss to, in picker order (top row first)
+ * x runs left (-1) to right (1); y runs short (-1) to long (1).
+ */
+export const COMPASS_DIRECTIONS = [
+  { id: "long-left", label: "Long Left", symbol: "↖", x: -1, y: 1 },
+  { id: "long", label: "Long", symbol: "↑", x: 0, y: 1 },
+  { id: "long-right", label: "Long Right", symbol: "↗", x: 1, y: 1 },
+  { id: "left", label: "Left", symbol: "←", x: -1, y: 0 },
+  { id: "right", label: "Right", symbol: "→", x: 1, y: 0 },
+  { id: "short-left", label: "Short Left", symbol: "↙", x: -1, y: -1 },
+  { id: "short", label: "Short", symbol: "↓", x: 0, y: -1 },
+  { id: "short-right", label: "Short Right", symbol: "↘", x: 1, y: -1 }
+];
+
+/**
+ * Share of lateral misses on one side needed to call a tendency
+ */
+export const MISS_BIAS_THRESHOLD = 0.6;
+
+/**
+ * Look up a compass direction
+ *
+ * @param {string} id - A COMPASS_DIRECTIONS id
+ * @returns {object|null} The direction
+ */
+export const getCompassDirection = (id) => COMPASS_DIRECTIONS.find(direction => direction.id === id) || null;
+
+/**
+ * Full shots on a hole with a known landing direction
+ * Shots with a recorded miss are placed by it; on-target shots without
+ * one are counted at the target.
+ *
+ * @param {Array} shots - The hole's shots
+ * @returns {Array} Entries of { type, direction, result } where direction is null at the target
+ */
+export const getShotDispersion = (shots = []) => (
+  (Array.isArray(shots) ? shots : [])
+    .filter(shot => MISS_DIRECTION_SHOT_TYPES.includes(shot.type))
+    .filter(shot => getCompassDirection(shot.miss_direction) || shot.result === "On Target")
+    .map(shot => ({
+      type: shot.type,
+      direction: getCompassDirection(shot.miss_direction) ? shot.miss_direction : null,
+      result: shot.result
+    }))
+);
+
+/**
+ * Summarize where one shot type finishes
+ *
+ * @param {Array} entries - Entries from getShotDispersion
+ * @param {string} type - The shot type to summarize
+ * @returns {object} { type, shots, onTarget, counts, left, right, short, long, bias }
+ *   where counts is keyed by direction id and bias is "left", "right" or null
+ */
+export const summarizeDispersion = (entries = [], type) => {
+  const typeEntries = entries.filter(entry => entry.type === type);
+
+  const counts = {};
+  COMPASS_DIRECTIONS.forEach(direction => {
+    counts[direction.id] = 0;
+  });
+  typeEntries.forEach(entry => {
+    if (entry.direction) counts[entry.direction] += 1;
+  });
+
+  const sideCount = (axis, sign) => COMPASS_DIRECTIONS
+    .filter(direction => direction[axis] === sign)
+    .reduce((total, direction) => total + counts[direction.id], 0);
+
+  const left = sideCount("x", -1);
+  const right = sideCount("x", 1);
+  const lateral = left + right;
+
+  let bias = null;
+  if (lateral > 0 && left / lateral >= MISS_BIAS_THRESHOLD) bias = "left";
+  if (lateral > 0 && right / lateral >= MISS_BIAS_THRESHOLD) bias = "right";
+
+  return {
+    type,
+    shots: typeEntries.length,
+    onTarget: typeEntries.filter(entry => !entry.direction).length,
+    counts,
+    left,
+    right,
+    short: sideCount("y", -1),
+    long: sideCount("y", 1),
+    bias
+  };
+};
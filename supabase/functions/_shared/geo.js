@@ -0,0 +1,261 @@
+// supabase/functions/_shared/geo.js
+//
+// Coordinate helpers shared by the app and the edge functions.
+// Coordinates use the POI format: { lat, lng }.
+
+// Earth's radius in yards
+const EARTH_RADIUS_YARDS = 6371 * 1093.61;
+
+/**
+ * Distance between two coordinates using the Haversine formula
+ *
+ * @param {object} from - Start point { lat, lng }
+ * @param {object} to - End point { lat, lng }
+ * @returns {number|null} Distance in whole yards, or null if either point is missing
+ */
+export const calculateDistanceYards = (from, to) => {
+  if (!from || !to) return null;
+
+  const toRadians = (degrees) => degrees * (Math.PI / 180);
+
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) *
+    Math.sin(dLng / 2) * Math.sin(dLng / 2);
+
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+
+  return Math.round(EARTH_RADIUS_YARDS * c);
+};
+
+/**
+ * Find the center of the green from a hole's POI data
+ * Falls back to the midpoint of front and back, then to any green point.
+ *
+ * @param {object} holePoi - POI data for one hole ({ greens: [...] })
+ * @returns {object|null} Green center { lat, lng } or null
+ */
+export const findGreenCenter = (holePoi) => {
+  const greens = Array.isArray(holePoi?.greens) ? holePoi.greens : [];
+  if (greens.length === 0) return null;
+
+  const byLocation = (location) => greens.find(green => green.location === location);
+
+  const center = byLocation("center") || byLocation("middle");
+  if (center) return { lat: center.lat, lng: center.lng };
+
+  const front = byLocation("front");
+  const back = byLocation("back");
+  if (front && back) {
+    return { lat: (front.lat + back.lat) / 2, lng: (front.lng + back.lng) / 2 };
+  }
+
+  return { lat: greens[0].lat, lng: greens[0].lng };
+};
+
+/**
+ * Find the tee to measure a hole from in its POI data
+ * Prefers the back tee, then the front tee.
+ *
+ * @param {object} holePoi - POI data for one hole ({ tees: [...] })
+ * @returns {object|null} Tee { lat, lng } or null
+ */
+export const findTeePosition = (holePoi) => {
+  const tees = Array.isArray(holePoi?.tees) ? holePoi.tees : [];
+  if (tees.length === 0) return null;
+
+  const tee = tees.find(t => t.location === "back") || tees.find(t => t.location === "front") || tees[0];
+  return { lat: tee.lat, lng: tee.lng };
+};
+
+/**
+ * Elevation of a POI point in metres
+ * Only some course data includes altitude, under one of a few names.
+ *
+ * @param {object} point - A POI point
+ * @returns {number|null} Elevation in metres, or null when not mapped
+ */
+export const getPointElevation = (point) => {
+  const value = point?.elevation ?? point?.altitude ?? point?.alt;
+  return typeof value === "number" ? value : null;
+};
+
+/**
+ * Elevation of the green from a hole's POI data
+ * Uses the center point when it has one, otherwise the average of the
+ * green points that do.
+ *
+ * @param {object} holePoi - POI data for one hole ({ greens: [...] })
+ * @returns {number|null} Elevation in metres, or null when not mapped
+ */
+export const findGreenElevation = (holePoi) => {
+  const greens = Array.isArray(holePoi?.greens) ? holePoi.greens : [];
+
+  const center = greens.find(green => green.location === "center" || green.location === "middle");
+  if (getPointElevation(center) !== null) return getPointElevation(center);
+
+  const elevations = greens.map(getPointElevation).filter(value => value !== null);
+  if (elevations.length === 0) return null;
+
+  return elevations.reduce((total, value) => total + value, 0) / elevations.length;
+};
+
+/**
+ * Elevation of the tee used by findTeePosition
+ *
+ * @param {object} holePoi - POI data for one hole ({ tees: [...] })
+ * @returns {number|null} Elevation in metres, or null when not mapped
+ */
+export const findTeeElevation = (holePoi) => {
+  const tees = Array.isArray(holePoi?.tees) ? holePoi.tees : [];
+  if (tees.length === 0) return null;
+
+  const tee = tees.find(t => t.location === "back") || tees.find(t => t.location === "front") || tees[0];
+  return getPointElevation(tee);
+};
+
+/**
+ * Build a flat projection for drawing a hole
+ * Coordinates are converted to yards on a local plane and rotated so the
+ * line from `from` to `to` points straight up, then scaled to fit the area.
+ * Over the length of a golf hole the flat-earth error is well under a yard.
+ *
+ * @param {object} from - Point drawn at the bottom (usually the tee) { lat, lng }
+ * @param {object} to - Point drawn at the top (usually the green) { lat, lng }
+ * @param {number} width - Drawing width
+ * @param {number} height - Drawing height
+ * @param {number} padding - Space kept clear at the top and bottom
+ * @returns {object|null} { toScreen(point), toCoordinates({ x, y }), yardsPerUnit }, or null without both points
+ */
+export const createHoleProjection = (from, to, width, height, padding = 24) => {
+  if (!from || !to || !width || !height) return null;
+
+  const toRadians = (degrees) => degrees * (Math.PI / 180);
+  const yardsPerDegreeLat = toRadians(1) * EARTH_RADIUS_YARDS;
+  const yardsPerDegreeLng = yardsPerDegreeLat * Math.cos(toRadians(from.lat));
+
+  // Local plane in yards: x east, y north, origin at `from`
+  const toPlane = (point) => ({
+    x: (point.lng - from.lng) * yardsPerDegreeLng,
+    y: (point.lat - from.lat) * yardsPerDegreeLat
+  });
+
+  const target = toPlane(to);
+  const length = Math.hypot(target.x, target.y) || 1;
+
+  // Rotate so the target lies straight ahead
+  const cos = target.y / length;
+  const sin = target.x / length;
+
+  const scale = (height - padding * 2) / length;
+  const originX = width / 2;
+  const originY = height - padding;
+
+  return {
+    yardsPerUnit: 1 / scale,
+
+    toScreen: (point) => {
+      const { x, y } = toPlane(point);
+      const across = x * cos - y * sin;
+      const along = x * sin + y * cos;
+      return { x: originX + across * scale, y: originY - along * scale };
+    },
+
+    toCoordinates: ({ x, y }) => {
+      const across = (x - originX) / scale;
+      const along = (originY - y) / scale;
+      const planeX = across * cos + along * sin;
+      const planeY = along * cos - across * sin;
+      return {
+        lat: from.lat + planeY / yardsPerDegreeLat,
+        lng: from.lng + planeX / yardsPerDegreeLng
+      };
+    }
+  };
+};
+
+// POI points of the same hazard closer than this are treated as one hazard
+const HAZARD_CLUSTER_YARDS = 40;
+
+// Hazards whose reach and carry differ by less than this get no carry figure
+const MIN_CARRY_DEPTH_YARDS = 5;
+
+/**
+ * Describe a POI hazard point for display
+ */
+const describeHazard = (kind, point) => {
+  const sideLabel = point.side === "left" ? " (L)" : point.side === "right" ? " (R)" : "";
+
+  switch (kind) {
+    case "bunker":
+      return `${point.type === "green" ? "Greenside bunker" : "Fairway bunker"}${sideLabel}`;
+    case "water":
+      return "Water";
+    case "dogleg":
+      return "Dogleg";
+    default:
+      return kind;
+  }
+};
+
+/**
+ * Distances to the hazards still ahead of the player
+ * Points of the same hazard are grouped, so a bunker mapped at its front
+ * and back gives both the distance to reach it and the distance to carry it.
+ *
+ * @param {object} holePoi - POI data for one hole ({ greens, bunkers, hazards })
+ * @param {object} from - Where the player is { lat, lng }
+ * @returns {Array} Entries of { id, kind, label, reach, carry } sorted by reach - carry is null for single points
+ */
+export const getHazardDistances = (holePoi, from) => {
+  if (!holePoi || !from) return [];
+
+  const green = findGreenCenter(holePoi);
+
+  const points = [
+    ...(Array.isArray(holePoi.bunkers) ? holePoi.bunkers : []).map(point => ({ kind: "bunker", point })),
+    ...(Array.isArray(holePoi.hazards) ? holePoi.hazards : [])
+      .filter(point => point.type === "water" || point.type === "dogleg")
+      .map(point => ({ kind: point.type, point }))
+  ];
+
+  // Group nearby points of the same hazard
+  const clusters = [];
+  points.forEach(({ kind, point }) => {
+    const label = describeHazard(kind, point);
+    const cluster = clusters.find(existing => (
+      existing.label === label &&
+      existing.points.some(other => calculateDistanceYards(other, point) <= HAZARD_CLUSTER_YARDS)
+    ));
+
+    if (cluster) {
+      cluster.points.push(point);
+    } else {
+      clusters.push({ kind, label, points: [point] });
+    }
+  });
+
+  const fromToGreen = green ? calculateDistanceYards(from, green) : null;
+
+  return clusters
+    // Only hazards with some part nearer the green than the player
+    .filter(cluster => fromToGreen === null ||
+      cluster.points.some(point => calculateDistanceYards(point, green) < fromToGreen))
+    .map((cluster, index) => {
+      const distances = cluster.points.map(point => calculateDistanceYards(from, point));
+      const reach = Math.min(...distances);
+      const carry = Math.max(...distances);
+
+      return {
+        id: `${cluster.kind}-${index}`,
+        kind: cluster.kind,
+        label: cluster.label,
+        reach,
+        carry: carry - reach >= MIN_CARRY_DEPTH_YARDS ? carry : null
+      };
+    })
+    .sort((a, b) => a.reach - b.reach);
+};
@@ -0,0 +1,316 @@
+// supabase/functions/_shared/handicap.js
+//
+// World Handicap System calculations shared by the app and edge functions.
+// Pure functions - callers load rounds, tees and holes and pass them in.
+//
+//   Score differential = (113 / slope) x (adjusted gross - course rating - PCC)
+//   Handicap index     = average of the best differentials from the last 20
+//                        (best 8 of 20 once 20 scores exist)
+//
+// Nine-hole scores are held until a second one is posted and the two are
+// combined into a single 18-hole differential (WHS Rule 5.1b).
+
+// Slope of a course of standard difficulty
+const STANDARD_SLOPE = 113;
+
+// Highest handicap index the WHS allows
+export const MAX_HANDICAP_INDEX = 54.0;
+
+// Number of most recent scores the index is calculated from
+export const SCORES_IN_RECORD = 20;
+
+// Minimum holes played for an 18-hole score to be acceptable
+// (unplayed holes are scored as net par)
+export const MIN_HOLES_FOR_18_HOLE_SCORE = 14;
+
+// Holes in a nine-hole score
+export const NINE_HOLE_SCORE_HOLES = 9;
+
+/**
+ * How many of the best differentials count, and any adjustment,
+ * for a record with fewer than 20 scores (WHS Rule 5.2)
+ */
+const DIFFERENTIALS_TO_USE = {
+  3: { count: 1, adjustment: -2.0 },
+  4: { count: 1, adjustment: -1.0 },
+  5: { count: 1, adjustment: 0 },
+  6: { count: 2, adjustment: -1.0 },
+  7: { count: 2, adjustment: 0 },
+  8: { count: 2, adjustment: 0 },
+  9: { count: 3, adjustment: 0 },
+  10: { count: 3, adjustment: 0 },
+  11: { count: 3, adjustment: 0 },
+  12: { count: 4, adjustment: 0 },
+  13: { count: 4, adjustment: 0 },
+  14: { count: 4, adjustment: 0 },
+  15: { count: 5, adjustment: 0 },
+  16: { count: 5, adjustment: 0 },
+  17: { count: 6, adjustment: 0 },
+  18: { count: 6, adjustment: 0 },
+  19: { count: 7, adjustment: 0 },
+  20: { count: 8, adjustment: 0 }
+};
+
+/**
+ * Round to one decimal place
+ */
+const roundToTenth = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Course handicap for a tee (WHS Rule 6.1)
+ *
+ * @param {number} handicapIndex - The player's handicap index
+ * @param {number} slope - Slope rating of the tee
+ * @param {number} courseRating - Course rating of the tee
+ * @param {number} par - Par of the course
+ * @returns {number} Whole-number course handicap
+ */
+export const calculateCourseHandicap = (handicapIndex, slope, courseRating, par) => {
+  const rawHandicap = handicapIndex * (slope / STANDARD_SLOPE) + (courseRating - par);
+  return Math.round(rawHandicap);
+};
+
+/**
+ * Course handicap for a nine-hole round (WHS Rule 6.1b)
+ *
+ * @param {number} handicapIndex - The player's (18-hole) handicap index
+ * @param {number} slope - Slope rating of the tee
+ * @param {number} nineHoleRating - Course rating for the nine holes played
+ * @param {number} nineHolePar - Par of the nine holes played
+ * @returns {number} Whole-number course handicap
+ */
+export const calculateNineHoleCourseHandicap = (handicapIndex, slope, nineHoleRating, nineHolePar) => (
+  calculateCourseHandicap(handicapIndex / 2, slope, nineHoleRating, nineHolePar)
+);
+
+/**
+ * Re-number stroke indexes from 1 when only part of a course is played
+ * Nine holes of an 18-hole course carry indexes up to 18; handicap
+ * strokes go to the hardest of the holes actually played.
+ *
+ * @param {Array} holes - Entries with a strokeIndex
+ * @returns {Array} The same entries with strokeIndex ranked 1..n (unchanged when already in range)
+ */
+export const rankStrokeIndexes = (holes) => {
+  const highestIndex = Math.max(0, ...holes.map(hole => hole.strokeIndex || 0));
+  if (highestIndex <= holes.length) return holes;
+
+  const ranked = holes.map(hole => ({ ...hole }));
+  holes
+    .map((hole, position) => ({ strokeIndex: hole.strokeIndex, position }))
+    .filter(entry => entry.strokeIndex)
+    .sort((a, b) => a.strokeIndex - b.strokeIndex)
+    .forEach((entry, rank) => {
+      ranked[entry.position].strokeIndex = rank + 1;
+    });
+
+  return ranked;
+};
+
+/**
+ * Handicap strokes received on a hole from its stroke index
+ * Plus handicaps (negative) give strokes back on the easiest holes.
+ *
+ * @param {number} courseHandicap - The player's course handicap
+ * @param {number} strokeIndex - Hole stroke index (1 = hardest)
+ * @param {number} holeCount - Holes in the allocation (18 or 9)
+ * @returns {number} Strokes received on the hole (negative for plus handicaps)
+ */
+export const getStrokesReceived = (courseHandicap, strokeIndex, holeCount = 18) => {
+  if (!strokeIndex || !courseHandicap) return 0;
+
+  if (courseHandicap < 0) {
+    // Plus handicap: give a stroke back starting from the easiest hole
+    const strokesGiven = Math.abs(courseHandicap);
+    return strokeIndex > holeCount - strokesGiven ? -1 : 0;
+  }
+
+  const fullRounds = Math.floor(courseHandicap / holeCount);
+  const remainder = courseHandicap % holeCount;
+
+  return fullRounds + (strokeIndex <= remainder ? 1 : 0);
+};
+
+/**
+ * Maximum hole score for handicap purposes (WHS Rule 3.1)
+ * Net double bogey once an index exists, otherwise par plus five.
+ *
+ * @param {number} par - Hole par
+ * @param {number} strokesReceived - Handicap strokes on the hole
+ * @param {boolean} hasHandicapIndex - Whether the player has an established index
+ * @returns {number} Maximum score counted on the hole
+ */
+export const getMaximumHoleScore = (par, strokesReceived, hasHandicapIndex = true) => (
+  hasHandicapIndex ? par + 2 + strokesReceived : par + 5
+);
+
+/**
+ * Adjusted gross score for a round
+ *
+ * @param {Array} holes - Entries of { par, strokeIndex, score } for every hole in the round (score null when unplayed)
+ * @param {number|null} courseHandicap - Course handicap, or null when the player has no index yet
+ * @returns {object|null} { adjustedGross, grossScore, holesPlayed, adjustedHoles }, or null when too few holes were played
+ */
+export const calculateAdjustedGrossScore = (roundHoles, courseHandicap) => {
+  const hasHandicapIndex = courseHandicap !== null && courseHandicap !== undefined;
+  const holes = rankStrokeIndexes(roundHoles);
+  const holeCount = holes.length;
+  const played = holes.filter(hole => typeof hole.score === "number" && hole.score > 0);
+
+  const minimumHoles = holeCount >= 18 ? MIN_HOLES_FOR_18_HOLE_SCORE : holeCount;
+  if (played.length < minimumHoles) return null;
+
+  let adjustedGross = 0;
+  let grossScore = 0;
+  let adjustedHoles = 0;
+
+  holes.forEach(hole => {
+    const strokesReceived = hasHandicapIndex ? getStrokesReceived(courseHandicap, hole.strokeIndex, holeCount) : 0;
+
+    if (typeof hole.score !== "number" || hole.score <= 0) {
+      // Unplayed holes count as net par
+      adjustedGross += hole.par + strokesReceived;
+      return;
+    }
+
+    const maximum = getMaximumHoleScore(hole.par, strokesReceived, hasHandicapIndex);
+    grossScore += hole.score;
+
+    if (hole.score > maximum) {
+      adjustedGross += maximum;
+      adjustedHoles += 1;
+    } else {
+      adjustedGross += hole.score;
+    }
+  });
+
+  return {
+    adjustedGross,
+    grossScore,
+    holesPlayed: played.length,
+    adjustedHoles
+  };
+};
+
+/**
+ * Score differential for a round (WHS Rule 5.1)
+ *
+ * @param {number} adjustedGross - Adjusted gross score
+ * @param {number} courseRating - Course rating of the tee
+ * @param {number} slope - Slope rating of the tee
+ * @param {number} pcc - Playing conditions calculation (usually 0)
+ * @returns {number} Differential rounded to one decimal
+ */
+export const calculateScoreDifferential = (adjustedGross, courseRating, slope, pcc = 0) => (
+  roundToTenth((STANDARD_SLOPE / slope) * (adjustedGross - courseRating - pcc))
+);
+
+/**
+ * Handicap index from a scoring record
+ *
+ * @param {Array} differentials - Score differentials, most recent last
+ * @returns {object|null} { index, usedCount, scoreCount, usedIndexes } or null with fewer than 3 scores
+ */
+export const calculateHandicapIndex = (differentials) => {
+  const recent = differentials.slice(-SCORES_IN_RECORD);
+  const rule = DIFFERENTIALS_TO_USE[recent.length];
+
+  if (!rule) return null;
+
+  // Positions (within the recent record) of the lowest differentials
+  const usedIndexes = recent
+    .map((differential, position) => ({ differential, position }))
+    .sort((a, b) => a.differential - b.differential)
+    .slice(0, rule.count)
+    .map(item => item.position);
+
+  const average = usedIndexes.reduce((sum, position) => sum + recent[position], 0) / rule.count;
+  const index = Math.min(MAX_HANDICAP_INDEX, roundToTenth(average + rule.adjustment));
+
+  return {
+    index,
+    usedCount: rule.count,
+    scoreCount: recent.length,
+    usedIndexes
+  };
+};
+
+/**
+ * Build a full handicap history from scored rounds
+ * Each round's differential uses the index as it stood before that round,
+ * so net double bogey is applied the same way it would have been at the time.
+ * Nine-hole rounds are paired in date order; the history entry for a pair
+ * is recorded against the second round with combinedRoundId set to the first.
+ *
+ * @param {Array} rounds - Entries of { roundId, playedAt, holes, courseRating, slope, par, nineHole }, any order.
+ *   For nine-hole rounds courseRating and par are for the nine holes played.
+ * @param {number|null} startingIndex - Index to use before enough scores exist (e.g. a manual one)
+ * @returns {Array} History entries in date order with { roundId, playedAt, adjustedGross, grossScore, differential, handicapIndex }
+ */
+export const buildHandicapHistory = (rounds, startingIndex = null) => {
+  const ordered = [...rounds].sort((a, b) => new Date(a.playedAt) - new Date(b.playedAt));
+
+  const history = [];
+  const differentials = [];
+  let currentIndex = startingIndex;
+  let pendingNine = null;
+
+  ordered.forEach(round => {
+    if (!round.courseRating || !round.slope) return;
+
+    const hasIndex = currentIndex !== null && currentIndex !== undefined;
+    let courseHandicap = null;
+    if (hasIndex) {
+      courseHandicap = round.nineHole
+        ? calculateNineHoleCourseHandicap(currentIndex, round.slope, round.courseRating, round.par)
+        : calculateCourseHandicap(currentIndex, round.slope, round.courseRating, round.par);
+    }
+
+    const adjusted = calculateAdjustedGrossScore(round.holes, courseHandicap);
+    if (!adjusted) return;
+
+    let differential;
+    let combinedRoundId = null;
+
+    if (round.nineHole) {
+      // Hold the first nine until another one can be combined with it
+      if (!pendingNine) {
+        pendingNine = { round, adjusted };
+        return;
+      }
+
+      differential = calculateScoreDifferential(
+        pendingNine.adjusted.adjustedGross + adjusted.adjustedGross,
+        pendingNine.round.courseRating + round.courseRating,
+        (pendingNine.round.slope + round.slope) / 2
+      );
+      combinedRoundId = pendingNine.round.roundId;
+      adjusted.adjustedGross += pendingNine.adjusted.adjustedGross;
+      adjusted.grossScore += pendingNine.adjusted.grossScore;
+      adjusted.holesPlayed += pendingNine.adjusted.holesPlayed;
+      pendingNine = null;
+    } else {
+      differential = calculateScoreDifferential(adjusted.adjustedGross, round.courseRating, round.slope);
+    }
+
+    differentials.push(differential);
+
+    const result = calculateHandicapIndex(differentials);
+    if (result) {
+      currentIndex = result.index;
+    }
+
+    history.push({
+      roundId: round.roundId,
+      combinedRoundId,
+      playedAt: round.playedAt,
+      adjustedGross: adjusted.adjustedGross,
+      grossScore: adjusted.grossScore,
+      holesPlayed: adjusted.holesPlayed,
+      differential,
+      handicapIndex: result ? result.index : null
+    });
+  });
+
+  return history;
+};
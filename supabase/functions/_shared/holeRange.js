@@ -0,0 +1,142 @@
+// supabase/functions/_shared/holeRange.js
+//
+// Which holes a round covers. A round starts on rounds.start_hole and
+// plays rounds.hole_count holes in order, wrapping around the end of the
+// course - so a back-nine start or a shotgun start on hole 7 both work,
+// as do 9-hole and 27-hole layouts (courses.num_holes).
+
+export const DEFAULT_HOLE_COUNT = 18;
+
+/**
+ * Hole range presets offered when starting a round
+ */
+export const HOLE_RANGES = {
+  FULL: "full",
+  FRONT_NINE: "front_nine",
+  BACK_NINE: "back_nine",
+  CUSTOM: "custom"
+};
+
+export const HOLE_RANGE_LABELS = {
+  [HOLE_RANGES.FULL]: "18 Holes",
+  [HOLE_RANGES.FRONT_NINE]: "Front 9",
+  [HOLE_RANGES.BACK_NINE]: "Back 9",
+  [HOLE_RANGES.CUSTOM]: "Custom"
+};
+
+/**
+ * Number of holes on a course
+ *
+ * @param {object} course - Course with num_holes and/or holes
+ * @returns {number} Hole count (18 when unknown)
+ */
+export const getCourseHoleCount = (course) => {
+  if (course?.num_holes) return Number(course.num_holes);
+  if (Array.isArray(course?.holes) && course.holes.length > 0) {
+    return Math.max(...course.holes.map(hole => hole.number || 0));
+  }
+  return DEFAULT_HOLE_COUNT;
+};
+
+/**
+ * Ordered hole numbers for a round
+ *
+ * @param {number} startHole - First hole played
+ * @param {number} holeCount - Number of holes played
+ * @param {number} courseHoleCount - Holes on the course
+ * @returns {Array} Hole numbers in playing order
+ */
+export const buildHoleSequence = (startHole = 1, holeCount = DEFAULT_HOLE_COUNT, courseHoleCount = DEFAULT_HOLE_COUNT) => {
+  const total = Math.max(1, courseHoleCount || DEFAULT_HOLE_COUNT);
+  const count = Math.min(Math.max(1, holeCount || total), total);
+  const start = Math.min(Math.max(1, startHole || 1), total);
+
+  return Array.from({ length: count }, (_, offset) => ((start - 1 + offset) % total) + 1);
+};
+
+/**
+ * Ordered hole numbers for a stored round
+ * Rounds created before hole ranges existed cover the whole course.
+ *
+ * @param {object} round - Round with start_hole and hole_count
+ * @param {number} courseHoleCount - Holes on the course
+ * @returns {Array} Hole numbers in playing order
+ */
+export const getRoundHoleSequence = (round, courseHoleCount = DEFAULT_HOLE_COUNT) => (
+  buildHoleSequence(
+    round?.start_hole || 1,
+    round?.hole_count || Math.min(courseHoleCount, DEFAULT_HOLE_COUNT),
+    courseHoleCount
+  )
+);
+
+/**
+ * Start hole and hole count for a preset
+ *
+ * @param {string} range - One of HOLE_RANGES
+ * @param {number} courseHoleCount - Holes on the course
+ * @returns {object|null} { startHole, holeCount }, or null for a custom range
+ */
+export const getHoleRangeSettings = (range, courseHoleCount = DEFAULT_HOLE_COUNT) => {
+  switch (range) {
+    case HOLE_RANGES.FRONT_NINE:
+      return { startHole: 1, holeCount: 9 };
+    case HOLE_RANGES.BACK_NINE:
+      return { startHole: 10, holeCount: 9 };
+    case HOLE_RANGES.FULL:
+      return { startHole: 1, holeCount: Math.min(courseHoleCount, DEFAULT_HOLE_COUNT) };
+    default:
+      return null;
+  }
+};
+
+/**
+ * Presets that make sense for a course
+ * A 9-hole course has no back nine and can't play 18 distinct holes.
+ *
+ * @param {number} courseHoleCount - Holes on the course
+ * @returns {Array} Available HOLE_RANGES values
+ */
+export const getAvailableHoleRanges = (courseHoleCount = DEFAULT_HOLE_COUNT) => (
+  courseHoleCount >= 18
+    ? [HOLE_RANGES.FULL, HOLE_RANGES.FRONT_NINE, HOLE_RANGES.BACK_NINE, HOLE_RANGES.CUSTOM]
+    : [HOLE_RANGES.FRONT_NINE, HOLE_RANGES.CUSTOM]
+);
+
+/**
+ * Describe a hole range for display
+ *
+ * @param {Array} sequence - Hole numbers in playing order
+ * @returns {string} e.g. "Holes 10-18" or "Holes 16-27, 1-6"
+ */
+export const describeHoleSequence = (sequence) => {
+  if (!sequence || sequence.length === 0) return "";
+
+  // Split into runs of consecutive holes (a wrapped range has two)
+  const runs = [];
+  sequence.forEach(holeNumber => {
+    const run = runs[runs.length - 1];
+    if (run && holeNumber === run[1] + 1) {
+      run[1] = holeNumber;
+    } else {
+      runs.push([holeNumber, holeNumber]);
+    }
+  });
+
+  return `Holes ${runs.map(([first, last]) => (first === last ? `${first}` : `${first}-${last}`)).join(", ")}`;
+};
+
+/**
+ * Course holes for a round in playing order
+ *
+ * @param {Array} courseHoles - courses.holes
+ * @param {Array} sequence - Hole numbers in playing order
+ * @returns {Array} The matching course hole entries
+ */
+export const selectRoundHoles = (courseHoles, sequence) => {
+  if (!Array.isArray(courseHoles)) return [];
+
+  return sequence
+    .map(holeNumber => courseHoles.find(hole => hole.number === holeNumber))
+    .filter(Boolean);
+};
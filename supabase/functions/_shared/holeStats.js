@@ -0,0 +1,183 @@
+// supabase/functions/_shared/holeStats.js
+//
+// Standard golf statistics inferred from a hole's ordered shots and par:
+// fairways hit, greens in regulation, putts per GIR, up-and-downs, sand
+// saves and scrambling. Used by the Stats tab and by the
+// analyze-golf-performance edge function, so both agree on every number.
+//
+// Penalties in hole_data.shots count their penalty strokes (see
+// countHoleStrokes), so "strokes to the green" counts them the same way
+// the score does.
+//
+// The stats need every stroke in order. Imported holes only list the shot
+// types another app counted, so stored hole records go through
+// deriveHoleRecordStats, which gives them no stats.
+
+import { SHOT_LIES, countHoleStrokes, isImportedHoleRecord } from "./shotModel.js";
+
+// Lies that tell us the tee shot found the fairway or missed it
+const FAIRWAY_LIES = [SHOT_LIES.FAIRWAY];
+const MISSED_FAIRWAY_LIES = [SHOT_LIES.ROUGH, SHOT_LIES.SAND, SHOT_LIES.RECOVERY];
+
+// Shots played from around the green that start an up-and-down
+const SHORT_GAME_TYPES = ["Chip", "Sand"];
+
+/**
+ * Work out whether the tee shot found the fairway
+ * The lie recorded for the next shot is the best evidence; without one
+ * the tee shot's outcome decides. A penalty straight after the tee shot
+ * is always a miss.
+ *
+ * @param {Array} shots - The hole's shots in order
+ * @param {number} par - The hole's par
+ * @returns {boolean|null} True when hit, false when missed, null when not a fairway hole or unknown
+ */
+const getFairwayResult = (shots, par) => {
+  if (par < 4 || shots[0]?.type !== "Tee Shot") return null;
+
+  const next = shots[1];
+  if (next?.type === "Penalties") return false;
+  if (next?.type !== "Putts" && FAIRWAY_LIES.includes(next?.lie)) return true;
+  if (next?.type !== "Putts" && MISSED_FAIRWAY_LIES.includes(next?.lie)) return false;
+
+  // Imported holes have no outcomes
+  if (!shots[0].result) return null;
+  return shots[0].result === "On Target";
+};
+
+/**
+ * Derive the standard stats for one hole
+ *
+ * Greens in regulation: the ball reached the green (the first putt, or
+ * the holing stroke when there were no putts) in par - 2 strokes or fewer.
+ * Up-and-down: after missing the green, the ball was holed in two strokes
+ * or fewer from the first of the chips and bunker shots played just
+ * before putting. A sand save is an up-and-down that started in a bunker.
+ *
+ * @param {Array} shots - The hole's shots in order
+ * @param {number|null} par - The hole's par
+ * @returns {object|null} { strokes, putts, penalties, strokesToGreen, fairway, gir, girPutts,
+ *   upAndDown, sandSave, scrambled } where penalties is penalty strokes and upAndDown and
+ *   sandSave are null when not attempted
+ *   or true/false, or null without shots or par
+ */
+export const deriveHoleStats = (shots, par) => {
+  if (!Array.isArray(shots) || shots.length === 0 || !par) return null;
+
+  const strokes = countHoleStrokes(shots);
+  const putts = shots.filter(shot => shot.type === "Putts").length;
+  const penalties = countHoleStrokes(shots.filter(shot => shot.type === "Penalties"));
+
+  const firstPutt = shots.findIndex(shot => shot.type === "Putts");
+  const strokesToGreen = firstPutt === -1 ? strokes : countHoleStrokes(shots.slice(0, firstPutt));
+  const gir = strokesToGreen <= par - 2;
+
+  // Up-and-downs and sand saves are only attempted after missing the green
+  let upAndDown = null;
+  let sandSave = null;
+
+  if (!gir) {
+    // Walk back through the chips and bunker shots played just before putting
+    const beforePutting = firstPutt === -1 ? shots : shots.slice(0, firstPutt);
+    let start = -1;
+    for (let index = beforePutting.length - 1; index >= 0; index--) {
+      const type = beforePutting[index].type;
+      if (SHORT_GAME_TYPES.includes(type)) {
+        start = index;
+      } else if (type !== "Penalties") {
+        break;
+      }
+    }
+
+    if (start !== -1) {
+      upAndDown = countHoleStrokes(shots.slice(start + 1)) <= 1;
+
+      if (shots[start].type === "Sand") {
+        sandSave = upAndDown;
+      }
+    }
+  }
+
+  return {
+    strokes,
+    putts,
+    penalties,
+    strokesToGreen,
+    fairway: getFairwayResult(shots, par),
+    gir,
+    girPutts: gir ? putts : null,
+    upAndDown,
+    sandSave,
+    scrambled: !gir && strokes <= par
+  };
+};
+
+/**
+ * Derive the standard stats for a stored hole record
+ * Imported holes, and holes whose shots don't add up to their score,
+ * don't list every stroke, so they have no stats.
+ *
+ * @param {object} record - A shots table row ({ total_score, hole_data })
+ * @param {number|null} par - The hole's par
+ * @returns {object|null} As deriveHoleStats, or null when the shots are incomplete
+ */
+export const deriveHoleRecordStats = (record, par) => {
+  const shots = record?.hole_data?.shots;
+  if (isImportedHoleRecord(record)) return null;
+  if (typeof record?.total_score === "number" && countHoleStrokes(shots) !== record.total_score) return null;
+
+  return deriveHoleStats(shots, par);
+};
+
+/**
+ * Percentage rounded to a whole number, or null with nothing to measure
+ */
+const toPercent = (count, total) => (total > 0 ? Math.round((count / total) * 100) : null);
+
+/**
+ * Add up derived stats over a set of holes
+ *
+ * @param {Array} holeStats - Entries from deriveHoleStats (nulls are skipped)
+ * @returns {object} Counts and percentages for fairways, greens, putting, up-and-downs,
+ *   sand saves, scrambling and penalties
+ */
+export const summarizeHoleStats = (holeStats = []) => {
+  const holes = holeStats.filter(Boolean);
+
+  const fairwayHoles = holes.filter(hole => hole.fairway !== null);
+  const girHoles = holes.filter(hole => hole.gir);
+  const missedGreens = holes.filter(hole => !hole.gir);
+  const upAndDownHoles = holes.filter(hole => hole.upAndDown !== null);
+  const sandSaveHoles = holes.filter(hole => hole.sandSave !== null);
+
+  const fairwaysHit = fairwayHoles.filter(hole => hole.fairway).length;
+  const upAndDowns = upAndDownHoles.filter(hole => hole.upAndDown).length;
+  const sandSaves = sandSaveHoles.filter(hole => hole.sandSave).length;
+  const scrambles = missedGreens.filter(hole => hole.scrambled).length;
+  const putts = holes.reduce((total, hole) => total + hole.putts, 0);
+  const girPutts = girHoles.reduce((total, hole) => total + hole.girPutts, 0);
+
+  return {
+    holes: holes.length,
+    fairwaysHit,
+    fairwayAttempts: fairwayHoles.length,
+    fairwayPct: toPercent(fairwaysHit, fairwayHoles.length),
+    greensInRegulation: girHoles.length,
+    girPct: toPercent(girHoles.length, holes.length),
+    putts,
+    puttsPerHole: holes.length > 0 ? Math.round((putts / holes.length) * 100) / 100 : null,
+    puttsPerGir: girHoles.length > 0 ? Math.round((girPutts / girHoles.length) * 100) / 100 : null,
+    upAndDowns,
+    upAndDownAttempts: upAndDownHoles.length,
+    upAndDownPct: toPercent(upAndDowns, upAndDownHoles.length),
+    sandSaves,
+    sandSaveAttempts: sandSaveHoles.length,
+    sandSavePct: toPercent(sandSaves, sandSaveHoles.length),
+    scrambles,
+    scrambleAttempts: missedGreens.length,
+    scramblingPct: toPercent(scrambles, missedGreens.length),
+    penalties: holes.reduce((total, hole) => total + hole.penalties, 0),
+    penaltyHoles: holes.filter(hole => hole.penalties > 0).length,
+    penaltyRate: toPercent(holes.filter(hole => hole.penalties > 0).length, holes.length)
+  };
+};
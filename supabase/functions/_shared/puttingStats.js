@@ -0,0 +1,156 @@
+// supabase/functions/_shared/puttingStats.js
+//
+// Putting detail recorded on individual "Putts" shots: the distance each
+// putt started from (putt_distance, in feet) and which way a missed putt
+// finished (miss_direction). The last stroke on a hole is the one that
+// was holed, so a hole's first-putt distance, holed length and make
+// percentage by distance all come from the ordered shots.
+//
+// Used by the Stats tab and by the analyze-golf-performance edge function.
+
+/**
+ * Ways a putt can miss
+ */
+export const PUTT_MISS_DIRECTIONS = {
+  SHORT: "short",
+  LONG: "long",
+  LEFT: "left",
+  RIGHT: "right"
+};
+
+/**
+ * Display labels for each miss direction
+ */
+export const PUTT_MISS_LABELS = {
+  [PUTT_MISS_DIRECTIONS.SHORT]: "Short",
+  [PUTT_MISS_DIRECTIONS.LONG]: "Long",
+  [PUTT_MISS_DIRECTIONS.LEFT]: "Left",
+  [PUTT_MISS_DIRECTIONS.RIGHT]: "Right"
+};
+
+/**
+ * Distance bands for make percentage, in feet (max is exclusive)
+ */
+export const PUTT_DISTANCE_BUCKETS = [
+  { id: "0-3", label: "0-3 ft", min: 0, max: 3 },
+  { id: "3-6", label: "3-6 ft", min: 3, max: 6 },
+  { id: "6-10", label: "6-10 ft", min: 6, max: 10 },
+  { id: "10-20", label: "10-20 ft", min: 10, max: 20 },
+  { id: "20-35", label: "20-35 ft", min: 20, max: 35 },
+  { id: "35+", label: "35+ ft", min: 35, max: null }
+];
+
+/**
+ * Longest putt distance accepted, in feet
+ */
+export const MAX_PUTT_DISTANCE = 150;
+
+/**
+ * Distance band a putt falls in
+ *
+ * @param {number} distance - Putt distance in feet
+ * @returns {object|null} Entry of PUTT_DISTANCE_BUCKETS
+ */
+export const getPuttDistanceBucket = (distance) => (
+  typeof distance === "number"
+    ? PUTT_DISTANCE_BUCKETS.find(bucket => distance >= bucket.min && (bucket.max === null || distance < bucket.max)) || null
+    : null
+);
+
+/**
+ * Putting detail for one hole
+ *
+ * @param {Array} shots - The hole's shots in order
+ * @returns {object|null} { putts, firstPuttDistance, holedDistance, holedPutt, misses, attempts }
+ *   where attempts is [{ distance, made, missDirection }] for every putt with a distance,
+ *   or null when the hole has no putts
+ */
+export const getHolePutting = (shots) => {
+  if (!Array.isArray(shots)) return null;
+
+  const putts = shots
+    .map((shot, index) => ({ shot, index }))
+    .filter(({ shot }) => shot.type === "Putts");
+
+  if (putts.length === 0) return null;
+
+  // A putt is holed only when it is the last stroke on the hole. Penalties
+  // aren't strokes played, and are often entered after holing out.
+  const lastIndex = shots.map(shot => shot.type !== "Penalties").lastIndexOf(true);
+  const attempts = putts.map(({ shot, index }) => ({
+    distance: typeof shot.putt_distance === "number" ? shot.putt_distance : null,
+    made: index === lastIndex,
+    missDirection: index === lastIndex ? null : shot.miss_direction || null
+  }));
+
+  const holed = attempts[attempts.length - 1];
+
+  return {
+    putts: putts.length,
+    firstPuttDistance: attempts[0].distance,
+    holedPutt: holed.made,
+    holedDistance: holed.made ? holed.distance : null,
+    misses: attempts.filter(attempt => attempt.missDirection).map(attempt => attempt.missDirection),
+    attempts: attempts.filter(attempt => attempt.distance !== null)
+  };
+};
+
+/**
+ * Average of a list of numbers, rounded to one decimal
+ */
+const average = (values) => (
+  values.length > 0
+    ? Math.round((values.reduce((total, value) => total + value, 0) / values.length) * 10) / 10
+    : null
+);
+
+/**
+ * Add up putting detail over a set of holes
+ *
+ * @param {Array} holes - Entries from getHolePutting (nulls are skipped)
+ * @returns {object} { holes, putts, onePutts, threePutts, averageFirstPuttDistance, averageHoledDistance,
+ *   missDirections, makeByDistance: [{ id, label, attempts, made, pct }] }
+ */
+export const summarizePutting = (holes = []) => {
+  const puttingHoles = holes.filter(Boolean);
+
+  const missDirections = {};
+  Object.values(PUTT_MISS_DIRECTIONS).forEach(direction => {
+    missDirections[direction] = 0;
+  });
+  puttingHoles.forEach(hole => {
+    hole.misses.forEach(direction => {
+      if (missDirections[direction] !== undefined) missDirections[direction] += 1;
+    });
+  });
+
+  const makeByDistance = PUTT_DISTANCE_BUCKETS.map(bucket => {
+    const inBucket = puttingHoles
+      .flatMap(hole => hole.attempts)
+      .filter(attempt => getPuttDistanceBucket(attempt.distance) === bucket);
+    const made = inBucket.filter(attempt => attempt.made).length;
+
+    return {
+      id: bucket.id,
+      label: bucket.label,
+      attempts: inBucket.length,
+      made,
+      pct: inBucket.length > 0 ? Math.round((made / inBucket.length) * 100) : null
+    };
+  });
+
+  return {
+    holes: puttingHoles.length,
+    putts: puttingHoles.reduce((total, hole) => total + hole.putts, 0),
+    onePutts: puttingHoles.filter(hole => hole.putts === 1 && hole.holedPutt).length,
+    threePutts: puttingHoles.filter(hole => hole.putts >= 3).length,
+    averageFirstPuttDistance: average(
+      puttingHoles.map(hole => hole.firstPuttDistance).filter(distance => distance !== null)
+    ),
+    averageHoledDistance: average(
+      puttingHoles.map(hole => hole.holedDistance).filter(distance => distance !== null)
+    ),
+    missDirections,
+    makeByDistance
+  };
+};
@@ -0,0 +1,168 @@
+// supabase/functions/_shared/roundExport.js
+//
+// Export formats for a player's data. The JSON archive is the canonical
+// copy: the rows the player owns in rounds, shots and insights, as stored.
+// The CSV tables are flattened views of the same data for spreadsheets -
+// one row per round, per hole and per shot.
+
+import { normalizeShot, countHoleStrokes } from "./shotModel.js";
+
+export const EXPORT_FORMAT = "initialgolfer-export";
+export const EXPORT_VERSION = 1;
+
+/**
+ * Columns of each CSV table, in order
+ */
+export const EXPORT_COLUMNS = {
+  rounds: [
+    "round_id", "created_at", "course_id", "course_name", "is_complete",
+    "selected_tee_name", "start_hole", "hole_count", "gross_shots", "score",
+    "scoring_format", "course_handicap", "imported"
+  ],
+  holes: [
+    "round_id", "hole_number", "par", "distance", "stroke_index", "total_score", "shot_count", "penalties"
+  ],
+  shots: [
+    "round_id", "hole_number", "shot_number", "type", "result", "category", "outcome", "club", "lie",
+    "distance_to_target", "shot_distance", "putt_distance", "miss_direction", "penalty_type", "penalty_strokes",
+    "lat", "lng", "timestamp"
+  ]
+};
+
+/**
+ * Quote a value for CSV when it contains a separator, quote or line break
+ *
+ * @param {*} value - Any value (null and undefined become empty)
+ * @returns {string} The CSV field
+ */
+export const formatCsvField = (value) => {
+  if (value === null || value === undefined) return "";
+
+  const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build a CSV document
+ *
+ * @param {Array} columns - Column names, used as the header row
+ * @param {Array} rows - Objects keyed by column name
+ * @returns {string} CSV text with CRLF line endings
+ */
+export const toCsv = (columns, rows) => (
+  [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(fields => fields.map(formatCsvField).join(","))
+    .join("\r\n") + "\r\n"
+);
+
+/**
+ * Flatten stored rows into the CSV tables
+ *
+ * @param {object} data - { rounds, shots, courses } as read from the database
+ * @returns {object} { rounds, holes, shots } arrays of CSV rows
+ */
+export const buildExportTables = ({ rounds = [], shots = [], courses = [] }) => {
+  const courseNames = {};
+  courses.forEach(course => {
+    courseNames[course.id] = course.name;
+  });
+
+  const roundRows = rounds.map(round => ({
+    round_id: round.id,
+    created_at: round.created_at,
+    course_id: round.course_id,
+    course_name: courseNames[round.course_id] ?? null,
+    is_complete: round.is_complete,
+    selected_tee_name: round.selected_tee_name,
+    start_hole: round.start_hole ?? 1,
+    hole_count: round.hole_count ?? null,
+    gross_shots: round.gross_shots,
+    score: round.score,
+    scoring_format: round.scoring_format ?? null,
+    course_handicap: round.course_handicap ?? null,
+    imported: round.imported ?? false
+  }));
+
+  const sortedHoles = [...shots].sort((a, b) => (
+    String(a.round_id).localeCompare(String(b.round_id)) || a.hole_number - b.hole_number
+  ));
+
+  const holeRows = [];
+  const shotRows = [];
+
+  sortedHoles.forEach(record => {
+    const holeShots = (record.hole_data?.shots || []).map(normalizeShot);
+
+    holeRows.push({
+      round_id: record.round_id,
+      hole_number: record.hole_number,
+      par: record.hole_data?.par ?? null,
+      distance: record.hole_data?.distance ?? null,
+      stroke_index: record.hole_data?.index ?? null,
+      total_score: record.total_score,
+      shot_count: holeShots.length,
+      penalties: countHoleStrokes(holeShots.filter(shot => shot.type === "Penalties"))
+    });
+
+    holeShots.forEach((shot, index) => {
+      shotRows.push({
+        round_id: record.round_id,
+        hole_number: record.hole_number,
+        shot_number: index + 1,
+        type: shot.type,
+        result: shot.result,
+        category: shot.category ?? null,
+        outcome: shot.outcome ?? null,
+        club: shot.club,
+        lie: shot.lie,
+        distance_to_target: shot.distance_to_target,
+        shot_distance: shot.shot_distance,
+        putt_distance: shot.putt_distance,
+        miss_direction: shot.miss_direction,
+        penalty_type: shot.penalty_type ?? null,
+        penalty_strokes: shot.penalty_strokes ?? null,
+        lat: shot.location?.lat ?? null,
+        lng: shot.location?.lng ?? null,
+        timestamp: shot.timestamp
+      });
+    });
+  });
+
+  return { rounds: roundRows, holes: holeRows, shots: shotRows };
+};
+
+/**
+ * Build the canonical JSON archive
+ *
+ * @param {string} profileId - The exporting player's profile ID
+ * @param {object} data - { rounds, shots, insights } rows as stored
+ * @param {string} exportedAt - ISO timestamp of the export
+ * @returns {object} The archive
+ */
+export const buildExportArchive = (profileId, { rounds = [], shots = [], insights = [] }, exportedAt = new Date().toISOString()) => ({
+  format: EXPORT_FORMAT,
+  version: EXPORT_VERSION,
+  exported_at: exportedAt,
+  profile_id: profileId,
+  rounds,
+  shots,
+  insights
+});
+
+/**
+ * Build every file in the export bundle
+ *
+ * @param {string} profileId - The exporting player's profile ID
+ * @param {object} data - { rounds, shots, insights, courses } rows as stored
+ * @returns {object} File contents keyed by file name
+ */
+export const buildExportFiles = (profileId, data) => {
+  const tables = buildExportTables(data);
+
+  return {
+    "rounds.csv": toCsv(EXPORT_COLUMNS.rounds, tables.rounds),
+    "holes.csv": toCsv(EXPORT_COLUMNS.holes, tables.holes),
+    "shots.csv": toCsv(EXPORT_COLUMNS.shots, tables.shots),
+    "archive.json": JSON.stringify(buildExportArchive(profileId, data), null, 2)
+  };
+};
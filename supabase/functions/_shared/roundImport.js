@@ -0,0 +1,353 @@
+// supabase/functions/_shared/roundImport.js
+//
+// Parsing rounds brought over from other scorecard apps and spreadsheets.
+// Two formats are accepted:
+//
+// CSV - one row per hole played, using IMPORT_CSV_TEMPLATE's columns.
+//   Rows with the same date, course and tee make up one round. par and
+//   the shot count columns are optional.
+//
+// JSON - { "rounds": [{ "date", "course", "tee",
+//   "holes": [{ "hole", "score", "par", "shots": { "putts": 2, ... } }] }] }
+//   A bare array of rounds is accepted too.
+//
+// Shot counts become shots without an outcome (result: null), since the
+// other apps don't record one.
+
+import { createShotId } from "./shotModel.js";
+
+export const IMPORT_SOURCES = {
+  CSV: "csv",
+  JSON: "json"
+};
+
+// Shot count columns (CSV) and keys (JSON) for each shot type
+export const SHOT_COUNT_FIELDS = {
+  tee_shots: "Tee Shot",
+  long_shots: "Long Shot",
+  approaches: "Approach",
+  chips: "Chip",
+  putts: "Putts",
+  sand: "Sand",
+  penalties: "Penalties"
+};
+
+export const IMPORT_CSV_COLUMNS = ["date", "course", "tee", "hole", "par", "score", ...Object.keys(SHOT_COUNT_FIELDS)];
+
+export const IMPORT_CSV_TEMPLATE = [
+  IMPORT_CSV_COLUMNS.join(","),
+  "2024-05-18,Pebble Beach Golf Links,Blue,1,4,5,1,0,1,1,2,0,0",
+  "2024-05-18,Pebble Beach Golf Links,Blue,2,5,6,,,,,2,,"
+].join("\r\n") + "\r\n";
+
+// Most holes accepted for one round
+const MAX_IMPORT_HOLES = 36;
+
+/**
+ * Split CSV text into rows of fields, handling quoted fields
+ *
+ * @param {string} text - CSV text
+ * @returns {Array} Rows of field strings (blank lines skipped)
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  const endField = () => {
+    row.push(field);
+    field = "";
+  };
+
+  const endRow = () => {
+    endField();
+    if (row.some(value => value.trim() !== "")) rows.push(row);
+    row = [];
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      endField();
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) endRow();
+
+  return rows;
+};
+
+/**
+ * Read a date into YYYY-MM-DD
+ * Accepts ISO dates and day-first dates (18/05/2024 or 18.05.2024).
+ *
+ * @param {string} value - The date as written in the file
+ * @returns {string|null} The date, or null when it can't be read
+ */
+export const parseImportDate = (value) => {
+  const text = String(value ?? "").trim();
+
+  const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  const dayFirst = text.match(/^(\d{1,2})[/.](\d{1,2})[/.](\d{4})$/);
+
+  const [year, month, day] = iso
+    ? [iso[1], iso[2], iso[3]]
+    : dayFirst
+      ? [dayFirst[3], dayFirst[2], dayFirst[1]]
+      : [];
+
+  if (!year) return null;
+
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  if (Number.isNaN(date.getTime()) || date.getUTCDate() !== Number(day)) return null;
+
+  return date.toISOString().slice(0, 10);
+};
+
+const parseCount = (value) => {
+  if (value === null || value === undefined || String(value).trim() === "") return null;
+  const number = Number(value);
+  return Number.isInteger(number) && number >= 0 ? number : NaN;
+};
+
+/**
+ * Build the hole entry for an imported hole
+ *
+ * @param {object} fields - { hole, score, par, counts: { [shot count field]: value } }
+ * @returns {object} { hole: { hole, score, par, shotCounts } } or { error }
+ */
+const buildImportHole = ({ hole, score, par, counts }) => {
+  const holeNumber = parseCount(hole);
+  const holeScore = parseCount(score);
+  const holePar = parseCount(par);
+
+  if (!holeNumber || holeNumber > MAX_IMPORT_HOLES) return { error: `invalid hole number "${hole}"` };
+  if (!holeScore) return { error: `hole ${holeNumber} has no valid score` };
+  if (Number.isNaN(holePar)) return { error: `hole ${holeNumber} has an invalid par` };
+
+  const shotCounts = {};
+  for (const [field, type] of Object.entries(SHOT_COUNT_FIELDS)) {
+    const count = parseCount(counts?.[field]);
+    if (Number.isNaN(count)) return { error: `hole ${holeNumber} has an invalid ${field} count` };
+    if (count) shotCounts[type] = count;
+  }
+
+  const countedShots = Object.values(shotCounts).reduce((total, count) => total + count, 0);
+  if (countedShots > holeScore) {
+    return { error: `hole ${holeNumber} has more shots counted than its score` };
+  }
+
+  return { hole: { hole: holeNumber, score: holeScore, par: holePar, shotCounts } };
+};
+
+/**
+ * Add a parsed hole to its round, creating the round on first use
+ */
+const addHoleToRound = (roundsByKey, { date, course, tee, source }, hole) => {
+  const key = [date, course.toLowerCase(), (tee || "").toLowerCase()].join("|");
+
+  if (!roundsByKey[key]) {
+    roundsByKey[key] = { key, date, courseName: course, teeName: tee || null, source, holes: [] };
+  }
+
+  const round = roundsByKey[key];
+  if (round.holes.some(existing => existing.hole === hole.hole)) {
+    return `hole ${hole.hole} appears twice for ${course} on ${date}`;
+  }
+
+  round.holes.push(hole);
+  return null;
+};
+
+/**
+ * Parse an import file in the CSV template format
+ *
+ * @param {string} text - CSV text
+ * @returns {object} { rounds, errors } - see parseImportFile
+ */
+export const parseImportCsv = (text) => {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map(name => name.trim().toLowerCase());
+  const errors = [];
+
+  const missing = ["date", "course", "hole", "score"].filter(column => !columns.includes(column));
+  if (missing.length > 0) {
+    return { rounds: [], errors: [`Missing column${missing.length > 1 ? "s" : ""}: ${missing.join(", ")}`] };
+  }
+
+  const roundsByKey = {};
+
+  rows.forEach((values, index) => {
+    const line = index + 2;
+    const field = (name) => {
+      const position = columns.indexOf(name);
+      return position === -1 ? "" : (values[position] ?? "").trim();
+    };
+
+    const date = parseImportDate(field("date"));
+    const course = field("course");
+    if (!date) return errors.push(`Line ${line}: invalid date "${field("date")}"`);
+    if (!course) return errors.push(`Line ${line}: missing course`);
+
+    const counts = {};
+    Object.keys(SHOT_COUNT_FIELDS).forEach(name => {
+      counts[name] = field(name);
+    });
+
+    const { hole, error } = buildImportHole({ hole: field("hole"), score: field("score"), par: field("par"), counts });
+    if (error) return errors.push(`Line ${line}: ${error}`);
+
+    const duplicate = addHoleToRound(roundsByKey, { date, course, tee: field("tee"), source: IMPORT_SOURCES.CSV }, hole);
+    if (duplicate) errors.push(`Line ${line}: ${duplicate}`);
+  });
+
+  return { rounds: sortImportedRounds(roundsByKey, errors), errors };
+};
+
+/**
+ * Parse an import file in the generic JSON format
+ *
+ * @param {string} text - JSON text
+ * @returns {object} { rounds, errors } - see parseImportFile
+ */
+export const parseImportJson = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    return { rounds: [], errors: ["The file isn't valid JSON"] };
+  }
+
+  const entries = Array.isArray(parsed) ? parsed : parsed?.rounds;
+  if (!Array.isArray(entries)) {
+    return { rounds: [], errors: ['Expected a "rounds" array'] };
+  }
+
+  const roundsByKey = {};
+  const errors = [];
+
+  entries.forEach((entry, index) => {
+    const label = `Round ${index + 1}`;
+    const date = parseImportDate(entry?.date);
+    const course = String(entry?.course ?? "").trim();
+
+    if (!date) return errors.push(`${label}: invalid date "${entry?.date ?? ""}"`);
+    if (!course) return errors.push(`${label}: missing course`);
+    if (!Array.isArray(entry.holes) || entry.holes.length === 0) return errors.push(`${label}: no holes`);
+
+    entry.holes.forEach(holeEntry => {
+      const { hole, error } = buildImportHole({
+        hole: holeEntry?.hole,
+        score: holeEntry?.score,
+        par: holeEntry?.par,
+        counts: holeEntry?.shots
+      });
+      if (error) return errors.push(`${label}: ${error}`);
+
+      const tee = entry.tee ? String(entry.tee).trim() : null;
+      const duplicate = addHoleToRound(roundsByKey, { date, course, tee, source: IMPORT_SOURCES.JSON }, hole);
+      if (duplicate) errors.push(`${label}: ${duplicate}`);
+    });
+  });
+
+  return { rounds: sortImportedRounds(roundsByKey, errors), errors };
+};
+
+/**
+ * Rounds in date order with their holes in hole order
+ * Rounds with holes missing from their range are left out and reported.
+ */
+const sortImportedRounds = (roundsByKey, errors) => (
+  Object.values(roundsByKey)
+    .map(round => ({ ...round, holes: [...round.holes].sort((a, b) => a.hole - b.hole) }))
+    .filter(round => {
+      const missing = getMissingImportHoles(round.holes);
+      if (missing.length === 0) return true;
+
+      errors.push(`${round.courseName} on ${round.date}: hole${missing.length > 1 ? "s" : ""} ${missing.join(", ")} missing, round left out`);
+      return false;
+    })
+    .sort((a, b) => a.date.localeCompare(b.date) || a.courseName.localeCompare(b.courseName))
+);
+
+/**
+ * Parse an import file, picking the format from the name or the contents
+ *
+ * @param {string} text - File contents
+ * @param {string} fileName - File name, used to tell CSV from JSON
+ * @returns {object} { rounds: [{ key, date, courseName, teeName, source, holes }], errors: [string] }
+ */
+export const parseImportFile = (text, fileName = "") => {
+  const isJson = /\.json$/i.test(fileName) || /^\s*[[{]/.test(text);
+  return isJson ? parseImportJson(text) : parseImportCsv(text);
+};
+
+/**
+ * Start and length of the hole range an imported round covers
+ * Holes are assumed to be played in order from the lowest hole.
+ *
+ * @param {Array} holes - The round's imported holes
+ * @returns {object} { startHole, holeCount }
+ */
+export const getImportedHoleRange = (holes) => {
+  const numbers = holes.map(hole => hole.hole);
+  const startHole = Math.min(...numbers);
+  return { startHole, holeCount: Math.max(...numbers) - startHole + 1 };
+};
+
+/**
+ * Holes missing from an imported round's range
+ * A round is stored as a start hole and a hole count, so it can't skip holes.
+ *
+ * @param {Array} holes - The round's imported holes
+ * @returns {Array} Hole numbers between the first and last hole that have no entry
+ */
+export const getMissingImportHoles = (holes) => {
+  if (holes.length === 0) return [];
+
+  const { startHole, holeCount } = getImportedHoleRange(holes);
+  const numbers = new Set(holes.map(hole => hole.hole));
+
+  return Array.from({ length: holeCount }, (_, offset) => startHole + offset)
+    .filter(holeNumber => !numbers.has(holeNumber));
+};
+
+/**
+ * Build the shots for an imported hole from its shot counts
+ * Shots are listed in the order they are usually played, penalties last.
+ *
+ * @param {object} hole - Imported hole with shotCounts
+ * @param {string} timestamp - Timestamp given to every shot (the round's date)
+ * @returns {Array} Shots without outcomes
+ */
+export const buildImportedShots = (hole, timestamp) => {
+  const order = ["Tee Shot", "Long Shot", "Approach", "Sand", "Chip", "Putts", "Penalties"];
+
+  return order.flatMap(type => (
+    Array.from({ length: hole.shotCounts?.[type] || 0 }, () => ({
+      id: createShotId(),
+      type,
+      result: null,
+      timestamp,
+      imported: true
+    }))
+  ));
+};
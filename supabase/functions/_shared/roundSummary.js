@@ -0,0 +1,101 @@
+// supabase/functions/_shared/roundSummary.js
+//
+// Shareable summary of a completed round, used for the share image in
+// the app and the public scorecard page served by the public-scorecard
+// edge function. Only includes what a player would show friends: no
+// shot positions or other players' details.
+
+import { getHoleParAndIndex } from "./scoringFormats.js";
+import { getCourseHoleCount, getRoundHoleSequence } from "./holeRange.js";
+import { getHoleRecordScore } from "./shotModel.js";
+
+// Longest insight highlight shown on the share image
+export const MAX_HIGHLIGHT_LENGTH = 140;
+
+// Names for scores relative to par, best first
+const SCORE_NAMES = [
+  { key: "eagles", maxToPar: -2 },
+  { key: "birdies", maxToPar: -1 },
+  { key: "pars", maxToPar: 0 },
+  { key: "bogeys", maxToPar: 1 },
+  { key: "doubles", maxToPar: Infinity }
+];
+
+/**
+ * Pick a short highlight from a round's insights
+ * Uses the first sentence of the summary, shortened when needed.
+ *
+ * @param {object|null} insights - The insights object stored for the round
+ * @returns {string|null} The highlight
+ */
+export const getInsightHighlight = (insights) => {
+  const summary = typeof insights?.summary === "string" ? insights.summary.trim() : "";
+  if (!summary) return null;
+
+  const firstSentence = summary.match(/^.*?[.!?](\s|$)/)?.[0]?.trim() || summary;
+  if (firstSentence.length <= MAX_HIGHLIGHT_LENGTH) return firstSentence;
+
+  return `${firstSentence.slice(0, MAX_HIGHLIGHT_LENGTH - 1).replace(/\s+\S*$/, "")}…`;
+};
+
+/**
+ * Build the shareable summary of a round
+ *
+ * @param {object} data
+ * @param {object} data.round - rounds row (created_at, selected_tee_name, gross_shots, score, stroke_index_set, start_hole, hole_count)
+ * @param {object} data.course - courses row (name, par, num_holes, holes)
+ * @param {Array} data.holes - shots rows (hole_number, total_score, hole_data)
+ * @param {object|null} data.insights - The round's insights object
+ * @returns {object} { courseName, teeName, playedAt, holesPlayed, grossShots, toPar, par,
+ *   eagles, birdies, pars, bogeys, doubles, highlight, holes: [{ number, par, score }] }
+ */
+export const buildRoundSummary = ({ round, course, holes = [], insights = null }) => {
+  const sequence = getRoundHoleSequence(round, getCourseHoleCount(course));
+  const courseHoles = Array.isArray(course?.holes) ? course.holes : [];
+
+  const holeRows = sequence.map(number => {
+    const record = holes.find(hole => hole.hole_number === number);
+    const courseHole = courseHoles.find(hole => hole.number === number);
+    return {
+      number,
+      par: getHoleParAndIndex(courseHole, round?.stroke_index_set).par || record?.hole_data?.par || null,
+      score: getHoleRecordScore(record) || null
+    };
+  });
+
+  const counts = { eagles: 0, birdies: 0, pars: 0, bogeys: 0, doubles: 0 };
+  holeRows.forEach(hole => {
+    if (!hole.score || !hole.par) return;
+    const toPar = hole.score - hole.par;
+    const name = SCORE_NAMES.find(entry => toPar <= entry.maxToPar);
+    counts[name.key] += 1;
+  });
+
+  const played = holeRows.filter(hole => hole.score);
+  const grossShots = round?.gross_shots ?? played.reduce((total, hole) => total + hole.score, 0);
+
+  return {
+    courseName: course?.name || "Unknown Course",
+    teeName: round?.selected_tee_name || null,
+    playedAt: round?.created_at || null,
+    holesPlayed: played.length,
+    grossShots,
+    toPar: typeof round?.score === "number" ? round.score : null,
+    par: holeRows.every(hole => hole.par) ? holeRows.reduce((total, hole) => total + hole.par, 0) : course?.par ?? null,
+    ...counts,
+    highlight: getInsightHighlight(insights),
+    holes: holeRows
+  };
+};
+
+/**
+ * Format a score relative to par for display
+ *
+ * @param {number|null} toPar - Strokes over (positive) or under (negative) par
+ * @returns {string} e.g. "+5", "E", "-2"
+ */
+export const formatToPar = (toPar) => {
+  if (typeof toPar !== "number") return "-";
+  if (toPar === 0) return "E";
+  return toPar > 0 ? `+${toPar}` : `${toPar}`;
+};
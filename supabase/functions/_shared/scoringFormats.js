@@ -0,0 +1,402 @@
+// supabase/functions/_shared/scoringFormats.js
+//
+// Scoring formats a round can be played under. Pure functions shared by
+// the app and the edge functions - callers pass in the course holes and
+// the gross score on each hole.
+//
+// Handicap strokes are allocated from the hole stroke index, using the
+// men's or women's index (and par) chosen when the round was started.
+// When only part of the course is played, strokes go to the hardest of
+// the holes in the round.
+
+import {
+  calculateCourseHandicap,
+  calculateNineHoleCourseHandicap,
+  getStrokesReceived,
+  rankStrokeIndexes,
+  NINE_HOLE_SCORE_HOLES
+} from "./handicap.js";
+
+/**
+ * Scoring format IDs stored in rounds.scoring_format
+ */
+export const SCORING_FORMATS = {
+  STROKE: "stroke",
+  NET_STROKE: "net_stroke",
+  STABLEFORD: "stableford",
+  STABLEFORD_NET: "stableford_net",
+  PAR_BOGEY: "par_bogey"
+};
+
+export const DEFAULT_SCORING_FORMAT = SCORING_FORMATS.STROKE;
+
+/**
+ * Display details for each format, in the order they are offered
+ */
+export const SCORING_FORMAT_DETAILS = {
+  [SCORING_FORMATS.STROKE]: {
+    id: SCORING_FORMATS.STROKE,
+    label: "Stroke Play",
+    description: "Total strokes",
+    usesHandicap: false
+  },
+  [SCORING_FORMATS.NET_STROKE]: {
+    id: SCORING_FORMATS.NET_STROKE,
+    label: "Net Stroke Play",
+    description: "Total strokes less handicap",
+    usesHandicap: true
+  },
+  [SCORING_FORMATS.STABLEFORD]: {
+    id: SCORING_FORMATS.STABLEFORD,
+    label: "Stableford",
+    description: "Points against par, no handicap",
+    usesHandicap: false
+  },
+  [SCORING_FORMATS.STABLEFORD_NET]: {
+    id: SCORING_FORMATS.STABLEFORD_NET,
+    label: "Stableford (Net)",
+    description: "Points against net par",
+    usesHandicap: true
+  },
+  [SCORING_FORMATS.PAR_BOGEY]: {
+    id: SCORING_FORMATS.PAR_BOGEY,
+    label: "Par / Bogey",
+    description: "Match against net par on every hole",
+    usesHandicap: true
+  }
+};
+
+/**
+ * Which set of stroke indexes (and pars) to use from the course holes
+ */
+export const STROKE_INDEX_SETS = {
+  MEN: "men",
+  WOMEN: "women"
+};
+
+/**
+ * Look up the details for a format, falling back to stroke play
+ *
+ * @param {string} formatId - The scoring format ID
+ * @returns {object} The format details
+ */
+export const getScoringFormat = (formatId) => (
+  SCORING_FORMAT_DETAILS[formatId] || SCORING_FORMAT_DETAILS[DEFAULT_SCORING_FORMAT]
+);
+
+/**
+ * Par and stroke index of a course hole for a stroke index set
+ * Falls back to the other set when the chosen one is missing.
+ *
+ * @param {object} courseHole - Entry from courses.holes
+ * @param {string} strokeIndexSet - "men" or "women"
+ * @returns {object} { par, strokeIndex }
+ */
+export const getHoleParAndIndex = (courseHole, strokeIndexSet = STROKE_INDEX_SETS.MEN) => {
+  if (strokeIndexSet === STROKE_INDEX_SETS.WOMEN) {
+    return {
+      par: courseHole?.par_women || courseHole?.par_men || null,
+      strokeIndex: courseHole?.index_women || courseHole?.index_men || null
+    };
+  }
+
+  return {
+    par: courseHole?.par_men || courseHole?.par_women || null,
+    strokeIndex: courseHole?.index_men || courseHole?.index_women || null
+  };
+};
+
+/**
+ * Course handicap for a tee using the ratings that match the stroke index set
+ * Tee ratings on courses of 18 or more holes are 18-hole ratings, so a
+ * nine-hole round uses half the rating and half the index.
+ *
+ * @param {number|null} handicapIndex - The player's handicap index
+ * @param {object} tee - Entry from courses.tees
+ * @param {Array} courseHoles - courses.holes, used for par
+ * @param {string} strokeIndexSet - "men" or "women"
+ * @param {Array|null} holeNumbers - Holes played in the round (defaults to the whole course)
+ * @returns {number|null} Course handicap, or null without an index or tee ratings
+ */
+export const getTeeCourseHandicap = (
+  handicapIndex,
+  tee,
+  courseHoles,
+  strokeIndexSet = STROKE_INDEX_SETS.MEN,
+  holeNumbers = null
+) => {
+  if (handicapIndex === null || handicapIndex === undefined || !tee) return null;
+
+  const women = strokeIndexSet === STROKE_INDEX_SETS.WOMEN;
+  const slope = Number(women ? tee.slope_women ?? tee.slope_men : tee.slope_men ?? tee.slope_women);
+  const courseRating = Number(women
+    ? tee.course_rating_women ?? tee.course_rating_men
+    : tee.course_rating_men ?? tee.course_rating_women);
+
+  const allHoles = courseHoles || [];
+  const playedHoles = holeNumbers
+    ? allHoles.filter(courseHole => holeNumbers.includes(courseHole.number))
+    : allHoles;
+
+  const par = playedHoles.reduce(
+    (total, courseHole) => total + (getHoleParAndIndex(courseHole, strokeIndexSet).par || 0),
+    0
+  );
+
+  if (!slope || !courseRating || !par) return null;
+
+  if (playedHoles.length <= NINE_HOLE_SCORE_HOLES) {
+    const nineHoleRating = allHoles.length >= 18 ? courseRating / 2 : courseRating;
+    return calculateNineHoleCourseHandicap(Number(handicapIndex), slope, nineHoleRating, par);
+  }
+
+  return calculateCourseHandicap(Number(handicapIndex), slope, courseRating, par);
+};
+
+/**
+ * Build the hole list scoreRound expects from course holes and scores
+ *
+ * @param {Array} courseHoles - courses.holes
+ * @param {object} scores - Gross scores keyed by hole number
+ * @param {string} strokeIndexSet - "men" or "women"
+ * @param {Array|null} holeNumbers - Holes in the round in playing order (defaults to the whole course)
+ * @returns {Array} Entries of { holeNumber, par, strokeIndex, gross }
+ */
+export const buildFormatHoles = (courseHoles, scores, strokeIndexSet = STROKE_INDEX_SETS.MEN, holeNumbers = null) => {
+  if (!Array.isArray(courseHoles)) return [];
+
+  const toFormatHole = courseHole => ({
+    holeNumber: courseHole.number,
+    ...getHoleParAndIndex(courseHole, strokeIndexSet),
+    gross: scores?.[courseHole.number] || null
+  });
+
+  if (holeNumbers) {
+    return holeNumbers
+      .map(holeNumber => courseHoles.find(courseHole => courseHole.number === holeNumber))
+      .filter(Boolean)
+      .map(toFormatHole);
+  }
+
+  return courseHoles
+    .map(toFormatHole)
+    .sort((a, b) => a.holeNumber - b.holeNumber);
+};
+
+/**
+ * Score a single hole under a format
+ *
+ * @param {string} formatId - The scoring format ID
+ * @param {object} hole - { holeNumber, par, strokeIndex, gross }
+ * @param {number|null} courseHandicap - The player's course handicap
+ * @param {number} holeCount - Holes in the stroke allocation (18 or 9)
+ * @returns {object} { holeNumber, gross, strokesReceived, net, points, result } - points and result are null when they don't apply
+ */
+export const scoreHole = (formatId, hole, courseHandicap, holeCount = 18) => {
+  const format = getScoringFormat(formatId);
+  const strokesReceived = format.usesHandicap && courseHandicap
+    ? getStrokesReceived(courseHandicap, hole.strokeIndex, holeCount)
+    : 0;
+
+  const played = typeof hole.gross === "number" && hole.gross > 0;
+  const net = played ? hole.gross - strokesReceived : null;
+
+  let points = null;
+  let result = null;
+
+  if (played && hole.par) {
+    switch (format.id) {
+      case SCORING_FORMATS.STABLEFORD:
+      case SCORING_FORMATS.STABLEFORD_NET:
+        // Two points for a (net) par, one more for each stroke better
+        points = Math.max(0, 2 + hole.par - net);
+        break;
+      case SCORING_FORMATS.PAR_BOGEY:
+        // +1 hole won, 0 halved, -1 lost against the course
+        result = Math.sign(hole.par - net);
+        break;
+      default:
+        break;
+    }
+  }
+
+  return {
+    holeNumber: hole.holeNumber,
+    par: hole.par,
+    gross: played ? hole.gross : null,
+    strokesReceived,
+    net,
+    points,
+    result
+  };
+};
+
+/**
+ * Score a round under a format
+ * Only played holes count towards the totals, so this also works for a
+ * round in progress.
+ *
+ * @param {string} formatId - The scoring format ID
+ * @param {Array} holes - Every hole in the round as { holeNumber, par, strokeIndex, gross }
+ * @param {number|null} courseHandicap - The player's course handicap
+ * @returns {object} Totals { format, courseHandicap, holesPlayed, gross, grossToPar, net, netToPar, points, matchResult, total } plus per-hole results in `holes`
+ */
+export const scoreRound = (formatId, holes, courseHandicap = null) => {
+  const format = getScoringFormat(formatId);
+  const rankedHoles = rankStrokeIndexes(holes);
+  const holeCount = rankedHoles.length || 18;
+  const scoredHoles = rankedHoles.map(hole => scoreHole(format.id, hole, courseHandicap, holeCount));
+  const played = scoredHoles.filter(hole => hole.gross !== null);
+
+  const sum = (key) => played.reduce((total, hole) => total + (hole[key] || 0), 0);
+  const parPlayed = sum("par");
+  const gross = sum("gross");
+  const net = sum("net");
+
+  const totals = {
+    format: format.id,
+    courseHandicap: format.usesHandicap ? courseHandicap : null,
+    holesPlayed: played.length,
+    gross,
+    grossToPar: gross - parPlayed,
+    net,
+    netToPar: net - parPlayed,
+    points: null,
+    matchResult: null
+  };
+
+  switch (format.id) {
+    case SCORING_FORMATS.STABLEFORD:
+    case SCORING_FORMATS.STABLEFORD_NET:
+      totals.points = sum("points");
+      totals.total = totals.points;
+      break;
+    case SCORING_FORMATS.PAR_BOGEY:
+      totals.matchResult = sum("result");
+      totals.total = totals.matchResult;
+      break;
+    case SCORING_FORMATS.NET_STROKE:
+      totals.total = net;
+      break;
+    default:
+      totals.total = gross;
+      break;
+  }
+
+  return { ...totals, holes: scoredHoles };
+};
+
+/**
+ * Format a score relative to par with an explicit sign
+ */
+const formatToPar = (value) => {
+  if (value === null || value === undefined) return "-";
+  if (value === 0) return "E";
+  return value > 0 ? `+${value}` : `${value}`;
+};
+
+/**
+ * Format a par/bogey match result
+ *
+ * @param {number} matchResult - Holes won minus holes lost
+ * @returns {string} e.g. "2 up", "1 down", "All square"
+ */
+export const formatMatchResult = (matchResult) => {
+  if (matchResult === null || matchResult === undefined) return "-";
+  if (matchResult === 0) return "All square";
+  return matchResult > 0 ? `${matchResult} up` : `${Math.abs(matchResult)} down`;
+};
+
+/**
+ * Headline total and label for a scored round
+ *
+ * @param {object} result - Totals from scoreRound (or rounds.format_result)
+ * @returns {object} { value, label, detail } display strings
+ */
+export const getRoundHeadline = (result) => {
+  if (!result) return { value: "-", label: "Total", detail: null };
+
+  switch (result.format) {
+    case SCORING_FORMATS.NET_STROKE:
+      return { value: `${result.net}`, label: "Net", detail: formatToPar(result.netToPar) };
+    case SCORING_FORMATS.STABLEFORD:
+    case SCORING_FORMATS.STABLEFORD_NET:
+      return { value: `${result.points}`, label: "Points", detail: `${result.gross} gross` };
+    case SCORING_FORMATS.PAR_BOGEY:
+      return { value: formatMatchResult(result.matchResult), label: "Par / Bogey", detail: `${result.gross} gross` };
+    default:
+      return { value: `${result.gross}`, label: "Total", detail: formatToPar(result.grossToPar) };
+  }
+};
+
+/**
+ * Short per-hole value for a format, for scorecard cells
+ *
+ * @param {string} formatId - The scoring format ID
+ * @param {object} holeResult - Entry from scoreRound().holes
+ * @returns {string} e.g. "3" (points), "+" / "=" / "-" (par/bogey) or the net score
+ */
+export const formatHoleValue = (formatId, holeResult) => {
+  if (!holeResult || holeResult.gross === null) return "-";
+
+  switch (getScoringFormat(formatId).id) {
+    case SCORING_FORMATS.STABLEFORD:
+    case SCORING_FORMATS.STABLEFORD_NET:
+      return `${holeResult.points ?? "-"}`;
+    case SCORING_FORMATS.PAR_BOGEY:
+      if (holeResult.result === null) return "-";
+      return holeResult.result > 0 ? "+" : holeResult.result < 0 ? "-" : "=";
+    case SCORING_FORMATS.NET_STROKE:
+      return `${holeResult.net}`;
+    default:
+      return `${holeResult.gross}`;
+  }
+};
+
+/**
+ * Short total over a set of holes for a format, for scorecard subtotals
+ *
+ * @param {string} formatId - The scoring format ID
+ * @param {Array} holeResults - Entries from scoreRound().holes
+ * @returns {string} e.g. "18" (points or net) or "+2" (par/bogey holes up)
+ */
+export const formatHolesTotal = (formatId, holeResults) => {
+  const played = (holeResults || []).filter(hole => hole.gross !== null);
+  if (played.length === 0) return "-";
+
+  const sum = (key) => played.reduce((total, hole) => total + (hole[key] || 0), 0);
+
+  switch (getScoringFormat(formatId).id) {
+    case SCORING_FORMATS.STABLEFORD:
+    case SCORING_FORMATS.STABLEFORD_NET:
+      return `${sum("points")}`;
+    case SCORING_FORMATS.PAR_BOGEY: {
+      const matchResult = sum("result");
+      return matchResult > 0 ? `+${matchResult}` : `${matchResult}`;
+    }
+    case SCORING_FORMATS.NET_STROKE:
+      return `${sum("net")}`;
+    default:
+      return `${sum("gross")}`;
+  }
+};
+
+/**
+ * Column heading for per-hole format values
+ *
+ * @param {string} formatId - The scoring format ID
+ * @returns {string} e.g. "Pts", "Net", "+/-"
+ */
+export const getFormatColumnLabel = (formatId) => {
+  switch (getScoringFormat(formatId).id) {
+    case SCORING_FORMATS.STABLEFORD:
+    case SCORING_FORMATS.STABLEFORD_NET:
+      return "Pts";
+    case SCORING_FORMATS.PAR_BOGEY:
+      return "+/-";
+    case SCORING_FORMATS.NET_STROKE:
+      return "Net";
+    default:
+      return "Score";
+  }
+};
@@ -0,0 +1,536 @@
+// supabase/functions/_shared/shotModel.js
+//
+// Shot domain model shared by the app and the edge functions.
+// Plain JavaScript with no platform imports so it runs under both
+// React Native (Metro) and Deno.
+//
+// A shot stored in hole_data.shots always has { type, result, timestamp }.
+// Everything else is optional, so rounds recorded before the detail
+// fields existed are still valid shots. Shots also carry an id that stays
+// the same through edits; timestamps can't identify a shot, since imported
+// shots share one and two shots can be recorded in the same millisecond.
+//
+// shot_distance is measured, not entered: it is the distance between the
+// ball marks at the start of a shot and the start of the next one.
+//
+// Putts can also carry putt_distance (feet from the hole), and putts and
+// full shots can carry miss_direction; see puttingStats.js and dispersion.js.
+//
+// Penalties are events, not strokes with a quality outcome: their result
+// is null and they carry penalty_type and penalty_strokes. Penalties
+// recorded before the types existed have an outcome and count one stroke.
+// A hole's score is countHoleStrokes(shots), not shots.length.
+//
+// Rounds tracked with a custom tracking schema (see trackingProfile.js)
+// still store one of the standard types and outcomes on every shot, so
+// the stats keep working. A shot in a custom category also carries the
+// category id, and a shot graded on the five-point scale carries the
+// grade as outcome when it differs from its standard result.
+
+import { calculateDistanceYards } from "./geo.js";
+
+/**
+ * Shot types in the order they appear in the ShotTable
+ */
+export const SHOT_TYPES = ["Tee Shot", "Long Shot", "Approach", "Chip", "Putts", "Sand", "Penalties"];
+
+/**
+ * Shot outcomes (quality assessment) in display order
+ */
+export const SHOT_OUTCOMES = ["On Target", "Slightly Off", "Recovery Needed"];
+
+/**
+ * Causes of a penalty
+ */
+export const PENALTY_TYPES = {
+  WATER: "water",
+  OUT_OF_BOUNDS: "out_of_bounds",
+  UNPLAYABLE: "unplayable",
+  LOST_BALL: "lost_ball",
+  RULES: "rules"
+};
+
+/**
+ * Display labels for each penalty type
+ */
+export const PENALTY_TYPE_LABELS = {
+  [PENALTY_TYPES.WATER]: "Water",
+  [PENALTY_TYPES.OUT_OF_BOUNDS]: "Out of Bounds",
+  [PENALTY_TYPES.UNPLAYABLE]: "Unplayable",
+  [PENALTY_TYPES.LOST_BALL]: "Lost Ball",
+  [PENALTY_TYPES.RULES]: "Rules Infraction"
+};
+
+/**
+ * Penalty strokes for each type in stroke play
+ * Out of bounds and lost balls are stroke and distance: one penalty
+ * stroke, and the replayed shot is recorded as a shot of its own.
+ */
+export const PENALTY_STROKES = {
+  [PENALTY_TYPES.WATER]: 1,
+  [PENALTY_TYPES.OUT_OF_BOUNDS]: 1,
+  [PENALTY_TYPES.UNPLAYABLE]: 1,
+  [PENALTY_TYPES.LOST_BALL]: 1,
+  [PENALTY_TYPES.RULES]: 2
+};
+
+/**
+ * Starting lie for a shot
+ */
+export const SHOT_LIES = {
+  TEE: "tee",
+  FAIRWAY: "fairway",
+  ROUGH: "rough",
+  SAND: "sand",
+  RECOVERY: "recovery",
+  GREEN: "green"
+};
+
+/**
+ * Display labels for each lie
+ */
+export const SHOT_LIE_LABELS = {
+  [SHOT_LIES.TEE]: "Tee",
+  [SHOT_LIES.FAIRWAY]: "Fairway",
+  [SHOT_LIES.ROUGH]: "Rough",
+  [SHOT_LIES.SAND]: "Sand",
+  [SHOT_LIES.RECOVERY]: "Recovery",
+  [SHOT_LIES.GREEN]: "Green"
+};
+
+/**
+ * Source of a shot position captured with the "mark ball" flow
+ * Only marked positions are precise enough to measure shot distances.
+ */
+export const BALL_MARK_SOURCE = "mark";
+
+/**
+ * Standard set of clubs offered when recording a shot
+ */
+export const DEFAULT_CLUBS = [
+  "Driver", "3 Wood", "5 Wood", "Hybrid",
+  "4 Iron", "5 Iron", "6 Iron", "7 Iron", "8 Iron", "9 Iron",
+  "PW", "GW", "SW", "LW", "Putter"
+];
+
+/**
+ * Lie implied by the shot type, used when the player doesn't pick one
+ *
+ * @param {string} type - The shot type
+ * @returns {string|null} The implied lie, or null when it can't be inferred
+ */
+export const getDefaultLie = (type) => {
+  switch (type) {
+    case "Tee Shot":
+      return SHOT_LIES.TEE;
+    case "Sand":
+      return SHOT_LIES.SAND;
+    case "Putts":
+      return SHOT_LIES.GREEN;
+    default:
+      return null;
+  }
+};
+
+// Shot ids created so far, so ids made in the same millisecond differ
+let shotIdCount = 0;
+
+/**
+ * Create an id for a shot
+ *
+ * @returns {string} An id unique to the shot
+ */
+export const createShotId = () => {
+  shotIdCount += 1;
+  return `shot-${Date.now().toString(36)}-${shotIdCount.toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+};
+
+/**
+ * Give an id to every shot that doesn't have one
+ * Shots recorded before ids existed get theirs when the hole is loaded.
+ *
+ * @param {Array} shots - The hole's shots
+ * @returns {Array} The shots, each with an id
+ */
+export const withShotIds = (shots = []) => (
+  (Array.isArray(shots) ? shots : []).map(shot => (shot.id ? shot : { ...shot, id: createShotId() }))
+);
+
+/**
+ * Create a new shot record
+ *
+ * @param {string} type - The shot type
+ * @param {string} result - The shot outcome
+ * @param {object} details - Optional detail fields (club, lie, distance_to_target, location,
+ *   putt_distance, miss_direction, category, outcome)
+ * @returns {object} The shot record
+ */
+export const createShot = (type, result, details = {}) => ({
+  id: createShotId(),
+  type,
+  result,
+  timestamp: new Date().toISOString(),
+  club: details.club ?? null,
+  lie: details.lie ?? getDefaultLie(type),
+  distance_to_target: details.distance_to_target ?? null,
+  location: details.location ?? null,
+  shot_distance: null,
+  putt_distance: details.putt_distance ?? null,
+  miss_direction: details.miss_direction ?? null,
+  category: details.category ?? null,
+  outcome: details.outcome ?? null
+});
+
+/**
+ * Create a penalty record
+ *
+ * @param {string} penaltyType - One of PENALTY_TYPES
+ * @param {number} strokes - Penalty strokes (defaults to the type's standard penalty)
+ * @returns {object} The penalty, stored in hole_data.shots like a shot
+ */
+export const createPenalty = (penaltyType, strokes = PENALTY_STROKES[penaltyType] ?? 1) => ({
+  ...createShot("Penalties", null),
+  penalty_type: penaltyType,
+  penalty_strokes: strokes
+});
+
+/**
+ * Strokes a shots entry adds to the score
+ *
+ * @param {object} shot - A shot or penalty
+ * @returns {number} 1 for a shot, the penalty strokes for a penalty
+ */
+export const getShotStrokes = (shot) => (
+  shot?.type === "Penalties" && typeof shot.penalty_strokes === "number" ? shot.penalty_strokes : 1
+);
+
+/**
+ * A hole's score from its shots, with each penalty counting its strokes
+ *
+ * @param {Array} shots - The hole's shots
+ * @returns {number} Total strokes
+ */
+export const countHoleStrokes = (shots = []) => (
+  (Array.isArray(shots) ? shots : []).reduce((total, shot) => total + getShotStrokes(shot), 0)
+);
+
+/**
+ * Score of a stored hole record (a shots table row)
+ * Counted from the shots so penalties add their strokes. Imported holes
+ * can have a score without every shot, so they keep their total_score.
+ *
+ * @param {object} record - { total_score, hole_data }
+ * @returns {number} The hole's score (0 when nothing is recorded)
+ */
+export const getHoleRecordScore = (record) => {
+  const shots = record?.hole_data?.shots;
+
+  if (Array.isArray(shots) && shots.length > 0 && !isImportedHoleRecord(record)) {
+    return countHoleStrokes(shots);
+  }
+
+  return record?.total_score || 0;
+};
+
+/**
+ * Check whether a stored hole record was imported
+ * Imported holes only list the shot types another app counted, not every
+ * stroke in the order it was played.
+ *
+ * @param {object} record - { total_score, hole_data }
+ * @returns {boolean} True for an imported hole
+ */
+export const isImportedHoleRecord = (record) => Boolean(
+  record?.hole_data?.imported ||
+  (Array.isArray(record?.hole_data?.shots) && record.hole_data.shots.some(shot => shot.imported))
+);
+
+/**
+ * Score of a stored hole record once its shots are corrected
+ * An imported hole keeps its total_score, moved by the change in the
+ * strokes its shots count, since its shots don't cover every stroke.
+ *
+ * @param {object} record - The hole record before the correction
+ * @param {Array} shots - The corrected shots
+ * @returns {number} The hole's new score
+ */
+export const getEditedHoleScore = (record, shots) => {
+  if (!isImportedHoleRecord(record)) return countHoleStrokes(shots);
+
+  const change = countHoleStrokes(shots) - countHoleStrokes(record.hole_data.shots);
+  return Math.max(countHoleStrokes(shots), getHoleRecordScore(record) + change);
+};
+
+/**
+ * Display label for a penalty ("Penalty" for ones recorded without a type)
+ *
+ * @param {object} shot - A penalty
+ * @returns {string} The label
+ */
+export const getPenaltyLabel = (shot) => PENALTY_TYPE_LABELS[shot?.penalty_type] || "Penalty";
+
+/**
+ * Penalties on a hole, in order
+ *
+ * @param {Array} shots - The hole's shots
+ * @returns {Array} Entries of { type, label, strokes, afterShot } where afterShot is the
+ *   type of the shot that caused it (null when it came first)
+ */
+export const getHolePenalties = (shots = []) => {
+  const holeShots = Array.isArray(shots) ? shots : [];
+
+  return holeShots
+    .map((shot, index) => ({ shot, index }))
+    .filter(({ shot }) => shot.type === "Penalties")
+    .map(({ shot, index }) => ({
+      type: shot.penalty_type || null,
+      label: getPenaltyLabel(shot),
+      strokes: getShotStrokes(shot),
+      afterShot: [...holeShots.slice(0, index)].reverse().find(previous => previous.type !== "Penalties")?.type || null
+    }));
+};
+
+/**
+ * Fill in missing detail fields on a shot read from hole_data
+ * Older shots only have type, result and timestamp.
+ *
+ * @param {object} shot - The stored shot
+ * @returns {object} The shot with every detail field present
+ */
+export const normalizeShot = (shot) => ({
+  ...shot,
+  club: shot?.club ?? null,
+  lie: shot?.lie ?? null,
+  distance_to_target: typeof shot?.distance_to_target === "number" ? shot.distance_to_target : null,
+  location: shot?.location ?? null,
+  shot_distance: typeof shot?.shot_distance === "number" ? shot.shot_distance : null,
+  putt_distance: typeof shot?.putt_distance === "number" ? shot.putt_distance : null,
+  miss_direction: shot?.miss_direction ?? null,
+  category: shot?.category ?? null,
+  outcome: shot?.outcome ?? null,
+  ...(shot?.type === "Penalties"
+    ? { penalty_type: shot.penalty_type ?? null, penalty_strokes: getShotStrokes(shot) }
+    : {})
+});
+
+/**
+ * Check whether any detail has been recorded for a shot
+ *
+ * @param {object} shot - The shot to check
+ * @returns {boolean} True when club, distance, position or putting detail is set
+ */
+export const hasShotDetail = (shot) => Boolean(
+  shot && (
+    shot.club ||
+    typeof shot.distance_to_target === "number" ||
+    shot.location ||
+    typeof shot.putt_distance === "number" ||
+    shot.miss_direction
+  )
+);
+
+/**
+ * ShotTable rows and outcome columns used when a round has no tracking schema
+ * Same shape as a tracking schema; Penalties are never a row.
+ */
+const STANDARD_LAYOUT = {
+  rows: SHOT_TYPES
+    .filter(type => type !== "Penalties")
+    .map(type => ({ id: type, label: type, type, category: null })),
+  outcomes: SHOT_OUTCOMES.map(outcome => ({ id: outcome, label: outcome, standard: outcome }))
+};
+
+/**
+ * The outcome a shot was graded with
+ *
+ * @param {object} shot - A shot
+ * @returns {string|null} The five-point grade when one was recorded, otherwise the result
+ */
+export const getShotOutcome = (shot) => shot?.outcome || shot?.result || null;
+
+/**
+ * The ShotTable row a shot is counted in
+ * Shots in a category the schema doesn't have fall back to their type.
+ *
+ * @param {object} shot - A shot
+ * @param {object} schema - A tracking schema (defaults to the standard rows)
+ * @returns {string|null} The row id, or null when the schema has no row for the shot
+ */
+export const getShotRowId = (shot, schema = STANDARD_LAYOUT) => {
+  const rows = schema?.rows || STANDARD_LAYOUT.rows;
+
+  if (shot?.category && rows.some(row => row.id === shot.category)) return shot.category;
+  return rows.some(row => row.id === shot?.type && !row.category) ? shot.type : null;
+};
+
+/**
+ * Build per-row/per-outcome counts from an ordered shots array
+ * Rows and outcomes come from the round's tracking schema; Penalties are
+ * always included so penalties recorded with an outcome are still counted.
+ *
+ * @param {Array} shots - The hole's shots
+ * @param {object} schema - A tracking schema (defaults to the standard rows and outcomes)
+ * @returns {object} Counts keyed by row id (the shot type for standard rows) then outcome
+ */
+export const buildShotCounts = (shots = [], schema = STANDARD_LAYOUT) => {
+  const rows = schema?.rows || STANDARD_LAYOUT.rows;
+  const outcomes = schema?.outcomes || STANDARD_LAYOUT.outcomes;
+  const shotCounts = {};
+
+  [...rows.map(row => row.id), "Penalties"].forEach(rowId => {
+    shotCounts[rowId] = {};
+    outcomes.forEach(outcome => {
+      shotCounts[rowId][outcome.id] = 0;
+    });
+  });
+
+  shots.forEach(shot => {
+    const rowId = shot.type === "Penalties" ? "Penalties" : getShotRowId(shot, schema);
+    const outcome = getShotOutcome(shot);
+
+    if (rowId && shotCounts[rowId][outcome] !== undefined) {
+      shotCounts[rowId][outcome] += 1;
+    }
+  });
+
+  return shotCounts;
+};
+
+/**
+ * Count typed penalties by label
+ */
+const countPenaltiesByLabel = (shots) => {
+  const counts = {};
+  shots
+    .filter(shot => shot.type === "Penalties" && shot.penalty_type)
+    .forEach(shot => {
+      const label = getPenaltyLabel(shot);
+      counts[label] = (counts[label] || 0) + 1;
+    });
+  return counts;
+};
+
+/**
+ * Compare shot counts before and after an edit
+ * Typed penalties are compared by penalty type, reported in place of an outcome.
+ *
+ * @param {Array} before - The hole's shots before the edit
+ * @param {Array} after - The hole's shots after the edit
+ * @param {object} schema - The round's tracking schema (defaults to the standard rows and outcomes)
+ * @returns {Array} Entries of { type, outcome, change } for every count that changed,
+ *   with the row and outcome labels
+ */
+export const diffShotCounts = (before = [], after = [], schema = STANDARD_LAYOUT) => {
+  const rows = [...(schema?.rows || STANDARD_LAYOUT.rows), { id: "Penalties", label: "Penalties" }];
+  const outcomes = schema?.outcomes || STANDARD_LAYOUT.outcomes;
+  const beforeCounts = buildShotCounts(before, schema);
+  const afterCounts = buildShotCounts(after, schema);
+  const changes = [];
+
+  rows.forEach(row => {
+    outcomes.forEach(outcome => {
+      const change = afterCounts[row.id][outcome.id] - beforeCounts[row.id][outcome.id];
+      if (change !== 0) {
+        changes.push({ type: row.label, outcome: outcome.label, change });
+      }
+    });
+  });
+
+  const beforePenalties = countPenaltiesByLabel(before);
+  const afterPenalties = countPenaltiesByLabel(after);
+  Object.values(PENALTY_TYPE_LABELS).forEach(label => {
+    const change = (afterPenalties[label] || 0) - (beforePenalties[label] || 0);
+    if (change !== 0) {
+      changes.push({ type: "Penalties", outcome: label, change });
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Describe shot count changes for display
+ *
+ * @param {Array} changes - Entries from diffShotCounts
+ * @returns {string} e.g. "+1 Putts (On Target), -1 Chip (Slightly Off)"
+ */
+export const describeShotCountChanges = (changes = []) => (
+  changes
+    .map(({ type, outcome, change }) => `${change > 0 ? "+" : ""}${change} ${type} (${outcome})`)
+    .join(", ")
+);
+
+/**
+ * Fields that say what a shot was, as opposed to detail recorded on it
+ */
+const SEQUENCE_FIELDS = ["type", "result", "category", "outcome", "penalty_type", "penalty_strokes"];
+
+/**
+ * Put a hole back to an earlier shot sequence, keeping detail recorded since
+ * Shots are matched by id, so a shot that is still on the hole keeps
+ * its current club, position and putting detail while its place in the
+ * order, type and outcome go back to the earlier ones.
+ *
+ * @param {Array} sequence - The hole's shots at the earlier point, in order
+ * @param {Array} current - The hole's shots now
+ * @returns {Array} The earlier sequence
+ */
+export const restoreShotSequence = (sequence = [], current = []) => {
+  const remaining = [...current];
+
+  return sequence.map(shot => {
+    const matchIndex = shot.id ? remaining.findIndex(entry => entry.id === shot.id) : -1;
+    if (matchIndex === -1) return shot;
+
+    const [match] = remaining.splice(matchIndex, 1);
+    const restored = { ...match };
+    SEQUENCE_FIELDS.forEach(field => {
+      if (field in shot) {
+        restored[field] = shot[field];
+      } else {
+        delete restored[field];
+      }
+    });
+
+    return restored;
+  });
+};
+
+/**
+ * Check whether a position was captured by marking the ball
+ *
+ * @param {object|null} location - A shot position
+ * @returns {boolean} True for a ball mark
+ */
+export const isBallMark = (location) => Boolean(
+  location && location.source === BALL_MARK_SOURCE && typeof location.lat === "number"
+);
+
+/**
+ * Work out each shot's distance from consecutive ball marks
+ * A shot is measured from its own mark to the mark of the next shot, or to
+ * the hole's latest mark when it is the last shot so far. Penalty strokes
+ * don't move the ball and are skipped.
+ *
+ * @param {Array} shots - The hole's shots in order
+ * @param {object|null} ballMark - Mark taken since the last shot was recorded
+ * @returns {Array} The shots with shot_distance set (null when it can't be measured)
+ */
+export const measureShotDistances = (shots = [], ballMark = null) => {
+  const measured = shots.map(shot => ({ ...shot, shot_distance: null }));
+
+  const played = measured
+    .map((shot, index) => ({ shot, index }))
+    .filter(({ shot }) => shot.type !== "Penalties");
+
+  played.forEach(({ shot, index }, position) => {
+    const next = played[position + 1];
+    const end = next ? next.shot.location : ballMark;
+
+    if (isBallMark(shot.location) && isBallMark(end)) {
+      measured[index].shot_distance = calculateDistanceYards(shot.location, end);
+    }
+  });
+
+  return measured;
+};
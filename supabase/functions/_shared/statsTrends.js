@@ -0,0 +1,137 @@
+// supabase/functions/_shared/statsTrends.js
+//
+// Per-round statistics for the Stats tab trend charts, derived from each
+// hole's ordered shots in the shots table (see holeStats.js).
+
+import { getHoleParAndIndex } from "./scoringFormats.js";
+import { deriveHoleRecordStats, summarizeHoleStats } from "./holeStats.js";
+import { getHolePutting } from "./puttingStats.js";
+import { getShotDispersion } from "./dispersion.js";
+
+/**
+ * Date ranges offered by the Stats tab
+ */
+export const STATS_DATE_RANGES = {
+  "30d": { label: "30 Days", days: 30 },
+  "90d": { label: "90 Days", days: 90 },
+  "1y": { label: "1 Year", days: 365 },
+  all: { label: "All Time", days: null }
+};
+
+export const DEFAULT_STATS_DATE_RANGE = "90d";
+
+/**
+ * Metrics charted by the Stats tab
+ * `id` is the field on a round trend; `unit` is appended for display.
+ */
+export const TREND_METRICS = [
+  { id: "toPar", label: "Score to Par", unit: "", decimals: 1, higherIsBetter: false },
+  { id: "fairwayPct", label: "Fairways Hit", unit: "%", decimals: 0, higherIsBetter: true },
+  { id: "girPct", label: "Greens in Regulation", unit: "%", decimals: 0, higherIsBetter: true },
+  { id: "putts", label: "Putts per Round", unit: "", decimals: 1, higherIsBetter: false },
+  { id: "penaltyRate", label: "Penalty Rate", unit: "%", decimals: 0, higherIsBetter: false },
+  { id: "scramblingPct", label: "Scrambling", unit: "%", decimals: 0, higherIsBetter: true }
+];
+
+/**
+ * Earliest round date included in a date range
+ *
+ * @param {string} rangeId - Key of STATS_DATE_RANGES
+ * @param {Date} now - Current time
+ * @returns {string|null} ISO timestamp, or null for all time
+ */
+export const getDateRangeStart = (rangeId, now = new Date()) => {
+  const days = STATS_DATE_RANGES[rangeId]?.days;
+  if (!days) return null;
+
+  return new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+};
+
+/**
+ * Build a trend entry for each round
+ *
+ * @param {Array} rounds - rounds rows (id, course_id, created_at, selected_tee_name, score, stroke_index_set)
+ * @param {Array} holeRecords - shots rows (round_id, hole_number, total_score, hole_data)
+ * @param {Array} courses - courses rows (id, name, holes)
+ * @returns {Array} Entries of { roundId, courseId, courseName, teeName, date, holes, toPar, fairwayPct,
+ *   girPct, putts, penaltyRate, scramblingPct, putting, dispersion } where putting lists
+ *   getHolePutting for each hole with putts and dispersion lists getShotDispersion entries,
+ *   oldest first
+ */
+export const buildRoundTrends = (rounds = [], holeRecords = [], courses = []) => {
+  const coursesById = {};
+  courses.forEach(course => {
+    coursesById[course.id] = course;
+  });
+
+  const holesByRound = {};
+  holeRecords.forEach(record => {
+    (holesByRound[record.round_id] = holesByRound[record.round_id] || []).push(record);
+  });
+
+  return rounds
+    .map(round => {
+      const course = coursesById[round.course_id];
+      const courseHoles = Array.isArray(course?.holes) ? course.holes : [];
+
+      const records = holesByRound[round.id] || [];
+      const holes = records
+        .map(record => {
+          const courseHole = courseHoles.find(hole => hole.number === record.hole_number);
+          const par = record.hole_data?.par || getHoleParAndIndex(courseHole, round.stroke_index_set).par;
+          return deriveHoleRecordStats(record, par);
+        })
+        .filter(Boolean);
+
+      if (holes.length === 0) return null;
+
+      const stats = summarizeHoleStats(holes);
+
+      return {
+        roundId: round.id,
+        courseId: round.course_id,
+        courseName: course?.name || "Unknown Course",
+        teeName: round.selected_tee_name || null,
+        date: round.created_at,
+        holes: holes.length,
+        toPar: typeof round.score === "number" ? round.score : null,
+        fairwayPct: stats.fairwayPct,
+        girPct: stats.girPct,
+        putts: stats.putts,
+        penaltyRate: stats.penaltyRate,
+        scramblingPct: stats.scramblingPct,
+        putting: records.map(record => getHolePutting(record.hole_data?.shots)).filter(Boolean),
+        dispersion: records.flatMap(record => getShotDispersion(record.hole_data?.shots))
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+};
+
+/**
+ * Keep the rounds matching the course and tee filters
+ *
+ * @param {Array} trends - Entries from buildRoundTrends
+ * @param {object} filters - { courseId, teeName } (null for any)
+ * @returns {Array} Matching entries
+ */
+export const filterRoundTrends = (trends, { courseId = null, teeName = null } = {}) => (
+  trends.filter(trend => (
+    (!courseId || trend.courseId === courseId) &&
+    (!teeName || trend.teeName === teeName)
+  ))
+);
+
+/**
+ * Average of a metric over rounds that have a value for it
+ *
+ * @param {Array} trends - Entries from buildRoundTrends
+ * @param {string} metricId - One of TREND_METRICS ids
+ * @returns {number|null} The average, or null with no values
+ */
+export const averageTrendMetric = (trends, metricId) => {
+  const values = trends.map(trend => trend[metricId]).filter(value => typeof value === "number");
+  if (values.length === 0) return null;
+
+  return values.reduce((total, value) => total + value, 0) / values.length;
+};
@@ -0,0 +1,474 @@
+// supabase/functions/_shared/strokesGained.js
+//
+// Strokes-gained engine shared by the app and the strokes-gained edge function.
+// Pure functions only - the same hole_data always produces the same numbers.
+//
+// Each shot gains (or loses) strokes against a baseline golfer:
+//   SG = expected(start) - expected(end) - 1
+// where expected() is the baseline's average strokes to hole out from a
+// distance and lie. Penalty strokes are charged to the shot that caused them.
+// Putts start from their recorded putt_distance (feet) when the player
+// entered one; only putts without it fall back to estimated distances.
+// Imported holes (hole_data.imported) only list the shot types another app
+// counted, not every stroke in order, so they have no strokes gained.
+
+import { SHOT_LIES, getDefaultLie, getShotStrokes } from "./shotModel.js";
+
+/**
+ * Strokes-gained categories
+ */
+export const SG_CATEGORIES = {
+  OFF_THE_TEE: "off_the_tee",
+  APPROACH: "approach",
+  AROUND_THE_GREEN: "around_the_green",
+  PUTTING: "putting"
+};
+
+/**
+ * Display labels for each category
+ */
+export const SG_CATEGORY_LABELS = {
+  [SG_CATEGORIES.OFF_THE_TEE]: "Off the Tee",
+  [SG_CATEGORIES.APPROACH]: "Approach",
+  [SG_CATEGORIES.AROUND_THE_GREEN]: "Around the Green",
+  [SG_CATEGORIES.PUTTING]: "Putting"
+};
+
+// Shots inside this distance (yards) that aren't on the green count as around the green
+const AROUND_THE_GREEN_MAX_YARDS = 30;
+
+// Distances used when a shot has no recorded distance_to_target
+const ESTIMATED_DISTANCES = {
+  LONG_SHOT_CARRY: 230,     // Yards a long shot is assumed to cover
+  APPROACH_DEFAULT: 150,    // Approach with nothing to go on
+  APPROACH_MIN: 60,
+  APPROACH_MAX: 200,
+  SHORT_GAME: 15,           // Chips and greenside bunker shots
+  FIRST_PUTT_FEET: 20,
+  MIDDLE_PUTT_FEET: 6,
+  LAST_PUTT_FEET: 3,
+  SINGLE_PUTT_FEET: 10
+};
+
+// ========== BASELINE TABLES ==========
+// Expected strokes to hole out as [distance, strokes] pairs, sorted by distance.
+// Distances are yards except on the green, which uses feet.
+// Scratch values follow published tour-level averages; the handicap
+// baselines scale the strokes above one by a per-lie factor.
+
+const SCRATCH_TABLES = {
+  [SHOT_LIES.TEE]: [
+    [100, 2.92], [150, 2.99], [200, 3.12], [250, 3.45], [300, 3.71],
+    [350, 3.79], [400, 3.99], [450, 4.17], [500, 4.41], [550, 4.69], [600, 4.82]
+  ],
+  [SHOT_LIES.FAIRWAY]: [
+    [10, 2.18], [20, 2.40], [40, 2.60], [60, 2.70], [80, 2.75], [100, 2.80],
+    [120, 2.85], [140, 2.91], [160, 2.98], [180, 3.08], [200, 3.19],
+    [220, 3.32], [240, 3.45], [260, 3.58], [280, 3.69], [300, 3.78], [400, 4.11]
+  ],
+  [SHOT_LIES.ROUGH]: [
+    [10, 2.34], [20, 2.59], [40, 2.78], [60, 2.91], [80, 2.96], [100, 3.02],
+    [120, 3.08], [140, 3.15], [160, 3.23], [180, 3.31], [200, 3.42],
+    [220, 3.53], [240, 3.64], [260, 3.74], [300, 3.90], [400, 4.20]
+  ],
+  [SHOT_LIES.SAND]: [
+    [10, 2.43], [20, 2.53], [40, 2.82], [60, 3.15], [80, 3.24], [100, 3.23],
+    [120, 3.21], [140, 3.22], [160, 3.28], [180, 3.40], [200, 3.55], [250, 3.80]
+  ],
+  [SHOT_LIES.RECOVERY]: [
+    [20, 3.00], [50, 3.45], [100, 3.80], [150, 3.80], [200, 3.87], [250, 4.05], [300, 4.20]
+  ],
+  [SHOT_LIES.GREEN]: [
+    [1, 1.00], [2, 1.01], [3, 1.04], [4, 1.13], [5, 1.23], [6, 1.34], [8, 1.50],
+    [10, 1.61], [15, 1.78], [20, 1.87], [30, 1.98], [40, 2.06], [60, 2.21], [90, 2.40]
+  ]
+};
+
+/**
+ * Derive a baseline from another by scaling the strokes above one
+ *
+ * @param {object} tables - Source tables keyed by lie
+ * @param {object} factors - Scale factor per lie
+ * @returns {object} New tables keyed by lie
+ */
+export const scaleBaselineTables = (tables, factors) => {
+  const scaled = {};
+
+  Object.keys(tables).forEach(lie => {
+    const factor = factors[lie] ?? 1;
+    scaled[lie] = tables[lie].map(([distance, strokes]) => [
+      distance,
+      Math.round((1 + (strokes - 1) * factor) * 100) / 100
+    ]);
+  });
+
+  return scaled;
+};
+
+/**
+ * Built-in baselines, keyed by ID
+ * Any object with { id, label, tables } can be passed in their place.
+ */
+export const BASELINES = {
+  scratch: {
+    id: "scratch",
+    label: "Scratch",
+    tables: SCRATCH_TABLES
+  },
+  hcp10: {
+    id: "hcp10",
+    label: "10 Handicap",
+    tables: scaleBaselineTables(SCRATCH_TABLES, {
+      [SHOT_LIES.TEE]: 1.14,
+      [SHOT_LIES.FAIRWAY]: 1.15,
+      [SHOT_LIES.ROUGH]: 1.16,
+      [SHOT_LIES.SAND]: 1.20,
+      [SHOT_LIES.RECOVERY]: 1.12,
+      [SHOT_LIES.GREEN]: 1.08
+    })
+  },
+  hcp20: {
+    id: "hcp20",
+    label: "20 Handicap",
+    tables: scaleBaselineTables(SCRATCH_TABLES, {
+      [SHOT_LIES.TEE]: 1.27,
+      [SHOT_LIES.FAIRWAY]: 1.30,
+      [SHOT_LIES.ROUGH]: 1.32,
+      [SHOT_LIES.SAND]: 1.40,
+      [SHOT_LIES.RECOVERY]: 1.24,
+      [SHOT_LIES.GREEN]: 1.15
+    })
+  }
+};
+
+export const DEFAULT_BASELINE_ID = "scratch";
+
+/**
+ * Resolve a baseline ID or custom baseline object
+ *
+ * @param {string|object} baseline - Baseline ID or { id, label, tables }
+ * @returns {object} The baseline
+ */
+export const getBaseline = (baseline = DEFAULT_BASELINE_ID) => {
+  if (baseline && typeof baseline === "object" && baseline.tables) {
+    return baseline;
+  }
+
+  return BASELINES[baseline] || BASELINES[DEFAULT_BASELINE_ID];
+};
+
+/**
+ * Linear interpolation over a [distance, strokes] table, clamped at both ends
+ */
+const interpolate = (table, distance) => {
+  if (distance <= table[0][0]) return table[0][1];
+
+  const last = table[table.length - 1];
+  if (distance >= last[0]) return last[1];
+
+  for (let i = 1; i < table.length; i++) {
+    const [d1, s1] = table[i - 1];
+    const [d2, s2] = table[i];
+
+    if (distance <= d2) {
+      return s1 + ((distance - d1) / (d2 - d1)) * (s2 - s1);
+    }
+  }
+
+  return last[1];
+};
+
+/**
+ * Expected strokes to hole out for the baseline golfer
+ *
+ * @param {number} distance - Yards (feet when the lie is green)
+ * @param {string} lie - One of SHOT_LIES
+ * @param {string|object} baseline - Baseline ID or object
+ * @returns {number} Expected strokes
+ */
+export const getExpectedStrokes = (distance, lie, baseline = DEFAULT_BASELINE_ID) => {
+  const { tables } = getBaseline(baseline);
+  const table = tables[lie] || tables[SHOT_LIES.FAIRWAY];
+
+  return interpolate(table, Math.max(0, distance || 0));
+};
+
+/**
+ * Lie implied by the outcome of the previous shot
+ * Used when a shot has no recorded lie.
+ */
+const getLieAfterOutcome = (result) => {
+  switch (result) {
+    case "On Target":
+      return SHOT_LIES.FAIRWAY;
+    case "Slightly Off":
+      return SHOT_LIES.ROUGH;
+    case "Recovery Needed":
+      return SHOT_LIES.RECOVERY;
+    default:
+      return SHOT_LIES.FAIRWAY;
+  }
+};
+
+/**
+ * Work out where each stroke on a hole started from
+ *
+ * @param {Array} shots - The hole's shots in order (penalties included)
+ * @param {number} holeDistance - Hole length in yards from the selected tee
+ * @returns {Array} Strokes of { shot, lie, distance, estimated, penalties }
+ */
+export const resolveShotPositions = (shots, holeDistance) => {
+  const strokes = [];
+
+  shots.forEach(shot => {
+    // Penalties add their strokes to the shot that caused them
+    if (shot.type === "Penalties") {
+      if (strokes.length > 0) {
+        strokes[strokes.length - 1].penalties += getShotStrokes(shot);
+      }
+      return;
+    }
+
+    strokes.push({ shot, lie: null, distance: null, estimated: false, penalties: 0 });
+  });
+
+  // Putts are handled together so the last one can be treated as holed out
+  const putts = strokes.filter(stroke => stroke.shot.type === "Putts");
+
+  strokes.forEach((stroke, index) => {
+    const { shot } = stroke;
+    const previous = strokes[index - 1];
+
+    stroke.lie = shot.lie ||
+      getDefaultLie(shot.type) ||
+      (previous ? getLieAfterOutcome(previous.shot.result) : SHOT_LIES.TEE);
+
+    // A putt's recorded length from the hole is already in feet
+    if (stroke.lie === SHOT_LIES.GREEN && typeof shot.putt_distance === "number") {
+      stroke.distance = shot.putt_distance;
+      return;
+    }
+
+    // Recorded distance always wins (putts are stored in yards like every other shot)
+    if (typeof shot.distance_to_target === "number") {
+      stroke.distance = stroke.lie === SHOT_LIES.GREEN
+        ? shot.distance_to_target * 3
+        : shot.distance_to_target;
+      return;
+    }
+
+    stroke.estimated = true;
+
+    if (shot.type === "Tee Shot" || index === 0) {
+      stroke.distance = holeDistance || ESTIMATED_DISTANCES.APPROACH_DEFAULT;
+      stroke.estimated = !holeDistance;
+    } else if (stroke.lie === SHOT_LIES.GREEN) {
+      const puttNumber = putts.indexOf(stroke);
+      if (putts.length === 1) {
+        stroke.distance = ESTIMATED_DISTANCES.SINGLE_PUTT_FEET;
+      } else if (puttNumber === 0) {
+        stroke.distance = ESTIMATED_DISTANCES.FIRST_PUTT_FEET;
+      } else if (puttNumber === putts.length - 1) {
+        stroke.distance = ESTIMATED_DISTANCES.LAST_PUTT_FEET;
+      } else {
+        stroke.distance = ESTIMATED_DISTANCES.MIDDLE_PUTT_FEET;
+      }
+    } else if (shot.type === "Chip" || shot.type === "Sand") {
+      stroke.distance = ESTIMATED_DISTANCES.SHORT_GAME;
+    } else {
+      const previousDistance = previous && previous.lie !== SHOT_LIES.GREEN ? previous.distance : null;
+
+      if (shot.type === "Long Shot" && previousDistance) {
+        stroke.distance = Math.max(previousDistance - ESTIMATED_DISTANCES.LONG_SHOT_CARRY, ESTIMATED_DISTANCES.APPROACH_MAX);
+      } else if (previousDistance) {
+        stroke.distance = Math.min(
+          ESTIMATED_DISTANCES.APPROACH_MAX,
+          Math.max(ESTIMATED_DISTANCES.APPROACH_MIN, previousDistance - ESTIMATED_DISTANCES.LONG_SHOT_CARRY)
+        );
+      } else {
+        stroke.distance = ESTIMATED_DISTANCES.APPROACH_DEFAULT;
+      }
+    }
+  });
+
+  return strokes;
+};
+
+/**
+ * Map hole number to distance for a tee from the course holes data
+ *
+ * @param {Array} courseHoles - The course's holes JSON
+ * @param {string} teeName - The selected tee name
+ * @returns {object} Map of hole number to yards
+ */
+export const getHoleDistances = (courseHoles, teeName) => {
+  const distances = {};
+  if (!Array.isArray(courseHoles)) return distances;
+
+  const teeKey = teeName ? teeName.toLowerCase() : null;
+
+  courseHoles.forEach(hole => {
+    if (!hole?.distances) return;
+
+    const distance = (teeKey && hole.distances[teeKey]) || Object.values(hole.distances)[0];
+    if (distance) {
+      distances[hole.number] = Number(distance);
+    }
+  });
+
+  return distances;
+};
+
+/**
+ * Category a stroke counts towards
+ */
+const getCategory = (stroke, par) => {
+  if (stroke.lie === SHOT_LIES.GREEN) return SG_CATEGORIES.PUTTING;
+  if (stroke.shot.type === "Tee Shot" && par >= 4) return SG_CATEGORIES.OFF_THE_TEE;
+  if (stroke.distance <= AROUND_THE_GREEN_MAX_YARDS) return SG_CATEGORIES.AROUND_THE_GREEN;
+  return SG_CATEGORIES.APPROACH;
+};
+
+/**
+ * Empty per-category totals
+ */
+const emptyTotals = () => ({
+  total: 0,
+  [SG_CATEGORIES.OFF_THE_TEE]: 0,
+  [SG_CATEGORIES.APPROACH]: 0,
+  [SG_CATEGORIES.AROUND_THE_GREEN]: 0,
+  [SG_CATEGORIES.PUTTING]: 0
+});
+
+/**
+ * Round every total to two decimals
+ */
+const roundTotals = (totals) => {
+  const rounded = {};
+  Object.keys(totals).forEach(key => {
+    rounded[key] = Math.round(totals[key] * 100) / 100;
+  });
+  return rounded;
+};
+
+/**
+ * Strokes gained for one hole
+ *
+ * @param {object} holeData - The hole_data record ({ par, distance, shots })
+ * @param {string|object} baseline - Baseline ID or object
+ * @param {object} options - { holeDistance } to override hole_data.distance
+ * @returns {object|null} Totals per category plus per-shot detail, or null for an empty or imported hole
+ */
+export const calculateHoleStrokesGained = (holeData, baseline = DEFAULT_BASELINE_ID, options = {}) => {
+  const shots = Array.isArray(holeData?.shots) ? holeData.shots : [];
+  if (shots.length === 0 || holeData.imported) return null;
+
+  const par = holeData.par || 4;
+  const holeDistance = options.holeDistance || holeData.distance || null;
+  const strokes = resolveShotPositions(shots, holeDistance);
+
+  const totals = emptyTotals();
+  const shotDetails = [];
+
+  strokes.forEach((stroke, index) => {
+    const next = strokes[index + 1];
+    const expectedStart = getExpectedStrokes(stroke.distance, stroke.lie, baseline);
+    const expectedEnd = next ? getExpectedStrokes(next.distance, next.lie, baseline) : 0;
+
+    const strokesGained = expectedStart - expectedEnd - 1 - stroke.penalties;
+    const category = getCategory(stroke, par);
+
+    totals[category] += strokesGained;
+    totals.total += strokesGained;
+
+    shotDetails.push({
+      type: stroke.shot.type,
+      category,
+      lie: stroke.lie,
+      distance: stroke.distance,
+      estimated: stroke.estimated,
+      penalties: stroke.penalties,
+      strokes_gained: Math.round(strokesGained * 100) / 100
+    });
+  });
+
+  return {
+    ...roundTotals(totals),
+    estimated_shots: shotDetails.filter(detail => detail.estimated).length,
+    shots: shotDetails
+  };
+};
+
+/**
+ * Strokes gained for a whole round
+ *
+ * @param {Array} holes - Rows from the shots table ({ hole_number, hole_data }); imported holes are skipped
+ * @param {string|object} baseline - Baseline ID or object
+ * @param {object} options - { holeDistances } map of hole number to yards, used when hole_data has no distance
+ * @returns {object} Round totals per category, hole breakdown and baseline info
+ */
+export const calculateRoundStrokesGained = (holes, baseline = DEFAULT_BASELINE_ID, options = {}) => {
+  const resolvedBaseline = getBaseline(baseline);
+  const holeDistances = options.holeDistances || {};
+
+  const totals = emptyTotals();
+  const holeResults = [];
+  let estimatedShots = 0;
+  let totalShots = 0;
+
+  (holes || []).forEach(hole => {
+    if (hole.hole_data?.imported) return;
+
+    const result = calculateHoleStrokesGained(hole.hole_data, resolvedBaseline, {
+      holeDistance: hole.hole_data?.distance || holeDistances[hole.hole_number] || null
+    });
+
+    if (!result) return;
+
+    Object.keys(totals).forEach(key => {
+      totals[key] += result[key];
+    });
+
+    estimatedShots += result.estimated_shots;
+    totalShots += result.shots.length;
+
+    holeResults.push({ hole_number: hole.hole_number, ...result });
+  });
+
+  return {
+    baseline: { id: resolvedBaseline.id, label: resolvedBaseline.label },
+    ...roundTotals(totals),
+    holes_played: holeResults.length,
+    estimated_shots: estimatedShots,
+    total_shots: totalShots,
+    holes: holeResults
+  };
+};
+
+/**
+ * Average strokes gained per round across several rounds
+ *
+ * @param {Array} roundResults - Results from calculateRoundStrokesGained
+ * @returns {object|null} Average totals per category, or null when there are no rounds
+ */
+export const averageStrokesGained = (roundResults) => {
+  const rounds = (roundResults || []).filter(result => result && result.holes_played > 0);
+  if (rounds.length === 0) return null;
+
+  const totals = emptyTotals();
+
+  rounds.forEach(result => {
+    Object.keys(totals).forEach(key => {
+      totals[key] += result[key];
+    });
+  });
+
+  Object.keys(totals).forEach(key => {
+    totals[key] /= rounds.length;
+  });
+
+  return {
+    ...roundTotals(totals),
+    rounds: rounds.length
+  };
+};
@@ -0,0 +1,268 @@
+// supabase/functions/_shared/trackingProfile.js
+//
+// What the ShotTable tracks. A player's tracking profile
+// (profiles.tracking_profile) picks the outcome scale, hides rows they
+// don't care about and adds custom categories such as "Punch-out" or
+// "Bunker (greenside)". When a round starts the profile is resolved into
+// a tracking schema that is stored with the round (rounds.tracking_schema),
+// so a round always renders with the rows and outcomes it was played with.
+// Rounds from before tracking profiles use DEFAULT_TRACKING_SCHEMA.
+//
+// Every custom category belongs to one of the standard shot types and
+// every outcome maps to one of the three standard outcomes. Shots keep
+// the standard type and result, plus the category id and five-point
+// grade (see shotModel.js), so the stats read them like any other shot.
+
+import { SHOT_TYPES, SHOT_OUTCOMES, getShotOutcome, getShotRowId } from "./shotModel.js";
+
+/**
+ * Version of the stored tracking schema
+ */
+export const TRACKING_SCHEMA_VERSION = 1;
+
+/**
+ * Outcome scales a player can track with
+ */
+export const OUTCOME_SCALES = {
+  THREE: "three",
+  FIVE: "five"
+};
+
+/**
+ * Display labels for each outcome scale
+ */
+export const OUTCOME_SCALE_LABELS = {
+  [OUTCOME_SCALES.THREE]: "3-point",
+  [OUTCOME_SCALES.FIVE]: "5-point"
+};
+
+/**
+ * Outcomes of each scale, best first
+ * short is the ShotTable column header; standard is the outcome stored as
+ * the shot's result.
+ */
+const SCALE_OUTCOMES = {
+  [OUTCOME_SCALES.THREE]: [
+    { id: "On Target", label: "On Target", short: "On\nTarget", standard: "On Target" },
+    { id: "Slightly Off", label: "Slightly Off", short: "Slightly\nOff", standard: "Slightly Off" },
+    { id: "Recovery Needed", label: "Recovery Needed", short: "Bad", standard: "Recovery Needed" }
+  ],
+  [OUTCOME_SCALES.FIVE]: [
+    { id: "Excellent", label: "Excellent", short: "Great", standard: "On Target" },
+    { id: "On Target", label: "On Target", short: "Good", standard: "On Target" },
+    { id: "Slightly Off", label: "Slightly Off", short: "OK", standard: "Slightly Off" },
+    { id: "Poor", label: "Poor", short: "Poor", standard: "Recovery Needed" },
+    { id: "Recovery Needed", label: "Recovery Needed", short: "Bad", standard: "Recovery Needed" }
+  ]
+};
+
+/**
+ * Shot types that are rows in the ShotTable and can have custom categories
+ * Penalties are recorded by cause in a row of their own.
+ */
+export const CATEGORY_BASE_TYPES = SHOT_TYPES.filter(type => type !== "Penalties");
+
+/**
+ * Most custom categories a profile can have
+ */
+export const MAX_CUSTOM_CATEGORIES = 8;
+
+/**
+ * Longest custom category label
+ */
+export const MAX_CATEGORY_LABEL_LENGTH = 24;
+
+/**
+ * Profile used until the player changes anything: the original table
+ */
+export const DEFAULT_TRACKING_PROFILE = {
+  outcomeScale: OUTCOME_SCALES.THREE,
+  hiddenRows: [],
+  customCategories: []
+};
+
+/**
+ * Outcomes of a scale
+ *
+ * @param {string} scale - One of OUTCOME_SCALES
+ * @returns {Array} Entries of { id, label, short, standard }, best first
+ */
+export const getScaleOutcomes = (scale) => SCALE_OUTCOMES[scale] || SCALE_OUTCOMES[OUTCOME_SCALES.THREE];
+
+/**
+ * Clean up a stored tracking profile
+ * Unknown scales fall back to three outcomes, invalid categories are
+ * dropped, and hiding every row is ignored.
+ *
+ * @param {object|null} profile - The stored profile
+ * @returns {object} { outcomeScale, hiddenRows, customCategories }
+ */
+export const normalizeTrackingProfile = (profile) => {
+  const outcomeScale = SCALE_OUTCOMES[profile?.outcomeScale] ? profile.outcomeScale : OUTCOME_SCALES.THREE;
+
+  const customCategories = (Array.isArray(profile?.customCategories) ? profile.customCategories : [])
+    .filter(category => (
+      category?.id &&
+      typeof category.label === "string" &&
+      category.label.trim() !== "" &&
+      CATEGORY_BASE_TYPES.includes(category.baseType)
+    ))
+    .slice(0, MAX_CUSTOM_CATEGORIES)
+    .map(category => ({
+      id: category.id,
+      label: category.label.trim().slice(0, MAX_CATEGORY_LABEL_LENGTH),
+      baseType: category.baseType
+    }));
+
+  const rowIds = [...CATEGORY_BASE_TYPES, ...customCategories.map(category => category.id)];
+  const hiddenRows = (Array.isArray(profile?.hiddenRows) ? profile.hiddenRows : [])
+    .filter(rowId => rowIds.includes(rowId));
+
+  return {
+    outcomeScale,
+    hiddenRows: hiddenRows.length < rowIds.length ? hiddenRows : [],
+    customCategories
+  };
+};
+
+/**
+ * Id for a new custom category, unique within the profile
+ *
+ * @param {string} label - The category label
+ * @param {Array} customCategories - The profile's existing categories
+ * @returns {string} e.g. "custom-punch-out"
+ */
+export const createCategoryId = (label, customCategories = []) => {
+  const slug = label.trim().toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "category";
+  const base = `custom-${slug}`;
+
+  let id = base;
+  let suffix = 2;
+  while (customCategories.some(category => category.id === id)) {
+    id = `${base}-${suffix}`;
+    suffix += 1;
+  }
+
+  return id;
+};
+
+/**
+ * Resolve a tracking profile into the schema stored with a round
+ * Custom categories follow their shot type's row, in the order they were added.
+ *
+ * @param {object|null} profile - The player's tracking profile
+ * @returns {object} { version, outcomeScale, outcomes, rows } where rows are
+ *   { id, label, type, category } and a standard row's id is its shot type
+ */
+export const buildTrackingSchema = (profile) => {
+  const { outcomeScale, hiddenRows, customCategories } = normalizeTrackingProfile(profile);
+
+  const rows = CATEGORY_BASE_TYPES
+    .flatMap(type => [
+      { id: type, label: type, type, category: null },
+      ...customCategories
+        .filter(category => category.baseType === type)
+        .map(category => ({ id: category.id, label: category.label, type, category: category.id }))
+    ])
+    .filter(row => !hiddenRows.includes(row.id));
+
+  return {
+    version: TRACKING_SCHEMA_VERSION,
+    outcomeScale,
+    outcomes: getScaleOutcomes(outcomeScale).map(outcome => ({ ...outcome })),
+    rows
+  };
+};
+
+/**
+ * Schema for rounds tracked before tracking profiles existed
+ */
+export const DEFAULT_TRACKING_SCHEMA = buildTrackingSchema(DEFAULT_TRACKING_PROFILE);
+
+/**
+ * The tracking schema a round was played with
+ *
+ * @param {object|null} round - A round with tracking_schema
+ * @returns {object} The stored schema, or DEFAULT_TRACKING_SCHEMA when it has none
+ */
+export const getTrackingSchema = (round) => {
+  const schema = round?.tracking_schema;
+
+  return schema && Array.isArray(schema.rows) && schema.rows.length > 0 &&
+    Array.isArray(schema.outcomes) && schema.outcomes.length > 0
+    ? schema
+    : DEFAULT_TRACKING_SCHEMA;
+};
+
+/**
+ * Standard outcome an outcome is stored as
+ *
+ * @param {object} schema - A tracking schema
+ * @param {string} outcomeId - One of the schema's outcome ids
+ * @returns {string} One of SHOT_OUTCOMES
+ */
+export const getStandardOutcome = (schema, outcomeId) => {
+  const outcome = schema.outcomes.find(entry => entry.id === outcomeId);
+  if (outcome?.standard) return outcome.standard;
+
+  return SHOT_OUTCOMES.includes(outcomeId) ? outcomeId : SHOT_OUTCOMES[SHOT_OUTCOMES.length - 1];
+};
+
+/**
+ * Stored fields for a shot recorded in a ShotTable cell
+ *
+ * @param {object} schema - The round's tracking schema
+ * @param {string} rowId - The row's id
+ * @param {string} outcomeId - The outcome column's id
+ * @returns {object} { type, result, category, outcome } where outcome is only set
+ *   when the grade isn't a standard outcome
+ */
+export const getShotFields = (schema, rowId, outcomeId) => {
+  const row = schema.rows.find(entry => entry.id === rowId);
+  const result = getStandardOutcome(schema, outcomeId);
+
+  return {
+    type: row ? row.type : rowId,
+    result,
+    category: row?.category || null,
+    outcome: outcomeId !== result ? outcomeId : null
+  };
+};
+
+/**
+ * Check whether a shot was recorded in a ShotTable cell
+ *
+ * @param {object} shot - A shot
+ * @param {object} schema - The round's tracking schema
+ * @param {string} rowId - The row's id
+ * @param {string} outcomeId - The outcome column's id
+ * @returns {boolean} True when the shot is counted in that cell
+ */
+export const isCellShot = (shot, schema, rowId, outcomeId) => (
+  shot.type !== "Penalties" &&
+  getShotRowId(shot, schema) === rowId &&
+  getShotOutcome(shot) === outcomeId
+);
+
+/**
+ * Shot counts per outcome for a set of holes
+ *
+ * @param {Array} shots - Shots from one or more holes
+ * @param {object} schema - The round's tracking schema
+ * @returns {object} Counts keyed by outcome id (penalties are not counted)
+ */
+export const countOutcomes = (shots = [], schema = DEFAULT_TRACKING_SCHEMA) => {
+  const counts = {};
+  schema.outcomes.forEach(outcome => {
+    counts[outcome.id] = 0;
+  });
+
+  shots.forEach(shot => {
+    const outcome = getShotOutcome(shot);
+    if (shot.type !== "Penalties" && counts[outcome] !== undefined) {
+      counts[outcome] += 1;
+    }
+  });
+
+  return counts;
+};
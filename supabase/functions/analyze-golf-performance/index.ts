@@ -1,5 +1,22 @@
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2.31.0';
+import {
+  describeHoleSequence,
+  getCourseHoleCount,
+  getRoundHoleSequence,
+  selectRoundHoles
+} from "../_shared/holeRange.js";
+import { getHoleParAndIndex } from "../_shared/scoringFormats.js";
+import { deriveHoleRecordStats, summarizeHoleStats } from "../_shared/holeStats.js";
+import { getHolePutting, summarizePutting } from "../_shared/puttingStats.js";
+import {
+  buildShotCounts,
+  getHolePenalties,
+  getHoleRecordScore,
+  getShotOutcome,
+  getShotRowId
+} from "../_shared/shotModel.js";
+import { getTrackingSchema } from "../_shared/trackingProfile.js";
 
 // Handle both OPTIONS preflight requests and actual function calls
 serve(async (req) => {
@@ -150,10 +167,15 @@ serve(async (req) => {
         created_at,
         is_complete,
         selected_tee_name,
+        stroke_index_set,
+        start_hole,
+        hole_count,
+        tracking_schema,
         courses:course_id (
           id,
           name,
           par,
+          num_holes,
           club_name,
           location,
           country,
@@ -202,16 +224,14 @@ serve(async (req) => {
       // Filter holes for this specific round
       const roundHoles = allHoleData.filter(hole => hole.round_id === round.id);
       
-      // Initialize shot counts structure (same as before for compatibility)
-      const shotCounts = {
-        "Tee Shot": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
-        "Long Shot": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
-        "Approach": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
-        "Chip": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
-        "Putts": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
-        "Sand": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
-        "Penalties": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 }
-      };
+      // The holes the round covered, in playing order (9-hole and shotgun starts)
+      const holeSequence = getRoundHoleSequence(round, getCourseHoleCount(round.courses));
+      
+      // Rows and outcomes the round was tracked with (the original table for older rounds)
+      const trackingSchema = getTrackingSchema(round);
+      
+      // Initialize shot counts structure, keyed by the schema's rows and outcomes
+      const shotCounts = buildShotCounts([], trackingSchema);
       
       // Get detailed hole-by-hole data for analysis
       const holeDetails = [];
@@ -238,9 +258,13 @@ serve(async (req) => {
           endTime: holeTimestamps.length > 0 ? Math.max(...holeTimestamps) : null,
           duration: holeTimestamps.length >= 2 ? 
             (Math.max(...holeTimestamps) - Math.min(...holeTimestamps)) / 1000 / 60 : null, // in minutes
-          sequenceInRound: hole.hole_number // Natural sequence of the hole
+          sequenceInRound: holeSequence.indexOf(hole.hole_number) + 1 // Order the hole was played in
         };
         
+        // Par from the hole record, or the course when the hole has none
+        const courseHole = (round.courses?.holes || []).find(courseHole => courseHole.number === hole.hole_number);
+        const holePar = holeData.par || getHoleParAndIndex(courseHole, round.stroke_index_set).par;
+        
         // Add to hole details for detailed analysis
         holeDetails.push({
           holeNumber: hole.hole_number,
@@ -248,18 +272,31 @@ serve(async (req) => {
           distance: holeData.distance || null,
           index: holeData.index || null,
           features: holeData.features || [],
-          totalShots: hole.total_score || holeData.shots.length,
-          shots: holeData.shots,
+          totalShots: getHoleRecordScore(hole), // Penalties count their strokes
+          // Per-shot GPS fixes are dropped to keep the prompt compact
+          shots: holeData.shots.map(({ location, ...shot }) => shot),
           timeInfo: holeTimeInfo,
+          // Fairway, GIR, up-and-down and sand save for the hole (see holeStats.js);
+          // null for imported holes, which only have shot counts
+          stats: deriveHoleRecordStats(hole, holePar),
+          // First-putt distance, miss directions and holed length (see puttingStats.js)
+          putting: getHolePutting(holeData.shots),
+          // Cause and strokes of each penalty, and the shot that led to it
+          penalties: getHolePenalties(holeData.shots),
           // Add POI data if available
           poi: holeData.poi || null
         });
         
         // Count shots by type and quality for the aggregate view
         holeData.shots.forEach(shot => {
-          // Check if this shot type and result exists in our structure
-          if (shotCounts[shot.type] && shotCounts[shot.type][shot.result] !== undefined) {
-            shotCounts[shot.type][shot.result]++;
+          // Typed penalties have no outcome; they are reported per hole instead
+          if (shot.type === "Penalties" && shot.penalty_type) return;
+          
+          // Check if this shot's row and outcome exist in the round's schema
+          const rowId = shot.type === "Penalties" ? "Penalties" : getShotRowId(shot, trackingSchema);
+          const outcome = getShotOutcome(shot);
+          if (rowId && shotCounts[rowId][outcome] !== undefined) {
+            shotCounts[rowId][outcome]++;
           } else {
             // Log unexpected shot types or results for debugging
             console.warn(`Unexpected shot data - Type: ${shot.type}, Result: ${shot.result}`);
@@ -267,12 +304,18 @@ serve(async (req) => {
         });
       });
       
-      // Find course-specific hole data if available
+      // Find course-specific hole data if available (only the holes played)
       let courseHoleData = null;
       if (round.courses && round.courses.holes && Array.isArray(round.courses.holes)) {
-        courseHoleData = round.courses.holes;
+        courseHoleData = selectRoundHoles(round.courses.holes, holeSequence);
       }
       
+      // Par of the holes played - score is stored relative to it
+      const holesPar = holeDetails.reduce((sum, hole) => sum + (hole.par || 0), 0);
+      const roundPar = round.gross_shots !== null && round.score !== null
+        ? round.gross_shots - round.score
+        : holesPar || round.courses?.par || 72;
+      
       // Return processed round data (with both aggregate counts and detailed hole-by-hole data)
       return {
         roundId: round.id,
@@ -280,9 +323,22 @@ serve(async (req) => {
         time: roundTime,
         timestamp: roundTimestamp,
         totalScore: round.gross_shots,
-        par: round.courses?.par || 72, // Default to 72 if par not available
+        par: roundPar,
+        holesPlayed: holeSequence.length,
+        holeRange: describeHoleSequence(holeSequence),
         teeName: round.selected_tee_name || "Unknown",
         shots: shotCounts,              // Aggregate counts for backward compatibility
+        // Rows (custom categories with the shot type they count as) and outcomes of shotCounts
+        trackingSchema: {
+          rows: trackingSchema.rows.map(row => ({ id: row.id, label: row.label, type: row.type })),
+          outcomes: trackingSchema.outcomes.map(outcome => ({ id: outcome.id, standard: outcome.standard }))
+        },
+        stats: summarizeHoleStats(holeDetails.map(hole => hole.stats)), // Fairways, GIR, putting, scrambling
+        putting: summarizePutting(holeDetails.map(hole => hole.putting)), // Make % by distance, misses
+        penaltyCauses: holeDetails.flatMap(hole => hole.penalties).reduce((causes, penalty) => {
+          causes[penalty.label] = (causes[penalty.label] || 0) + penalty.strokes;
+          return causes;
+        }, {}), // Penalty strokes by cause
         holeDetails: holeDetails,       // Detailed hole-by-hole data
         courseName: round.courses?.name || "Unknown Course",
         courseInfo: {
@@ -328,7 +384,9 @@ serve(async (req) => {
       // Full data for product_a users
       golfData = {
         rounds: processedRounds,
-        totalRounds: processedRounds.length
+        totalRounds: processedRounds.length,
+        // Putting across every round, so make percentages have enough attempts
+        putting: summarizePutting(processedRounds.flatMap(round => round.holeDetails.map(hole => hole.putting)))
       };
       
       maxTokens = 10000; // Comprehensive response for paid product
@@ -336,7 +394,7 @@ serve(async (req) => {
       // Existing premium prompt - unchanged from original
       promptContent = `You are a PGA Tour-certified golf coach with expertise in statistical analysis and golf course management. Your coaching philosophy centers on personalized improvement through data-driven insights, focusing on the 20% of changes that create 80% of improvement for each unique player. Create personalized, specific, and actionable insights focused on helping them improve. Think beyond basic analysis - create longitudinal, spatial, and sequence-based insights that demonstrate extraordinary value to help players score better, realistically score better.
 
-I'm providing granular shot-by-shot data from ${golfData.totalRounds} recent rounds from a ${userHandicap ? `${userHandicap} handicap` : 'golfer'}. Each round contains shots per hole, with timestamps, categorization by type of shot, and quality assessment (On Target/Slightly Off/Recovery Needed), with timestamps so you can see the timeline of each hole and each hole as one entity that is made up of single parts that make the total number for the whole. The data represents play across different courses. If you know any specifics about these courses or holes, use that knowledge in the assessment to improve contextual information on the rounds.
+I'm providing granular shot-by-shot data from ${golfData.totalRounds} recent rounds from a ${userHandicap ? `${userHandicap} handicap` : 'golfer'}. Each round contains shots per hole, with timestamps, categorization by type of shot, and quality assessment (On Target/Slightly Off/Recovery Needed), with timestamps so you can see the timeline of each hole and each hole as one entity that is made up of single parts that make the total number for the whole. The data represents play across different courses. If you know any specifics about these courses or holes, use that knowledge in the assessment to improve contextual information on the rounds. Not every round is a full 18: holesPlayed and holeRange say which holes were played, and par and totalScore cover only those holes, so compare rounds per hole rather than by total. Each round also has stats (fairways hit, greens in regulation, putts per GIR, up-and-downs, sand saves, scrambling and penalties) and each hole has the same fields in holeDetails[].stats, all derived from the shot sequence; quote these numbers rather than recounting them. Where the player recorded putting detail, each putt has putt_distance (feet) and miss_direction (short, long, left or right), and the putting section (per round and across all rounds) gives first-putt distance, holed length, three-putts, miss tendencies and make percentage by distance band; use it to separate lag putting from short misses. Penalties are not shots: each hole lists its penalties (water, out of bounds, unplayable, lost ball or rules infraction) with the strokes they cost and the shot type that caused them, and penaltyCauses totals penalty strokes by cause for the round; use these to say which shots and holes are costing penalty strokes. Each round's shots counts follow its trackingSchema: a row can be a custom category (such as Punch-out) of a standard shot type, and a round can use a five-point outcome scale (Excellent, On Target, Slightly Off, Poor, Recovery Needed). Every shot's type and result are always one of the standard shot types and outcomes; category and outcome on a shot give the custom category and the five-point grade when one was recorded, so use them for finer detail.
 
 As you analyze this data, focus on these high-value dimensions:
 
@@ -682,4 +740,4 @@ function mapCardVariantToUi(variant) {
   };
   
   return variantMap[variant] || "standard";
-}
\ No newline at end of file
+}
\ No newline at end of file
@@ -0,0 +1,237 @@
+// supabase/functions/public-scorecard/index.ts
+//
+// Signed, read-only scorecards for the website (scorecard.html).
+// Links carry an HMAC of the round ID, so they can't be guessed, and a
+// round is only served while rounds.public_share is on - revoking turns
+// it off and every link to the round stops working.
+//
+// POST (authenticated, round owner only):
+//   roundId - the round to share
+//   action  - "create" (default) returns { url }, "revoke" stops sharing
+//
+// GET ?round=<id>&sig=<signature>
+//   Returns the round summary (course, tee, score, hole scores and the
+//   insight highlight). No shot detail or player information is included.
+
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2.31.0';
+import { buildRoundSummary } from "../_shared/roundSummary.js";
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization, x-client-info, apikey"
+};
+
+const DEFAULT_PAGE_URL = "https://www.getgolfimprove.com/scorecard.html";
+
+function jsonResponse(body: unknown, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, "Content-Type": "application/json" }
+  });
+}
+
+/**
+ * URL-safe base64 HMAC-SHA256 of the round ID
+ */
+async function signRoundId(roundId: string, secret: string) {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  const signature = await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(roundId));
+
+  return btoa(String.fromCharCode(...new Uint8Array(signature)))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+/**
+ * Compare signatures without leaking where they differ
+ */
+function signaturesMatch(expected: string, actual: string) {
+  if (expected.length !== actual.length) return false;
+
+  let difference = 0;
+  for (let i = 0; i < expected.length; i++) {
+    difference |= expected.charCodeAt(i) ^ actual.charCodeAt(i);
+  }
+  return difference === 0;
+}
+
+serve(async (req) => {
+  // Handle OPTIONS requests for CORS preflight
+  if (req.method === "OPTIONS") {
+    return new Response(null, {
+      status: 204,
+      headers: {
+        ...corsHeaders,
+        "Access-Control-Max-Age": "86400"
+      }
+    });
+  }
+
+  try {
+    const SUPABASE_URL = Deno.env.get("SUPABASE_URL") || "";
+    const SUPABASE_SERVICE_ROLE_KEY = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY") || "";
+    const SIGNING_SECRET = Deno.env.get("SCORECARD_SIGNING_SECRET") || "";
+    const PAGE_URL = Deno.env.get("SCORECARD_PAGE_URL") || DEFAULT_PAGE_URL;
+
+    if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
+      throw new Error("Missing Supabase credentials in environment variables");
+    }
+
+    if (!SIGNING_SECRET) {
+      throw new Error("Missing SCORECARD_SIGNING_SECRET in environment variables");
+    }
+
+    const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
+
+    // Public read of a shared scorecard
+    if (req.method === "GET") {
+      const params = new URL(req.url).searchParams;
+      const roundId = params.get("round") || "";
+      const signature = params.get("sig") || "";
+
+      if (!roundId || !signature || !signaturesMatch(await signRoundId(roundId, SIGNING_SECRET), signature)) {
+        return jsonResponse({ error: "This scorecard link is not valid." }, 404);
+      }
+
+      const { data: round, error: roundError } = await supabase
+        .from("rounds")
+        .select("id, course_id, created_at, selected_tee_name, gross_shots, score, stroke_index_set, start_hole, hole_count, is_complete, public_share")
+        .eq("id", roundId)
+        .maybeSingle();
+
+      if (roundError) {
+        throw roundError;
+      }
+
+      if (!round || !round.public_share || !round.is_complete) {
+        return jsonResponse({ error: "This scorecard is no longer shared." }, 404);
+      }
+
+      const { data: course, error: courseError } = await supabase
+        .from("courses")
+        .select("name, par, num_holes, holes")
+        .eq("id", round.course_id)
+        .single();
+
+      if (courseError) {
+        throw courseError;
+      }
+
+      const { data: holes, error: holesError } = await supabase
+        .from("shots")
+        .select("hole_number, total_score, hole_data")
+        .eq("round_id", roundId)
+        .order("hole_number", { ascending: true });
+
+      if (holesError) {
+        throw holesError;
+      }
+
+      // Insights are optional - a missing row just means no highlight
+      const { data: insightRows } = await supabase
+        .from("insights")
+        .select("insights")
+        .eq("round_id", roundId)
+        .order("created_at", { ascending: false })
+        .limit(1);
+
+      return jsonResponse(buildRoundSummary({
+        round,
+        course,
+        holes: holes || [],
+        insights: insightRows?.[0]?.insights || null
+      }));
+    }
+
+    if (req.method !== "POST") {
+      return jsonResponse({ error: "Method not allowed" }, 405);
+    }
+
+    // Creating and revoking links needs the round owner's session
+    let userId = null;
+    const authHeader = req.headers.get('Authorization');
+
+    if (authHeader) {
+      const { data, error } = await supabase.auth.getUser(authHeader.replace('Bearer ', ''));
+      if (error) {
+        console.warn("Error getting user from token:", error.message);
+      } else if (data?.user) {
+        userId = data.user.id;
+      }
+    }
+
+    if (!userId) {
+      return jsonResponse({ error: "Unable to determine user ID. Please ensure you're logged in." }, 401);
+    }
+
+    let requestBody: { roundId?: string; action?: string } = {};
+    try {
+      if (req.body) {
+        requestBody = await req.json();
+      }
+    } catch (e) {
+      console.warn("No request body or invalid JSON");
+    }
+
+    const { roundId, action = "create" } = requestBody;
+
+    if (!roundId) {
+      return jsonResponse({ error: "roundId is required" }, 400);
+    }
+
+    const { data: round, error: roundError } = await supabase
+      .from("rounds")
+      .select("id, profile_id, is_complete")
+      .eq("id", roundId)
+      .maybeSingle();
+
+    if (roundError) {
+      throw roundError;
+    }
+
+    if (!round || round.profile_id !== userId) {
+      return jsonResponse({ error: "Round not found" }, 404);
+    }
+
+    if (action === "revoke") {
+      const { error } = await supabase.from("rounds").update({ public_share: false }).eq("id", roundId);
+      if (error) throw error;
+
+      console.log(`Revoked public scorecard for round ${roundId}`);
+      return jsonResponse({ shared: false });
+    }
+
+    if (!round.is_complete) {
+      return jsonResponse({ error: "Only completed rounds can be shared" }, 400);
+    }
+
+    const { error: updateError } = await supabase.from("rounds").update({ public_share: true }).eq("id", roundId);
+    if (updateError) throw updateError;
+
+    const url = `${PAGE_URL}?round=${encodeURIComponent(roundId)}&sig=${await signRoundId(roundId, SIGNING_SECRET)}`;
+
+    console.log(`Created public scorecard link for round ${roundId}`);
+    return jsonResponse({ shared: true, url });
+  } catch (error) {
+    console.error("Error in public-scorecard function:", error);
+    return new Response(
+      JSON.stringify({
+        error: error.message,
+        timestamp: new Date().toISOString()
+      }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" }
+      }
+    );
+  }
+});
@@ -0,0 +1,180 @@
+// supabase/functions/strokes-gained/index.ts
+//
+// Deterministic strokes-gained statistics for completed rounds.
+// Uses the same engine as the app (../_shared/strokesGained.js) so the
+// numbers match exactly, with no LLM involved.
+//
+// Requires the player's session (Authorization header); rounds are only
+// ever read for the signed-in user.
+//
+// Request body (POST):
+//   roundId  - optional, calculate a single round
+//   baseline - optional, "scratch" | "hcp10" | "hcp20" (default scratch)
+//   limit    - optional, number of recent rounds when no roundId (default 10)
+
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2.31.0';
+import {
+  calculateRoundStrokesGained,
+  averageStrokesGained,
+  getBaseline,
+  getHoleDistances
+} from "../_shared/strokesGained.js";
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization, x-client-info, apikey"
+};
+
+
+serve(async (req) => {
+  // Handle OPTIONS requests for CORS preflight
+  if (req.method === "OPTIONS") {
+    return new Response(null, {
+      status: 204,
+      headers: {
+        ...corsHeaders,
+        "Access-Control-Max-Age": "86400"
+      }
+    });
+  }
+
+  try {
+    const SUPABASE_URL = Deno.env.get("SUPABASE_URL") || "";
+    const SUPABASE_SERVICE_ROLE_KEY = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY") || "";
+
+    if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
+      throw new Error("Missing Supabase credentials in environment variables");
+    }
+
+    // Parse request body
+    let requestBody: { roundId?: string; baseline?: string; limit?: number } = {};
+    try {
+      if (req.body) {
+        requestBody = await req.json();
+      }
+    } catch (e) {
+      console.warn("No request body or invalid JSON");
+    }
+
+    const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
+
+    // Resolve the user from the JWT only - the service role can read anyone's rounds
+    let userId = null;
+    const authHeader = req.headers.get('Authorization');
+
+    if (authHeader) {
+      const { data, error } = await supabase.auth.getUser(authHeader.replace('Bearer ', ''));
+      if (error) {
+        console.warn("Error getting user from token:", error.message);
+      } else if (data?.user) {
+        userId = data.user.id;
+      }
+    }
+
+    if (!userId) {
+      return new Response(
+        JSON.stringify({ error: "Unable to determine user ID. Please ensure you're logged in." }),
+        { status: 401, headers: { ...corsHeaders, "Content-Type": "application/json" } }
+      );
+    }
+
+    const baseline = getBaseline(requestBody.baseline);
+    const limit = Math.min(Number(requestBody.limit) || 10, 50);
+
+    console.log(`Calculating strokes gained for ${userId} against ${baseline.id}`);
+
+    // Fetch the rounds to analyse
+    let roundsQuery = supabase
+      .from("rounds")
+      .select("id, course_id, created_at, selected_tee_name, gross_shots, score")
+      .eq("profile_id", userId)
+      .eq("is_complete", true);
+
+    // Imported rounds have shot counts rather than shots, so they have no
+    // strokes gained and don't take up a place among the recent rounds
+    if (requestBody.roundId) {
+      roundsQuery = roundsQuery.eq("id", requestBody.roundId);
+    } else {
+      roundsQuery = roundsQuery.eq("imported", false).order("created_at", { ascending: false }).limit(limit);
+    }
+
+    const { data: rounds, error: roundsError } = await roundsQuery;
+
+    if (roundsError) {
+      throw roundsError;
+    }
+
+    if (!rounds || rounds.length === 0) {
+      return new Response(
+        JSON.stringify({ baseline: { id: baseline.id, label: baseline.label }, rounds: [], average: null }),
+        { headers: { ...corsHeaders, "Content-Type": "application/json" } }
+      );
+    }
+
+    const roundIds = rounds.map(round => round.id);
+    const courseIds = [...new Set(rounds.map(round => round.course_id))];
+
+    // Hole records for every round
+    const { data: holeRecords, error: holesError } = await supabase
+      .from("shots")
+      .select("round_id, hole_number, hole_data")
+      .in("round_id", roundIds)
+      .order("hole_number", { ascending: true });
+
+    if (holesError) {
+      throw holesError;
+    }
+
+    // Course hole distances, used when a hole record has no distance of its own
+    const { data: courses, error: coursesError } = await supabase
+      .from("courses")
+      .select("id, holes")
+      .in("id", courseIds);
+
+    if (coursesError) {
+      console.error("Error fetching course holes:", coursesError);
+    }
+
+    const coursesById = {};
+    (courses || []).forEach(course => {
+      coursesById[course.id] = course;
+    });
+
+    const results = rounds.map(round => {
+      const holes = (holeRecords || []).filter(hole => hole.round_id === round.id);
+      const holeDistances = getHoleDistances(coursesById[round.course_id]?.holes, round.selected_tee_name);
+
+      return {
+        round_id: round.id,
+        course_id: round.course_id,
+        created_at: round.created_at,
+        gross_shots: round.gross_shots,
+        score: round.score,
+        ...calculateRoundStrokesGained(holes, baseline, { holeDistances })
+      };
+    });
+
+    return new Response(
+      JSON.stringify({
+        baseline: { id: baseline.id, label: baseline.label },
+        rounds: results,
+        average: averageStrokesGained(results)
+      }),
+      { headers: { ...corsHeaders, "Content-Type": "application/json" } }
+    );
+  } catch (error) {
+    console.error("Error in strokes-gained function:", error);
+    return new Response(
+      JSON.stringify({
+        error: error.message,
+        timestamp: new Date().toISOString()
+      }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" }
+      }
+    );
+  }
+});
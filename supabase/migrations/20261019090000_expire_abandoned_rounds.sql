@@ -0,0 +1,67 @@
+-- Expire paused rounds that were never resumed
+--
+-- Rounds are no longer deleted when the player leaves the tracker, so
+-- incomplete rounds older than the retention window are cleaned up here.
+-- Hole records are removed first to satisfy the shots.round_id foreign key.
+
+-- Holes are upserted as they're played, so created_at only tells when a
+-- hole was first saved. updated_at tracks the latest save.
+alter table shots add column if not exists updated_at timestamp with time zone not null default now();
+
+update shots set updated_at = created_at where created_at is not null;
+
+create or replace function public.touch_shots_updated_at()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.updated_at := now();
+  return new;
+end;
+$$;
+
+drop trigger if exists touch_shots_updated_at on shots;
+create trigger touch_shots_updated_at
+  before update on shots
+  for each row execute function public.touch_shots_updated_at();
+
+-- The retention window is fixed here rather than taken as an argument
+drop function if exists public.expire_abandoned_rounds(interval);
+
+create or replace function public.expire_abandoned_rounds()
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  expired_ids uuid[];
+begin
+  -- A round's last activity is its own timestamp or its most recently saved hole
+  select coalesce(array_agg(r.id), '{}')
+  into expired_ids
+  from rounds r
+  where r.is_complete = false
+    and greatest(
+      coalesce(r.updated_at, r.created_at),
+      (select max(s.updated_at) from shots s where s.round_id = r.id)
+    ) < now() - interval '14 days';
+
+  delete from shots where round_id = any(expired_ids);
+  delete from rounds where id = any(expired_ids);
+
+  return coalesce(array_length(expired_ids, 1), 0);
+end;
+$$;
+
+-- Deletes other players' rounds, so only the cron job (run as the owner) may call it
+revoke execute on function public.expire_abandoned_rounds() from public, anon, authenticated;
+
+-- Run nightly at 04:00 UTC
+create extension if not exists pg_cron;
+
+select cron.schedule(
+  'expire-abandoned-rounds',
+  '0 4 * * *',
+  $$select public.expire_abandoned_rounds()$$
+);
@@ -0,0 +1,44 @@
+-- Handicap history and manual override
+--
+-- handicap_history keeps one row per scored round with the differential
+-- and the handicap index after that round. profiles.handicap stays the
+-- index used everywhere else; it is only overwritten by the calculated
+-- index while handicap_override is false.
+
+alter table public.profiles
+  add column if not exists handicap_override boolean not null default false,
+  add column if not exists calculated_handicap numeric;
+
+create table if not exists public.handicap_history (
+  id uuid primary key default gen_random_uuid(),
+  profile_id uuid not null references public.profiles(id) on delete cascade,
+  round_id uuid not null references public.rounds(id) on delete cascade,
+  played_at timestamptz not null,
+  adjusted_gross_score integer not null,
+  gross_score integer,
+  score_differential numeric not null,
+  handicap_index numeric,
+  created_at timestamptz not null default now(),
+  unique (profile_id, round_id)
+);
+
+create index if not exists handicap_history_profile_played_idx
+  on public.handicap_history (profile_id, played_at desc);
+
+alter table public.handicap_history enable row level security;
+
+create policy "Users can view their own handicap history"
+  on public.handicap_history for select
+  using (auth.uid() = profile_id);
+
+create policy "Users can insert their own handicap history"
+  on public.handicap_history for insert
+  with check (auth.uid() = profile_id);
+
+create policy "Users can update their own handicap history"
+  on public.handicap_history for update
+  using (auth.uid() = profile_id);
+
+create policy "Users can delete their own handicap history"
+  on public.handicap_history for delete
+  using (auth.uid() = profile_id);
@@ -0,0 +1,21 @@
+-- Scoring formats for rounds
+--
+-- scoring_format is chosen on the course selector when the round starts.
+-- course_handicap is fixed at that point from the player's index and the
+-- tee, and stroke_index_set picks the men's or women's hole indexes used
+-- to allocate handicap strokes. format_result holds the format totals
+-- written by completeRound (points, net score, par/bogey result).
+
+alter table public.rounds
+  add column if not exists scoring_format text not null default 'stroke',
+  add column if not exists course_handicap integer,
+  add column if not exists stroke_index_set text not null default 'men',
+  add column if not exists format_result jsonb;
+
+alter table public.rounds
+  add constraint rounds_scoring_format_check
+  check (scoring_format in ('stroke', 'net_stroke', 'stableford', 'stableford_net', 'par_bogey'));
+
+alter table public.rounds
+  add constraint rounds_stroke_index_set_check
+  check (stroke_index_set in ('men', 'women'));
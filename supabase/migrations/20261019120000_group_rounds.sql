@@ -0,0 +1,322 @@
+-- Group rounds
+--
+-- One device keeps score for up to four players. The scorer owns the
+-- round; the other players are round_players rows (positions 2-4) and
+-- their hole scores are kept in the scorer's hole_data.player_scores,
+-- keyed by position. Players can be guests (display name only) or linked
+-- to a profile.
+--
+-- Linking needs the other player's agreement. A scorer invites an account
+-- by email and the player accepts the invite (player_links) before they
+-- can be found by email or added to a group. When the group round is
+-- completed each linked player is sent their round; it only becomes a
+-- completed round on their account, counting towards their handicap,
+-- once they accept it.
+
+create table if not exists public.player_links (
+  id uuid primary key default gen_random_uuid(),
+  requester_id uuid not null references public.profiles(id) on delete cascade,
+  target_id uuid not null references public.profiles(id) on delete cascade,
+  status text not null default 'pending' check (status in ('pending', 'accepted', 'declined')),
+  created_at timestamptz not null default now(),
+  responded_at timestamptz,
+  unique (requester_id, target_id),
+  check (requester_id <> target_id)
+);
+
+create index if not exists player_links_target_idx
+  on public.player_links (target_id);
+
+alter table public.player_links enable row level security;
+
+-- Links are created and answered through the functions below
+create policy "Players can view their own links"
+  on public.player_links for select
+  using (auth.uid() = requester_id or auth.uid() = target_id);
+
+create table if not exists public.round_players (
+  id uuid primary key default gen_random_uuid(),
+  round_id uuid not null references public.rounds(id) on delete cascade,
+  position smallint not null check (position between 2 and 4),
+  display_name text not null,
+  profile_id uuid references public.profiles(id) on delete set null,
+  handicap_index numeric,
+  course_handicap integer,
+  player_round_id uuid references public.rounds(id) on delete set null,
+  -- A linked player's round, held here until they accept or decline it
+  submission jsonb,
+  submission_status text check (submission_status in ('pending', 'accepted', 'declined')),
+  created_at timestamptz not null default now(),
+  unique (round_id, position)
+);
+
+create index if not exists round_players_profile_idx
+  on public.round_players (profile_id);
+
+alter table public.round_players enable row level security;
+
+-- Only players who accepted a link with the scorer can be linked to a group
+create policy "Scorers can manage players in their rounds"
+  on public.round_players for all
+  using (exists (
+    select 1 from public.rounds r
+    where r.id = round_players.round_id and r.profile_id = auth.uid()
+  ))
+  with check (
+    exists (
+      select 1 from public.rounds r
+      where r.id = round_players.round_id and r.profile_id = auth.uid()
+    )
+    and (
+      round_players.profile_id is null
+      or exists (
+        select 1 from public.player_links l
+        where l.status = 'accepted'
+          and ((l.requester_id = auth.uid() and l.target_id = round_players.profile_id)
+            or (l.target_id = auth.uid() and l.requester_id = round_players.profile_id))
+      )
+    )
+  );
+
+create policy "Linked players can view their group entries"
+  on public.round_players for select
+  using (auth.uid() = profile_id);
+
+-- Invite an account to link by email. The result is the same whether or
+-- not an account matches, so this can't be used to look up emails.
+create or replace function public.invite_player_by_email(p_email text)
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+  insert into player_links (requester_id, target_id)
+  select auth.uid(), p.id
+  from profiles p
+  where lower(p.email) = lower(trim(p_email))
+    and p.id <> auth.uid()
+  limit 1
+  on conflict (requester_id, target_id) do nothing;
+$$;
+
+-- Invites waiting on the signed-in player, with who sent them
+create or replace function public.get_player_link_requests()
+returns table (id uuid, requester_email text, created_at timestamptz)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select l.id, p.email, l.created_at
+  from player_links l
+  join profiles p on p.id = l.requester_id
+  where l.target_id = auth.uid()
+    and l.status = 'pending'
+  order by l.created_at desc;
+$$;
+
+-- Accept or decline an invite sent to the signed-in player
+create or replace function public.respond_to_player_link(p_link_id uuid, p_accept boolean)
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+  update player_links
+  set status = case when p_accept then 'accepted' else 'declined' end,
+      responded_at = now()
+  where id = p_link_id
+    and target_id = auth.uid()
+    and status = 'pending';
+$$;
+
+-- Look up a player to link by email. Only players who accepted a link
+-- with the caller are returned.
+create or replace function public.find_player_by_email(p_email text)
+returns table (id uuid, email text, handicap numeric)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select p.id, p.email, p.handicap
+  from profiles p
+  where lower(p.email) = lower(trim(p_email))
+    and p.id <> auth.uid()
+    and exists (
+      select 1 from player_links l
+      where l.status = 'accepted'
+        and ((l.requester_id = auth.uid() and l.target_id = p.id)
+          or (l.target_id = auth.uid() and l.requester_id = p.id))
+    )
+  limit 1;
+$$;
+
+-- Send a linked player their round from a group round. Only the scorer
+-- of the group round can call this, and a round that was already
+-- answered isn't sent again.
+create or replace function public.submit_group_player_round(
+  p_round_player_id uuid,
+  p_gross_shots integer,
+  p_score integer,
+  p_format_result jsonb,
+  p_holes jsonb
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  player round_players%rowtype;
+  group_round rounds%rowtype;
+begin
+  select * into player from round_players where id = p_round_player_id;
+
+  if player.id is null or player.profile_id is null then
+    raise exception 'Round player % is not a linked player', p_round_player_id;
+  end if;
+
+  select * into group_round from rounds where id = player.round_id;
+
+  if group_round.profile_id is distinct from auth.uid() then
+    raise exception 'Only the scorer can complete rounds for the group';
+  end if;
+
+  if player.submission_status in ('accepted', 'declined') then
+    return;
+  end if;
+
+  update round_players
+  set submission = jsonb_build_object(
+        'gross_shots', p_gross_shots,
+        'score', p_score,
+        'format_result', p_format_result,
+        'holes', coalesce(p_holes, '[]'::jsonb)
+      ),
+      submission_status = 'pending'
+  where id = player.id;
+end;
+$$;
+
+-- Group rounds waiting on the signed-in player
+create or replace function public.get_pending_group_rounds()
+returns table (
+  round_player_id uuid,
+  scorer_email text,
+  course_name text,
+  played_at timestamptz,
+  gross_shots integer,
+  score integer
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select rp.id,
+         p.email,
+         c.name,
+         r.created_at,
+         (rp.submission->>'gross_shots')::integer,
+         (rp.submission->>'score')::integer
+  from round_players rp
+  join rounds r on r.id = rp.round_id
+  join profiles p on p.id = r.profile_id
+  left join courses c on c.id = r.course_id
+  where rp.profile_id = auth.uid()
+    and rp.submission_status = 'pending'
+  order by r.created_at desc;
+$$;
+
+-- Accept a group round, creating the player's own completed round
+create or replace function public.accept_group_player_round(p_round_player_id uuid)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  player round_players%rowtype;
+  group_round rounds%rowtype;
+  new_round_id uuid;
+begin
+  select * into player from round_players where id = p_round_player_id;
+
+  if player.id is null or player.profile_id is distinct from auth.uid() then
+    raise exception 'Round player % is not linked to you', p_round_player_id;
+  end if;
+
+  if player.submission_status = 'accepted' then
+    return player.player_round_id;
+  end if;
+
+  if player.submission_status is distinct from 'pending' then
+    raise exception 'Round player % has no round waiting to be accepted', p_round_player_id;
+  end if;
+
+  select * into group_round from rounds where id = player.round_id;
+
+  insert into rounds (
+    profile_id, course_id, is_complete, score, gross_shots,
+    selected_tee_id, selected_tee_name,
+    scoring_format, course_handicap, stroke_index_set, format_result
+  )
+  values (
+    player.profile_id, group_round.course_id, true,
+    (player.submission->>'score')::integer, (player.submission->>'gross_shots')::integer,
+    group_round.selected_tee_id, group_round.selected_tee_name,
+    group_round.scoring_format, player.course_handicap, group_round.stroke_index_set,
+    player.submission->'format_result'
+  )
+  returning id into new_round_id;
+
+  insert into shots (round_id, hole_number, hole_data, total_score)
+  select new_round_id,
+         (hole->>'hole_number')::integer,
+         hole->'hole_data',
+         (hole->>'total_score')::integer
+  from jsonb_array_elements(coalesce(player.submission->'holes', '[]'::jsonb)) as hole;
+
+  update round_players
+  set player_round_id = new_round_id,
+      submission_status = 'accepted'
+  where id = player.id;
+
+  return new_round_id;
+end;
+$$;
+
+-- Decline a group round; it never reaches the player's account
+create or replace function public.decline_group_player_round(p_round_player_id uuid)
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+  update round_players
+  set submission_status = 'declined',
+      submission = null
+  where id = p_round_player_id
+    and profile_id = auth.uid()
+    and submission_status = 'pending';
+$$;
+
+-- Signed-in players only
+revoke execute on function public.invite_player_by_email(text) from public, anon;
+revoke execute on function public.get_player_link_requests() from public, anon;
+revoke execute on function public.respond_to_player_link(uuid, boolean) from public, anon;
+revoke execute on function public.find_player_by_email(text) from public, anon;
+revoke execute on function public.submit_group_player_round(uuid, integer, integer, jsonb, jsonb) from public, anon;
+revoke execute on function public.get_pending_group_rounds() from public, anon;
+revoke execute on function public.accept_group_player_round(uuid) from public, anon;
+revoke execute on function public.decline_group_player_round(uuid) from public, anon;
+
+grant execute on function public.invite_player_by_email(text) to authenticated;
+grant execute on function public.get_player_link_requests() to authenticated;
+grant execute on function public.respond_to_player_link(uuid, boolean) to authenticated;
+grant execute on function public.find_player_by_email(text) to authenticated;
+grant execute on function public.submit_group_player_round(uuid, integer, integer, jsonb, jsonb) to authenticated;
+grant execute on function public.get_pending_group_rounds() to authenticated;
+grant execute on function public.accept_group_player_round(uuid) to authenticated;
+grant execute on function public.decline_group_player_round(uuid) to authenticated;
@@ -0,0 +1,71 @@
+-- Hole ranges
+--
+-- A round plays hole_count holes starting at start_hole, wrapping around
+-- the end of the course (front 9, back 9, shotgun starts, 9- and 27-hole
+-- layouts). Existing rounds are full 18-hole rounds from the first hole.
+
+alter table public.rounds
+  add column if not exists start_hole integer not null default 1
+    check (start_hole >= 1),
+  add column if not exists hole_count integer not null default 18
+    check (hole_count between 1 and 36);
+
+-- Linked players in a group round play the same holes as the scorer
+create or replace function public.accept_group_player_round(p_round_player_id uuid)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  player round_players%rowtype;
+  group_round rounds%rowtype;
+  new_round_id uuid;
+begin
+  select * into player from round_players where id = p_round_player_id;
+
+  if player.id is null or player.profile_id is distinct from auth.uid() then
+    raise exception 'Round player % is not linked to you', p_round_player_id;
+  end if;
+
+  if player.submission_status = 'accepted' then
+    return player.player_round_id;
+  end if;
+
+  if player.submission_status is distinct from 'pending' then
+    raise exception 'Round player % has no round waiting to be accepted', p_round_player_id;
+  end if;
+
+  select * into group_round from rounds where id = player.round_id;
+
+  insert into rounds (
+    profile_id, course_id, is_complete, score, gross_shots,
+    selected_tee_id, selected_tee_name,
+    scoring_format, course_handicap, stroke_index_set, format_result,
+    start_hole, hole_count
+  )
+  values (
+    player.profile_id, group_round.course_id, true,
+    (player.submission->>'score')::integer, (player.submission->>'gross_shots')::integer,
+    group_round.selected_tee_id, group_round.selected_tee_name,
+    group_round.scoring_format, player.course_handicap, group_round.stroke_index_set,
+    player.submission->'format_result',
+    group_round.start_hole, group_round.hole_count
+  )
+  returning id into new_round_id;
+
+  insert into shots (round_id, hole_number, hole_data, total_score)
+  select new_round_id,
+         (hole->>'hole_number')::integer,
+         hole->'hole_data',
+         (hole->>'total_score')::integer
+  from jsonb_array_elements(coalesce(player.submission->'holes', '[]'::jsonb)) as hole;
+
+  update round_players
+  set player_round_id = new_round_id,
+      submission_status = 'accepted'
+  where id = player.id;
+
+  return new_round_id;
+end;
+$$;
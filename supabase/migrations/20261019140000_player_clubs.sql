@@ -0,0 +1,39 @@
+-- Player clubs
+--
+-- The clubs in a player's bag. Shots keep the club name in
+-- hole_data.shots[].club, so a club's name is fixed once added; the
+-- nickname is what the player edits. Retired clubs stay in the table so
+-- their shots still show up in the per-club statistics.
+
+create table if not exists public.player_clubs (
+  id uuid primary key default gen_random_uuid(),
+  profile_id uuid not null references public.profiles(id) on delete cascade,
+  name text not null,
+  nickname text,
+  loft numeric check (loft is null or loft between 0 and 90),
+  is_active boolean not null default true,
+  sort_order integer not null default 0,
+  created_at timestamptz not null default now(),
+  unique (profile_id, name)
+);
+
+create index if not exists player_clubs_profile_idx
+  on public.player_clubs (profile_id, sort_order);
+
+alter table public.player_clubs enable row level security;
+
+create policy "Users can view their own clubs"
+  on public.player_clubs for select
+  using (auth.uid() = profile_id);
+
+create policy "Users can insert their own clubs"
+  on public.player_clubs for insert
+  with check (auth.uid() = profile_id);
+
+create policy "Users can update their own clubs"
+  on public.player_clubs for update
+  using (auth.uid() = profile_id);
+
+create policy "Users can delete their own clubs"
+  on public.player_clubs for delete
+  using (auth.uid() = profile_id);
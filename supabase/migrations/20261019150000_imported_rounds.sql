@@ -0,0 +1,14 @@
+-- Imported rounds
+--
+-- Rounds brought over from other scorecard apps and spreadsheets are
+-- written as completed rounds with imported = true and the file format
+-- in import_source. They have scores and optional shot counts but no
+-- shot outcomes, positions or insights of their own.
+
+alter table public.rounds
+  add column if not exists imported boolean not null default false,
+  add column if not exists import_source text;
+
+create index if not exists rounds_profile_imported_idx
+  on public.rounds (profile_id, course_id)
+  where imported;
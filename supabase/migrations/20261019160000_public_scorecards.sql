@@ -0,0 +1,9 @@
+-- Public scorecards
+--
+-- A player can publish a read-only scorecard for one of their rounds.
+-- The public-scorecard edge function hands out a signed link to the
+-- scorecard page on the website and only serves rounds that are still
+-- shared, so turning public_share off revokes every link to the round.
+
+alter table public.rounds
+  add column if not exists public_share boolean not null default false;
@@ -0,0 +1,39 @@
+-- Round edits
+--
+-- Corrections made to a hole after its round was completed. Each row
+-- keeps the hole as it was before the edit and the totals either side
+-- of it, so a changed score can always be traced back. Rows are never
+-- updated or deleted by the app - the trail is append-only.
+
+create table if not exists public.round_edits (
+  id uuid primary key default gen_random_uuid(),
+  round_id uuid not null references public.rounds(id) on delete cascade,
+  profile_id uuid not null references public.profiles(id) on delete cascade,
+  hole_number integer not null,
+  previous_hole_data jsonb,
+  previous_total_score integer,
+  new_total_score integer not null,
+  previous_gross_shots integer,
+  new_gross_shots integer,
+  changes jsonb not null default '[]'::jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists round_edits_round_idx
+  on public.round_edits (round_id, created_at desc);
+
+alter table public.round_edits enable row level security;
+
+create policy "Users can view edits to their own rounds"
+  on public.round_edits for select
+  using (auth.uid() = profile_id);
+
+create policy "Users can record edits to their own rounds"
+  on public.round_edits for insert
+  with check (
+    auth.uid() = profile_id
+    and exists (
+      select 1 from public.rounds r
+      where r.id = round_edits.round_id and r.profile_id = auth.uid()
+    )
+  );
@@ -0,0 +1,14 @@
+-- Tracking profiles
+--
+-- tracking_profile is the player's ShotTable setup: the outcome scale
+-- (three or five outcomes), rows they have hidden and custom categories,
+-- each belonging to a standard shot type. When a round starts the profile
+-- is resolved into tracking_schema on the round (see trackingProfile.js),
+-- so older rounds keep rendering with the rows and outcomes they were
+-- played with. Rounds without a schema use the original table.
+
+alter table public.profiles
+  add column if not exists tracking_profile jsonb;
+
+alter table public.rounds
+  add column if not exists tracking_schema jsonb;